@@ -0,0 +1,41 @@
+import { DeliveryMethod } from "@shopify/shopify-api";
+import shopify from "./shopify.js";
+import { markShopUninstalled } from "./database/models/shop.js";
+import { invalidateShippingConfig } from "./services/rateQuote.js";
+
+// Delete every session of a shop, so its tokens can't be used anymore and
+// the next visit goes through OAuth again
+export async function deleteShopSessions(shop) {
+  const { sessionStorage } = shopify.config;
+  const sessions = await sessionStorage.findSessionsByShop(shop);
+  await sessionStorage.deleteSessions(sessions.map((session) => session.id));
+  return sessions.length;
+}
+
+/**
+ * Follow the app's own lifecycle on a shop.
+ *
+ * @type {{[key: string]: import("@shopify/shopify-api").WebhookHandler}}
+ */
+export default {
+  /**
+   * The store owner uninstalled the app. Its access token is revoked, so the
+   * sessions go and the carrier service stops answering. The configuration
+   * stays for a reinstall until Shopify sends SHOP_REDACT, 48 hours later.
+   */
+  APP_UNINSTALLED: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: async (topic, shop, body, webhookId) => {
+      try {
+        await markShopUninstalled(shop);
+        invalidateShippingConfig(shop);
+        const sessions = await deleteShopSessions(shop);
+        console.log(`${shop} uninstalled the app, deleted ${sessions} session(s)`);
+      } catch (error) {
+        console.error(`Error handling the uninstall of ${shop}:`, error);
+        throw error;
+      }
+    },
+  },
+};
@@ -1,107 +1,132 @@
 // web/database.js
 import pg from 'pg';
-import dotenv from 'dotenv';
+import pool, { dbConfig } from './database/connection.js';
+import { migrate } from './database/migrator.js';
 
-// Load environment variables
-dotenv.config();
+// Channel every instance listens on for changes to a shop's shipping config
+const CONFIG_CHANNEL = 'shipping_config_changed';
 
-// PostgreSQL connection configuration
-const dbConfig = {
-  host: process.env.PG_HOST || 'localhost',
-  port: process.env.PG_PORT || 5432,
-  database: process.env.PG_DATABASE || 'shipping_app',
-  user: process.env.PG_USER || 'postgres',
-  password: process.env.PG_PASSWORD || 'postgres',
-  ssl: process.env.PG_SSL === 'true' ? { rejectUnauthorized: false } : false
-};
+// Delay before a lost listener connection is re-established
+const LISTEN_RETRY_DELAY = 5000;
 
-// Create a PostgreSQL connection pool
-const pool = new pg.Pool(dbConfig);
-
-// Initialize the database by creating tables if they don't exist
+// Initialize the database by applying the pending schema migrations
 export async function initializeDB() {
+  await migrate(pool);
+  console.log('PostgreSQL database initialized successfully');
+}
+
+// Run fn(client) in a read-only REPEATABLE READ transaction, so all of its
+// queries see the database as of the same moment
+export async function withConsistentRead(fn) {
   const client = await pool.connect();
   try {
-    // Create carriers table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS carriers (
-        id SERIAL PRIMARY KEY,
-        name TEXT NOT NULL UNIQUE,
-        price INTEGER NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create settings table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS settings (
-        id SERIAL PRIMARY KEY,
-        key TEXT NOT NULL UNIQUE,
-        value TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Check if carriers table is empty and add default carriers if needed
-    const { rows } = await client.query('SELECT COUNT(*) AS count FROM carriers');
-    if (parseInt(rows[0].count) === 0) {
-      await client.query(
-        'INSERT INTO carriers (name, price) VALUES ($1, $2), ($3, $4)',
-        ['DPD', 1000, 'Post', 1200]
-      );
-      console.log('Initialized default carriers');
-    }
-    
-    console.log('PostgreSQL database initialized successfully');
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
   } catch (error) {
-    console.error('Error initializing PostgreSQL database:', error);
+    await client.query('ROLLBACK');
     throw error;
   } finally {
     client.release();
   }
 }
 
-// Carrier operations
-export async function getCarriers() {
-  const { rows } = await pool.query('SELECT * FROM carriers ORDER BY name');
-  return rows;
-}
-
-export async function addCarrier(name, price) {
+// Settings operations
+export async function getSetting(shop, key) {
   const { rows } = await pool.query(
-    'INSERT INTO carriers (name, price) VALUES ($1, $2) RETURNING *',
-    [name, price]
+    'SELECT value FROM settings WHERE shop = $1 AND key = $2',
+    [shop, key]
   );
-  return rows[0];
+  return rows.length > 0 ? rows[0].value : null;
+}
+
+export async function getSettings(shop, client = pool) {
+  const { rows } = await client.query('SELECT key, value FROM settings WHERE shop = $1', [shop]);
+  return Object.fromEntries(rows.map(({ key, value }) => [key, value]));
 }
 
-export async function updateCarrier(name, price) {
-  const { rowCount, rows } = await pool.query(
-    'UPDATE carriers SET price = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2 RETURNING *',
-    [price, name]
+export async function setSetting(shop, key, value) {
+  const { rowCount } = await pool.query(
+    'INSERT INTO settings (shop, key, value) VALUES ($1, $2, $3) ON CONFLICT (shop, key) DO UPDATE SET value = $3, updated_at = CURRENT_TIMESTAMP',
+    [shop, key, value]
   );
-  return { changes: rowCount, carrier: rows[0] };
+  await notifyConfigChange(shop);
+  return { success: rowCount > 0 };
 }
 
-export async function deleteCarrier(name) {
-  const { rowCount } = await pool.query('DELETE FROM carriers WHERE name = $1', [name]);
-  return { changes: rowCount };
+// Store several settings in one transaction with a single config change event
+export async function setSettings(shop, values) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const [key, value] of Object.entries(values)) {
+      await client.query(
+        'INSERT INTO settings (shop, key, value) VALUES ($1, $2, $3) ON CONFLICT (shop, key) DO UPDATE SET value = $3, updated_at = CURRENT_TIMESTAMP',
+        [shop, key, value]
+      );
+    }
+    await notifyConfigChange(shop, client);
+    await client.query('COMMIT');
+    return { changes: Object.keys(values).length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 }
 
-// Settings operations
-export async function getSetting(key) {
-  const { rows } = await pool.query('SELECT value FROM settings WHERE key = $1', [key]);
-  return rows.length > 0 ? rows[0].value : null;
+// Config change events. Pass the transaction's client so the event is only
+// delivered once the change commits (and not at all on rollback).
+export async function notifyConfigChange(shop, client = pool) {
+  await client.query('SELECT pg_notify($1, $2)', [CONFIG_CHANNEL, JSON.stringify({ shop })]);
 }
 
-export async function setSetting(key, value) {
-  const { rowCount } = await pool.query(
-    'INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP',
-    [key, value]
-  );
-  return { success: rowCount > 0 };
+// Call onChange(shop) for every config change on any instance. While the
+// connection is down changes may be missed, so onChange(null) is called once
+// it is back, meaning any shop may have changed.
+export function listenForConfigChanges(onChange) {
+  let reconnecting = false;
+
+  async function connect(isReconnect) {
+    const client = new pg.Client(dbConfig);
+
+    const retry = (error) => {
+      if (reconnecting) return;
+      reconnecting = true;
+      console.error('Config change listener disconnected, reconnecting:', error.message);
+      client.end().catch(() => {});
+      setTimeout(() => {
+        reconnecting = false;
+        connect(true);
+      }, LISTEN_RETRY_DELAY);
+    };
+
+    client.on('error', retry);
+    client.on('end', () => retry(new Error('connection ended')));
+    client.on('notification', ({ channel, payload }) => {
+      if (channel !== CONFIG_CHANNEL) return;
+      try {
+        onChange(JSON.parse(payload).shop);
+      } catch (error) {
+        console.error('Invalid config change event:', payload, error);
+      }
+    });
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${CONFIG_CHANNEL}`);
+      if (isReconnect) {
+        onChange(null);
+      }
+      console.log(`Listening for config changes on ${CONFIG_CHANNEL}`);
+    } catch (error) {
+      retry(error);
+    }
+  }
+
+  connect(false);
 }
 
 // Export the pool for direct query access if needed
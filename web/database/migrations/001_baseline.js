@@ -0,0 +1,279 @@
+// web/database/migrations/001_baseline.js
+
+// The schema as initializeDB() created it before migrations. Every statement
+// is idempotent, so deployments that already have these tables adopt the
+// baseline without changes.
+export async function up(client) {
+  // Create carriers table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS carriers (
+      id SERIAL PRIMARY KEY,
+      shop TEXT,
+      name TEXT NOT NULL,
+      price INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  
+  // Parcel limits enforced when packing for a carrier; weight in grams,
+  // dimensions and girth in cm, NULL meaning no limit
+  await client.query(`
+    ALTER TABLE carriers
+      ADD COLUMN IF NOT EXISTS max_weight INTEGER DEFAULT 31500,
+      ADD COLUMN IF NOT EXISTS max_length INTEGER,
+      ADD COLUMN IF NOT EXISTS max_width INTEGER,
+      ADD COLUMN IF NOT EXISTS max_height INTEGER,
+      ADD COLUMN IF NOT EXISTS max_girth INTEGER,
+      ADD COLUMN IF NOT EXISTS max_parcels INTEGER
+  `);
+  // Transit time in business days, used for the delivery dates of the
+  // carrier's rates
+  await client.query(`
+    ALTER TABLE carriers
+      ADD COLUMN IF NOT EXISTS min_transit_days INTEGER NOT NULL DEFAULT 1,
+      ADD COLUMN IF NOT EXISTS max_transit_days INTEGER NOT NULL DEFAULT 5
+  `);
+  // Currency the carrier's price and surcharges are given in
+  await client.query(
+    "ALTER TABLE carriers ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'EUR'"
+  );
+  
+  // Create settings table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS settings (
+      id SERIAL PRIMARY KEY,
+      shop TEXT,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create shipping zones; locations is a JSON array of
+  // { country, provinces, postal_codes } matched by services/zones.js
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS zones (
+      id SERIAL PRIMARY KEY,
+      shop TEXT NOT NULL,
+      name TEXT NOT NULL,
+      locations JSONB NOT NULL DEFAULT '[]',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (shop, name)
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS carrier_zones (
+      carrier_id INTEGER NOT NULL REFERENCES carriers (id) ON DELETE CASCADE,
+      zone_id INTEGER NOT NULL REFERENCES zones (id) ON DELETE CASCADE,
+      PRIMARY KEY (carrier_id, zone_id)
+    )
+  `);
+  // Transit time of a carrier within a zone; NULL falls back to the carrier's
+  await client.query(`
+    ALTER TABLE carrier_zones
+      ADD COLUMN IF NOT EXISTS min_transit_days INTEGER,
+      ADD COLUMN IF NOT EXISTS max_transit_days INTEGER
+  `);
+
+  // Create rate tables; each carrier prices its parcels against the weight
+  // bands of its rate table instead of the flat price when it has one
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rate_tables (
+      id SERIAL PRIMARY KEY,
+      carrier_id INTEGER NOT NULL REFERENCES carriers (id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rate_table_bands (
+      id SERIAL PRIMARY KEY,
+      rate_table_id INTEGER NOT NULL REFERENCES rate_tables (id) ON DELETE CASCADE,
+      min_weight INTEGER NOT NULL,
+      max_weight INTEGER NOT NULL,
+      price INTEGER NOT NULL
+    )
+  `);
+  // A rate table without a zone applies wherever the carrier has no
+  // zone-specific table
+  await client.query(
+    'ALTER TABLE rate_tables ADD COLUMN IF NOT EXISTS zone_id INTEGER REFERENCES zones (id) ON DELETE CASCADE'
+  );
+  // Currency the band prices are given in
+  await client.query(
+    "ALTER TABLE rate_tables ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'EUR'"
+  );
+
+  // Create free and discounted shipping thresholds; a NULL carrier or zone
+  // applies to all carriers or zones
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS shipping_thresholds (
+      id SERIAL PRIMARY KEY,
+      shop TEXT NOT NULL,
+      carrier_id INTEGER REFERENCES carriers (id) ON DELETE CASCADE,
+      zone_id INTEGER REFERENCES zones (id) ON DELETE CASCADE,
+      min_subtotal INTEGER NOT NULL,
+      discount_percent INTEGER NOT NULL DEFAULT 100,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create rules table; conditions and actions are JSON arrays evaluated
+  // by services/rules.js
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rules (
+      id SERIAL PRIMARY KEY,
+      shop TEXT NOT NULL,
+      name TEXT NOT NULL,
+      priority INTEGER NOT NULL DEFAULT 0,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      stop_processing BOOLEAN NOT NULL DEFAULT FALSE,
+      conditions JSONB NOT NULL DEFAULT '[]',
+      actions JSONB NOT NULL DEFAULT '[]',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS rules_shop_priority_idx ON rules (shop, priority)');
+
+  // Create public holidays, imported per country; orders aren't dispatched
+  // or delivered on them
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS holidays (
+      id SERIAL PRIMARY KEY,
+      shop TEXT NOT NULL,
+      country TEXT NOT NULL,
+      date DATE NOT NULL,
+      name TEXT NOT NULL DEFAULT '',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (shop, country, date)
+    )
+  `);
+
+  // Create surcharges table; a surcharge is either a fixed amount in cents or
+  // a percentage of the carrier's price, and empty country or postal-code
+  // lists apply it to every destination
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS surcharges (
+      id SERIAL PRIMARY KEY,
+      shop TEXT NOT NULL,
+      carrier_id INTEGER NOT NULL REFERENCES carriers (id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      amount INTEGER,
+      percent DOUBLE PRECISION,
+      per TEXT NOT NULL DEFAULT 'shipment',
+      countries JSONB NOT NULL DEFAULT '[]',
+      postal_codes JSONB NOT NULL DEFAULT '[]',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create exchange rates table; rates are units of the currency per euro,
+  // and prices converted into the currency are rounded to its increment
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id SERIAL PRIMARY KEY,
+      shop TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      rate DOUBLE PRECISION NOT NULL,
+      rounding_increment INTEGER NOT NULL DEFAULT 1,
+      rounding_mode TEXT NOT NULL DEFAULT 'nearest',
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (shop, currency)
+    )
+  `);
+
+  // Create product shipping attributes, mirrored from the products'
+  // metafields so rate requests never call the Admin API; dimensions in cm
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS product_shipping_attributes (
+      shop TEXT NOT NULL,
+      product_id BIGINT NOT NULL,
+      title TEXT NOT NULL DEFAULT '',
+      product_type TEXT NOT NULL DEFAULT '',
+      length DOUBLE PRECISION,
+      width DOUBLE PRECISION,
+      height DOUBLE PRECISION,
+      ship_alone BOOLEAN NOT NULL DEFAULT FALSE,
+      oversize BOOLEAN NOT NULL DEFAULT FALSE,
+      fragile BOOLEAN NOT NULL DEFAULT FALSE,
+      shipping_class TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (shop, product_id)
+    )
+  `);
+
+  // Create class restrictions; a carrier with allowed shipping classes only
+  // carries those, denied classes never. Countries limit a restriction to
+  // destinations in them, an empty list applies it everywhere.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS carrier_class_restrictions (
+      id SERIAL PRIMARY KEY,
+      shop TEXT NOT NULL,
+      carrier_id INTEGER NOT NULL REFERENCES carriers (id) ON DELETE CASCADE,
+      shipping_class TEXT NOT NULL,
+      mode TEXT NOT NULL,
+      countries JSONB NOT NULL DEFAULT '[]',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create the rate request log; destinations are stored redacted and rows
+  // older than the shop's retention period are purged by purgeRateLogs
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rate_request_logs (
+      id BIGSERIAL PRIMARY KEY,
+      shop TEXT NOT NULL,
+      destination JSONB NOT NULL DEFAULT '{}',
+      destination_country TEXT,
+      currency TEXT,
+      items JSONB NOT NULL DEFAULT '[]',
+      computed_rates JSONB NOT NULL DEFAULT '[]',
+      returned_rates JSONB NOT NULL DEFAULT '[]',
+      carrier_ids INTEGER[] NOT NULL DEFAULT '{}',
+      duration_ms INTEGER NOT NULL,
+      error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS rate_request_logs_shop_created_idx ON rate_request_logs (shop, created_at DESC)'
+  );
+
+  // Tables created before carriers and settings were scoped per shop have
+  // no shop column and a global unique constraint on name/key
+  await client.query('ALTER TABLE carriers ADD COLUMN IF NOT EXISTS shop TEXT');
+  await client.query('ALTER TABLE settings ADD COLUMN IF NOT EXISTS shop TEXT');
+  await client.query('ALTER TABLE carriers DROP CONSTRAINT IF EXISTS carriers_name_key');
+  await client.query('ALTER TABLE settings DROP CONSTRAINT IF EXISTS settings_key_key');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS carriers_shop_name_idx ON carriers (shop, name)');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS settings_shop_key_idx ON settings (shop, key)');
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      rate_request_logs,
+      carrier_class_restrictions,
+      product_shipping_attributes,
+      exchange_rates,
+      surcharges,
+      holidays,
+      rules,
+      shipping_thresholds,
+      rate_table_bands,
+      rate_tables,
+      carrier_zones,
+      zones,
+      settings,
+      carriers
+  `);
+}
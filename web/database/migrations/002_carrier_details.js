@@ -0,0 +1,23 @@
+// web/database/migrations/002_carrier_details.js
+
+// Checkout details of a carrier: the service code and description of its
+// rates, whether it is offered at all and its place among rates of equal price
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE carriers
+      ADD COLUMN service_code TEXT,
+      ADD COLUMN description TEXT,
+      ADD COLUMN active BOOLEAN NOT NULL DEFAULT TRUE,
+      ADD COLUMN display_order INTEGER NOT NULL DEFAULT 0
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE carriers
+      DROP COLUMN service_code,
+      DROP COLUMN description,
+      DROP COLUMN active,
+      DROP COLUMN display_order
+  `);
+}
@@ -0,0 +1,23 @@
+// web/database/migrations/003_config_versions.js
+
+// Published versions of a shop's shipping configuration. The configuration
+// tables hold the draft; publishing stores a snapshot of them here and the
+// carrier service answers from the shop's latest version.
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE config_versions (
+      id SERIAL PRIMARY KEY,
+      shop TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      snapshot JSONB NOT NULL,
+      note TEXT NOT NULL DEFAULT '',
+      restored_from INTEGER,
+      published_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (shop, version)
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE config_versions');
+}
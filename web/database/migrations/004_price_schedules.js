@@ -0,0 +1,30 @@
+// web/database/migrations/004_price_schedules.js
+
+// Scheduled changes of a carrier's price per parcel or of its rate table for
+// a zone (all zones when NULL), in effect from starts_at until ends_at (for
+// good when NULL). A schedule has either a price or bands.
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE price_schedules (
+      id SERIAL PRIMARY KEY,
+      shop TEXT NOT NULL,
+      carrier_id INTEGER NOT NULL REFERENCES carriers (id) ON DELETE CASCADE,
+      starts_at TIMESTAMPTZ NOT NULL,
+      ends_at TIMESTAMPTZ,
+      price INTEGER,
+      zone_id INTEGER REFERENCES zones (id) ON DELETE CASCADE,
+      currency TEXT,
+      bands JSONB,
+      note TEXT NOT NULL DEFAULT '',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (ends_at IS NULL OR ends_at > starts_at),
+      CHECK ((price IS NULL) <> (bands IS NULL))
+    )
+  `);
+  await client.query('CREATE INDEX price_schedules_shop_carrier_idx ON price_schedules (shop, carrier_id)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE price_schedules');
+}
@@ -0,0 +1,31 @@
+// web/database/migrations/005_privacy_requests.js
+
+// Rate logs keep keyed hashes of the customer's email and phone instead of
+// the contact details, so privacy requests can find a customer's logs. Every
+// privacy webhook is recorded with what was done, and the records outlive
+// the shop's data.
+export async function up(client) {
+  await client.query("ALTER TABLE rate_request_logs ADD COLUMN customer_hashes TEXT[] NOT NULL DEFAULT '{}'");
+  await client.query('CREATE INDEX rate_request_logs_customer_hashes_idx ON rate_request_logs USING GIN (customer_hashes)');
+  await client.query(`
+    CREATE TABLE privacy_requests (
+      id SERIAL PRIMARY KEY,
+      shop TEXT NOT NULL,
+      topic TEXT NOT NULL,
+      webhook_id TEXT UNIQUE,
+      customer_id BIGINT,
+      order_ids BIGINT[] NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'received',
+      result JSONB,
+      error TEXT,
+      received_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMPTZ
+    )
+  `);
+  await client.query('CREATE INDEX privacy_requests_shop_idx ON privacy_requests (shop, received_at)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE privacy_requests');
+  await client.query('ALTER TABLE rate_request_logs DROP COLUMN customer_hashes');
+}
@@ -0,0 +1,19 @@
+// web/database/migrations/006_shop_installations.js
+
+// Whether the app is installed on a shop. Uninstalling keeps the shop's
+// configuration until Shopify asks for it to be deleted, so a reinstall
+// picks it up again. Shops without a row predate this table and count as
+// installed.
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE shop_installations (
+      shop TEXT PRIMARY KEY,
+      installed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      uninstalled_at TIMESTAMPTZ
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE shop_installations');
+}
@@ -0,0 +1,38 @@
+// web/database/migrations/007_legacy_rows_owner.js
+
+// Carriers and settings from the single-store era have no shop. When just one
+// shop has an offline session it is the shop installed first, and the rows go
+// to it. Sessions carry no install time, so with several shops or none the
+// rows stay unscoped and the first shop to complete OAuth claims them, see
+// claimUnscopedRows.
+export async function up(client) {
+  const { rows: [unscoped] } = await client.query(`
+    SELECT (SELECT COUNT(*) FROM carriers WHERE shop IS NULL)
+      + (SELECT COUNT(*) FROM settings WHERE shop IS NULL) AS count
+  `);
+  if (parseInt(unscoped.count, 10) === 0) {
+    return;
+  }
+
+  const { rows: [sessionTable] } = await client.query(
+    "SELECT to_regclass('shopify_sessions') AS name"
+  );
+  const { rows: shops } = sessionTable.name
+    ? await client.query("SELECT DISTINCT shop FROM shopify_sessions WHERE id LIKE 'offline_%'")
+    : { rows: [] };
+  if (shops.length !== 1) {
+    console.warn(
+      `${unscoped.count} carrier(s) and setting(s) have no shop and ${shops.length} shops have sessions; ` +
+      'the first shop to complete OAuth gets them'
+    );
+    return;
+  }
+
+  const [{ shop }] = shops;
+  const carriers = await client.query('UPDATE carriers SET shop = $1 WHERE shop IS NULL', [shop]);
+  const settings = await client.query('UPDATE settings SET shop = $1 WHERE shop IS NULL', [shop]);
+  console.log(`Assigned ${carriers.rowCount} carrier(s) and ${settings.rowCount} setting(s) to ${shop}`);
+}
+
+// Which rows were unscoped isn't recorded, so they keep their shop
+export async function down() {}
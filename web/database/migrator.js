@@ -0,0 +1,187 @@
+// web/database/migrator.js
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Migrations are files named <version>_<name>.js exporting up(client) and
+// down(client); versions are applied in ascending order
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Session-level advisory lock held while migrating, so containers starting
+// at the same time apply each migration once
+const MIGRATION_LOCK_KEY = 4211907;
+
+/**
+ * Load the migration files of a directory
+ * @param {String} [dir] - Directory of the migration files
+ * @returns {Array} - Migrations { version, name, up, down } sorted by version
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+
+  for (const file of (await readdir(dir)).filter((entry) => entry.endsWith('.js')).sort()) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) {
+      throw new Error(`Migration ${file} must be named <version>_<name>.js`);
+    }
+    const version = parseInt(match[1], 10);
+    if (migrations.some((migration) => migration.version === version)) {
+      throw new Error(`Migration ${file} reuses version ${version}`);
+    }
+
+    const { up, down } = await import(pathToFileURL(path.join(dir, file)).href);
+    if (typeof up !== 'function' || typeof down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`);
+    }
+    migrations.push({ version, name: match[2], up, down });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Find the migrations to apply, up to and including a target version
+ * @param {Array} migrations - Loaded migrations sorted by version
+ * @param {Array} appliedVersions - Versions recorded in schema_migrations
+ * @param {Number} [target] - Last version to apply, all pending ones without
+ * @returns {Array} - Migrations to apply in order
+ */
+export function pendingMigrations(migrations, appliedVersions, target = Infinity) {
+  return migrations.filter(({ version }) => version <= target && !appliedVersions.includes(version));
+}
+
+/**
+ * Find the migrations to roll back, latest first
+ * @param {Array} migrations - Loaded migrations sorted by version
+ * @param {Array} appliedVersions - Versions recorded in schema_migrations
+ * @param {Number} [steps] - Number of migrations to roll back
+ * @returns {Array} - Migrations to roll back in order
+ * @throws {Error} - If an applied migration has no file to roll it back with
+ */
+export function migrationsToRollBack(migrations, appliedVersions, steps = 1) {
+  return [...appliedVersions]
+    .sort((a, b) => b - a)
+    .slice(0, steps)
+    .map((version) => {
+      const migration = migrations.find((candidate) => candidate.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its file is missing`);
+      }
+      return migration;
+    });
+}
+
+// Run fn(client) on a connection holding the migration lock, with the
+// schema_migrations table in place
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function appliedMigrations(client) {
+  const { rows } = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return rows;
+}
+
+// Run one migration step and record it in the same transaction
+async function runStep(client, step, record) {
+  await client.query('BEGIN');
+  try {
+    await step(client);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Apply the pending migrations, each in its own transaction
+ * @param {Object} pool - The pg pool
+ * @param {Object} [options] - { to: last version to apply, dir: migrations directory }
+ * @returns {Array} - The applied migrations { version, name }
+ */
+export async function migrate(pool, { to, dir } = {}) {
+  const migrations = await loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = (await appliedMigrations(client)).map(({ version }) => version);
+    const pending = pendingMigrations(migrations, applied, to);
+
+    for (const migration of pending) {
+      await runStep(client, migration.up, () => client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      ));
+      console.log(`Applied migration ${migration.version}_${migration.name}`);
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * Roll back the latest applied migrations, each in its own transaction
+ * @param {Object} pool - The pg pool
+ * @param {Object} [options] - { steps: number of migrations, dir: migrations directory }
+ * @returns {Array} - The rolled back migrations { version, name }
+ */
+export async function rollback(pool, { steps = 1, dir } = {}) {
+  const migrations = await loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = (await appliedMigrations(client)).map(({ version }) => version);
+    const targets = migrationsToRollBack(migrations, applied, steps);
+
+    for (const migration of targets) {
+      await runStep(client, migration.down, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      ));
+      console.log(`Rolled back migration ${migration.version}_${migration.name}`);
+    }
+    return targets.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * List every migration with when it was applied
+ * @param {Object} pool - The pg pool
+ * @param {Object} [options] - { dir: migrations directory }
+ * @returns {Array} - { version, name, applied_at } sorted by version; applied_at is
+ *   null for pending migrations, and applied ones without a file are marked missing
+ */
+export async function migrationStatus(pool, { dir } = {}) {
+  const migrations = await loadMigrations(dir);
+  const applied = await withMigrationLock(pool, appliedMigrations);
+
+  const status = migrations.map(({ version, name }) => ({
+    version,
+    name,
+    applied_at: applied.find((row) => row.version === version)?.applied_at ?? null,
+  }));
+  for (const row of applied) {
+    if (!migrations.some(({ version }) => version === row.version)) {
+      status.push({ ...row, missing: true });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
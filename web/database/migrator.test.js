@@ -0,0 +1,57 @@
+// web/database/migrator.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { loadMigrations, pendingMigrations, migrationsToRollBack } from './migrator.js';
+
+const MIGRATION = 'export async function up() {}\nexport async function down() {}\n';
+
+// Write migration files into a temporary directory and load them
+async function loadFrom(files) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'migrations-'));
+  try {
+    for (const [file, content] of Object.entries(files)) {
+      await writeFile(path.join(dir, file), content);
+    }
+    return await loadMigrations(dir);
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+}
+
+const migrations = [
+  { version: 1, name: 'baseline' },
+  { version: 2, name: 'add_settings_types' },
+  { version: 3, name: 'add_snapshots' },
+];
+
+test('loads the migrations of the app in version order', async () => {
+  const loaded = await loadMigrations();
+
+  assert.equal(loaded[0].version, 1);
+  assert.equal(loaded[0].name, 'baseline');
+  assert.deepEqual(loaded.map(({ version }) => version), [...loaded.map(({ version }) => version)].sort((a, b) => a - b));
+});
+
+test('sorts migration files by version and rejects bad ones', async () => {
+  const loaded = await loadFrom({ '010_later.js': MIGRATION, '002_first.js': MIGRATION, 'README.md': '' });
+  assert.deepEqual(loaded.map(({ version, name }) => [version, name]), [[2, 'first'], [10, 'later']]);
+
+  await assert.rejects(loadFrom({ 'add-zones.js': MIGRATION }), /must be named <version>_<name>\.js/);
+  await assert.rejects(loadFrom({ '001_a.js': MIGRATION, '1_b.js': MIGRATION }), /reuses version 1/);
+  await assert.rejects(loadFrom({ '001_a.js': 'export async function up() {}\n' }), /must export up and down/);
+});
+
+test('plans the pending migrations up to a target version', () => {
+  assert.deepEqual(pendingMigrations(migrations, [1]).map(({ version }) => version), [2, 3]);
+  assert.deepEqual(pendingMigrations(migrations, [1], 2).map(({ version }) => version), [2]);
+  assert.deepEqual(pendingMigrations(migrations, [1, 2, 3]), []);
+});
+
+test('rolls back the latest applied migrations first', () => {
+  assert.deepEqual(migrationsToRollBack(migrations, [1, 2, 3], 2).map(({ version }) => version), [3, 2]);
+  assert.deepEqual(migrationsToRollBack(migrations, [], 1), []);
+  assert.throws(() => migrationsToRollBack(migrations, [1, 4]), /Migration 4 is applied but its file is missing/);
+});
@@ -1,32 +1,187 @@
 // web/database/models/carrier.js
 import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+import { writeRateTable } from './rateTable.js';
 
-// Get all carriers
-export async function getCarriers() {
-  const { rows } = await pool.query('SELECT * FROM carriers ORDER BY name');
+// Parcel limits of a carrier; NULL means no limit
+export const CARRIER_LIMIT_FIELDS = [
+  'max_weight',
+  'max_length',
+  'max_width',
+  'max_height',
+  'max_girth',
+  'max_parcels',
+];
+
+// Business days a carrier takes to deliver where its zones don't say otherwise
+export const CARRIER_TRANSIT_FIELDS = ['min_transit_days', 'max_transit_days'];
+
+// How a carrier's rates show at checkout; rates of equal price are listed by
+// display order, and inactive carriers aren't quoted at all
+export const CARRIER_DETAIL_FIELDS = ['service_code', 'description', 'active', 'display_order'];
+
+// Optional columns the carrier routes accept besides name and price; the
+// currency is the one the price and surcharges are given in
+const CARRIER_OPTION_FIELDS = [...CARRIER_LIMIT_FIELDS, ...CARRIER_TRANSIT_FIELDS, 'currency', ...CARRIER_DETAIL_FIELDS];
+
+// Carriers every newly installed shop starts with
+const DEFAULT_CARRIERS = [
+  { name: 'DPD', price: 1000 },
+  { name: 'Post', price: 1200 },
+];
+
+// Get all carriers of a shop
+export async function getCarriers(shop, client = pool) {
+  const { rows } = await client.query(
+    'SELECT * FROM carriers WHERE shop = $1 ORDER BY display_order, name',
+    [shop]
+  );
   return rows;
 }
 
-// Add a new carrier
-export async function addCarrier(name, price) {
+// Get a single carrier
+export async function getCarrier(shop, id) {
+  const { rows } = await pool.query(
+    'SELECT * FROM carriers WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  return rows[0] || null;
+}
+
+// Get a carrier by its name, for the deprecated name-keyed routes
+export async function getCarrierByName(shop, name) {
+  const { rows } = await pool.query(
+    'SELECT * FROM carriers WHERE shop = $1 AND name = $2',
+    [shop, name]
+  );
+  return rows[0] || null;
+}
+
+// Add a new carrier; limits, transit days and currency left out get their column default
+export async function addCarrier(shop, name, price, options = {}) {
+  const columns = ['shop', 'name', 'price', ...CARRIER_OPTION_FIELDS.filter((field) => field in options)];
+  const values = [shop, name, price, ...columns.slice(3).map((field) => options[field])];
   const { rows } = await pool.query(
-    'INSERT INTO carriers (name, price) VALUES ($1, $2) RETURNING *',
-    [name, price]
+    `INSERT INTO carriers (${columns.join(', ')})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+    values
   );
+  await notifyConfigChange(shop);
   return rows[0];
 }
 
-// Update an existing carrier
-export async function updateCarrier(name, price) {
+// Update the price and the given limits, transit days and currency of an existing carrier
+export async function updateCarrier(shop, name, { price, ...options }) {
+  const fields = ['price', ...CARRIER_OPTION_FIELDS.filter((field) => field in options)];
+  const values = [price, ...fields.slice(1).map((field) => options[field])];
+  const assignments = fields.map((field, i) => `${field} = $${i + 1}`);
   const { rowCount, rows } = await pool.query(
-    'UPDATE carriers SET price = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2 RETURNING *',
-    [price, name]
+    `UPDATE carriers SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE shop = $${fields.length + 1} AND name = $${fields.length + 2} RETURNING *`,
+    [...values, shop, name]
   );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
   return { changes: rowCount, carrier: rows[0] };
 }
 
-// Delete a carrier
-export async function deleteCarrier(name) {
-  const { rowCount } = await pool.query('DELETE FROM carriers WHERE name = $1', [name]);
+// Change the given fields of a carrier, including its name; returns the
+// updated carrier, null if the shop has no carrier with the id
+export async function patchCarrier(shop, id, fields) {
+  const columns = ['name', 'price', ...CARRIER_OPTION_FIELDS].filter((field) => field in fields);
+  if (columns.length === 0) {
+    return getCarrier(shop, id);
+  }
+
+  const assignments = columns.map((field, i) => `${field} = $${i + 1}`);
+  const { rows } = await pool.query(
+    `UPDATE carriers SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE shop = $${columns.length + 1} AND id = $${columns.length + 2} RETURNING *`,
+    [...columns.map((field) => fields[field]), shop, id]
+  );
+  if (rows.length > 0) {
+    await notifyConfigChange(shop);
+  }
+  return rows[0] || null;
+}
+
+// Delete a carrier by id
+export async function deleteCarrierById(shop, id) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM carriers WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
   return { changes: rowCount };
-}
\ No newline at end of file
+}
+
+// Delete a carrier by name
+export async function deleteCarrier(shop, name) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM carriers WHERE shop = $1 AND name = $2',
+    [shop, name]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount };
+}
+
+// Create or update the carriers of an import plan by name and replace the
+// rate tables it has bands for, all in one transaction
+export async function importCarriers(shop, { carriers, rateTables }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const { name, price, options } of carriers) {
+      const columns = ['shop', 'name', 'price', ...CARRIER_OPTION_FIELDS.filter((field) => field in options)];
+      const values = [shop, name, price, ...columns.slice(3).map((field) => options[field])];
+      await client.query(
+        `INSERT INTO carriers (${columns.join(', ')})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+         ON CONFLICT (shop, name) DO UPDATE
+         SET ${columns.slice(2).map((field) => `${field} = EXCLUDED.${field}`).join(', ')},
+             updated_at = CURRENT_TIMESTAMP`,
+        values
+      );
+    }
+
+    for (const { carrier, zone_id, currency, bands } of rateTables) {
+      const { rows: [{ id, currency: carrierCurrency }] } = await client.query(
+        'SELECT id, currency FROM carriers WHERE shop = $1 AND name = $2',
+        [shop, carrier]
+      );
+      await writeRateTable(client, id, zone_id, bands, currency || carrierCurrency);
+    }
+
+    await notifyConfigChange(shop, client);
+    await client.query('COMMIT');
+    return { changes: carriers.length + rateTables.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Add the default carriers to a shop that has none yet
+export async function seedDefaultCarriers(shop) {
+  const { rows } = await pool.query(
+    'SELECT COUNT(*) AS count FROM carriers WHERE shop = $1',
+    [shop]
+  );
+  if (parseInt(rows[0].count) > 0) {
+    return { changes: 0 };
+  }
+
+  for (const { name, price } of DEFAULT_CARRIERS) {
+    await addCarrier(shop, name, price);
+  }
+  console.log(`Initialized default carriers for ${shop}`);
+  return { changes: DEFAULT_CARRIERS.length };
+}
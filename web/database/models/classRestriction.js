@@ -0,0 +1,65 @@
+// web/database/models/classRestriction.js
+import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+
+// Only accept a carrier that belongs to the shop
+const OWNED_CARRIER = 'EXISTS (SELECT 1 FROM carriers WHERE id = $2 AND shop = $1)';
+
+function toColumns({ carrier_id, shipping_class, mode, countries = [] }) {
+  return [
+    carrier_id,
+    shipping_class.trim(),
+    mode,
+    JSON.stringify(countries.map((country) => country.toUpperCase())),
+  ];
+}
+
+// Get all class restrictions of a shop
+export async function getClassRestrictions(shop, client = pool) {
+  const { rows } = await client.query(
+    'SELECT * FROM carrier_class_restrictions WHERE shop = $1 ORDER BY carrier_id, shipping_class, id',
+    [shop]
+  );
+  return rows;
+}
+
+// Add a new class restriction; returns null if the carrier isn't the shop's
+export async function addClassRestriction(shop, restriction) {
+  const { rows } = await pool.query(
+    `INSERT INTO carrier_class_restrictions (shop, carrier_id, shipping_class, mode, countries)
+     SELECT $1, $2, $3, $4, $5 WHERE ${OWNED_CARRIER}
+     RETURNING *`,
+    [shop, ...toColumns(restriction)]
+  );
+  if (rows.length > 0) {
+    await notifyConfigChange(shop);
+  }
+  return rows[0] || null;
+}
+
+// Update an existing class restriction
+export async function updateClassRestriction(shop, id, restriction) {
+  const { rowCount, rows } = await pool.query(
+    `UPDATE carrier_class_restrictions
+     SET carrier_id = $2, shipping_class = $3, mode = $4, countries = $5, updated_at = CURRENT_TIMESTAMP
+     WHERE shop = $1 AND id = $6 AND ${OWNED_CARRIER}
+     RETURNING *`,
+    [shop, ...toColumns(restriction), id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount, restriction: rows[0] };
+}
+
+// Delete a class restriction
+export async function deleteClassRestriction(shop, id) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM carrier_class_restrictions WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount };
+}
@@ -0,0 +1,90 @@
+// web/database/models/configVersion.js
+import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+
+const VERSION_COLUMNS = 'id, version, note, restored_from, published_at';
+
+// Get the published versions of a shop, latest first, without their snapshots
+export async function getConfigVersions(shop) {
+  const { rows } = await pool.query(
+    `SELECT ${VERSION_COLUMNS} FROM config_versions WHERE shop = $1 ORDER BY version DESC`,
+    [shop]
+  );
+  return rows;
+}
+
+// Get a published version with its snapshot
+export async function getConfigVersion(shop, version) {
+  const { rows } = await pool.query(
+    `SELECT ${VERSION_COLUMNS}, snapshot FROM config_versions WHERE shop = $1 AND version = $2`,
+    [shop, version]
+  );
+  return rows[0] || null;
+}
+
+// Get the version checkout answers from: the latest one published
+export async function getPublishedConfigVersion(shop) {
+  const { rows } = await pool.query(
+    `SELECT ${VERSION_COLUMNS}, snapshot FROM config_versions WHERE shop = $1 ORDER BY version DESC LIMIT 1`,
+    [shop]
+  );
+  return rows[0] || null;
+}
+
+// Get the shops with a configuration but no published version
+export async function getShopsWithoutConfigVersion() {
+  const { rows } = await pool.query(`
+    SELECT shop FROM carriers WHERE shop IS NOT NULL
+    UNION
+    SELECT shop FROM settings WHERE shop IS NOT NULL
+    EXCEPT
+    SELECT shop FROM config_versions
+  `);
+  return rows.map(({ shop }) => shop);
+}
+
+// Run fn(client) in a transaction holding the shop's publish lock. Versions of
+// a shop are numbered one after another, so concurrent publishes wait for each other.
+async function withPublishLock(shop, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('config_versions:' || $1))", [shop]);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function insertVersion(client, shop, snapshot, note, restoredFrom) {
+  const { rows } = await client.query(
+    `INSERT INTO config_versions (shop, version, snapshot, note, restored_from)
+     SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4 FROM config_versions WHERE shop = $1
+     RETURNING ${VERSION_COLUMNS}, snapshot`,
+    [shop, JSON.stringify(snapshot), note, restoredFrom]
+  );
+  await notifyConfigChange(shop, client);
+  return rows[0];
+}
+
+// Publish a snapshot as the shop's next version
+export async function publishConfigVersion(shop, snapshot, { note = '', restoredFrom = null } = {}) {
+  return withPublishLock(shop, (client) => insertVersion(client, shop, snapshot, note, restoredFrom));
+}
+
+// Publish a shop's first version, unless another instance just did; returns
+// the shop's latest version either way
+export async function publishFirstConfigVersion(shop, snapshot) {
+  return withPublishLock(shop, async (client) => {
+    const { rows } = await client.query(
+      `SELECT ${VERSION_COLUMNS}, snapshot FROM config_versions WHERE shop = $1 ORDER BY version DESC LIMIT 1`,
+      [shop]
+    );
+    return rows[0] || insertVersion(client, shop, snapshot, 'Initial version', null);
+  });
+}
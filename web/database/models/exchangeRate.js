@@ -0,0 +1,65 @@
+// web/database/models/exchangeRate.js
+import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+
+// Get all exchange rates of a shop
+export async function getExchangeRates(shop, client = pool) {
+  const { rows } = await client.query(
+    'SELECT * FROM exchange_rates WHERE shop = $1 ORDER BY currency',
+    [shop]
+  );
+  return rows;
+}
+
+// Add or update the exchange rate and rounding of a currency
+export async function setExchangeRate(shop, currency, { rate, rounding_increment = 1, rounding_mode = 'nearest' }) {
+  const { rows } = await pool.query(
+    `INSERT INTO exchange_rates (shop, currency, rate, rounding_increment, rounding_mode)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (shop, currency) DO UPDATE
+     SET rate = EXCLUDED.rate, rounding_increment = EXCLUDED.rounding_increment,
+         rounding_mode = EXCLUDED.rounding_mode, updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [shop, currency, rate, rounding_increment, rounding_mode]
+  );
+  await notifyConfigChange(shop);
+  return rows[0];
+}
+
+// Update the rates of the imported currencies in one transaction; their
+// rounding and the other currencies stay as they are
+export async function importExchangeRates(shop, rates) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const { currency, rate } of rates) {
+      await client.query(
+        `INSERT INTO exchange_rates (shop, currency, rate)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (shop, currency) DO UPDATE
+         SET rate = EXCLUDED.rate, updated_at = CURRENT_TIMESTAMP`,
+        [shop, currency, rate]
+      );
+    }
+    await notifyConfigChange(shop, client);
+    await client.query('COMMIT');
+    return { changes: rates.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Delete the exchange rate of a currency
+export async function deleteExchangeRate(shop, currency) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM exchange_rates WHERE shop = $1 AND currency = $2',
+    [shop, currency]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount };
+}
@@ -0,0 +1,68 @@
+// web/database/models/holiday.js
+import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+
+// Dates come back as "YYYY-MM-DD" rather than Date objects in the server's timezone
+const HOLIDAY_SELECT = `SELECT id, shop, country, to_char(date, 'YYYY-MM-DD') AS date, name, created_at FROM holidays`;
+
+// Get the holidays of a shop, optionally only those of the given countries
+export async function getHolidays(shop, countries = null, client = pool) {
+  const { rows } = await client.query(
+    `${HOLIDAY_SELECT} WHERE shop = $1 AND ($2::text[] IS NULL OR country = ANY($2::text[])) ORDER BY date, country`,
+    [shop, countries]
+  );
+  return rows;
+}
+
+// Add a single holiday; an existing holiday on the same day is renamed
+export async function addHoliday(shop, { country, date, name = '' }) {
+  const { rows } = await pool.query(
+    `INSERT INTO holidays (shop, country, date, name) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (shop, country, date) DO UPDATE SET name = EXCLUDED.name
+     RETURNING id, shop, country, to_char(date, 'YYYY-MM-DD') AS date, name, created_at`,
+    [shop, country, date, name]
+  );
+  await notifyConfigChange(shop);
+  return rows[0];
+}
+
+// Import a country's holiday calendar, replacing its holidays in the covered years
+export async function importHolidays(shop, country, calendar) {
+  // A calendar may list a day twice (e.g. two observances); the last name wins
+  const holidays = [...new Map(calendar.map((holiday) => [holiday.date, holiday])).values()];
+  const years = [...new Set(holidays.map(({ date }) => parseInt(date.slice(0, 4), 10)))];
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rowCount: removed } = await client.query(
+      'DELETE FROM holidays WHERE shop = $1 AND country = $2 AND EXTRACT(YEAR FROM date)::int = ANY($3::int[])',
+      [shop, country, years]
+    );
+    const { rowCount: imported } = await client.query(
+      `INSERT INTO holidays (shop, country, date, name)
+       SELECT $1, $2, h.date, h.name FROM jsonb_to_recordset($3::jsonb) AS h (date DATE, name TEXT)
+       ON CONFLICT (shop, country, date) DO UPDATE SET name = EXCLUDED.name`,
+      [shop, country, JSON.stringify(holidays)]
+    );
+    await notifyConfigChange(shop, client);
+    await client.query('COMMIT');
+    return { changes: imported, removed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Delete a holiday
+export async function deleteHoliday(shop, id) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM holidays WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount };
+}
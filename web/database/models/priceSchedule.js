@@ -0,0 +1,73 @@
+// web/database/models/priceSchedule.js
+import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+
+// Only accept a carrier and zone that belong to the shop (or no zone)
+const OWNED_REFERENCES = `
+  EXISTS (SELECT 1 FROM carriers WHERE id = $2 AND shop = $1)
+  AND ($6::int IS NULL OR EXISTS (SELECT 1 FROM zones WHERE id = $6 AND shop = $1))
+`;
+
+function toColumns({ carrier_id, starts_at, ends_at = null, price = null, zone_id = null, currency = null, bands = null, note = '' }) {
+  return [
+    carrier_id,
+    starts_at,
+    ends_at,
+    price,
+    zone_id,
+    currency && currency.toUpperCase(),
+    bands && JSON.stringify(bands),
+    note.trim(),
+  ];
+}
+
+// Get all price schedules of a shop
+export async function getPriceSchedules(shop, client = pool) {
+  const { rows } = await client.query(
+    'SELECT * FROM price_schedules WHERE shop = $1 ORDER BY carrier_id, starts_at, id',
+    [shop]
+  );
+  return rows;
+}
+
+// Add a new price schedule; returns null if the carrier or zone isn't the shop's
+export async function addPriceSchedule(shop, schedule) {
+  const { rows } = await pool.query(
+    `INSERT INTO price_schedules (shop, carrier_id, starts_at, ends_at, price, zone_id, currency, bands, note)
+     SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9 WHERE ${OWNED_REFERENCES}
+     RETURNING *`,
+    [shop, ...toColumns(schedule)]
+  );
+  if (rows.length > 0) {
+    await notifyConfigChange(shop);
+  }
+  return rows[0] || null;
+}
+
+// Update an existing price schedule
+export async function updatePriceSchedule(shop, id, schedule) {
+  const { rowCount, rows } = await pool.query(
+    `UPDATE price_schedules
+     SET carrier_id = $2, starts_at = $3, ends_at = $4, price = $5, zone_id = $6, currency = $7, bands = $8,
+         note = $9, updated_at = CURRENT_TIMESTAMP
+     WHERE shop = $1 AND id = $10 AND ${OWNED_REFERENCES}
+     RETURNING *`,
+    [shop, ...toColumns(schedule), id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount, schedule: rows[0] };
+}
+
+// Delete a price schedule
+export async function deletePriceSchedule(shop, id) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM price_schedules WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount };
+}
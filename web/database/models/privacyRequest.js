@@ -0,0 +1,63 @@
+// web/database/models/privacyRequest.js
+import pool from '../connection.js';
+
+// Record a privacy webhook before acting on it. Shopify retries webhooks, so
+// a delivery already completed returns null and isn't acted on again.
+export async function startPrivacyRequest(shop, { topic, webhookId = null, customerId = null, orderIds = [] }) {
+  const { rows } = await pool.query(
+    `INSERT INTO privacy_requests (shop, topic, webhook_id, customer_id, order_ids)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (webhook_id) DO UPDATE SET status = 'received', error = NULL, received_at = CURRENT_TIMESTAMP
+       WHERE privacy_requests.status <> 'completed'
+     RETURNING *`,
+    [shop, topic, webhookId, customerId, orderIds]
+  );
+  return rows[0] || null;
+}
+
+// Record what was done for a privacy request
+export async function completePrivacyRequest(id, result) {
+  await pool.query(
+    `UPDATE privacy_requests SET status = 'completed', result = $2, error = NULL, completed_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [id, JSON.stringify(result)]
+  );
+}
+
+// Record that a privacy request failed; Shopify delivers it again
+export async function failPrivacyRequest(id, error) {
+  await pool.query(
+    "UPDATE privacy_requests SET status = 'failed', error = $2 WHERE id = $1",
+    [id, String(error.message || error)]
+  );
+}
+
+// Get the privacy requests of a shop, newest first, without their results
+export async function getPrivacyRequests(shop) {
+  const { rows } = await pool.query(
+    `SELECT id, shop, topic, customer_id, order_ids, status, error, received_at, completed_at
+     FROM privacy_requests WHERE shop = $1 ORDER BY received_at DESC, id DESC`,
+    [shop]
+  );
+  return rows;
+}
+
+// Get a single privacy request with its result, e.g. a data request's report
+export async function getPrivacyRequest(shop, id) {
+  const { rows } = await pool.query(
+    'SELECT * FROM privacy_requests WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  return rows[0] || null;
+}
+
+// Drop the reports of a customer's earlier data requests, which hold copies
+// of their data; the records themselves stay
+export async function clearCustomerReports(shop, customerId) {
+  const { rowCount } = await pool.query(
+    `UPDATE privacy_requests SET result = jsonb_build_object('report_redacted', true)
+     WHERE shop = $1 AND customer_id = $2 AND topic = 'CUSTOMERS_DATA_REQUEST' AND result IS NOT NULL`,
+    [shop, customerId]
+  );
+  return { changes: rowCount };
+}
@@ -0,0 +1,81 @@
+// web/database/models/productAttributes.js
+import pool from '../connection.js';
+
+const UPSERT_PRODUCT = `
+  INSERT INTO product_shipping_attributes
+    (shop, product_id, title, product_type, length, width, height, ship_alone, oversize, fragile, shipping_class)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  ON CONFLICT (shop, product_id) DO UPDATE
+  SET title = EXCLUDED.title, product_type = EXCLUDED.product_type,
+      length = EXCLUDED.length, width = EXCLUDED.width, height = EXCLUDED.height,
+      ship_alone = EXCLUDED.ship_alone, oversize = EXCLUDED.oversize, fragile = EXCLUDED.fragile,
+      shipping_class = EXCLUDED.shipping_class, updated_at = CURRENT_TIMESTAMP
+`;
+
+function upsertValues(shop, product) {
+  return [
+    shop,
+    product.product_id,
+    product.title || '',
+    product.product_type || '',
+    product.length,
+    product.width,
+    product.height,
+    product.ship_alone,
+    product.oversize,
+    product.fragile,
+    product.shipping_class,
+  ];
+}
+
+// Get the attributes of a shop's products, of the given product ids only if any
+export async function getProductAttributes(shop, productIds = null) {
+  const { rows } = productIds === null
+    ? await pool.query(
+        'SELECT * FROM product_shipping_attributes WHERE shop = $1 ORDER BY title, product_id',
+        [shop]
+      )
+    : await pool.query(
+        'SELECT * FROM product_shipping_attributes WHERE shop = $1 AND product_id = ANY($2::bigint[])',
+        [shop, productIds]
+      );
+  return rows;
+}
+
+// Add or update the attributes of a product
+export async function setProductAttributes(shop, product) {
+  await pool.query(UPSERT_PRODUCT, upsertValues(shop, product));
+  return { changes: 1 };
+}
+
+// Replace the attributes of all products of a shop in one transaction;
+// products that no longer exist are removed
+export async function replaceProductAttributes(shop, products) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const product of products) {
+      await client.query(UPSERT_PRODUCT, upsertValues(shop, product));
+    }
+    const { rowCount } = await client.query(
+      'DELETE FROM product_shipping_attributes WHERE shop = $1 AND NOT (product_id = ANY($2::bigint[]))',
+      [shop, products.map((product) => product.product_id)]
+    );
+    await client.query('COMMIT');
+    return { changes: products.length, removed: rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Delete the attributes of a product
+export async function deleteProductAttributes(shop, productId) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM product_shipping_attributes WHERE shop = $1 AND product_id = $2',
+    [shop, productId]
+  );
+  return { changes: rowCount };
+}
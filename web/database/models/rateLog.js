@@ -0,0 +1,115 @@
+// web/database/models/rateLog.js
+import pool from '../connection.js';
+import { DEFAULT_RATE_LOG_RETENTION_DAYS } from '../../services/rateLog.js';
+
+// Columns shown in the log list; items and rates are only loaded for a single entry
+const RATE_LOG_SUMMARY = `
+  id, shop, destination, destination_country, currency, carrier_ids, duration_ms, error, created_at,
+  jsonb_array_length(items) AS item_count,
+  jsonb_array_length(computed_rates) AS computed_rate_count,
+  jsonb_array_length(returned_rates) AS returned_rate_count
+`;
+
+// Store a rate request
+export async function addRateLog(shop, entry) {
+  const { rows } = await pool.query(
+    `INSERT INTO rate_request_logs
+       (shop, destination, destination_country, currency, items, computed_rates, returned_rates, carrier_ids, duration_ms, error,
+        customer_hashes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING id`,
+    [
+      shop,
+      JSON.stringify(entry.destination),
+      entry.destination_country,
+      entry.currency,
+      JSON.stringify(entry.items),
+      JSON.stringify(entry.computed_rates),
+      JSON.stringify(entry.returned_rates),
+      entry.carrier_ids,
+      entry.duration_ms,
+      entry.error,
+      entry.customer_hashes || [],
+    ]
+  );
+  return rows[0];
+}
+
+// Get a page of a shop's rate requests, newest first. Filters: from/to
+// (timestamps), country, carrier_id and has_error (true/false)
+export async function getRateLogs(shop, filters = {}, { limit = 50, offset = 0 } = {}) {
+  const { from = null, to = null, country = null, carrier_id = null, has_error = null } = filters;
+  const where = `
+    shop = $1
+    AND ($2::timestamptz IS NULL OR created_at >= $2)
+    AND ($3::timestamptz IS NULL OR created_at < $3)
+    AND ($4::text IS NULL OR destination_country = $4)
+    AND ($5::int IS NULL OR $5 = ANY(carrier_ids))
+    AND ($6::boolean IS NULL OR (error IS NOT NULL) = $6)
+  `;
+  const params = [shop, from, to, country, carrier_id, has_error];
+
+  const { rows } = await pool.query(
+    `SELECT ${RATE_LOG_SUMMARY} FROM rate_request_logs WHERE ${where}
+     ORDER BY created_at DESC, id DESC LIMIT $7 OFFSET $8`,
+    [...params, limit, offset]
+  );
+  const { rows: [{ total }] } = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM rate_request_logs WHERE ${where}`,
+    params
+  );
+  return { logs: rows, total };
+}
+
+// Get a single rate request with its items and rates
+export async function getRateLog(shop, id) {
+  const { rows } = await pool.query(
+    'SELECT * FROM rate_request_logs WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  return rows[0] || null;
+}
+
+// Get the rate requests of a customer, by the hashes of their email and phone
+export async function getCustomerRateLogs(shop, hashes) {
+  const { rows } = await pool.query(
+    'SELECT * FROM rate_request_logs WHERE shop = $1 AND customer_hashes && $2::text[] ORDER BY created_at, id',
+    [shop, hashes]
+  );
+  return rows;
+}
+
+// Count the rate requests still holding a destination but no customer
+// hashes, which privacy requests can't attribute to a customer
+export async function countUnattributedRateLogs(shop) {
+  const { rows } = await pool.query(
+    "SELECT COUNT(*) AS count FROM rate_request_logs WHERE shop = $1 AND customer_hashes = '{}' AND destination <> '{}'",
+    [shop]
+  );
+  return parseInt(rows[0].count, 10);
+}
+
+// Scrub the destination and the customer's hashes from their rate requests
+export async function redactCustomerRateLogs(shop, hashes) {
+  const { rowCount } = await pool.query(
+    `UPDATE rate_request_logs
+     SET destination = '{}', destination_country = NULL, customer_hashes = '{}'
+     WHERE shop = $1 AND customer_hashes && $2::text[]`,
+    [shop, hashes]
+  );
+  return { changes: rowCount };
+}
+
+// Delete rate requests older than each shop's retention period
+export async function purgeRateLogs() {
+  const { rowCount } = await pool.query(
+    `DELETE FROM rate_request_logs l
+     WHERE l.created_at < CURRENT_TIMESTAMP - make_interval(days => COALESCE(
+       (SELECT CASE WHEN s.value ~ '^[0-9]+$' THEN s.value::int END
+        FROM settings s WHERE s.shop = l.shop AND s.key = 'rate_log_retention_days'),
+       $1
+     ))`,
+    [DEFAULT_RATE_LOG_RETENTION_DAYS]
+  );
+  return { changes: rowCount };
+}
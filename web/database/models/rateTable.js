@@ -0,0 +1,94 @@
+// web/database/models/rateTable.js
+import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+
+// Rate tables with their weight bands as a JSON array, ordered by weight
+const RATE_TABLE_SELECT = `
+  SELECT rt.id, rt.carrier_id, rt.zone_id, rt.currency,
+    COALESCE(
+      json_agg(
+        json_build_object('min_weight', b.min_weight, 'max_weight', b.max_weight, 'price', b.price)
+        ORDER BY b.min_weight
+      ) FILTER (WHERE b.id IS NOT NULL),
+      '[]'
+    ) AS bands
+  FROM rate_tables rt
+  JOIN carriers c ON c.id = rt.carrier_id
+  LEFT JOIN rate_table_bands b ON b.rate_table_id = rt.id
+`;
+
+// Get the rate tables of all carriers of a shop
+export async function getRateTables(shop, client = pool) {
+  const { rows } = await client.query(
+    `${RATE_TABLE_SELECT} WHERE c.shop = $1 GROUP BY rt.id`,
+    [shop]
+  );
+  return rows;
+}
+
+// Get the rate table of a carrier for a zone (null for the table used in all
+// other zones), null if there is none
+export async function getCarrierRateTable(shop, carrierId, zoneId = null) {
+  const { rows } = await pool.query(
+    `${RATE_TABLE_SELECT}
+     WHERE c.shop = $1 AND c.id = $2 AND rt.zone_id IS NOT DISTINCT FROM $3
+     GROUP BY rt.id`,
+    [shop, carrierId, zoneId]
+  );
+  return rows[0] || null;
+}
+
+// Replace the weight bands of a carrier's rate table for a zone (null for all
+// other zones). An empty list removes the rate table. Without a currency the
+// bands are priced in the carrier's currency.
+export async function replaceCarrierRateTable(shop, carrierId, zoneId, bands, currency = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: carriers } = await client.query(
+      'SELECT currency FROM carriers WHERE shop = $1 AND id = $2',
+      [shop, carrierId]
+    );
+    const { rows: zones } = zoneId === null
+      ? { rows: [null] }
+      : await client.query('SELECT id FROM zones WHERE shop = $1 AND id = $2', [shop, zoneId]);
+    if (carriers.length === 0 || zones.length === 0) {
+      await client.query('ROLLBACK');
+      return { changes: 0 };
+    }
+    await writeRateTable(client, carrierId, zoneId, bands, currency || carriers[0].currency);
+
+    await notifyConfigChange(shop, client);
+    await client.query('COMMIT');
+    return { changes: 1 };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Replace a carrier's rate table for a zone within the caller's transaction;
+// an empty list of bands only removes it
+export async function writeRateTable(client, carrierId, zoneId, bands, currency) {
+  await client.query(
+    'DELETE FROM rate_tables WHERE carrier_id = $1 AND zone_id IS NOT DISTINCT FROM $2',
+    [carrierId, zoneId]
+  );
+  if (bands.length === 0) {
+    return;
+  }
+
+  const { rows: [rateTable] } = await client.query(
+    'INSERT INTO rate_tables (carrier_id, zone_id, currency) VALUES ($1, $2, $3) RETURNING id',
+    [carrierId, zoneId, currency]
+  );
+  for (const { min_weight, max_weight, price } of bands) {
+    await client.query(
+      'INSERT INTO rate_table_bands (rate_table_id, min_weight, max_weight, price) VALUES ($1, $2, $3, $4)',
+      [rateTable.id, min_weight, max_weight, price]
+    );
+  }
+}
@@ -0,0 +1,59 @@
+// web/database/models/rule.js
+import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+
+// Get all rules of a shop in evaluation order
+export async function getRules(shop, client = pool) {
+  const { rows } = await client.query(
+    'SELECT * FROM rules WHERE shop = $1 ORDER BY priority, id',
+    [shop]
+  );
+  return rows;
+}
+
+// Get a single rule
+export async function getRule(shop, id) {
+  const { rows } = await pool.query(
+    'SELECT * FROM rules WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  return rows[0] || null;
+}
+
+// Add a new rule
+export async function addRule(shop, { name, priority = 0, active = true, stop_processing = false, conditions, actions }) {
+  const { rows } = await pool.query(
+    `INSERT INTO rules (shop, name, priority, active, stop_processing, conditions, actions)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [shop, name, priority, active, stop_processing, JSON.stringify(conditions), JSON.stringify(actions)]
+  );
+  await notifyConfigChange(shop);
+  return rows[0];
+}
+
+// Update an existing rule
+export async function updateRule(shop, id, { name, priority = 0, active = true, stop_processing = false, conditions, actions }) {
+  const { rowCount, rows } = await pool.query(
+    `UPDATE rules
+     SET name = $1, priority = $2, active = $3, stop_processing = $4, conditions = $5, actions = $6,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE shop = $7 AND id = $8 RETURNING *`,
+    [name, priority, active, stop_processing, JSON.stringify(conditions), JSON.stringify(actions), shop, id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount, rule: rows[0] };
+}
+
+// Delete a rule
+export async function deleteRule(shop, id) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM rules WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount };
+}
@@ -0,0 +1,140 @@
+// web/database/models/shop.js
+import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+
+// Every table holding a shop's data, children before the tables they
+// reference. Rate tables, their bands and carrier zones go with the carriers.
+const SHOP_TABLES = [
+  'price_schedules',
+  'carrier_class_restrictions',
+  'surcharges',
+  'shipping_thresholds',
+  'carriers',
+  'zones',
+  'rules',
+  'holidays',
+  'exchange_rates',
+  'product_shipping_attributes',
+  'rate_request_logs',
+  'config_versions',
+  'settings',
+];
+
+// Delete everything stored for a shop in one transaction. The shop's privacy
+// requests are kept as the record of what was done, without the reports of
+// data requests, and its installation so the carrier service stays off.
+export async function purgeShopData(shop) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const deleted = {};
+    for (const table of SHOP_TABLES) {
+      const { rowCount } = await client.query(`DELETE FROM ${table} WHERE shop = $1`, [shop]);
+      deleted[table] = rowCount;
+    }
+    await client.query(
+      `UPDATE privacy_requests SET result = jsonb_build_object('report_redacted', true)
+       WHERE shop = $1 AND topic = 'CUSTOMERS_DATA_REQUEST' AND result IS NOT NULL`,
+      [shop]
+    );
+    await client.query('COMMIT');
+    return { deleted };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Hand the carriers and settings left without a shop by the single-store era
+// to a shop completing OAuth, unless it has a configuration of its own. The
+// lock makes sure only the first of shops authenticating at once gets them.
+export async function claimUnscopedRows(shop) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('unscoped_rows'))");
+    const { rows: [own] } = await client.query(
+      `SELECT EXISTS (SELECT 1 FROM carriers WHERE shop = $1)
+         OR EXISTS (SELECT 1 FROM settings WHERE shop = $1) AS configured`,
+      [shop]
+    );
+    let changes = 0;
+    if (!own.configured) {
+      const carriers = await client.query('UPDATE carriers SET shop = $1 WHERE shop IS NULL', [shop]);
+      const settings = await client.query('UPDATE settings SET shop = $1 WHERE shop IS NULL', [shop]);
+      changes = carriers.rowCount + settings.rowCount;
+      if (changes > 0) {
+        console.log(`Assigned ${carriers.rowCount} carrier(s) and ${settings.rowCount} setting(s) to ${shop}`);
+        await notifyConfigChange(shop, client);
+      }
+    }
+    await client.query('COMMIT');
+    return { changes };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Get whether the app is installed on a shop, null for shops installed
+// before installations were tracked
+export async function getShopInstallation(shop) {
+  const { rows } = await pool.query('SELECT * FROM shop_installations WHERE shop = $1', [shop]);
+  return rows[0] || null;
+}
+
+// Record an install or re-auth of a shop. Returns the installation as it
+// was before, so a reinstall can tell when the app was uninstalled.
+export async function markShopInstalled(shop) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'SELECT * FROM shop_installations WHERE shop = $1 FOR UPDATE',
+      [shop]
+    );
+    await client.query(
+      `INSERT INTO shop_installations (shop) VALUES ($1)
+       ON CONFLICT (shop) DO UPDATE SET
+         installed_at = CASE WHEN shop_installations.uninstalled_at IS NULL
+           THEN shop_installations.installed_at ELSE CURRENT_TIMESTAMP END,
+         uninstalled_at = NULL`,
+      [shop]
+    );
+    if (rows[0]?.uninstalled_at) {
+      await notifyConfigChange(shop, client);
+    }
+    await client.query('COMMIT');
+    return rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Record that the app was uninstalled from a shop; its configuration is kept
+export async function markShopUninstalled(shop) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `INSERT INTO shop_installations (shop, uninstalled_at) VALUES ($1, CURRENT_TIMESTAMP)
+       ON CONFLICT (shop) DO UPDATE SET
+         uninstalled_at = COALESCE(shop_installations.uninstalled_at, CURRENT_TIMESTAMP)`,
+      [shop]
+    );
+    await notifyConfigChange(shop, client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,80 @@
+// web/database/models/surcharge.js
+import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+
+// Only accept a carrier that belongs to the shop
+const OWNED_CARRIER = 'EXISTS (SELECT 1 FROM carriers WHERE id = $2 AND shop = $1)';
+
+// Store only the field that matches the surcharge's type
+function toColumns({ carrier_id, name, type, amount = null, percent = null, per, countries = [], postal_codes = [] }) {
+  return [
+    carrier_id,
+    name,
+    type,
+    type === 'fixed' ? amount : null,
+    type === 'percent' ? percent : null,
+    per,
+    JSON.stringify(countries.map((country) => country.toUpperCase())),
+    JSON.stringify(postal_codes),
+  ];
+}
+
+// Get all surcharges of a shop
+export async function getSurcharges(shop, client = pool) {
+  const { rows } = await client.query(
+    'SELECT * FROM surcharges WHERE shop = $1 ORDER BY carrier_id, id',
+    [shop]
+  );
+  return rows;
+}
+
+// Get a single surcharge
+export async function getSurcharge(shop, id) {
+  const { rows } = await pool.query(
+    'SELECT * FROM surcharges WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  return rows[0] || null;
+}
+
+// Add a new surcharge; returns null if the carrier isn't the shop's
+export async function addSurcharge(shop, surcharge) {
+  const { rows } = await pool.query(
+    `INSERT INTO surcharges (shop, carrier_id, name, type, amount, percent, per, countries, postal_codes)
+     SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9 WHERE ${OWNED_CARRIER}
+     RETURNING *`,
+    [shop, ...toColumns(surcharge)]
+  );
+  if (rows.length > 0) {
+    await notifyConfigChange(shop);
+  }
+  return rows[0] || null;
+}
+
+// Update an existing surcharge
+export async function updateSurcharge(shop, id, surcharge) {
+  const { rowCount, rows } = await pool.query(
+    `UPDATE surcharges
+     SET carrier_id = $2, name = $3, type = $4, amount = $5, percent = $6, per = $7,
+         countries = $8, postal_codes = $9, updated_at = CURRENT_TIMESTAMP
+     WHERE shop = $1 AND id = $10 AND ${OWNED_CARRIER}
+     RETURNING *`,
+    [shop, ...toColumns(surcharge), id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount, surcharge: rows[0] };
+}
+
+// Delete a surcharge
+export async function deleteSurcharge(shop, id) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM surcharges WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount };
+}
@@ -0,0 +1,69 @@
+// web/database/models/threshold.js
+import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+
+// Only accept a carrier and zone that belong to the shop (or none)
+const OWNED_REFERENCES = `
+  ($3::int IS NULL OR EXISTS (SELECT 1 FROM carriers WHERE id = $3 AND shop = $1))
+  AND ($4::int IS NULL OR EXISTS (SELECT 1 FROM zones WHERE id = $4 AND shop = $1))
+`;
+
+// Get all thresholds of a shop
+export async function getThresholds(shop, client = pool) {
+  const { rows } = await client.query(
+    'SELECT * FROM shipping_thresholds WHERE shop = $1 ORDER BY min_subtotal, id',
+    [shop]
+  );
+  return rows;
+}
+
+// Get a single threshold
+export async function getThreshold(shop, id) {
+  const { rows } = await pool.query(
+    'SELECT * FROM shipping_thresholds WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  return rows[0] || null;
+}
+
+// Add a new threshold; returns null if the carrier or zone isn't the shop's
+export async function addThreshold(shop, { min_subtotal, discount_percent, carrier_id = null, zone_id = null, description = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO shipping_thresholds (shop, min_subtotal, carrier_id, zone_id, discount_percent, description)
+     SELECT $1, $2, $3, $4, $5, $6 WHERE ${OWNED_REFERENCES}
+     RETURNING *`,
+    [shop, min_subtotal, carrier_id, zone_id, discount_percent, description]
+  );
+  if (rows.length > 0) {
+    await notifyConfigChange(shop);
+  }
+  return rows[0] || null;
+}
+
+// Update an existing threshold
+export async function updateThreshold(shop, id, { min_subtotal, discount_percent, carrier_id = null, zone_id = null, description = null }) {
+  const { rowCount, rows } = await pool.query(
+    `UPDATE shipping_thresholds
+     SET min_subtotal = $2, carrier_id = $3, zone_id = $4, discount_percent = $5, description = $6,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE shop = $1 AND id = $7 AND ${OWNED_REFERENCES}
+     RETURNING *`,
+    [shop, min_subtotal, carrier_id, zone_id, discount_percent, description, id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount, threshold: rows[0] };
+}
+
+// Delete a threshold
+export async function deleteThreshold(shop, id) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM shipping_thresholds WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount };
+}
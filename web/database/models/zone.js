@@ -0,0 +1,109 @@
+// web/database/models/zone.js
+import pool from '../connection.js';
+import { notifyConfigChange } from '../../database.js';
+
+// Zones with the ids of the carriers assigned to them and the transit times
+// that differ from the carriers' own
+const ZONE_SELECT = `
+  SELECT z.*,
+    COALESCE(array_agg(cz.carrier_id ORDER BY cz.carrier_id) FILTER (WHERE cz.carrier_id IS NOT NULL), '{}') AS carrier_ids,
+    COALESCE(
+      json_agg(json_build_object(
+        'carrier_id', cz.carrier_id,
+        'min_transit_days', cz.min_transit_days,
+        'max_transit_days', cz.max_transit_days
+      ) ORDER BY cz.carrier_id) FILTER (WHERE cz.min_transit_days IS NOT NULL OR cz.max_transit_days IS NOT NULL),
+      '[]'
+    ) AS transit_times
+  FROM zones z
+  LEFT JOIN carrier_zones cz ON cz.zone_id = z.id
+`;
+
+// Get all zones of a shop
+export async function getZones(shop, client = pool) {
+  const { rows } = await client.query(
+    `${ZONE_SELECT} WHERE z.shop = $1 GROUP BY z.id ORDER BY z.name`,
+    [shop]
+  );
+  return rows;
+}
+
+// Get a single zone
+export async function getZone(shop, id) {
+  const { rows } = await pool.query(
+    `${ZONE_SELECT} WHERE z.shop = $1 AND z.id = $2 GROUP BY z.id`,
+    [shop, id]
+  );
+  return rows[0] || null;
+}
+
+// Assign a zone to exactly the given carriers of its shop, with their transit
+// times in the zone
+async function setZoneCarriers(client, shop, zoneId, carrierIds, transitTimes) {
+  await client.query('DELETE FROM carrier_zones WHERE zone_id = $1', [zoneId]);
+  await client.query(
+    `INSERT INTO carrier_zones (carrier_id, zone_id, min_transit_days, max_transit_days)
+     SELECT c.id, $2, t.min_transit_days, t.max_transit_days
+     FROM carriers c
+     LEFT JOIN jsonb_to_recordset($4::jsonb) AS t (carrier_id INTEGER, min_transit_days INTEGER, max_transit_days INTEGER)
+       ON t.carrier_id = c.id
+     WHERE c.shop = $1 AND c.id = ANY($3::int[])`,
+    [shop, zoneId, carrierIds, JSON.stringify(transitTimes)]
+  );
+}
+
+// Add a new zone
+export async function addZone(shop, { name, locations, carrier_ids = [], transit_times = [] }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'INSERT INTO zones (shop, name, locations) VALUES ($1, $2, $3) RETURNING *',
+      [shop, name, JSON.stringify(locations)]
+    );
+    await setZoneCarriers(client, shop, rows[0].id, carrier_ids, transit_times);
+    await notifyConfigChange(shop, client);
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Update an existing zone
+export async function updateZone(shop, id, { name, locations, carrier_ids = [], transit_times = [] }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rowCount, rows } = await client.query(
+      'UPDATE zones SET name = $1, locations = $2, updated_at = CURRENT_TIMESTAMP WHERE shop = $3 AND id = $4 RETURNING *',
+      [name, JSON.stringify(locations), shop, id]
+    );
+    if (rowCount > 0) {
+      await setZoneCarriers(client, shop, id, carrier_ids, transit_times);
+      await notifyConfigChange(shop, client);
+    }
+    await client.query('COMMIT');
+    return { changes: rowCount, zone: rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Delete a zone
+export async function deleteZone(shop, id) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM zones WHERE shop = $1 AND id = $2',
+    [shop, id]
+  );
+  if (rowCount > 0) {
+    await notifyConfigChange(shop);
+  }
+  return { changes: rowCount };
+}
@@ -5,6 +5,14 @@ import { AppNavigation } from "./components/AppNavigation";
 // Import your pages
 import HomePage from "./pages/index";
 import Carriers from "./pages/Carriers";
+import Zones from "./pages/Zones";
+import ProductAttributes from "./pages/ProductAttributes";
+import DeliveryDates from "./pages/DeliveryDates";
+import Currencies from "./pages/Currencies";
+import RatePreview from "./pages/RatePreview";
+import RateLogs from "./pages/RateLogs";
+import Settings from "./pages/Settings";
+import Publishing from "./pages/Publishing";
 
 export default function App() {
   return (
@@ -12,6 +20,14 @@ export default function App() {
       <Routes>
         <Route path="/" element={<HomePage />} />
         <Route path="/carriers" element={<Carriers />} />
+        <Route path="/zones" element={<Zones />} />
+        <Route path="/products" element={<ProductAttributes />} />
+        <Route path="/delivery" element={<DeliveryDates />} />
+        <Route path="/currencies" element={<Currencies />} />
+        <Route path="/rate-preview" element={<RatePreview />} />
+        <Route path="/rate-log" element={<RateLogs />} />
+        <Route path="/settings" element={<Settings />} />
+        <Route path="/publishing" element={<Publishing />} />
       </Routes>
     </Frame>
   );
@@ -1,5 +1,5 @@
 import { Navigation } from "@shopify/polaris";
-import { HomeIcon, SettingsIcon, ShipmentIcon } from "@shopify/polaris-icons";
+import { CalendarIcon, CartIcon, CashDollarIcon, ClockIcon, HomeIcon, ListBulletedIcon, LocationIcon, ProductIcon, SettingsIcon, ShipmentIcon } from "@shopify/polaris-icons";
 import { useLocation, useNavigate } from "react-router-dom";
 
 export function AppNavigation() {
@@ -22,6 +22,48 @@ export function AppNavigation() {
       selected: location.pathname === "/carriers",
       onClick: () => navigate("/carriers"),
     },
+    {
+      label: "Zones",
+      icon: LocationIcon,
+      url: "/zones",
+      selected: location.pathname === "/zones",
+      onClick: () => navigate("/zones"),
+    },
+    {
+      label: "Products",
+      icon: ProductIcon,
+      url: "/products",
+      selected: location.pathname === "/products",
+      onClick: () => navigate("/products"),
+    },
+    {
+      label: "Delivery dates",
+      icon: CalendarIcon,
+      url: "/delivery",
+      selected: location.pathname === "/delivery",
+      onClick: () => navigate("/delivery"),
+    },
+    {
+      label: "Currencies",
+      icon: CashDollarIcon,
+      url: "/currencies",
+      selected: location.pathname === "/currencies",
+      onClick: () => navigate("/currencies"),
+    },
+    {
+      label: "Rate preview",
+      icon: CartIcon,
+      url: "/rate-preview",
+      selected: location.pathname === "/rate-preview",
+      onClick: () => navigate("/rate-preview"),
+    },
+    {
+      label: "Rate log",
+      icon: ListBulletedIcon,
+      url: "/rate-log",
+      selected: location.pathname === "/rate-log",
+      onClick: () => navigate("/rate-log"),
+    },
     {
       label: "Settings",
       icon: SettingsIcon,
@@ -29,6 +71,13 @@ export function AppNavigation() {
       selected: location.pathname === "/settings",
       onClick: () => navigate("/settings"),
     },
+    {
+      label: "Publishing",
+      icon: ClockIcon,
+      url: "/publishing",
+      selected: location.pathname === "/publishing",
+      onClick: () => navigate("/publishing"),
+    },
   ];
 
   return <Navigation location={location.pathname} items={navigationItems} />;
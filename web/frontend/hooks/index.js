@@ -1 +1,2 @@
-export { useAuthenticatedFetch } from "./useAuthenticatedFetch";
\ No newline at end of file
+export { useAuthenticatedFetch } from "./useAuthenticatedFetch";
+export { useShopSettings, WEIGHT_UNITS } from "./useShopSettings";
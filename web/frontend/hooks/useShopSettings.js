@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+import { useAuthenticatedFetch } from "./useAuthenticatedFetch";
+
+// Grams per weight unit, matching WEIGHT_UNITS in web/services/settings.js
+export const WEIGHT_UNITS = {
+  g: 1,
+  kg: 1000,
+  oz: 28.349523125,
+  lb: 453.59237,
+};
+
+// Used until the shop's settings are loaded
+const DEFAULT_SETTINGS = { default_currency: "EUR", weight_unit: "kg" };
+
+/**
+ * A hook that loads the shop's settings from /api/settings.
+ * @returns {Object} The shop's settings, the defaults while they load.
+ */
+export const useShopSettings = () => {
+  const fetch = useAuthenticatedFetch();
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch("/api/settings")
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (data && !cancelled) setSettings(data);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [fetch]);
+
+  return settings;
+};
@@ -19,14 +19,184 @@ import {
   InlineStack,
   BlockStack,
   Box,
+  Select,
+  DropZone,
+  Checkbox,
+  Badge,
 } from "@shopify/polaris";
 import { DeleteIcon, EditIcon } from "@shopify/polaris-icons";
-import { useAuthenticatedFetch } from "../hooks";
+import { useAuthenticatedFetch, useShopSettings, WEIGHT_UNITS } from "../hooks";
+
+// Parcel limits of a carrier, stored in grams and cm and edited in the shop's
+// weight unit and cm; empty means no limit
+const LIMIT_FIELDS = [
+  { key: "max_weight", label: "Max weight", weight: true },
+  { key: "max_length", label: "Max length (cm)", scale: 1 },
+  { key: "max_width", label: "Max width (cm)", scale: 1 },
+  { key: "max_height", label: "Max height (cm)", scale: 1 },
+  { key: "max_girth", label: "Max girth (cm)", scale: 1 },
+  { key: "max_parcels", label: "Max parcels", scale: 1 },
+];
+
+const limitScale = (field, weightUnit) => (field.weight ? WEIGHT_UNITS[weightUnit] : field.scale);
+
+const limitLabel = (field, weightUnit) => (field.weight ? `${field.label} (${weightUnit})` : field.label);
+
+// Weights in pounds and ounces don't divide evenly, so inputs show three decimals at most
+const toWeightInput = (grams, weightUnit) => String(Math.round((grams / WEIGHT_UNITS[weightUnit]) * 1000) / 1000);
+
+const toLimitInputs = (carrier, weightUnit) =>
+  Object.fromEntries(
+    LIMIT_FIELDS.map((field) => [
+      field.key,
+      carrier[field.key] == null
+        ? ""
+        : String(Math.round((carrier[field.key] / limitScale(field, weightUnit)) * 1000) / 1000),
+    ])
+  );
+
+// New carriers start with a 31.5 kg weight limit
+const defaultLimits = (weightUnit) => toLimitInputs({ max_weight: 31500 }, weightUnit);
+
+const toLimitPayload = (limits, weightUnit) =>
+  Object.fromEntries(
+    LIMIT_FIELDS.map((field) => [
+      field.key,
+      limits[field.key] === "" ? null : Math.round(parseFloat(limits[field.key]) * limitScale(field, weightUnit)),
+    ])
+  );
+
+const describeLimits = (carrier, weightUnit) =>
+  LIMIT_FIELDS.filter(({ key }) => carrier[key] != null)
+    .map((field) => `${field.label.replace(/ \(.*\)/, "")}: ${toLimitInputs(carrier, weightUnit)[field.key]}${field.weight ? ` ${weightUnit}` : ""}`)
+    .join(" · ") || "No parcel limits";
+
+// Transit time of a carrier in business days; zones can override it
+const TRANSIT_FIELDS = [
+  { key: "min_transit_days", label: "Min transit (business days)" },
+  { key: "max_transit_days", label: "Max transit (business days)" },
+];
+
+const DEFAULT_TRANSIT = { min_transit_days: "1", max_transit_days: "5" };
+
+const toTransitInputs = (carrier) =>
+  Object.fromEntries(TRANSIT_FIELDS.map(({ key }) => [key, String(carrier[key] ?? DEFAULT_TRANSIT[key])]));
+
+const toTransitPayload = (transit) =>
+  Object.fromEntries(TRANSIT_FIELDS.map(({ key }) => [key, parseInt(transit[key], 10) || 0]));
+
+// Surcharges are stored in cents, percentages as numbers and area lists as arrays
+const DEFAULT_SURCHARGE = { name: "", type: "fixed", value: "", per: "shipment", countries: "", postalCodes: "" };
+
+const splitList = (value) =>
+  value.split(",").map((entry) => entry.trim()).filter((entry) => entry !== "");
+
+const toSurchargePayload = (carrier, surcharge) => ({
+  carrier_id: carrier.id,
+  name: surcharge.name.trim(),
+  type: surcharge.type,
+  ...(surcharge.type === "fixed"
+    ? { amount: Math.round(parseFloat(surcharge.value) * 100) }
+    : { percent: parseFloat(surcharge.value) }),
+  per: surcharge.per,
+  countries: splitList(surcharge.countries).map((country) => country.toUpperCase()),
+  postal_codes: splitList(surcharge.postalCodes),
+});
+
+const describeSurcharge = (surcharge, currency) => {
+  const amount = surcharge.type === "fixed"
+    ? (surcharge.amount / 100).toLocaleString("de-DE", { style: "currency", currency })
+    : `${surcharge.percent}% of the carrier price`;
+  const areas = [
+    surcharge.countries.length > 0 ? surcharge.countries.join(", ") : null,
+    surcharge.postal_codes.length > 0 ? `postal codes ${surcharge.postal_codes.join(", ")}` : null,
+  ].filter(Boolean);
+  return `${amount} per ${surcharge.per}` + (areas.length > 0 ? ` – ${areas.join("; ")}` : " – all destinations");
+};
+
+// Shipping classes a carrier allows or denies, optionally only for some countries
+const DEFAULT_RESTRICTION = { shippingClass: "", mode: "deny", countries: "" };
+
+const describeRestriction = (restriction) =>
+  `${restriction.mode === "allow" ? "Allowed" : "Denied"}` +
+  (restriction.countries.length > 0 ? ` to ${restriction.countries.join(", ")}` : " everywhere");
+
+// Scheduled price and rate table changes, entered in the browser's timezone
+const DEFAULT_SCHEDULE = { startsAt: "", endsAt: "", price: "", note: "" };
+
+const EMPTY_RATE_TABLE_SCHEDULE = { startsAt: "", endsAt: "" };
+
+const toTimestamp = (dateTimeInput) => (dateTimeInput ? new Date(dateTimeInput).toISOString() : null);
+
+const scheduleStatus = (schedule, now = new Date()) => {
+  if (now < new Date(schedule.starts_at)) return "upcoming";
+  return schedule.ends_at && now >= new Date(schedule.ends_at) ? "expired" : "active";
+};
+
+const SCHEDULE_BADGES = {
+  upcoming: { status: "info", label: "Upcoming" },
+  active: { status: "success", label: "In effect" },
+  expired: { status: undefined, label: "Expired" },
+};
+
+const describePeriod = (schedule) =>
+  `From ${new Date(schedule.starts_at).toLocaleString()}` +
+  (schedule.ends_at ? ` until ${new Date(schedule.ends_at).toLocaleString()}` : "");
+
+// A CSV picked for import and the dry run's report of its rows
+const EMPTY_CSV_IMPORT = { open: false, fileName: "", content: "", report: null };
+
+const DEFAULT_FALLBACK = { mode: "none", name: "", description: "", price: "0.00" };
+
+const describeTransit = (carrier) =>
+  carrier.min_transit_days === carrier.max_transit_days
+    ? `Delivers in ${carrier.min_transit_days} business day(s)`
+    : `Delivers in ${carrier.min_transit_days}–${carrier.max_transit_days} business days`;
+
+function TransitFields({ transit, onChange }) {
+  return (
+    <FormLayout.Group condensed>
+      {TRANSIT_FIELDS.map(({ key, label }) => (
+        <TextField
+          key={key}
+          label={label}
+          value={transit[key]}
+          onChange={(value) => onChange({ ...transit, [key]: value.replace(/[^0-9]/g, "") })}
+          autoComplete="off"
+        />
+      ))}
+    </FormLayout.Group>
+  );
+}
+
+function ParcelLimitFields({ limits, weightUnit, onChange }) {
+  return (
+    <FormLayout.Group condensed>
+      {LIMIT_FIELDS.map(({ key, ...field }) => (
+        <TextField
+          key={key}
+          label={limitLabel(field, weightUnit)}
+          value={limits[key]}
+          onChange={(value) =>
+            onChange({ ...limits, [key]: value.replace(/[^0-9.,]/g, "").replace(",", ".") })
+          }
+          autoComplete="off"
+          placeholder="No limit"
+        />
+      ))}
+    </FormLayout.Group>
+  );
+}
 
 export default function Carriers() {
   const fetch = useAuthenticatedFetch();
+  const { default_currency: defaultCurrency, weight_unit: weightUnit } = useShopSettings();
+  const emptyCarrier = useCallback(
+    () => ({ name: "", price: "", currency: defaultCurrency, limits: defaultLimits(weightUnit), transit: DEFAULT_TRANSIT }),
+    [defaultCurrency, weightUnit]
+  );
   const [carriers, setCarriers] = useState([]);
-  const [newCarrier, setNewCarrier] = useState({ name: "", price: "" });
+  const [newCarrier, setNewCarrier] = useState(emptyCarrier);
   const [editCarrier, setEditCarrier] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [toastActive, setToastActive] = useState(false);
@@ -34,12 +204,96 @@ export default function Carriers() {
   const [errorBanner, setErrorBanner] = useState("");
   const [deleteModalOpen, setDeleteModalOpen] = useState(false);
   const [carrierToDelete, setCarrierToDelete] = useState(null);
+  const [rateTableCarrier, setRateTableCarrier] = useState(null);
+  const [bands, setBands] = useState([]);
+  const [zones, setZones] = useState([]);
+  const [rateTableZone, setRateTableZone] = useState("");
+  const [rateTableCurrency, setRateTableCurrency] = useState("EUR");
+  const [surcharges, setSurcharges] = useState([]);
+  const [surchargeCarrier, setSurchargeCarrier] = useState(null);
+  const [newSurcharge, setNewSurcharge] = useState(DEFAULT_SURCHARGE);
+  const [restrictions, setRestrictions] = useState([]);
+  const [restrictionCarrier, setRestrictionCarrier] = useState(null);
+  const [newRestriction, setNewRestriction] = useState(DEFAULT_RESTRICTION);
+  const [fallback, setFallback] = useState(DEFAULT_FALLBACK);
+  const [csvImport, setCsvImport] = useState(EMPTY_CSV_IMPORT);
+  const [schedules, setSchedules] = useState([]);
+  const [scheduleCarrier, setScheduleCarrier] = useState(null);
+  const [newSchedule, setNewSchedule] = useState(DEFAULT_SCHEDULE);
+  const [rateTableSchedule, setRateTableSchedule] = useState(EMPTY_RATE_TABLE_SCHEDULE);
 
-  // Load carriers on component mount
+  // Start new carriers in the shop's currency and weight unit once its settings are loaded
+  useEffect(() => {
+    setNewCarrier(emptyCarrier());
+  }, [emptyCarrier]);
+
+  // Load carriers and zones on component mount
   useEffect(() => {
     fetchCarriers();
+    fetchZones();
+    fetchSurcharges();
+    fetchSchedules();
+    fetchRestrictions();
+    fetchFallback();
   }, []);
 
+  const fetchZones = useCallback(async () => {
+    try {
+      const response = await fetch("/api/zones");
+      if (response.ok) {
+        setZones(await response.json());
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    }
+  }, [fetch]);
+
+  const fetchRestrictions = useCallback(async () => {
+    try {
+      const response = await fetch("/api/class-restrictions");
+      if (response.ok) {
+        setRestrictions(await response.json());
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    }
+  }, [fetch]);
+
+  // The contact rate's price is stored in cents but edited in the shop's currency
+  const fetchFallback = useCallback(async () => {
+    try {
+      const response = await fetch("/api/settings/fallback");
+      if (response.ok) {
+        const { mode, name, description, price } = await response.json();
+        setFallback({ mode, name, description, price: (price / 100).toFixed(2) });
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    }
+  }, [fetch]);
+
+  const fetchSchedules = useCallback(async () => {
+    try {
+      const response = await fetch("/api/price-schedules");
+      if (response.ok) {
+        setSchedules(await response.json());
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    }
+  }, [fetch]);
+
+  const fetchSurcharges = useCallback(async () => {
+    try {
+      const response = await fetch("/api/surcharges");
+      if (response.ok) {
+        setSurcharges(await response.json());
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    }
+  }, [fetch]);
+
   const fetchCarriers = useCallback(async () => {
     setIsLoading(true);
     try {
@@ -58,6 +312,86 @@ export default function Carriers() {
     }
   }, [fetch]);
 
+  // The export needs the session token, so download it through the
+  // authenticated fetch instead of a plain link
+  const handleExportCsv = useCallback(async () => {
+    try {
+      const response = await fetch("/api/carriers/export.csv");
+      if (!response.ok) {
+        setErrorBanner("Failed to export carriers");
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "carriers.csv";
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    }
+  }, [fetch]);
+
+  // Check a dropped file with a dry run, so the report shows before anything is written
+  const handleDropCsv = useCallback(async (_dropFiles, acceptedFiles) => {
+    const [file] = acceptedFiles;
+    if (!file) return;
+
+    const content = await file.text();
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/carriers/import", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ content, dry_run: true }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setCsvImport({ open: true, fileName: file.name, content, report: data });
+      } else {
+        setErrorBanner(`Failed to check the file: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const handleImportCsv = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/carriers/import", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ content: csvImport.content }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setCarriers(data.carriers);
+        setCsvImport(EMPTY_CSV_IMPORT);
+        setToastContent(`Imported ${data.created.length + data.updated.length} row(s) from ${csvImport.fileName}`);
+        setToastActive(true);
+      } else {
+        setCsvImport({ ...csvImport, report: data });
+        setErrorBanner(`Failed to import carriers: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, csvImport]);
+
   const handleNameChange = useCallback(
     (value) => setNewCarrier({ ...newCarrier, name: value }),
     [newCarrier]
@@ -77,6 +411,31 @@ export default function Carriers() {
     [editCarrier]
   );
 
+  const handleLimitsChange = useCallback(
+    (limits) => setNewCarrier({ ...newCarrier, limits }),
+    [newCarrier]
+  );
+
+  const handleEditLimitsChange = useCallback(
+    (limits) => setEditCarrier({ ...editCarrier, limits }),
+    [editCarrier]
+  );
+
+  const handleTransitChange = useCallback(
+    (transit) => setNewCarrier({ ...newCarrier, transit }),
+    [newCarrier]
+  );
+
+  const handleEditTransitChange = useCallback(
+    (transit) => setEditCarrier({ ...editCarrier, transit }),
+    [editCarrier]
+  );
+
+  const handleEditDetailChange = useCallback(
+    (field) => (value) => setEditCarrier({ ...editCarrier, [field]: value }),
+    [editCarrier]
+  );
+
   const handleEditPriceChange = useCallback(
     (value) => {
       // Only allow numbers
@@ -108,6 +467,9 @@ export default function Carriers() {
         body: JSON.stringify({
           name: newCarrier.name,
           price: priceInCents,
+          currency: newCarrier.currency.trim().toUpperCase(),
+          ...toLimitPayload(newCarrier.limits, weightUnit),
+          ...toTransitPayload(newCarrier.transit),
         }),
       });
 
@@ -115,7 +477,7 @@ export default function Carriers() {
 
       if (response.ok) {
         // Reset form and show success toast
-        setNewCarrier({ name: "", price: "" });
+        setNewCarrier(emptyCarrier());
         setToastContent(`Carrier "${newCarrier.name}" added successfully`);
         setToastActive(true);
         fetchCarriers();
@@ -127,7 +489,7 @@ export default function Carriers() {
     } finally {
       setIsLoading(false);
     }
-  }, [fetch, newCarrier]);
+  }, [fetch, newCarrier, weightUnit, emptyCarrier]);
 
   const handleUpdateCarrier = useCallback(async () => {
     if (!editCarrier || !editCarrier.name || !editCarrier.price) {
@@ -142,20 +504,28 @@ export default function Carriers() {
 
     setIsLoading(true);
     try {
-      const response = await fetch(`/api/carriers/${editCarrier.name}`, {
-        method: "PUT",
+      const response = await fetch(`/api/carriers/${editCarrier.id}`, {
+        method: "PATCH",
         headers: {
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
+          name: editCarrier.name.trim(),
           price: priceInCents,
+          currency: editCarrier.currency.trim().toUpperCase(),
+          ...toLimitPayload(editCarrier.limits, weightUnit),
+          ...toTransitPayload(editCarrier.transit),
+          service_code: editCarrier.service_code.trim() || null,
+          description: editCarrier.description.trim() || null,
+          active: editCarrier.active,
+          display_order: parseInt(editCarrier.display_order, 10) || 0,
         }),
       });
 
       const data = await response.json();
 
       if (response.ok) {
-        setToastContent(`Carrier "${editCarrier.name}" updated successfully`);
+        setToastContent(`Carrier "${data.carrier.name}" updated successfully`);
         setToastActive(true);
         setEditCarrier(null);
         fetchCarriers();
@@ -167,14 +537,14 @@ export default function Carriers() {
     } finally {
       setIsLoading(false);
     }
-  }, [fetch, editCarrier]);
+  }, [fetch, editCarrier, weightUnit]);
 
   const handleDeleteCarrier = useCallback(async () => {
     if (!carrierToDelete) return;
 
     setIsLoading(true);
     try {
-      const response = await fetch(`/api/carriers/${carrierToDelete.name}`, {
+      const response = await fetch(`/api/carriers/${carrierToDelete.id}`, {
         method: "DELETE",
       });
 
@@ -196,6 +566,382 @@ export default function Carriers() {
     }
   }, [fetch, carrierToDelete]);
 
+  const rateTableUrl = (carrier, zoneId) =>
+    `/api/carriers/${carrier.id}/rate-table` +
+    (zoneId ? `?zone_id=${zoneId}` : "");
+
+  const openRateTable = useCallback(async (carrier, zoneId = "") => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(rateTableUrl(carrier, zoneId));
+      const data = await response.json();
+
+      if (response.ok) {
+        // Bands are stored in grams and cents but edited in the shop's weight unit and currency units
+        setBands(
+          data.bands.map((band) => ({
+            minWeight: toWeightInput(band.min_weight, weightUnit),
+            maxWeight: toWeightInput(band.max_weight, weightUnit),
+            price: (band.price / 100).toFixed(2),
+          }))
+        );
+        setRateTableCarrier(carrier);
+        setRateTableZone(zoneId);
+        setRateTableCurrency(data.currency || carrier.currency);
+      } else {
+        setErrorBanner(`Failed to load rate table: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, weightUnit]);
+
+  const handleBandChange = useCallback(
+    (index, field) => (value) => {
+      // Only allow decimal numbers
+      const numericValue = value.replace(/[^0-9.,]/g, "").replace(",", ".");
+      setBands((current) =>
+        current.map((band, i) =>
+          i === index ? { ...band, [field]: numericValue } : band
+        )
+      );
+    },
+    []
+  );
+
+  const handleAddBand = useCallback(() => {
+    setBands((current) => {
+      const previous = current[current.length - 1];
+      return [
+        ...current,
+        { minWeight: previous ? previous.maxWeight : "0", maxWeight: "", price: "" },
+      ];
+    });
+  }, []);
+
+  const handleRemoveBand = useCallback((index) => {
+    setBands((current) => current.filter((_, i) => i !== index));
+  }, []);
+
+  const handleSaveRateTable = useCallback(async () => {
+    if (!rateTableCarrier) return;
+
+    const payload = bands.map((band) => ({
+      min_weight: Math.round(parseFloat(band.minWeight) * WEIGHT_UNITS[weightUnit]),
+      max_weight: Math.round(parseFloat(band.maxWeight) * WEIGHT_UNITS[weightUnit]),
+      price: Math.round(parseFloat(band.price) * 100),
+    }));
+
+    if (payload.some((band) => Object.values(band).some(isNaN))) {
+      setErrorBanner("Every band needs a weight range and a price");
+      return;
+    }
+
+    // With a start time the bands are scheduled instead of replacing the rate table now
+    const scheduled = rateTableSchedule.startsAt !== "";
+
+    setIsLoading(true);
+    try {
+      const response = scheduled
+        ? await fetch("/api/price-schedules", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            carrier_id: rateTableCarrier.id,
+            starts_at: toTimestamp(rateTableSchedule.startsAt),
+            ends_at: toTimestamp(rateTableSchedule.endsAt),
+            zone_id: rateTableZone ? parseInt(rateTableZone, 10) : null,
+            currency: rateTableCurrency.trim().toUpperCase(),
+            bands: payload,
+          }),
+        })
+        : await fetch(
+          rateTableUrl(rateTableCarrier, rateTableZone),
+          {
+            method: "PUT",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ bands: payload, currency: rateTableCurrency.trim().toUpperCase() }),
+          }
+        );
+
+      const data = await response.json();
+
+      if (response.ok) {
+        if (scheduled) {
+          setSchedules(data.schedules);
+        }
+        setToastContent(scheduled
+          ? `Rate table change of "${rateTableCarrier.name}" scheduled successfully`
+          : `Rate table of "${rateTableCarrier.name}" saved successfully`);
+        setToastActive(true);
+        setRateTableCarrier(null);
+      } else {
+        setErrorBanner(`Failed to save rate table: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, rateTableCarrier, rateTableZone, rateTableCurrency, rateTableSchedule, bands, weightUnit]);
+
+  const openRestrictions = useCallback((carrier) => {
+    setNewRestriction(DEFAULT_RESTRICTION);
+    setRestrictionCarrier(carrier);
+  }, []);
+
+  const handleAddRestriction = useCallback(async () => {
+    if (!restrictionCarrier) return;
+
+    if (!newRestriction.shippingClass.trim()) {
+      setErrorBanner("A restriction needs a shipping class");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/class-restrictions", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          carrier_id: restrictionCarrier.id,
+          shipping_class: newRestriction.shippingClass.trim(),
+          mode: newRestriction.mode,
+          countries: splitList(newRestriction.countries).map((country) => country.toUpperCase()),
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setRestrictions(data.restrictions);
+        setNewRestriction(DEFAULT_RESTRICTION);
+        setToastContent(`Shipping class "${newRestriction.shippingClass.trim()}" restricted successfully`);
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to add restriction: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, restrictionCarrier, newRestriction]);
+
+  const handleDeleteRestriction = useCallback(async (restriction) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/class-restrictions/${restriction.id}`, {
+        method: "DELETE",
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setRestrictions(data.restrictions);
+        setToastContent(`Restriction of "${restriction.shipping_class}" deleted successfully`);
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to delete restriction: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const handleSaveFallback = useCallback(async () => {
+    const price = Math.round(parseFloat(fallback.price.replace(",", ".")) * 100);
+    if (fallback.mode === "contact" && (!fallback.name.trim() || isNaN(price))) {
+      setErrorBanner("A contact rate needs a name and a price");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/settings/fallback", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        // Only a contact rate has a name, description and price to keep
+        body: JSON.stringify(fallback.mode === "contact"
+          ? {
+              mode: fallback.mode,
+              name: fallback.name.trim(),
+              description: fallback.description.trim(),
+              price,
+            }
+          : { mode: fallback.mode }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setToastContent("Fallback rate saved successfully");
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to save fallback rate: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, fallback]);
+
+  const openSchedules = useCallback((carrier) => {
+    setNewSchedule(DEFAULT_SCHEDULE);
+    setScheduleCarrier(carrier);
+  }, []);
+
+  const handleScheduleChange = useCallback(
+    (field) => (value) => setNewSchedule((current) => ({ ...current, [field]: value })),
+    []
+  );
+
+  const handleAddSchedule = useCallback(async () => {
+    if (!scheduleCarrier) return;
+
+    const priceInCents = Math.round(parseFloat(newSchedule.price.replace(",", ".")) * 100);
+    if (!newSchedule.startsAt || isNaN(priceInCents) || priceInCents <= 0) {
+      setErrorBanner("A price change needs a start and a positive price");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/price-schedules", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          carrier_id: scheduleCarrier.id,
+          starts_at: toTimestamp(newSchedule.startsAt),
+          ends_at: toTimestamp(newSchedule.endsAt),
+          price: priceInCents,
+          note: newSchedule.note,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setSchedules(data.schedules);
+        setNewSchedule(DEFAULT_SCHEDULE);
+        setToastContent(`Price change of "${scheduleCarrier.name}" scheduled successfully`);
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to schedule price change: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, scheduleCarrier, newSchedule]);
+
+  const handleDeleteSchedule = useCallback(async (schedule) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/price-schedules/${schedule.id}`, {
+        method: "DELETE",
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setSchedules(data.schedules);
+        setToastContent("Scheduled change deleted successfully");
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to delete scheduled change: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const openSurcharges = useCallback((carrier) => {
+    setNewSurcharge(DEFAULT_SURCHARGE);
+    setSurchargeCarrier(carrier);
+  }, []);
+
+  const handleSurchargeChange = useCallback(
+    (field) => (value) => setNewSurcharge((current) => ({ ...current, [field]: value })),
+    []
+  );
+
+  const handleAddSurcharge = useCallback(async () => {
+    if (!surchargeCarrier) return;
+
+    if (!newSurcharge.name.trim() || isNaN(parseFloat(newSurcharge.value))) {
+      setErrorBanner("A surcharge needs a name and an amount");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/surcharges", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(toSurchargePayload(surchargeCarrier, newSurcharge)),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setSurcharges(data.surcharges);
+        setNewSurcharge(DEFAULT_SURCHARGE);
+        setToastContent(`Surcharge "${newSurcharge.name}" added successfully`);
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to add surcharge: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, surchargeCarrier, newSurcharge]);
+
+  const handleDeleteSurcharge = useCallback(async (surcharge) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/surcharges/${surcharge.id}`, {
+        method: "DELETE",
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setSurcharges(data.surcharges);
+        setToastContent(`Surcharge "${surcharge.name}" deleted successfully`);
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to delete surcharge: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
   const confirmDelete = useCallback((carrier) => {
     setCarrierToDelete(carrier);
     setDeleteModalOpen(true);
@@ -205,10 +951,10 @@ export default function Carriers() {
 
   const dismissErrorBanner = useCallback(() => setErrorBanner(""), []);
 
-  const formatPrice = (priceInCents) => {
+  const formatPrice = (priceInCents, currency = "EUR") => {
     return (priceInCents / 100).toLocaleString("de-DE", {
       style: "currency",
-      currency: "EUR",
+      currency,
     });
   };
 
@@ -232,6 +978,16 @@ export default function Carriers() {
       <Page
         title="Shipping Carriers"
         subtitle="Configure the carriers and prices for your rule-based shipping calculator"
+        secondaryActions={[
+          {
+            content: "Import CSV",
+            onAction: () => setCsvImport({ ...EMPTY_CSV_IMPORT, open: true }),
+          },
+          {
+            content: "Export CSV",
+            onAction: handleExportCsv,
+          },
+        ]}
       >
         <BlockStack gap="4">
           {errorBanner && (
@@ -260,16 +1016,31 @@ export default function Carriers() {
                             placeholder="e.g., DHL, FedEx, UPS"
                           />
                           <TextField
-                            label="Price per Parcel (in €)"
+                            label={`Price per Parcel (in ${newCarrier.currency || "EUR"})`}
                             value={newCarrier.price}
                             onChange={handlePriceChange}
                             autoComplete="off"
                             placeholder="10.00"
-                            prefix="€"
                             type="text"
-                            helpText="Price in euros per parcel (without VAT)"
+                            helpText="Price per parcel in the carrier's currency (without VAT)"
+                          />
+                          <TextField
+                            label="Currency"
+                            value={newCarrier.currency}
+                            onChange={(value) => setNewCarrier({ ...newCarrier, currency: value })}
+                            autoComplete="off"
+                            helpText="Currency the price, rate tables and surcharges are given in"
                           />
                         </FormLayout.Group>
+                        <ParcelLimitFields
+                          limits={newCarrier.limits}
+                          weightUnit={weightUnit}
+                          onChange={handleLimitsChange}
+                        />
+                        <TransitFields
+                          transit={newCarrier.transit}
+                          onChange={handleTransitChange}
+                        />
                         <Button primary onClick={handleAddCarrier}>
                           Add Carrier
                         </Button>
@@ -293,10 +1064,10 @@ export default function Carriers() {
                     items={carriers}
                     renderItem={(carrier) => {
                       const { name, price } = carrier;
-                      const isEditing = editCarrier && editCarrier.name === name;
+                      const isEditing = editCarrier && editCarrier.id === carrier.id;
 
                       return (
-                        <ResourceItem id={name}>
+                        <ResourceItem id={String(carrier.id)}>
                           <Box padding="4">
                             {isEditing ? (
                               <BlockStack gap="4">
@@ -306,16 +1077,60 @@ export default function Carriers() {
                                       label="Carrier Name"
                                       value={editCarrier.name}
                                       onChange={handleEditNameChange}
-                                      disabled
+                                      autoComplete="off"
                                     />
                                     <TextField
-                                      label="Price per Parcel (in €)"
+                                      label={`Price per Parcel (in ${editCarrier.currency || "EUR"})`}
                                       value={editCarrier.price}
                                       onChange={handleEditPriceChange}
-                                      prefix="€"
                                       type="text"
                                     />
+                                    <TextField
+                                      label="Currency"
+                                      value={editCarrier.currency}
+                                      onChange={(value) => setEditCarrier({ ...editCarrier, currency: value })}
+                                      autoComplete="off"
+                                    />
                                   </FormLayout.Group>
+                                  <FormLayout.Group>
+                                    <TextField
+                                      label="Service code"
+                                      value={editCarrier.service_code}
+                                      onChange={handleEditDetailChange("service_code")}
+                                      autoComplete="off"
+                                      placeholder={editCarrier.name.toLowerCase()}
+                                      helpText="Identifies the rate to fulfillment apps; defaults to the lowercase name"
+                                    />
+                                    <TextField
+                                      label="Display order"
+                                      type="number"
+                                      value={editCarrier.display_order}
+                                      onChange={handleEditDetailChange("display_order")}
+                                      autoComplete="off"
+                                      helpText="Rates of the same price are listed in this order"
+                                    />
+                                  </FormLayout.Group>
+                                  <TextField
+                                    label="Description at checkout"
+                                    value={editCarrier.description}
+                                    onChange={handleEditDetailChange("description")}
+                                    autoComplete="off"
+                                    placeholder={`Delivery via ${editCarrier.name}`}
+                                  />
+                                  <Checkbox
+                                    label="Offer this carrier at checkout"
+                                    checked={editCarrier.active}
+                                    onChange={handleEditDetailChange("active")}
+                                  />
+                                  <ParcelLimitFields
+                                    limits={editCarrier.limits}
+                                    weightUnit={weightUnit}
+                                    onChange={handleEditLimitsChange}
+                                  />
+                                  <TransitFields
+                                    transit={editCarrier.transit}
+                                    onChange={handleEditTransitChange}
+                                  />
                                   <ButtonGroup>
                                     <Button primary onClick={handleUpdateCarrier}>
                                       Save
@@ -329,17 +1144,54 @@ export default function Carriers() {
                             ) : (
                               <InlineStack align="space-between">
                                 <BlockStack gap="1">
-                                  <Text variant="headingSm" as="h3">
-                                    {name}
-                                  </Text>
+                                  <InlineStack gap="2">
+                                    <Text variant="headingSm" as="h3">
+                                      {name}
+                                    </Text>
+                                    {carrier.active === false && <Badge>Inactive</Badge>}
+                                  </InlineStack>
                                   <Text variant="bodyMd" as="p">
-                                    {formatPrice(price)} per parcel
+                                    {formatPrice(price, carrier.currency)} per parcel
+                                  </Text>
+                                  <Text variant="bodySm" as="p" tone="subdued">
+                                    {describeLimits(carrier, weightUnit)}
+                                  </Text>
+                                  <Text variant="bodySm" as="p" tone="subdued">
+                                    {describeTransit(carrier)}
                                   </Text>
                                 </BlockStack>
                                 <ButtonGroup>
+                                  <Button
+                                    onClick={() => {
+                                      setRateTableSchedule(EMPTY_RATE_TABLE_SCHEDULE);
+                                      openRateTable(carrier);
+                                    }}
+                                  >
+                                    Rate table
+                                  </Button>
+                                  <Button onClick={() => openSchedules(carrier)}>
+                                    Price changes
+                                  </Button>
+                                  <Button onClick={() => openSurcharges(carrier)}>
+                                    Surcharges
+                                  </Button>
+                                  <Button onClick={() => openRestrictions(carrier)}>
+                                    Shipping classes
+                                  </Button>
                                   <Button
                                     icon={<Icon source={EditIcon} />}
-                                    onClick={() => setEditCarrier({ name, price: price.toString() })}
+                                    onClick={() => setEditCarrier({
+                                      id: carrier.id,
+                                      name,
+                                      service_code: carrier.service_code || "",
+                                      description: carrier.description || "",
+                                      active: carrier.active !== false,
+                                      display_order: String(carrier.display_order ?? 0),
+                                      price: price.toString(),
+                                      currency: carrier.currency,
+                                      limits: toLimitInputs(carrier, weightUnit),
+                                      transit: toTransitInputs(carrier),
+                                    })}
                                   >
                                     Edit
                                   </Button>
@@ -371,6 +1223,57 @@ export default function Carriers() {
               </Card>
             </Layout.Section>
 
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <BlockStack gap="4">
+                    <Text as="h2" variant="headingMd">
+                      When no carrier can ship the cart
+                    </Text>
+                    <FormLayout>
+                      <Select
+                        label="Offer"
+                        options={[
+                          { label: "No rate", value: "none" },
+                          { label: "A \"contact us\" rate", value: "contact" },
+                        ]}
+                        value={fallback.mode}
+                        onChange={(value) => setFallback({ ...fallback, mode: value })}
+                      />
+                      {fallback.mode === "contact" && (
+                        <FormLayout.Group>
+                          <TextField
+                            label="Rate name"
+                            value={fallback.name}
+                            onChange={(value) => setFallback({ ...fallback, name: value })}
+                            autoComplete="off"
+                          />
+                          <TextField
+                            label="Price (in the default currency)"
+                            value={fallback.price}
+                            onChange={(value) => setFallback({ ...fallback, price: value })}
+                            autoComplete="off"
+                            helpText="Converted into the checkout currency"
+                          />
+                        </FormLayout.Group>
+                      )}
+                      {fallback.mode === "contact" && (
+                        <TextField
+                          label="Description"
+                          value={fallback.description}
+                          onChange={(value) => setFallback({ ...fallback, description: value })}
+                          autoComplete="off"
+                        />
+                      )}
+                      <Button primary onClick={handleSaveFallback}>
+                        Save
+                      </Button>
+                    </FormLayout>
+                  </BlockStack>
+                </Box>
+              </Card>
+            </Layout.Section>
+
             <Layout.Section>
               <Card>
                 <BlockStack gap="4">
@@ -390,17 +1293,47 @@ export default function Carriers() {
                         </li>
                         <li>
                           <Text as="span" variant="bodyMd">
-                            Calculates how many parcels are needed (max 31.5kg per parcel)
+                            Skips carriers that can't carry the shipping class of every item, and offers your fallback rate if none is left
+                          </Text>
+                        </li>
+                        <li>
+                          <Text as="span" variant="bodyMd">
+                            Packs the order into parcels within each carrier's weight, size and girth limits, skipping carriers that can't take it
+                          </Text>
+                        </li>
+                        <li>
+                          <Text as="span" variant="bodyMd">
+                            Prices each parcel by the weight band of the carrier's rate table, or by its per-parcel price if it has none
+                          </Text>
+                        </li>
+                        <li>
+                          <Text as="span" variant="bodyMd">
+                            Converts the carrier's prices into the customer's checkout currency with your exchange rates and rounds them as configured for that currency
                           </Text>
                         </li>
                         <li>
                           <Text as="span" variant="bodyMd">
-                            Multiplies the number of parcels by each carrier's per-parcel price
+                            Uses the prices and rate tables scheduled for the time of the request, such as announced price increases or peak season rates
                           </Text>
                         </li>
                         <li>
                           <Text as="span" variant="bodyMd">
-                            Automatically shows the customer the cheapest shipping option at checkout
+                            Adds the carrier's surcharges for the destination, such as remote area, fuel or handling fees, and lists each one in the rate's description
+                          </Text>
+                        </li>
+                        <li>
+                          <Text as="span" variant="bodyMd">
+                            Estimates delivery dates from the carrier's transit time, your order cut-off and the public holidays at origin and destination
+                          </Text>
+                        </li>
+                        <li>
+                          <Text as="span" variant="bodyMd">
+                            Shows the customer the rates chosen by your rate selection strategy (by default only the cheapest) at checkout
+                          </Text>
+                        </li>
+                        <li>
+                          <Text as="span" variant="bodyMd">
+                            Keeps your changes as a draft: checkout only uses them once you publish them on the Publishing page
                           </Text>
                         </li>
                       </ul>
@@ -413,6 +1346,444 @@ export default function Carriers() {
         </BlockStack>
       </Page>
 
+      {/* CSV import */}
+      <Modal
+        open={csvImport.open}
+        onClose={() => setCsvImport(EMPTY_CSV_IMPORT)}
+        title="Import carriers from CSV"
+        primaryAction={{
+          content: "Import",
+          onAction: handleImportCsv,
+          disabled:
+            !csvImport.report ||
+            csvImport.report.rejected.length > 0 ||
+            csvImport.report.created.length + csvImport.report.updated.length === 0,
+        }}
+        secondaryActions={[
+          {
+            content: "Cancel",
+            onAction: () => setCsvImport(EMPTY_CSV_IMPORT),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <BlockStack gap="4">
+            <Text as="p">
+              Use the columns of the exported file: a row per carrier, and a
+              row per weight band of its rate tables with the band columns
+              filled in. Prices are in cents, weights in grams and dimensions
+              in cm. Carriers are matched by name, and the bands in the file
+              replace the carrier's rate table for their zone.
+            </Text>
+            <DropZone
+              label="CSV file"
+              accept=".csv,text/csv"
+              allowMultiple={false}
+              onDrop={handleDropCsv}
+            >
+              {csvImport.fileName ? (
+                <Box padding="4">
+                  <Text as="p" variant="bodyMd">
+                    {csvImport.fileName}
+                  </Text>
+                </Box>
+              ) : (
+                <DropZone.FileUpload actionHint="Accepts .csv files" />
+              )}
+            </DropZone>
+            {csvImport.report && (
+              <BlockStack gap="2">
+                <Text as="p" variant="bodyMd">
+                  {csvImport.report.created.length} row(s) to create ·{" "}
+                  {csvImport.report.updated.length} row(s) to update ·{" "}
+                  {csvImport.report.rejected.length} row(s) rejected
+                </Text>
+                {csvImport.report.rejected.length > 0 && (
+                  <Banner status="critical">
+                    <BlockStack gap="1">
+                      <Text as="p">Fix the rejected rows and drop the file again to import it.</Text>
+                      {csvImport.report.rejected.map(({ row, carrier, errors }) => (
+                        <Text as="p" key={row}>
+                          Row {row}{carrier ? ` (${carrier})` : ""}: {errors.join("; ")}
+                        </Text>
+                      ))}
+                    </BlockStack>
+                  </Banner>
+                )}
+              </BlockStack>
+            )}
+          </BlockStack>
+        </Modal.Section>
+      </Modal>
+
+      {/* Rate table editor */}
+      <Modal
+        open={rateTableCarrier !== null}
+        onClose={() => setRateTableCarrier(null)}
+        title={`Rate table for ${rateTableCarrier?.name}`}
+        primaryAction={{
+          content: "Save",
+          onAction: handleSaveRateTable,
+        }}
+        secondaryActions={[
+          {
+            content: "Add weight band",
+            onAction: handleAddBand,
+          },
+          {
+            content: "Cancel",
+            onAction: () => setRateTableCarrier(null),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <BlockStack gap="4">
+            <Text as="p">
+              Each parcel is charged the price of the band its weight falls into.
+              A zone without its own bands uses the bands for all zones, and
+              without any bands the carrier's price per parcel applies.
+            </Text>
+            <Select
+              label="Zone"
+              options={[
+                { label: "All zones", value: "" },
+                ...zones
+                  .filter((zone) => zone.carrier_ids.includes(rateTableCarrier?.id))
+                  .map((zone) => ({ label: zone.name, value: String(zone.id) })),
+              ]}
+              value={rateTableZone}
+              onChange={(value) => openRateTable(rateTableCarrier, value)}
+            />
+            <TextField
+              label="Currency"
+              value={rateTableCurrency}
+              onChange={setRateTableCurrency}
+              autoComplete="off"
+              helpText="Currency the band prices are given in"
+            />
+            <FormLayout.Group>
+              <TextField
+                label="Schedule from"
+                type="datetime-local"
+                value={rateTableSchedule.startsAt}
+                onChange={(value) => setRateTableSchedule((current) => ({ ...current, startsAt: value }))}
+                autoComplete="off"
+                helpText="Leave empty to change the rate table right away"
+              />
+              <TextField
+                label="Until"
+                type="datetime-local"
+                value={rateTableSchedule.endsAt}
+                onChange={(value) => setRateTableSchedule((current) => ({ ...current, endsAt: value }))}
+                autoComplete="off"
+                helpText="Leave empty to keep the bands for good"
+                disabled={!rateTableSchedule.startsAt}
+              />
+            </FormLayout.Group>
+            {bands.map((band, index) => (
+              <FormLayout key={index}>
+                <FormLayout.Group condensed>
+                  <TextField
+                    label={`From (${weightUnit})`}
+                    value={band.minWeight}
+                    onChange={handleBandChange(index, "minWeight")}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label={`To (${weightUnit})`}
+                    value={band.maxWeight}
+                    onChange={handleBandChange(index, "maxWeight")}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label={`Price (in ${rateTableCurrency})`}
+                    value={band.price}
+                    onChange={handleBandChange(index, "price")}
+                    autoComplete="off"
+                  />
+                  <Button
+                    icon={<Icon source={DeleteIcon} />}
+                    onClick={() => handleRemoveBand(index)}
+                    accessibilityLabel="Remove band"
+                  />
+                </FormLayout.Group>
+              </FormLayout>
+            ))}
+          </BlockStack>
+        </Modal.Section>
+      </Modal>
+
+      {/* Shipping class restrictions */}
+      <Modal
+        open={restrictionCarrier !== null}
+        onClose={() => setRestrictionCarrier(null)}
+        title={`Shipping classes for ${restrictionCarrier?.name}`}
+        primaryAction={{
+          content: "Add restriction",
+          onAction: handleAddRestriction,
+        }}
+        secondaryActions={[
+          {
+            content: "Close",
+            onAction: () => setRestrictionCarrier(null),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <BlockStack gap="4">
+            <Text as="p">
+              Products get their shipping class from the "Shipping class"
+              metafield. With allowed classes the carrier only carries those;
+              denied classes are never carried. Products without a class can
+              go with every carrier.
+            </Text>
+            {restrictions
+              .filter((restriction) => restriction.carrier_id === restrictionCarrier?.id)
+              .map((restriction) => (
+                <InlineStack key={restriction.id} align="space-between">
+                  <BlockStack gap="1">
+                    <Text variant="headingSm" as="h3">
+                      {restriction.shipping_class}
+                    </Text>
+                    <Text variant="bodySm" as="p" tone="subdued">
+                      {describeRestriction(restriction)}
+                    </Text>
+                  </BlockStack>
+                  <Button
+                    icon={<Icon source={DeleteIcon} />}
+                    onClick={() => handleDeleteRestriction(restriction)}
+                    accessibilityLabel={`Delete restriction of ${restriction.shipping_class}`}
+                  />
+                </InlineStack>
+              ))}
+          </BlockStack>
+        </Modal.Section>
+        <Modal.Section>
+          <FormLayout>
+            <FormLayout.Group condensed>
+              <TextField
+                label="Shipping class"
+                value={newRestriction.shippingClass}
+                onChange={(value) => setNewRestriction({ ...newRestriction, shippingClass: value })}
+                autoComplete="off"
+                placeholder="e.g. batteries"
+              />
+              <Select
+                label="Carrier"
+                options={[
+                  { label: "Denies this class", value: "deny" },
+                  { label: "Allows this class", value: "allow" },
+                ]}
+                value={newRestriction.mode}
+                onChange={(value) => setNewRestriction({ ...newRestriction, mode: value })}
+              />
+            </FormLayout.Group>
+            <TextField
+              label="Countries"
+              value={newRestriction.countries}
+              onChange={(value) => setNewRestriction({ ...newRestriction, countries: value })}
+              autoComplete="off"
+              helpText="Two-letter country codes separated by commas. Leave empty for every destination."
+            />
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+
+      {/* Scheduled price changes */}
+      <Modal
+        open={scheduleCarrier !== null}
+        onClose={() => setScheduleCarrier(null)}
+        title={`Price changes for ${scheduleCarrier?.name}`}
+        primaryAction={{
+          content: "Schedule price change",
+          onAction: handleAddSchedule,
+        }}
+        secondaryActions={[
+          {
+            content: "Close",
+            onAction: () => setScheduleCarrier(null),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <BlockStack gap="4">
+            <Text as="p">
+              Scheduled changes replace the carrier's price per parcel or the
+              bands of one of its rate tables while they are in effect. Rate
+              table changes are scheduled from the rate table editor. Where
+              changes overlap, the one that started last applies.
+            </Text>
+            {schedules
+              .filter((schedule) => schedule.carrier_id === scheduleCarrier?.id)
+              .map((schedule) => {
+                const badge = SCHEDULE_BADGES[scheduleStatus(schedule)];
+                const zone = zones.find(({ id }) => id === schedule.zone_id);
+                return (
+                  <InlineStack key={schedule.id} align="space-between">
+                    <BlockStack gap="1">
+                      <InlineStack gap="2">
+                        <Text variant="headingSm" as="h3">
+                          {schedule.bands
+                            ? `Rate table for ${zone ? zone.name : "all zones"} (${schedule.bands.length} bands)`
+                            : `${formatPrice(schedule.price, scheduleCarrier.currency)} per parcel`}
+                        </Text>
+                        <Badge status={badge.status}>{badge.label}</Badge>
+                      </InlineStack>
+                      <Text variant="bodySm" as="p" tone="subdued">
+                        {describePeriod(schedule)}
+                        {schedule.note ? ` – ${schedule.note}` : ""}
+                      </Text>
+                    </BlockStack>
+                    <Button
+                      icon={<Icon source={DeleteIcon} />}
+                      onClick={() => handleDeleteSchedule(schedule)}
+                      accessibilityLabel="Delete scheduled change"
+                    />
+                  </InlineStack>
+                );
+              })}
+          </BlockStack>
+        </Modal.Section>
+        <Modal.Section>
+          <FormLayout>
+            <FormLayout.Group>
+              <TextField
+                label="From"
+                type="datetime-local"
+                value={newSchedule.startsAt}
+                onChange={handleScheduleChange("startsAt")}
+                autoComplete="off"
+              />
+              <TextField
+                label="Until"
+                type="datetime-local"
+                value={newSchedule.endsAt}
+                onChange={handleScheduleChange("endsAt")}
+                autoComplete="off"
+                helpText="Leave empty to keep the price for good"
+              />
+            </FormLayout.Group>
+            <FormLayout.Group>
+              <TextField
+                label={`Price per parcel (in ${scheduleCarrier?.currency || "EUR"})`}
+                value={newSchedule.price}
+                onChange={handleScheduleChange("price")}
+                autoComplete="off"
+              />
+              <TextField
+                label="Note"
+                value={newSchedule.note}
+                onChange={handleScheduleChange("note")}
+                autoComplete="off"
+                placeholder="e.g. Peak season surcharge"
+              />
+            </FormLayout.Group>
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+
+      {/* Surcharge editor */}
+      <Modal
+        open={surchargeCarrier !== null}
+        onClose={() => setSurchargeCarrier(null)}
+        title={`Surcharges for ${surchargeCarrier?.name}`}
+        primaryAction={{
+          content: "Add surcharge",
+          onAction: handleAddSurcharge,
+        }}
+        secondaryActions={[
+          {
+            content: "Close",
+            onAction: () => setSurchargeCarrier(null),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <BlockStack gap="4">
+            <Text as="p">
+              Surcharges are added to the carrier's price before free shipping
+              thresholds apply. Percentages are taken of the carrier's price for
+              the parcels. Leave countries and postal codes empty to charge every
+              destination.
+            </Text>
+            {surcharges
+              .filter((surcharge) => surcharge.carrier_id === surchargeCarrier?.id)
+              .map((surcharge) => (
+                <InlineStack key={surcharge.id} align="space-between">
+                  <BlockStack gap="1">
+                    <Text variant="headingSm" as="h3">
+                      {surcharge.name}
+                    </Text>
+                    <Text variant="bodySm" as="p" tone="subdued">
+                      {describeSurcharge(surcharge, surchargeCarrier.currency)}
+                    </Text>
+                  </BlockStack>
+                  <Button
+                    icon={<Icon source={DeleteIcon} />}
+                    onClick={() => handleDeleteSurcharge(surcharge)}
+                    accessibilityLabel={`Delete surcharge ${surcharge.name}`}
+                  />
+                </InlineStack>
+              ))}
+          </BlockStack>
+        </Modal.Section>
+        <Modal.Section>
+          <FormLayout>
+            <TextField
+              label="Name"
+              value={newSurcharge.name}
+              onChange={handleSurchargeChange("name")}
+              autoComplete="off"
+              placeholder="e.g. Fuel surcharge"
+            />
+            <FormLayout.Group condensed>
+              <Select
+                label="Type"
+                options={[
+                  { label: "Fixed amount", value: "fixed" },
+                  { label: "Percentage", value: "percent" },
+                ]}
+                value={newSurcharge.type}
+                onChange={handleSurchargeChange("type")}
+              />
+              <TextField
+                label={newSurcharge.type === "fixed" ? `Amount (in ${surchargeCarrier?.currency})` : "Percentage"}
+                value={newSurcharge.value}
+                onChange={(value) =>
+                  handleSurchargeChange("value")(value.replace(/[^0-9.,]/g, "").replace(",", "."))
+                }
+                autoComplete="off"
+                suffix={newSurcharge.type === "percent" ? "%" : undefined}
+              />
+              <Select
+                label="Charged"
+                options={[
+                  { label: "Per shipment", value: "shipment" },
+                  { label: "Per parcel", value: "parcel" },
+                ]}
+                value={newSurcharge.per}
+                onChange={handleSurchargeChange("per")}
+                disabled={newSurcharge.type === "percent"}
+              />
+            </FormLayout.Group>
+            <TextField
+              label="Countries"
+              value={newSurcharge.countries}
+              onChange={handleSurchargeChange("countries")}
+              autoComplete="off"
+              helpText="Two-letter country codes separated by commas, e.g. DE, AT"
+            />
+            <TextField
+              label="Postal codes"
+              value={newSurcharge.postalCodes}
+              onChange={handleSurchargeChange("postalCodes")}
+              autoComplete="off"
+              helpText="Codes, prefixes (e.g. 18*) or ranges (e.g. 25938-25999) separated by commas"
+            />
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+
       {/* Delete confirmation modal */}
       <Modal
         open={deleteModalOpen}
@@ -0,0 +1,393 @@
+import { useState, useCallback, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  ResourceList,
+  ResourceItem,
+  Text,
+  TextField,
+  Button,
+  ButtonGroup,
+  FormLayout,
+  Banner,
+  Loading,
+  Frame,
+  Toast,
+  Icon,
+  InlineStack,
+  BlockStack,
+  Box,
+  Select,
+  DropZone,
+} from "@shopify/polaris";
+import { DeleteIcon, EditIcon } from "@shopify/polaris-icons";
+import { useAuthenticatedFetch } from "../hooks";
+
+const FORMAT_OPTIONS = [
+  { label: "ECB reference rates (.xml)", value: "ecb" },
+  { label: "CSV (currency,rate)", value: "csv" },
+];
+
+const ROUNDING_MODE_OPTIONS = [
+  { label: "To the nearest increment", value: "nearest" },
+  { label: "Up", value: "up" },
+  { label: "Down", value: "down" },
+];
+
+// Rounding increments are stored in cents but edited in currency units
+const EMPTY_RATE = { currency: "", rate: "", increment: "0.01", mode: "nearest" };
+
+const EMPTY_IMPORT = { format: "ecb", fileName: "", content: "" };
+
+const toRateInputs = (exchangeRate) => ({
+  currency: exchangeRate.currency,
+  rate: String(exchangeRate.rate),
+  increment: (exchangeRate.rounding_increment / 100).toString(),
+  mode: exchangeRate.rounding_mode,
+});
+
+const describeRounding = (exchangeRate) =>
+  exchangeRate.rounding_increment <= 1
+    ? "Rounded to the cent"
+    : `Rounded ${exchangeRate.rounding_mode === "nearest" ? "to the nearest" : exchangeRate.rounding_mode + " to"} ${exchangeRate.rounding_increment / 100}`;
+
+export default function Currencies() {
+  const fetch = useAuthenticatedFetch();
+  const [baseCurrency, setBaseCurrency] = useState("EUR");
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [exchangeRate, setExchangeRate] = useState(EMPTY_RATE);
+  const [rateImport, setRateImport] = useState(EMPTY_IMPORT);
+  const [isLoading, setIsLoading] = useState(true);
+  const [toastActive, setToastActive] = useState(false);
+  const [toastContent, setToastContent] = useState("");
+  const [errorBanner, setErrorBanner] = useState("");
+
+  // Load exchange rates on component mount
+  useEffect(() => {
+    fetchExchangeRates();
+  }, []);
+
+  const fetchExchangeRates = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/exchange-rates");
+      if (response.ok) {
+        const data = await response.json();
+        setBaseCurrency(data.base_currency);
+        setExchangeRates(data.exchange_rates);
+      } else {
+        const error = await response.text();
+        setErrorBanner(`Failed to load exchange rates: ${error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const handleSaveExchangeRate = useCallback(async () => {
+    const currency = exchangeRate.currency.trim().toUpperCase();
+    const rate = parseFloat(exchangeRate.rate.replace(",", "."));
+    const increment = Math.round(parseFloat(exchangeRate.increment.replace(",", ".")) * 100);
+
+    if (!currency || isNaN(rate) || isNaN(increment)) {
+      setErrorBanner("An exchange rate needs a currency, a rate and a rounding increment");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/exchange-rates/${currency}`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          rate,
+          rounding_increment: increment,
+          rounding_mode: exchangeRate.mode,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setExchangeRates(data.exchange_rates);
+        setExchangeRate(EMPTY_RATE);
+        setToastContent(`Exchange rate of ${currency} saved successfully`);
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to save exchange rate: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, exchangeRate]);
+
+  const handleDropRates = useCallback(async (_dropFiles, acceptedFiles) => {
+    const [file] = acceptedFiles;
+    if (!file) return;
+
+    const content = await file.text();
+    setRateImport({
+      fileName: file.name,
+      content,
+      format: file.name.toLowerCase().endsWith(".csv") ? "csv" : "ecb",
+    });
+  }, []);
+
+  const handleImportRates = useCallback(async () => {
+    if (!rateImport.content) {
+      setErrorBanner("Choose a file to import");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/exchange-rates/import", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          format: rateImport.format,
+          content: rateImport.content,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setExchangeRates(data.exchange_rates);
+        setRateImport(EMPTY_IMPORT);
+        setToastContent(`Imported ${data.imported} exchange rate(s)`);
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to import exchange rates: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, rateImport]);
+
+  const handleDeleteExchangeRate = useCallback(async (currency) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/exchange-rates/${currency}`, {
+        method: "DELETE",
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setExchangeRates(data.exchange_rates);
+        setToastContent(`Exchange rate of ${currency} deleted successfully`);
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to delete exchange rate: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const dismissToast = useCallback(() => setToastActive(false), []);
+
+  const dismissErrorBanner = useCallback(() => setErrorBanner(""), []);
+
+  // Render loading UI
+  if (isLoading && exchangeRates.length === 0) {
+    return (
+      <Frame>
+        <Loading />
+        <Page title="Currencies" />
+      </Frame>
+    );
+  }
+
+  return (
+    <Frame>
+      {isLoading && <Loading />}
+      {toastActive && (
+        <Toast content={toastContent} onDismiss={dismissToast} />
+      )}
+
+      <Page
+        title="Currencies"
+        subtitle="Convert carrier prices into the currency customers check out in"
+      >
+        <BlockStack gap="4">
+          {errorBanner && (
+            <Banner status="critical" onDismiss={dismissErrorBanner}>
+              {errorBanner}
+            </Banner>
+          )}
+
+          <Layout>
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <BlockStack gap="4">
+                    <Text as="h2" variant="headingMd">
+                      Exchange rate
+                    </Text>
+                    <Text as="p" variant="bodyMd">
+                      Rates are units of the currency per {baseCurrency}. Carriers
+                      without a rate into the checkout currency aren't offered.
+                      Add {baseCurrency} with a rate of 1 to round its prices.
+                    </Text>
+                    <FormLayout>
+                      <FormLayout.Group condensed>
+                        <TextField
+                          label="Currency"
+                          value={exchangeRate.currency}
+                          onChange={(value) => setExchangeRate({ ...exchangeRate, currency: value })}
+                          autoComplete="off"
+                          placeholder="CHF"
+                        />
+                        <TextField
+                          label={`Rate per ${baseCurrency}`}
+                          value={exchangeRate.rate}
+                          onChange={(value) => setExchangeRate({ ...exchangeRate, rate: value })}
+                          autoComplete="off"
+                          placeholder="0.96"
+                        />
+                        <TextField
+                          label="Round to"
+                          value={exchangeRate.increment}
+                          onChange={(value) => setExchangeRate({ ...exchangeRate, increment: value })}
+                          autoComplete="off"
+                          helpText="e.g. 0.05 for CHF or 1 for whole amounts"
+                        />
+                        <Select
+                          label="Rounding"
+                          options={ROUNDING_MODE_OPTIONS}
+                          value={exchangeRate.mode}
+                          onChange={(value) => setExchangeRate({ ...exchangeRate, mode: value })}
+                        />
+                      </FormLayout.Group>
+                      <ButtonGroup>
+                        <Button primary onClick={handleSaveExchangeRate}>
+                          Save
+                        </Button>
+                        <Button onClick={() => setExchangeRate(EMPTY_RATE)}>
+                          Clear
+                        </Button>
+                      </ButtonGroup>
+                    </FormLayout>
+                  </BlockStack>
+                </Box>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <BlockStack gap="4">
+                    <Text as="h2" variant="headingMd">
+                      Import exchange rates
+                    </Text>
+                    <FormLayout>
+                      <Select
+                        label="Format"
+                        options={FORMAT_OPTIONS}
+                        value={rateImport.format}
+                        onChange={(value) => setRateImport({ ...rateImport, format: value })}
+                      />
+                      <DropZone
+                        label="Exchange rate file"
+                        accept=".xml,.csv,text/xml,application/xml,text/csv"
+                        allowMultiple={false}
+                        onDrop={handleDropRates}
+                      >
+                        {rateImport.fileName ? (
+                          <Box padding="4">
+                            <Text as="p" variant="bodyMd">
+                              {rateImport.fileName}
+                            </Text>
+                          </Box>
+                        ) : (
+                          <DropZone.FileUpload actionHint="Accepts eurofxref-daily.xml and .csv files" />
+                        )}
+                      </DropZone>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        Importing updates the rates of the currencies in the file and keeps their rounding.
+                      </Text>
+                      <Button primary onClick={handleImportRates}>
+                        Import
+                      </Button>
+                    </FormLayout>
+                  </BlockStack>
+                </Box>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="4">
+                  <Box padding="4">
+                    <Text as="h2" variant="headingMd">
+                      Exchange rates
+                    </Text>
+                  </Box>
+                  <ResourceList
+                    items={exchangeRates}
+                    renderItem={(item) => (
+                      <ResourceItem id={item.currency}>
+                        <Box padding="4">
+                          <InlineStack align="space-between">
+                            <BlockStack gap="1">
+                              <Text variant="headingSm" as="h3">
+                                {item.currency}
+                              </Text>
+                              <Text variant="bodyMd" as="p">
+                                1 {baseCurrency} = {item.rate} {item.currency}
+                              </Text>
+                              <Text variant="bodySm" as="p" tone="subdued">
+                                {describeRounding(item)}
+                              </Text>
+                            </BlockStack>
+                            <ButtonGroup>
+                              <Button
+                                icon={<Icon source={EditIcon} />}
+                                onClick={() => setExchangeRate(toRateInputs(item))}
+                              >
+                                Edit
+                              </Button>
+                              <Button
+                                icon={<Icon source={DeleteIcon} />}
+                                onClick={() => handleDeleteExchangeRate(item.currency)}
+                                destructive
+                              >
+                                Delete
+                              </Button>
+                            </ButtonGroup>
+                          </InlineStack>
+                        </Box>
+                      </ResourceItem>
+                    )}
+                    emptyState={
+                      <Box padding="4">
+                        <Text as="p" variant="bodyMd">
+                          No exchange rates yet. Only checkouts in your carriers' currencies get rates.
+                        </Text>
+                      </Box>
+                    }
+                  />
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          </Layout>
+        </BlockStack>
+      </Page>
+    </Frame>
+  );
+}
@@ -0,0 +1,340 @@
+import { useState, useCallback, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  ResourceList,
+  ResourceItem,
+  Text,
+  TextField,
+  Button,
+  FormLayout,
+  Banner,
+  Loading,
+  Frame,
+  Toast,
+  Icon,
+  InlineStack,
+  BlockStack,
+  Box,
+  Select,
+  DropZone,
+} from "@shopify/polaris";
+import { DeleteIcon } from "@shopify/polaris-icons";
+import { useAuthenticatedFetch } from "../hooks";
+
+const FORMAT_OPTIONS = [
+  { label: "iCalendar (.ics)", value: "ics" },
+  { label: "CSV (date,name)", value: "csv" },
+];
+
+const EMPTY_IMPORT = { country: "", format: "ics", fileName: "", content: "" };
+
+export default function DeliveryDates() {
+  const fetch = useAuthenticatedFetch();
+  const [delivery, setDelivery] = useState({ cutoffTime: "", timezone: "UTC" });
+  const [holidays, setHolidays] = useState([]);
+  const [calendarImport, setCalendarImport] = useState(EMPTY_IMPORT);
+  const [isLoading, setIsLoading] = useState(true);
+  const [toastActive, setToastActive] = useState(false);
+  const [toastContent, setToastContent] = useState("");
+  const [errorBanner, setErrorBanner] = useState("");
+
+  // Load the cut-off, timezone and holidays on component mount
+  useEffect(() => {
+    fetchDeliveryDates();
+  }, []);
+
+  const fetchDeliveryDates = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [deliveryResponse, holidaysResponse] = await Promise.all([
+        fetch("/api/settings/delivery"),
+        fetch("/api/holidays"),
+      ]);
+      if (deliveryResponse.ok && holidaysResponse.ok) {
+        const { cutoff_time, timezone } = await deliveryResponse.json();
+        setDelivery({ cutoffTime: cutoff_time || "", timezone });
+        setHolidays(await holidaysResponse.json());
+      } else {
+        const error = await (deliveryResponse.ok ? holidaysResponse : deliveryResponse).text();
+        setErrorBanner(`Failed to load delivery dates: ${error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const handleSaveDelivery = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/settings/delivery", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          cutoff_time: delivery.cutoffTime || null,
+          timezone: delivery.timezone,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setToastContent("Order cut-off saved successfully");
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to save order cut-off: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, delivery]);
+
+  const handleDropCalendar = useCallback(async (_dropFiles, acceptedFiles) => {
+    const [file] = acceptedFiles;
+    if (!file) return;
+
+    const content = await file.text();
+    setCalendarImport((current) => ({
+      ...current,
+      fileName: file.name,
+      content,
+      format: file.name.toLowerCase().endsWith(".csv") ? "csv" : "ics",
+    }));
+  }, []);
+
+  const handleImportCalendar = useCallback(async () => {
+    if (!calendarImport.country || !calendarImport.content) {
+      setErrorBanner("Choose a country and a calendar file to import");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/holidays/import", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          country: calendarImport.country.trim().toUpperCase(),
+          format: calendarImport.format,
+          content: calendarImport.content,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setToastContent(`Imported ${data.imported} holiday(s) for ${calendarImport.country.toUpperCase()}`);
+        setToastActive(true);
+        setCalendarImport(EMPTY_IMPORT);
+        fetchDeliveryDates();
+      } else {
+        setErrorBanner(`Failed to import holidays: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, calendarImport]);
+
+  const handleDeleteHoliday = useCallback(async (holiday) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/holidays/${holiday.id}`, {
+        method: "DELETE",
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setToastContent(`Holiday "${holiday.name || holiday.date}" deleted successfully`);
+        setToastActive(true);
+        setHolidays(data.holidays);
+      } else {
+        setErrorBanner(`Failed to delete holiday: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const dismissToast = useCallback(() => setToastActive(false), []);
+
+  const dismissErrorBanner = useCallback(() => setErrorBanner(""), []);
+
+  // Render loading UI
+  if (isLoading && holidays.length === 0 && !delivery.cutoffTime) {
+    return (
+      <Frame>
+        <Loading />
+        <Page title="Delivery Dates" />
+      </Frame>
+    );
+  }
+
+  return (
+    <Frame>
+      {isLoading && <Loading />}
+      {toastActive && (
+        <Toast content={toastContent} onDismiss={dismissToast} />
+      )}
+
+      <Page
+        title="Delivery Dates"
+        subtitle="Control when orders ship and which days don't count as business days"
+      >
+        <BlockStack gap="4">
+          {errorBanner && (
+            <Banner status="critical" onDismiss={dismissErrorBanner}>
+              {errorBanner}
+            </Banner>
+          )}
+
+          <Layout>
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <BlockStack gap="4">
+                    <Text as="h2" variant="headingMd">
+                      Order cut-off
+                    </Text>
+                    <FormLayout>
+                      <FormLayout.Group>
+                        <TextField
+                          label="Daily cut-off time"
+                          value={delivery.cutoffTime}
+                          onChange={(value) => setDelivery({ ...delivery, cutoffTime: value })}
+                          autoComplete="off"
+                          placeholder="14:00"
+                          helpText="Orders placed after this time ship the next business day. Leave empty to ship the same day."
+                        />
+                        <TextField
+                          label="Timezone"
+                          value={delivery.timezone}
+                          onChange={(value) => setDelivery({ ...delivery, timezone: value })}
+                          autoComplete="off"
+                          placeholder="Europe/Vienna"
+                          helpText="IANA timezone the cut-off and delivery dates are in"
+                        />
+                      </FormLayout.Group>
+                      <Button primary onClick={handleSaveDelivery}>
+                        Save
+                      </Button>
+                    </FormLayout>
+                  </BlockStack>
+                </Box>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <BlockStack gap="4">
+                    <Text as="h2" variant="headingMd">
+                      Import public holidays
+                    </Text>
+                    <FormLayout>
+                      <FormLayout.Group>
+                        <TextField
+                          label="Country"
+                          value={calendarImport.country}
+                          onChange={(value) => setCalendarImport({ ...calendarImport, country: value })}
+                          autoComplete="off"
+                          placeholder="AT"
+                        />
+                        <Select
+                          label="Format"
+                          options={FORMAT_OPTIONS}
+                          value={calendarImport.format}
+                          onChange={(value) => setCalendarImport({ ...calendarImport, format: value })}
+                        />
+                      </FormLayout.Group>
+                      <DropZone
+                        label="Calendar file"
+                        accept=".ics,.csv,text/calendar,text/csv"
+                        allowMultiple={false}
+                        onDrop={handleDropCalendar}
+                      >
+                        {calendarImport.fileName ? (
+                          <Box padding="4">
+                            <Text as="p" variant="bodyMd">
+                              {calendarImport.fileName}
+                            </Text>
+                          </Box>
+                        ) : (
+                          <DropZone.FileUpload actionHint="Accepts .ics and .csv files" />
+                        )}
+                      </DropZone>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        Importing replaces the country's holidays in the years the calendar covers.
+                      </Text>
+                      <Button primary onClick={handleImportCalendar}>
+                        Import
+                      </Button>
+                    </FormLayout>
+                  </BlockStack>
+                </Box>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="4">
+                  <Box padding="4">
+                    <Text as="h2" variant="headingMd">
+                      Holidays
+                    </Text>
+                  </Box>
+                  <ResourceList
+                    items={holidays}
+                    renderItem={(holiday) => (
+                      <ResourceItem id={String(holiday.id)}>
+                        <Box padding="4">
+                          <InlineStack align="space-between">
+                            <BlockStack gap="1">
+                              <Text variant="headingSm" as="h3">
+                                {holiday.date} · {holiday.country}
+                              </Text>
+                              <Text variant="bodyMd" as="p">
+                                {holiday.name || "Unnamed holiday"}
+                              </Text>
+                            </BlockStack>
+                            <Button
+                              icon={<Icon source={DeleteIcon} />}
+                              onClick={() => handleDeleteHoliday(holiday)}
+                              destructive
+                            >
+                              Delete
+                            </Button>
+                          </InlineStack>
+                        </Box>
+                      </ResourceItem>
+                    )}
+                    emptyState={
+                      <Box padding="4">
+                        <Text as="p" variant="bodyMd">
+                          No holidays imported yet. Only weekends are skipped when estimating delivery dates.
+                        </Text>
+                      </Box>
+                    }
+                  />
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          </Layout>
+        </BlockStack>
+      </Page>
+    </Frame>
+  );
+}
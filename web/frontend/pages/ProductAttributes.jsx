@@ -0,0 +1,172 @@
+import { useState, useCallback, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  ResourceList,
+  ResourceItem,
+  Text,
+  Banner,
+  Loading,
+  Frame,
+  Toast,
+  InlineStack,
+  BlockStack,
+  Box,
+  Badge,
+} from "@shopify/polaris";
+import { useAuthenticatedFetch } from "../hooks";
+
+// Flags of a product, shown as badges
+const FLAGS = [
+  { key: "ship_alone", label: "Ships alone" },
+  { key: "oversize", label: "Oversize" },
+  { key: "fragile", label: "Fragile" },
+];
+
+const describeDimensions = ({ length, width, height }) =>
+  length != null && width != null && height != null
+    ? `${length} × ${width} × ${height} cm`
+    : "No dimensions";
+
+export default function ProductAttributes() {
+  const fetch = useAuthenticatedFetch();
+  const [products, setProducts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [toastActive, setToastActive] = useState(false);
+  const [toastContent, setToastContent] = useState("");
+  const [errorBanner, setErrorBanner] = useState("");
+
+  // Load the synced products on component mount
+  useEffect(() => {
+    fetchProducts();
+  }, []);
+
+  const fetchProducts = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/product-attributes");
+      if (response.ok) {
+        setProducts(await response.json());
+      } else {
+        const error = await response.text();
+        setErrorBanner(`Failed to load products: ${error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const handleResync = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/product-attributes/resync", {
+        method: "POST",
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setProducts(data.products);
+        setToastContent(`Synced ${data.synced} product(s)`);
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to sync products: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const dismissToast = useCallback(() => setToastActive(false), []);
+
+  const dismissErrorBanner = useCallback(() => setErrorBanner(""), []);
+
+  return (
+    <Frame>
+      {isLoading && <Loading />}
+      {toastActive && (
+        <Toast content={toastContent} onDismiss={dismissToast} />
+      )}
+
+      <Page
+        title="Product Attributes"
+        subtitle="Shipping attributes of your products, kept in their metafields"
+        primaryAction={{
+          content: "Resync products",
+          onAction: handleResync,
+          loading: isLoading,
+        }}
+      >
+        <BlockStack gap="4">
+          {errorBanner && (
+            <Banner status="critical" onDismiss={dismissErrorBanner}>
+              {errorBanner}
+            </Banner>
+          )}
+
+          <Layout>
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <Text as="p" variant="bodyMd">
+                    Edit dimensions, ship alone, oversize, fragile and the shipping
+                    class in the "Shipping" metafields on each product's page in
+                    Shopify. Changes sync automatically; resync if attributes look
+                    out of date.
+                  </Text>
+                </Box>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <ResourceList
+                  items={products}
+                  renderItem={(product) => (
+                    <ResourceItem id={String(product.product_id)}>
+                      <Box padding="4">
+                        <InlineStack align="space-between">
+                          <BlockStack gap="1">
+                            <Text variant="headingSm" as="h3">
+                              {product.title || `Product ${product.product_id}`}
+                            </Text>
+                            <Text variant="bodyMd" as="p">
+                              {describeDimensions(product)}
+                              {product.shipping_class ? ` · Class ${product.shipping_class}` : ""}
+                            </Text>
+                            {product.product_type && (
+                              <Text variant="bodySm" as="p" tone="subdued">
+                                {product.product_type}
+                              </Text>
+                            )}
+                          </BlockStack>
+                          <InlineStack gap="2">
+                            {FLAGS.filter(({ key }) => product[key]).map(({ key, label }) => (
+                              <Badge key={key}>{label}</Badge>
+                            ))}
+                          </InlineStack>
+                        </InlineStack>
+                      </Box>
+                    </ResourceItem>
+                  )}
+                  emptyState={
+                    <Box padding="4">
+                      <Text as="p" variant="bodyMd">
+                        No products synced yet. Resync to read them from your store.
+                      </Text>
+                    </Box>
+                  }
+                />
+              </Card>
+            </Layout.Section>
+          </Layout>
+        </BlockStack>
+      </Page>
+    </Frame>
+  );
+}
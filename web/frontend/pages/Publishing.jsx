@@ -0,0 +1,320 @@
+import { useState, useCallback, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  ResourceList,
+  ResourceItem,
+  Text,
+  TextField,
+  Button,
+  Banner,
+  Modal,
+  Loading,
+  Frame,
+  Toast,
+  InlineStack,
+  BlockStack,
+  Box,
+  Badge,
+} from "@shopify/polaris";
+import { useAuthenticatedFetch } from "../hooks";
+
+// Sections of the comparison in the order they're listed
+const SECTION_TITLES = {
+  carriers: "Carriers",
+  rateTables: "Rate tables",
+  priceSchedules: "Scheduled prices",
+  surcharges: "Surcharges",
+  classRestrictions: "Shipping classes",
+  zones: "Zones",
+  thresholds: "Free shipping thresholds",
+  rules: "Rules",
+  holidays: "Holidays",
+  exchangeRates: "Exchange rates",
+  settings: "Settings",
+};
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+function DraftChanges({ sections }) {
+  const changedSections = Object.entries(SECTION_TITLES)
+    .map(([name, title]) => ({ title, diff: sections[name] }))
+    .filter(({ diff }) => diff && diff.added.length + diff.removed.length + diff.changed.length > 0);
+
+  return (
+    <BlockStack gap="3">
+      {changedSections.map(({ title, diff }) => (
+        <BlockStack gap="1" key={title}>
+          <Text as="h3" variant="headingSm">
+            {title}
+          </Text>
+          {diff.added.map(({ key, label }) => (
+            <InlineStack gap="2" key={`added-${key}`}>
+              <Badge status="success">Added</Badge>
+              <Text as="span">{label}</Text>
+            </InlineStack>
+          ))}
+          {diff.changed.map(({ key, label, fields }) => (
+            <InlineStack gap="2" key={`changed-${key}`}>
+              <Badge status="attention">Changed</Badge>
+              <Text as="span">{label}</Text>
+              <Text as="span" tone="subdued">
+                {fields.join(", ")}
+              </Text>
+            </InlineStack>
+          ))}
+          {diff.removed.map(({ key, label }) => (
+            <InlineStack gap="2" key={`removed-${key}`}>
+              <Badge status="critical">Removed</Badge>
+              <Text as="span">{label}</Text>
+            </InlineStack>
+          ))}
+        </BlockStack>
+      ))}
+    </BlockStack>
+  );
+}
+
+export default function Publishing() {
+  const fetch = useAuthenticatedFetch();
+  const [draft, setDraft] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [note, setNote] = useState("");
+  const [versionToRestore, setVersionToRestore] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [toastActive, setToastActive] = useState(false);
+  const [toastContent, setToastContent] = useState("");
+  const [errorBanner, setErrorBanner] = useState("");
+
+  // Load the draft comparison and the version history on component mount
+  useEffect(() => {
+    fetchVersions();
+  }, []);
+
+  const fetchVersions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [draftResponse, versionsResponse] = await Promise.all([
+        fetch("/api/config-versions/draft"),
+        fetch("/api/config-versions"),
+      ]);
+      if (draftResponse.ok && versionsResponse.ok) {
+        setDraft(await draftResponse.json());
+        setVersions(await versionsResponse.json());
+      } else {
+        const error = await (draftResponse.ok ? versionsResponse : draftResponse).text();
+        setErrorBanner(`Failed to load versions: ${error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const handlePublish = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/config-versions/publish", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ note }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setNote("");
+        setToastContent(`Version ${data.version.version} published`);
+        setToastActive(true);
+        fetchVersions();
+      } else {
+        setErrorBanner(`Failed to publish: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, note, fetchVersions]);
+
+  const handleRestore = useCallback(async () => {
+    if (!versionToRestore) return;
+
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/config-versions/${versionToRestore.version}/rollback`, {
+        method: "POST",
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setToastContent(`Rolled back to version ${versionToRestore.version}`);
+        setToastActive(true);
+        fetchVersions();
+      } else {
+        setErrorBanner(`Failed to roll back: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+      setVersionToRestore(null);
+    }
+  }, [fetch, versionToRestore, fetchVersions]);
+
+  const dismissToast = useCallback(() => setToastActive(false), []);
+
+  const dismissErrorBanner = useCallback(() => setErrorBanner(""), []);
+
+  const liveVersion = versions[0]?.version;
+
+  return (
+    <Frame>
+      {isLoading && <Loading />}
+      {toastActive && (
+        <Toast content={toastContent} onDismiss={dismissToast} />
+      )}
+
+      <Page
+        title="Publishing"
+        subtitle="Changes to carriers, zones and settings are a draft until you publish them"
+        primaryAction={{
+          content: "Publish",
+          onAction: handlePublish,
+          disabled: !draft?.changed,
+        }}
+      >
+        <BlockStack gap="4">
+          {errorBanner && (
+            <Banner status="critical" onDismiss={dismissErrorBanner}>
+              {errorBanner}
+            </Banner>
+          )}
+
+          <Layout>
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <BlockStack gap="4">
+                    <Text as="h2" variant="headingMd">
+                      Draft
+                    </Text>
+                    {draft && !draft.changed && (
+                      <Text as="p" tone="subdued">
+                        The draft is the same as the live version.
+                      </Text>
+                    )}
+                    {draft?.changed && (
+                      <BlockStack gap="4">
+                        <Text as="p">
+                          {draft.published
+                            ? `Compared with version ${draft.published.version}, which checkout uses now:`
+                            : "Nothing is published yet. Publishing makes all of this live:"}
+                        </Text>
+                        <DraftChanges sections={draft.sections} />
+                        <TextField
+                          label="Note"
+                          value={note}
+                          onChange={setNote}
+                          autoComplete="off"
+                          placeholder="e.g. New DPD prices for 2027"
+                          maxLength={500}
+                        />
+                        <InlineStack>
+                          <Button primary onClick={handlePublish}>
+                            Publish
+                          </Button>
+                        </InlineStack>
+                      </BlockStack>
+                    )}
+                  </BlockStack>
+                </Box>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="4">
+                  <Box padding="4">
+                    <Text as="h2" variant="headingMd">
+                      Published versions
+                    </Text>
+                  </Box>
+
+                  <ResourceList
+                    items={versions}
+                    renderItem={(version) => (
+                      <ResourceItem id={String(version.version)}>
+                        <Box padding="4">
+                          <InlineStack align="space-between">
+                            <BlockStack gap="1">
+                              <InlineStack gap="2">
+                                <Text variant="headingSm" as="h3">
+                                  Version {version.version}
+                                </Text>
+                                {version.version === liveVersion && <Badge status="success">Live</Badge>}
+                              </InlineStack>
+                              <Text variant="bodySm" as="p" tone="subdued">
+                                Published {formatDate(version.published_at)}
+                              </Text>
+                              {version.note && (
+                                <Text variant="bodyMd" as="p">
+                                  {version.note}
+                                </Text>
+                              )}
+                            </BlockStack>
+                            {version.version !== liveVersion && (
+                              <Button onClick={() => setVersionToRestore(version)}>
+                                Roll back
+                              </Button>
+                            )}
+                          </InlineStack>
+                        </Box>
+                      </ResourceItem>
+                    )}
+                    emptyState={
+                      <Box padding="4">
+                        <Text as="p" variant="bodyMd">
+                          No versions published yet. Until the first one is, checkout answers from the current configuration.
+                        </Text>
+                      </Box>
+                    }
+                  />
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          </Layout>
+        </BlockStack>
+      </Page>
+
+      {/* Roll back confirmation modal */}
+      <Modal
+        open={Boolean(versionToRestore)}
+        onClose={() => setVersionToRestore(null)}
+        title={`Roll back to version ${versionToRestore?.version}`}
+        primaryAction={{
+          content: "Roll back",
+          onAction: handleRestore,
+          destructive: true,
+        }}
+        secondaryActions={[
+          {
+            content: "Cancel",
+            onAction: () => setVersionToRestore(null),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <Text as="p">
+            Checkout will answer from version {versionToRestore?.version} again, published as a new version. Your draft stays as it is.
+          </Text>
+        </Modal.Section>
+      </Modal>
+    </Frame>
+  );
+}
@@ -0,0 +1,360 @@
+import { useState, useCallback, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  ResourceList,
+  ResourceItem,
+  Text,
+  TextField,
+  Button,
+  FormLayout,
+  Banner,
+  Modal,
+  Loading,
+  Frame,
+  Toast,
+  InlineStack,
+  BlockStack,
+  Box,
+  Select,
+  Badge,
+  Pagination,
+} from "@shopify/polaris";
+import { useAuthenticatedFetch } from "../hooks";
+
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = { from: "", to: "", country: "", carrierId: "", status: "" };
+
+const STATUS_OPTIONS = [
+  { label: "All requests", value: "" },
+  { label: "Only errors", value: "error" },
+  { label: "Only successful", value: "ok" },
+];
+
+// Shift a "YYYY-MM-DD" date by one day, so the "to" filter includes that day
+const nextDay = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+};
+
+const describeDestination = ({ country, province, city, postal_code }) =>
+  [country, province, postal_code, city].filter(Boolean).join(" · ") || "Unknown destination";
+
+function JsonSection({ title, value }) {
+  return (
+    <BlockStack gap="2">
+      <Text as="h3" variant="headingSm">
+        {title}
+      </Text>
+      <Box background="bg-surface-secondary" padding="2" borderRadius="2">
+        <pre style={{ margin: 0, whiteSpace: "pre-wrap", fontSize: "12px" }}>
+          {JSON.stringify(value, null, 2)}
+        </pre>
+      </Box>
+    </BlockStack>
+  );
+}
+
+export default function RateLogs() {
+  const fetch = useAuthenticatedFetch();
+  const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [carriers, setCarriers] = useState([]);
+  const [selectedLog, setSelectedLog] = useState(null);
+  const [retentionDays, setRetentionDays] = useState("");
+  const [isLoading, setIsLoading] = useState(true);
+  const [toastActive, setToastActive] = useState(false);
+  const [toastContent, setToastContent] = useState("");
+  const [errorBanner, setErrorBanner] = useState("");
+
+  // Load the carriers for the filter and the retention period on component mount
+  useEffect(() => {
+    (async () => {
+      try {
+        const [carriersResponse, retentionResponse] = await Promise.all([
+          fetch("/api/carriers"),
+          fetch("/api/settings/rate-log"),
+        ]);
+        if (carriersResponse.ok) setCarriers(await carriersResponse.json());
+        if (retentionResponse.ok) {
+          const { retention_days } = await retentionResponse.json();
+          setRetentionDays(String(retention_days));
+        }
+      } catch (error) {
+        setErrorBanner(`Error: ${error.message}`);
+      }
+    })();
+  }, []);
+
+  // Reload the list whenever the page or the applied filters change
+  useEffect(() => {
+    fetchLogs();
+  }, [page, appliedFilters]);
+
+  const fetchLogs = useCallback(async () => {
+    const params = new URLSearchParams({ page: String(page), page_size: String(PAGE_SIZE) });
+    if (appliedFilters.from) params.set("from", appliedFilters.from);
+    if (appliedFilters.to) params.set("to", nextDay(appliedFilters.to));
+    if (appliedFilters.country) params.set("country", appliedFilters.country.trim());
+    if (appliedFilters.carrierId) params.set("carrier_id", appliedFilters.carrierId);
+    if (appliedFilters.status) params.set("status", appliedFilters.status);
+
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/rate-logs?${params}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setLogs(data.logs);
+        setTotal(data.total);
+      } else {
+        setErrorBanner(`Failed to load rate logs: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, page, appliedFilters]);
+
+  const handleApplyFilters = useCallback(() => {
+    setPage(1);
+    setAppliedFilters(filters);
+  }, [filters]);
+
+  const handleClearFilters = useCallback(() => {
+    setPage(1);
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+  }, []);
+
+  const openLog = useCallback(async (id) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/rate-logs/${id}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setSelectedLog(data);
+      } else {
+        setErrorBanner(`Failed to load rate log entry: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const handleSaveRetention = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/settings/rate-log", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ retention_days: parseInt(retentionDays, 10) }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setToastContent(`Rate requests are now kept for ${data.retention_days} days`);
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to save retention: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, retentionDays]);
+
+  const dismissToast = useCallback(() => setToastActive(false), []);
+
+  const dismissErrorBanner = useCallback(() => setErrorBanner(""), []);
+
+  const carrierOptions = [
+    { label: "All carriers", value: "" },
+    ...carriers.map((carrier) => ({ label: carrier.name, value: String(carrier.id) })),
+  ];
+
+  return (
+    <Frame>
+      {isLoading && <Loading />}
+      {toastActive && (
+        <Toast content={toastContent} onDismiss={dismissToast} />
+      )}
+
+      <Page
+        title="Rate Log"
+        subtitle="Every rate request Shopify sent, with the rates calculated and returned"
+      >
+        <BlockStack gap="4">
+          {errorBanner && (
+            <Banner status="critical" onDismiss={dismissErrorBanner}>
+              {errorBanner}
+            </Banner>
+          )}
+
+          <Layout>
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <FormLayout>
+                    <FormLayout.Group condensed>
+                      <TextField
+                        label="From"
+                        type="date"
+                        value={filters.from}
+                        onChange={(value) => setFilters({ ...filters, from: value })}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="To"
+                        type="date"
+                        value={filters.to}
+                        onChange={(value) => setFilters({ ...filters, to: value })}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Country"
+                        value={filters.country}
+                        onChange={(value) => setFilters({ ...filters, country: value })}
+                        autoComplete="off"
+                        placeholder="AT"
+                      />
+                      <Select
+                        label="Carrier"
+                        options={carrierOptions}
+                        value={filters.carrierId}
+                        onChange={(value) => setFilters({ ...filters, carrierId: value })}
+                      />
+                      <Select
+                        label="Status"
+                        options={STATUS_OPTIONS}
+                        value={filters.status}
+                        onChange={(value) => setFilters({ ...filters, status: value })}
+                      />
+                    </FormLayout.Group>
+                    <InlineStack gap="2">
+                      <Button primary onClick={handleApplyFilters}>
+                        Filter
+                      </Button>
+                      <Button onClick={handleClearFilters}>Clear</Button>
+                    </InlineStack>
+                  </FormLayout>
+                </Box>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <ResourceList
+                  items={logs}
+                  renderItem={(log) => (
+                    <ResourceItem id={String(log.id)} onClick={() => openLog(log.id)}>
+                      <InlineStack align="space-between">
+                        <BlockStack gap="1">
+                          <Text variant="headingSm" as="h3">
+                            {new Date(log.created_at).toLocaleString()}
+                          </Text>
+                          <Text variant="bodyMd" as="p">
+                            {describeDestination(log.destination)}
+                          </Text>
+                          <Text variant="bodySm" as="p" tone="subdued">
+                            {log.item_count} item(s) · {log.computed_rate_count} rate(s) calculated ·{" "}
+                            {log.returned_rate_count} returned · {log.duration_ms} ms
+                          </Text>
+                        </BlockStack>
+                        {log.error ? <Badge tone="critical">Error</Badge> : <Badge tone="success">OK</Badge>}
+                      </InlineStack>
+                    </ResourceItem>
+                  )}
+                  emptyState={
+                    <Box padding="4">
+                      <Text as="p" variant="bodyMd">
+                        No rate requests match these filters.
+                      </Text>
+                    </Box>
+                  }
+                />
+                <Box padding="4">
+                  <InlineStack align="center">
+                    <Pagination
+                      hasPrevious={page > 1}
+                      onPrevious={() => setPage(page - 1)}
+                      hasNext={page * PAGE_SIZE < total}
+                      onNext={() => setPage(page + 1)}
+                      label={`Page ${page} of ${Math.max(Math.ceil(total / PAGE_SIZE), 1)}`}
+                    />
+                  </InlineStack>
+                </Box>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <BlockStack gap="4">
+                    <Text as="h2" variant="headingMd">
+                      Retention
+                    </Text>
+                    <FormLayout>
+                      <TextField
+                        label="Keep rate requests for (days)"
+                        value={retentionDays}
+                        onChange={(value) => setRetentionDays(value.replace(/[^0-9]/g, ""))}
+                        autoComplete="off"
+                        helpText="Older requests are deleted automatically."
+                      />
+                      <Button onClick={handleSaveRetention}>Save</Button>
+                    </FormLayout>
+                  </BlockStack>
+                </Box>
+              </Card>
+            </Layout.Section>
+          </Layout>
+        </BlockStack>
+      </Page>
+
+      {/* Rate request details */}
+      <Modal
+        large
+        open={selectedLog !== null}
+        onClose={() => setSelectedLog(null)}
+        title={selectedLog ? `Rate request of ${new Date(selectedLog.created_at).toLocaleString()}` : ""}
+        secondaryActions={[
+          {
+            content: "Close",
+            onAction: () => setSelectedLog(null),
+          },
+        ]}
+      >
+        {selectedLog && (
+          <Modal.Section>
+            <BlockStack gap="4">
+              {selectedLog.error && (
+                <Banner status="critical">{selectedLog.error}</Banner>
+              )}
+              <Text as="p" variant="bodyMd">
+                {describeDestination(selectedLog.destination)} · {selectedLog.currency} · {selectedLog.duration_ms} ms
+              </Text>
+              <JsonSection title="Items" value={selectedLog.items} />
+              <JsonSection title="Calculated rates" value={selectedLog.computed_rates} />
+              <JsonSection title="Returned to Shopify" value={selectedLog.returned_rates} />
+            </BlockStack>
+          </Modal.Section>
+        )}
+      </Modal>
+    </Frame>
+  );
+}
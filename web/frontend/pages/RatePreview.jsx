@@ -0,0 +1,337 @@
+import { useState, useCallback, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  ResourceList,
+  ResourceItem,
+  Text,
+  TextField,
+  Button,
+  FormLayout,
+  Banner,
+  Loading,
+  Frame,
+  Icon,
+  InlineStack,
+  BlockStack,
+  Box,
+  Checkbox,
+} from "@shopify/polaris";
+import { DeleteIcon, SearchIcon } from "@shopify/polaris-icons";
+import { useAuthenticatedFetch, useShopSettings, WEIGHT_UNITS } from "../hooks";
+
+const EMPTY_DESTINATION = { country: "", province: "", postal_code: "", city: "" };
+
+// Falls back to a plain amount while the currency field holds no valid code
+const formatPrice = (priceInCents, currency) => {
+  try {
+    return new Intl.NumberFormat("en", { style: "currency", currency }).format(priceInCents / 100);
+  } catch {
+    return `${(priceInCents / 100).toFixed(2)} ${currency}`;
+  }
+};
+
+const formatWeight = (grams, unit) => `${Math.round((grams / WEIGHT_UNITS[unit]) * 100) / 100} ${unit}`;
+
+const formatDate = (date) => (date ? date.slice(0, 10) : "–");
+
+export default function RatePreview() {
+  const fetch = useAuthenticatedFetch();
+  const settings = useShopSettings();
+  const [query, setQuery] = useState("");
+  const [products, setProducts] = useState([]);
+  const [cart, setCart] = useState([]);
+  const [destination, setDestination] = useState(EMPTY_DESTINATION);
+  const [currency, setCurrency] = useState("EUR");
+  const [previewDraft, setPreviewDraft] = useState(false);
+  const [rates, setRates] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorBanner, setErrorBanner] = useState("");
+
+  // Preview in the shop's default currency unless another one is entered
+  useEffect(() => {
+    setCurrency(settings.default_currency);
+  }, [settings.default_currency]);
+
+  const handleSearchProducts = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/rates/preview/products?query=${encodeURIComponent(query)}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setProducts(data);
+      } else {
+        setErrorBanner(`Failed to load products: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, query]);
+
+  const handleAddToCart = useCallback((product) => {
+    setCart((current) =>
+      current.some((item) => item.variant_id === product.variant_id)
+        ? current.map((item) =>
+            item.variant_id === product.variant_id ? { ...item, quantity: item.quantity + 1 } : item
+          )
+        : [...current, { ...product, quantity: 1 }]
+    );
+  }, []);
+
+  const handleQuantityChange = useCallback((variantId) => (value) => {
+    setCart((current) =>
+      current.map((item) =>
+        item.variant_id === variantId ? { ...item, quantity: parseInt(value, 10) || 0 } : item
+      )
+    );
+  }, []);
+
+  const handleRemoveFromCart = useCallback((variantId) => {
+    setCart((current) => current.filter((item) => item.variant_id !== variantId));
+  }, []);
+
+  const handlePreview = useCallback(async () => {
+    if (cart.length === 0 || !destination.country) {
+      setErrorBanner("Add at least one product and choose a destination country");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/rates/preview", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          items: cart.filter((item) => item.quantity > 0),
+          destination: { ...destination, country: destination.country.trim().toUpperCase() },
+          currency: currency.trim().toUpperCase(),
+          draft: previewDraft,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setRates(data.rates);
+      } else {
+        setErrorBanner(`Failed to preview rates: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, cart, destination, currency, previewDraft]);
+
+  const dismissErrorBanner = useCallback(() => setErrorBanner(""), []);
+
+  return (
+    <Frame>
+      {isLoading && <Loading />}
+
+      <Page
+        title="Rate Preview"
+        subtitle="See the rates a cart gets at checkout without placing an order"
+      >
+        <BlockStack gap="4">
+          {errorBanner && (
+            <Banner status="critical" onDismiss={dismissErrorBanner}>
+              {errorBanner}
+            </Banner>
+          )}
+
+          <Layout>
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <BlockStack gap="4">
+                    <Text as="h2" variant="headingMd">
+                      Test cart
+                    </Text>
+                    <InlineStack gap="2" blockAlign="end">
+                      <div style={{ flexGrow: 1 }}>
+                        <TextField
+                          label="Find products"
+                          value={query}
+                          onChange={setQuery}
+                          autoComplete="off"
+                          placeholder="Title, SKU or vendor"
+                          prefix={<Icon source={SearchIcon} />}
+                        />
+                      </div>
+                      <Button onClick={handleSearchProducts}>Search</Button>
+                    </InlineStack>
+                    {products.length > 0 && (
+                      <ResourceList
+                        items={products}
+                        renderItem={(product) => (
+                          <ResourceItem id={String(product.variant_id)}>
+                            <InlineStack align="space-between">
+                              <BlockStack gap="1">
+                                <Text variant="headingSm" as="h3">
+                                  {product.name}
+                                </Text>
+                                <Text variant="bodySm" as="p" tone="subdued">
+                                  {formatPrice(product.price, currency)} · {formatWeight(product.grams, settings.weight_unit)}
+                                  {product.requires_shipping ? "" : " · No shipping required"}
+                                </Text>
+                              </BlockStack>
+                              <Button onClick={() => handleAddToCart(product)}>Add</Button>
+                            </InlineStack>
+                          </ResourceItem>
+                        )}
+                      />
+                    )}
+                    <ResourceList
+                      items={cart}
+                      renderItem={(item) => (
+                        <ResourceItem id={`cart-${item.variant_id}`}>
+                          <InlineStack align="space-between" blockAlign="center">
+                            <Text variant="bodyMd" as="p">
+                              {item.name}
+                            </Text>
+                            <InlineStack gap="2" blockAlign="center">
+                              <TextField
+                                label="Quantity"
+                                labelHidden
+                                type="number"
+                                value={String(item.quantity)}
+                                onChange={handleQuantityChange(item.variant_id)}
+                                autoComplete="off"
+                              />
+                              <Button
+                                icon={<Icon source={DeleteIcon} />}
+                                onClick={() => handleRemoveFromCart(item.variant_id)}
+                                accessibilityLabel="Remove from cart"
+                              />
+                            </InlineStack>
+                          </InlineStack>
+                        </ResourceItem>
+                      )}
+                      emptyState={
+                        <Box padding="4">
+                          <Text as="p" variant="bodyMd">
+                            The cart is empty. Search for products to add them.
+                          </Text>
+                        </Box>
+                      }
+                    />
+                  </BlockStack>
+                </Box>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <BlockStack gap="4">
+                    <Text as="h2" variant="headingMd">
+                      Destination
+                    </Text>
+                    <FormLayout>
+                      <FormLayout.Group condensed>
+                        <TextField
+                          label="Country"
+                          value={destination.country}
+                          onChange={(value) => setDestination({ ...destination, country: value })}
+                          autoComplete="off"
+                          placeholder="AT"
+                        />
+                        <TextField
+                          label="Province"
+                          value={destination.province}
+                          onChange={(value) => setDestination({ ...destination, province: value })}
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label="Postal code"
+                          value={destination.postal_code}
+                          onChange={(value) => setDestination({ ...destination, postal_code: value })}
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label="City"
+                          value={destination.city}
+                          onChange={(value) => setDestination({ ...destination, city: value })}
+                          autoComplete="off"
+                        />
+                      </FormLayout.Group>
+                      <TextField
+                        label="Currency"
+                        value={currency}
+                        onChange={setCurrency}
+                        autoComplete="off"
+                        placeholder="EUR"
+                      />
+                      <Checkbox
+                        label="Preview the draft"
+                        helpText="Quote unpublished changes instead of what checkout shows today"
+                        checked={previewDraft}
+                        onChange={setPreviewDraft}
+                      />
+                      <Button primary onClick={handlePreview}>
+                        Get rates
+                      </Button>
+                    </FormLayout>
+                  </BlockStack>
+                </Box>
+              </Card>
+            </Layout.Section>
+
+            {rates !== null && (
+              <Layout.Section>
+                <Card>
+                  <BlockStack gap="4">
+                    <Box padding="4">
+                      <Text as="h2" variant="headingMd">
+                        Rates at checkout
+                      </Text>
+                    </Box>
+                    <ResourceList
+                      items={rates}
+                      renderItem={(rate) => (
+                        <ResourceItem id={`${rate.service_code}-${rate.service_name}`}>
+                          <Box padding="4">
+                            <InlineStack align="space-between">
+                              <BlockStack gap="1">
+                                <Text variant="headingSm" as="h3">
+                                  {rate.service_name}
+                                </Text>
+                                <Text variant="bodySm" as="p" tone="subdued">
+                                  {rate.description}
+                                </Text>
+                                <Text variant="bodySm" as="p" tone="subdued">
+                                  Delivery {formatDate(rate.min_delivery_date)} – {formatDate(rate.max_delivery_date)}
+                                </Text>
+                              </BlockStack>
+                              <Text variant="headingSm" as="p">
+                                {formatPrice(rate.total_price, rate.currency)}
+                              </Text>
+                            </InlineStack>
+                          </Box>
+                        </ResourceItem>
+                      )}
+                      emptyState={
+                        <Box padding="4">
+                          <Text as="p" variant="bodyMd">
+                            No rates: the customer couldn't check out with this cart and destination.
+                          </Text>
+                        </Box>
+                      }
+                    />
+                  </BlockStack>
+                </Card>
+              </Layout.Section>
+            )}
+          </Layout>
+        </BlockStack>
+      </Page>
+    </Frame>
+  );
+}
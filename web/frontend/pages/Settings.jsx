@@ -0,0 +1,443 @@
+import { useState, useCallback, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  TextField,
+  Button,
+  FormLayout,
+  Banner,
+  Loading,
+  Frame,
+  Toast,
+  BlockStack,
+  Box,
+  Select,
+  Checkbox,
+  InlineStack,
+  Badge,
+} from "@shopify/polaris";
+import { useAuthenticatedFetch } from "../hooks";
+
+const WEIGHT_UNIT_OPTIONS = [
+  { label: "Kilograms (kg)", value: "kg" },
+  { label: "Grams (g)", value: "g" },
+  { label: "Pounds (lb)", value: "lb" },
+  { label: "Ounces (oz)", value: "oz" },
+];
+
+const STRATEGY_OPTIONS = [
+  { label: "Only the cheapest rate", value: "cheapest" },
+  { label: "The cheapest and the fastest rate", value: "cheapest_and_fastest" },
+  { label: "The cheapest few rates", value: "top_n" },
+  { label: "A preferred carrier unless another is much cheaper", value: "preferred_carrier" },
+  { label: "Every rate", value: "all" },
+];
+
+const FALLBACK_OPTIONS = [
+  { label: "No rate", value: "none" },
+  { label: "A \"contact us\" rate", value: "contact" },
+];
+
+// The GDPR webhooks Shopify sends on behalf of customers and the shop
+const PRIVACY_TOPICS = {
+  CUSTOMERS_DATA_REQUEST: "Customer data request",
+  CUSTOMERS_REDACT: "Customer data deletion",
+  SHOP_REDACT: "Shop data deletion",
+};
+
+const PRIVACY_STATUS_BADGES = {
+  received: { status: "info", label: "In progress" },
+  completed: { status: "success", label: "Completed" },
+  failed: { status: "critical", label: "Failed" },
+};
+
+// Settings come typed from the API; numbers are edited as text and prices in
+// currency units instead of cents
+const toForm = (settings) => ({
+  ...settings,
+  rate_selection_top_n: String(settings.rate_selection_top_n),
+  rate_selection_preferred_carrier_id: settings.rate_selection_preferred_carrier_id == null
+    ? ""
+    : String(settings.rate_selection_preferred_carrier_id),
+  rate_selection_preferred_margin: String(settings.rate_selection_preferred_margin),
+  fallback_rate_price: (settings.fallback_rate_price / 100).toFixed(2),
+  order_cutoff_time: settings.order_cutoff_time || "",
+  rate_log_retention_days: String(settings.rate_log_retention_days),
+});
+
+const toPayload = (form) => ({
+  ...form,
+  default_currency: form.default_currency.trim().toUpperCase(),
+  rate_selection_top_n: parseInt(form.rate_selection_top_n, 10),
+  rate_selection_preferred_carrier_id: form.rate_selection_preferred_carrier_id
+    ? parseInt(form.rate_selection_preferred_carrier_id, 10)
+    : null,
+  rate_selection_preferred_margin: parseFloat(form.rate_selection_preferred_margin.replace(",", ".")),
+  fallback_rate_price: Math.round(parseFloat(form.fallback_rate_price.replace(",", ".")) * 100),
+  timezone: form.timezone.trim(),
+  order_cutoff_time: form.order_cutoff_time.trim() || null,
+  rate_log_retention_days: parseInt(form.rate_log_retention_days, 10),
+});
+
+export default function Settings() {
+  const fetch = useAuthenticatedFetch();
+  const [form, setForm] = useState(null);
+  const [carriers, setCarriers] = useState([]);
+  const [privacyRequests, setPrivacyRequests] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [toastActive, setToastActive] = useState(false);
+  const [toastContent, setToastContent] = useState("");
+  const [errorBanner, setErrorBanner] = useState("");
+
+  // Load the settings and the carriers a preferred carrier is chosen from on component mount
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [settingsResponse, carriersResponse, privacyResponse] = await Promise.all([
+        fetch("/api/settings"),
+        fetch("/api/carriers"),
+        fetch("/api/privacy-requests"),
+      ]);
+      if (settingsResponse.ok && carriersResponse.ok) {
+        setForm(toForm(await settingsResponse.json()));
+        setCarriers(await carriersResponse.json());
+        setPrivacyRequests(privacyResponse.ok ? await privacyResponse.json() : []);
+      } else {
+        const error = await (settingsResponse.ok ? carriersResponse : settingsResponse).text();
+        setErrorBanner(`Failed to load settings: ${error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const handleChange = useCallback(
+    (field) => (value) => setForm((current) => ({ ...current, [field]: value })),
+    []
+  );
+
+  const handleSave = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/settings", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(toPayload(form)),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setForm(toForm(data.settings));
+        setToastContent("Settings saved successfully");
+        setToastActive(true);
+      } else {
+        setErrorBanner(`Failed to save settings: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, form]);
+
+  // The report needs the session token, so download it through the
+  // authenticated fetch instead of a plain link
+  const handleDownloadReport = useCallback(async (request) => {
+    try {
+      const response = await fetch(`/api/privacy-requests/${request.id}`);
+      if (!response.ok) {
+        setErrorBanner("Failed to download the report");
+        return;
+      }
+
+      const { result } = await response.json();
+      const blob = new Blob([JSON.stringify(result.report, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `customer-${request.customer_id}-data.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    }
+  }, [fetch]);
+
+  const dismissToast = useCallback(() => setToastActive(false), []);
+
+  const dismissErrorBanner = useCallback(() => setErrorBanner(""), []);
+
+  // Render loading UI
+  if (!form) {
+    return (
+      <Frame>
+        {isLoading && <Loading />}
+        <Page title="Settings">
+          {errorBanner && (
+            <Banner status="critical" onDismiss={dismissErrorBanner}>
+              {errorBanner}
+            </Banner>
+          )}
+        </Page>
+      </Frame>
+    );
+  }
+
+  return (
+    <Frame>
+      {isLoading && <Loading />}
+      {toastActive && (
+        <Toast content={toastContent} onDismiss={dismissToast} />
+      )}
+
+      <Page
+        title="Settings"
+        subtitle="Defaults the rate calculator and the admin work with"
+        primaryAction={{ content: "Save", onAction: handleSave }}
+      >
+        <BlockStack gap="4">
+          {errorBanner && (
+            <Banner status="critical" onDismiss={dismissErrorBanner}>
+              {errorBanner}
+            </Banner>
+          )}
+
+          <Layout>
+            <Layout.AnnotatedSection
+              title="General"
+              description="The currency of rate requests that don't name one and of the amounts of thresholds, rules and the contact rate, and the unit weights are shown and edited in."
+            >
+              <Card>
+                <Box padding="4">
+                  <FormLayout>
+                    <FormLayout.Group>
+                      <TextField
+                        label="Default currency"
+                        value={form.default_currency}
+                        onChange={handleChange("default_currency")}
+                        autoComplete="off"
+                        placeholder="EUR"
+                      />
+                      <Select
+                        label="Weight unit"
+                        options={WEIGHT_UNIT_OPTIONS}
+                        value={form.weight_unit}
+                        onChange={handleChange("weight_unit")}
+                      />
+                    </FormLayout.Group>
+                  </FormLayout>
+                </Box>
+              </Card>
+            </Layout.AnnotatedSection>
+
+            <Layout.AnnotatedSection
+              title="Rates at checkout"
+              description="Which of the calculated rates customers get to choose from."
+            >
+              <Card>
+                <Box padding="4">
+                  <FormLayout>
+                    <Select
+                      label="Offer"
+                      options={STRATEGY_OPTIONS}
+                      value={form.rate_selection_strategy}
+                      onChange={handleChange("rate_selection_strategy")}
+                    />
+                    {form.rate_selection_strategy === "top_n" && (
+                      <TextField
+                        label="Number of rates"
+                        type="number"
+                        value={form.rate_selection_top_n}
+                        onChange={handleChange("rate_selection_top_n")}
+                        autoComplete="off"
+                      />
+                    )}
+                    {form.rate_selection_strategy === "preferred_carrier" && (
+                      <FormLayout.Group>
+                        <Select
+                          label="Preferred carrier"
+                          options={[
+                            { label: "Choose a carrier", value: "" },
+                            ...carriers.map((carrier) => ({ label: carrier.name, value: String(carrier.id) })),
+                          ]}
+                          value={form.rate_selection_preferred_carrier_id}
+                          onChange={handleChange("rate_selection_preferred_carrier_id")}
+                        />
+                        <TextField
+                          label="Margin (%)"
+                          value={form.rate_selection_preferred_margin}
+                          onChange={handleChange("rate_selection_preferred_margin")}
+                          autoComplete="off"
+                          helpText="Offer a cheaper carrier instead when it is more than this much cheaper"
+                        />
+                      </FormLayout.Group>
+                    )}
+                    <Checkbox
+                      label="Leave gift cards out of the free shipping subtotal"
+                      checked={form.threshold_exclude_gift_cards}
+                      onChange={handleChange("threshold_exclude_gift_cards")}
+                    />
+                    <Checkbox
+                      label="Leave items that don't need shipping out of the free shipping subtotal"
+                      checked={form.threshold_exclude_non_shipping}
+                      onChange={handleChange("threshold_exclude_non_shipping")}
+                    />
+                  </FormLayout>
+                </Box>
+              </Card>
+            </Layout.AnnotatedSection>
+
+            <Layout.AnnotatedSection
+              title="When no carrier can ship the cart"
+              description="Offer no rate, or a rate customers can order with while you quote the shipping yourself."
+            >
+              <Card>
+                <Box padding="4">
+                  <FormLayout>
+                    <Select
+                      label="Offer"
+                      options={FALLBACK_OPTIONS}
+                      value={form.fallback_rate_mode}
+                      onChange={handleChange("fallback_rate_mode")}
+                    />
+                    {form.fallback_rate_mode === "contact" && (
+                      <BlockStack gap="4">
+                        <FormLayout.Group>
+                          <TextField
+                            label="Rate name"
+                            value={form.fallback_rate_name}
+                            onChange={handleChange("fallback_rate_name")}
+                            autoComplete="off"
+                          />
+                          <TextField
+                            label={`Price (in ${form.default_currency || "EUR"})`}
+                            value={form.fallback_rate_price}
+                            onChange={handleChange("fallback_rate_price")}
+                            autoComplete="off"
+                            helpText="Converted into the checkout currency"
+                          />
+                        </FormLayout.Group>
+                        <TextField
+                          label="Description"
+                          value={form.fallback_rate_description}
+                          onChange={handleChange("fallback_rate_description")}
+                          autoComplete="off"
+                        />
+                      </BlockStack>
+                    )}
+                  </FormLayout>
+                </Box>
+              </Card>
+            </Layout.AnnotatedSection>
+
+            <Layout.AnnotatedSection
+              title="Delivery dates"
+              description="The timezone delivery dates are calculated in and the daily order cut-off."
+            >
+              <Card>
+                <Box padding="4">
+                  <FormLayout>
+                    <FormLayout.Group>
+                      <TextField
+                        label="Timezone"
+                        value={form.timezone}
+                        onChange={handleChange("timezone")}
+                        autoComplete="off"
+                        placeholder="Europe/Vienna"
+                      />
+                      <TextField
+                        label="Daily cut-off time"
+                        value={form.order_cutoff_time}
+                        onChange={handleChange("order_cutoff_time")}
+                        autoComplete="off"
+                        placeholder="14:00"
+                        helpText="Leave empty to ship the same day"
+                      />
+                    </FormLayout.Group>
+                  </FormLayout>
+                </Box>
+              </Card>
+            </Layout.AnnotatedSection>
+
+            <Layout.AnnotatedSection
+              title="Rate log"
+              description="How long rate requests are kept for debugging."
+            >
+              <Card>
+                <Box padding="4">
+                  <FormLayout>
+                    <TextField
+                      label="Keep rate requests for (days)"
+                      type="number"
+                      value={form.rate_log_retention_days}
+                      onChange={handleChange("rate_log_retention_days")}
+                      autoComplete="off"
+                    />
+                  </FormLayout>
+                </Box>
+              </Card>
+            </Layout.AnnotatedSection>
+
+            <Layout.AnnotatedSection
+              title="Privacy requests"
+              description="Data requests and deletions Shopify sent on behalf of your customers, and what the app did. Hand the report of a data request to the customer."
+            >
+              <Card>
+                <Box padding="4">
+                  <BlockStack gap="3">
+                    {privacyRequests.length === 0 && (
+                      <Text as="p" tone="subdued">
+                        No privacy requests yet.
+                      </Text>
+                    )}
+                    {privacyRequests.map((request) => {
+                      const badge = PRIVACY_STATUS_BADGES[request.status] || PRIVACY_STATUS_BADGES.received;
+                      return (
+                        <InlineStack key={request.id} align="space-between">
+                          <BlockStack gap="1">
+                            <InlineStack gap="2">
+                              <Text as="span" variant="headingSm">
+                                {PRIVACY_TOPICS[request.topic] || request.topic}
+                              </Text>
+                              <Badge status={badge.status}>{badge.label}</Badge>
+                            </InlineStack>
+                            <Text as="span" variant="bodySm" tone="subdued">
+                              {new Date(request.received_at).toLocaleString()}
+                              {request.customer_id ? ` · customer ${request.customer_id}` : ""}
+                            </Text>
+                          </BlockStack>
+                          {request.topic === "CUSTOMERS_DATA_REQUEST" && request.status === "completed" && (
+                            <Button onClick={() => handleDownloadReport(request)}>
+                              Download report
+                            </Button>
+                          )}
+                        </InlineStack>
+                      );
+                    })}
+                  </BlockStack>
+                </Box>
+              </Card>
+            </Layout.AnnotatedSection>
+
+            <Layout.Section>
+              <Button primary onClick={handleSave}>
+                Save
+              </Button>
+            </Layout.Section>
+          </Layout>
+        </BlockStack>
+      </Page>
+    </Frame>
+  );
+}
@@ -0,0 +1,469 @@
+import { useState, useCallback, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  ResourceList,
+  ResourceItem,
+  Text,
+  TextField,
+  Button,
+  ButtonGroup,
+  FormLayout,
+  Banner,
+  Modal,
+  Loading,
+  Frame,
+  Toast,
+  Icon,
+  InlineStack,
+  BlockStack,
+  Box,
+  ChoiceList,
+} from "@shopify/polaris";
+import { DeleteIcon, EditIcon } from "@shopify/polaris-icons";
+import { useAuthenticatedFetch } from "../hooks";
+
+const EMPTY_LOCATION = { country: "", provinces: "", postalCodes: "" };
+const EMPTY_ZONE = { id: null, name: "", locations: [EMPTY_LOCATION], carrierIds: [], transit: {} };
+
+// Split a comma-separated input into trimmed, non-empty values
+const splitList = (value) =>
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+export default function Zones() {
+  const fetch = useAuthenticatedFetch();
+  const [zones, setZones] = useState([]);
+  const [carriers, setCarriers] = useState([]);
+  const [zoneForm, setZoneForm] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [toastActive, setToastActive] = useState(false);
+  const [toastContent, setToastContent] = useState("");
+  const [errorBanner, setErrorBanner] = useState("");
+  const [deleteModalOpen, setDeleteModalOpen] = useState(false);
+  const [zoneToDelete, setZoneToDelete] = useState(null);
+
+  // Load zones and carriers on component mount
+  useEffect(() => {
+    fetchZones();
+  }, []);
+
+  const fetchZones = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [zonesResponse, carriersResponse] = await Promise.all([
+        fetch("/api/zones"),
+        fetch("/api/carriers"),
+      ]);
+      if (zonesResponse.ok && carriersResponse.ok) {
+        setZones(await zonesResponse.json());
+        setCarriers(await carriersResponse.json());
+      } else {
+        const error = await (zonesResponse.ok ? carriersResponse : zonesResponse).text();
+        setErrorBanner(`Failed to load zones: ${error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch]);
+
+  const openZoneForm = useCallback((zone) => {
+    if (!zone) {
+      setZoneForm(EMPTY_ZONE);
+      return;
+    }
+    setZoneForm({
+      id: zone.id,
+      name: zone.name,
+      locations: zone.locations.map((location) => ({
+        country: location.country,
+        provinces: (location.provinces || []).join(", "),
+        postalCodes: (location.postal_codes || []).join(", "),
+      })),
+      carrierIds: zone.carrier_ids.map(String),
+      transit: Object.fromEntries(
+        zone.transit_times.map((transit) => [
+          String(transit.carrier_id),
+          {
+            min: transit.min_transit_days == null ? "" : String(transit.min_transit_days),
+            max: transit.max_transit_days == null ? "" : String(transit.max_transit_days),
+          },
+        ])
+      ),
+    });
+  }, []);
+
+  const handleTransitChange = useCallback(
+    (carrierId, field) => (value) => {
+      setZoneForm((current) => ({
+        ...current,
+        transit: {
+          ...current.transit,
+          [carrierId]: { min: "", max: "", ...current.transit[carrierId], [field]: value.replace(/[^0-9]/g, "") },
+        },
+      }));
+    },
+    []
+  );
+
+  const handleLocationChange = useCallback(
+    (index, field) => (value) => {
+      setZoneForm((current) => ({
+        ...current,
+        locations: current.locations.map((location, i) =>
+          i === index ? { ...location, [field]: value } : location
+        ),
+      }));
+    },
+    []
+  );
+
+  const handleAddLocation = useCallback(() => {
+    setZoneForm((current) => ({
+      ...current,
+      locations: [...current.locations, EMPTY_LOCATION],
+    }));
+  }, []);
+
+  const handleRemoveLocation = useCallback((index) => {
+    setZoneForm((current) => ({
+      ...current,
+      locations: current.locations.filter((_, i) => i !== index),
+    }));
+  }, []);
+
+  const handleSaveZone = useCallback(async () => {
+    if (!zoneForm.name) {
+      setErrorBanner("Zone name is required");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch(
+        zoneForm.id ? `/api/zones/${zoneForm.id}` : "/api/zones",
+        {
+          method: zoneForm.id ? "PUT" : "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            name: zoneForm.name,
+            locations: zoneForm.locations.map((location) => ({
+              country: location.country.trim().toUpperCase(),
+              provinces: splitList(location.provinces),
+              postal_codes: splitList(location.postalCodes),
+            })),
+            carrier_ids: zoneForm.carrierIds.map(Number),
+            // Only carriers whose transit time differs from their default
+            transit_times: zoneForm.carrierIds
+              .filter((id) => zoneForm.transit[id]?.min || zoneForm.transit[id]?.max)
+              .map((id) => ({
+                carrier_id: Number(id),
+                min_transit_days: zoneForm.transit[id].min === "" ? null : parseInt(zoneForm.transit[id].min, 10),
+                max_transit_days: zoneForm.transit[id].max === "" ? null : parseInt(zoneForm.transit[id].max, 10),
+              })),
+          }),
+        }
+      );
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setToastContent(`Zone "${zoneForm.name}" saved successfully`);
+        setToastActive(true);
+        setZones(data.zones);
+        setZoneForm(null);
+      } else {
+        setErrorBanner(`Failed to save zone: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetch, zoneForm]);
+
+  const handleDeleteZone = useCallback(async () => {
+    if (!zoneToDelete) return;
+
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/zones/${zoneToDelete.id}`, {
+        method: "DELETE",
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setToastContent(`Zone "${zoneToDelete.name}" deleted successfully`);
+        setToastActive(true);
+        setZones(data.zones);
+      } else {
+        setErrorBanner(`Failed to delete zone: ${data.error}`);
+      }
+    } catch (error) {
+      setErrorBanner(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+      setZoneToDelete(null);
+      setDeleteModalOpen(false);
+    }
+  }, [fetch, zoneToDelete]);
+
+  const confirmDelete = useCallback((zone) => {
+    setZoneToDelete(zone);
+    setDeleteModalOpen(true);
+  }, []);
+
+  const dismissToast = useCallback(() => setToastActive(false), []);
+
+  const dismissErrorBanner = useCallback(() => setErrorBanner(""), []);
+
+  const describeLocation = (location) => {
+    const parts = [location.country];
+    if (location.provinces?.length) parts.push(location.provinces.join(", "));
+    if (location.postal_codes?.length) parts.push(location.postal_codes.join(", "));
+    return parts.join(" · ");
+  };
+
+  const carrierNames = (carrierIds) =>
+    carriers
+      .filter((carrier) => carrierIds.includes(carrier.id))
+      .map((carrier) => carrier.name)
+      .join(", ") || "No carriers";
+
+  // Render loading UI
+  if (isLoading && zones.length === 0 && carriers.length === 0) {
+    return (
+      <Frame>
+        <Loading />
+        <Page title="Shipping Zones" />
+      </Frame>
+    );
+  }
+
+  return (
+    <Frame>
+      {isLoading && <Loading />}
+      {toastActive && (
+        <Toast content={toastContent} onDismiss={dismissToast} />
+      )}
+
+      <Page
+        title="Shipping Zones"
+        subtitle="Group destinations into zones and choose which carriers deliver there"
+        primaryAction={{ content: "Add zone", onAction: () => openZoneForm(null) }}
+      >
+        <BlockStack gap="4">
+          {errorBanner && (
+            <Banner status="critical" onDismiss={dismissErrorBanner}>
+              {errorBanner}
+            </Banner>
+          )}
+
+          <Layout>
+            <Layout.Section>
+              <Card>
+                <ResourceList
+                  items={zones}
+                  renderItem={(zone) => (
+                    <ResourceItem id={String(zone.id)}>
+                      <Box padding="4">
+                        <InlineStack align="space-between">
+                          <BlockStack gap="1">
+                            <Text variant="headingSm" as="h3">
+                              {zone.name}
+                            </Text>
+                            {zone.locations.map((location, index) => (
+                              <Text key={index} variant="bodyMd" as="p">
+                                {describeLocation(location)}
+                              </Text>
+                            ))}
+                            <Text variant="bodySm" as="p" tone="subdued">
+                              {carrierNames(zone.carrier_ids)}
+                            </Text>
+                          </BlockStack>
+                          <ButtonGroup>
+                            <Button
+                              icon={<Icon source={EditIcon} />}
+                              onClick={() => openZoneForm(zone)}
+                            >
+                              Edit
+                            </Button>
+                            <Button
+                              icon={<Icon source={DeleteIcon} />}
+                              onClick={() => confirmDelete(zone)}
+                              destructive
+                            >
+                              Delete
+                            </Button>
+                          </ButtonGroup>
+                        </InlineStack>
+                      </Box>
+                    </ResourceItem>
+                  )}
+                  emptyState={
+                    <Box padding="4">
+                      <Text as="p" variant="bodyMd">
+                        No zones configured yet. Without zones every carrier ships to every destination.
+                      </Text>
+                    </Box>
+                  }
+                />
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <Box padding="4">
+                  <BlockStack gap="2">
+                    <Text as="h2" variant="headingMd">
+                      How zones are matched
+                    </Text>
+                    <Text as="p" variant="bodyMd">
+                      A destination belongs to a zone when its country matches and, if set,
+                      its province and postal code. Postal codes can be exact ("1010"),
+                      prefixes ("10*") or ranges ("1000-1999"). When several zones match, the
+                      most specific one wins. Once you have zones, carriers are only offered
+                      for destinations in the zones assigned to them. Leave a carrier's
+                      transit time empty to use the one set on the Carriers page.
+                    </Text>
+                  </BlockStack>
+                </Box>
+              </Card>
+            </Layout.Section>
+          </Layout>
+        </BlockStack>
+      </Page>
+
+      {/* Zone editor */}
+      <Modal
+        open={zoneForm !== null}
+        onClose={() => setZoneForm(null)}
+        title={zoneForm?.id ? `Edit ${zoneForm.name}` : "Add zone"}
+        primaryAction={{
+          content: "Save",
+          onAction: handleSaveZone,
+        }}
+        secondaryActions={[
+          {
+            content: "Add location",
+            onAction: handleAddLocation,
+          },
+          {
+            content: "Cancel",
+            onAction: () => setZoneForm(null),
+          },
+        ]}
+      >
+        {zoneForm && (
+          <Modal.Section>
+            <BlockStack gap="4">
+              <TextField
+                label="Zone Name"
+                value={zoneForm.name}
+                onChange={(value) => setZoneForm({ ...zoneForm, name: value })}
+                autoComplete="off"
+                placeholder="e.g., Austria, EU, Islands"
+              />
+              {zoneForm.locations.map((location, index) => (
+                <FormLayout key={index}>
+                  <FormLayout.Group condensed>
+                    <TextField
+                      label="Country"
+                      value={location.country}
+                      onChange={handleLocationChange(index, "country")}
+                      autoComplete="off"
+                      placeholder="AT"
+                    />
+                    <TextField
+                      label="Provinces"
+                      value={location.provinces}
+                      onChange={handleLocationChange(index, "provinces")}
+                      autoComplete="off"
+                      placeholder="Any"
+                    />
+                    <TextField
+                      label="Postal codes"
+                      value={location.postalCodes}
+                      onChange={handleLocationChange(index, "postalCodes")}
+                      autoComplete="off"
+                      placeholder="Any"
+                    />
+                    <Button
+                      icon={<Icon source={DeleteIcon} />}
+                      onClick={() => handleRemoveLocation(index)}
+                      accessibilityLabel="Remove location"
+                    />
+                  </FormLayout.Group>
+                </FormLayout>
+              ))}
+              <ChoiceList
+                allowMultiple
+                title="Carriers delivering to this zone"
+                choices={carriers.map((carrier) => ({
+                  label: carrier.name,
+                  value: String(carrier.id),
+                }))}
+                selected={zoneForm.carrierIds}
+                onChange={(value) => setZoneForm({ ...zoneForm, carrierIds: value })}
+              />
+              <FormLayout>
+                {carriers
+                  .filter((carrier) => zoneForm.carrierIds.includes(String(carrier.id)))
+                  .map((carrier) => (
+                    <FormLayout.Group condensed key={carrier.id}>
+                      <TextField
+                        label={`${carrier.name}: min transit (business days)`}
+                        value={zoneForm.transit[carrier.id]?.min || ""}
+                        onChange={handleTransitChange(String(carrier.id), "min")}
+                        autoComplete="off"
+                        placeholder={String(carrier.min_transit_days)}
+                      />
+                      <TextField
+                        label={`${carrier.name}: max transit (business days)`}
+                        value={zoneForm.transit[carrier.id]?.max || ""}
+                        onChange={handleTransitChange(String(carrier.id), "max")}
+                        autoComplete="off"
+                        placeholder={String(carrier.max_transit_days)}
+                      />
+                    </FormLayout.Group>
+                  ))}
+              </FormLayout>
+            </BlockStack>
+          </Modal.Section>
+        )}
+      </Modal>
+
+      {/* Delete confirmation modal */}
+      <Modal
+        open={deleteModalOpen}
+        onClose={() => setDeleteModalOpen(false)}
+        title={`Delete ${zoneToDelete?.name}`}
+        primaryAction={{
+          content: "Delete",
+          onAction: handleDeleteZone,
+          destructive: true,
+        }}
+        secondaryActions={[
+          {
+            content: "Cancel",
+            onAction: () => setDeleteModalOpen(false),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <Text as="p">
+            Are you sure you want to delete the zone "{zoneToDelete?.name}"? Its rate tables are deleted as well. This action cannot be undone.
+          </Text>
+        </Modal.Section>
+      </Modal>
+    </Frame>
+  );
+}
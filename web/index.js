@@ -9,17 +9,76 @@ import dotenv from 'dotenv';
 import shopify from "./shopify.js";
 import productCreator from "./product-creator.js";
 import PrivacyWebhookHandlers from "./privacy.js";
-import { initializeDB, getCarriers, addCarrier, updateCarrier, deleteCarrier } from './database.js';
+import AppWebhookHandlers from "./app-webhooks.js";
+import ProductWebhookHandlers from "./product-webhooks.js";
+import { initializeDB, getSetting, setSetting, listenForConfigChanges } from './database.js';
+import { seedDefaultCarriers } from './database/models/carrier.js';
+import { purgeRateLogs } from './database/models/rateLog.js';
+import { claimUnscopedRows, markShopInstalled } from './database/models/shop.js';
+import { getShopsWithoutConfigVersion } from './database/models/configVersion.js';
+import carrierRoutes from './routes/carrier.js';
+import ruleRoutes from './routes/rules.js';
+import zoneRoutes from './routes/zones.js';
+import settingsRoutes from './routes/settings.js';
+import thresholdRoutes from './routes/thresholds.js';
+import surchargeRoutes from './routes/surcharges.js';
+import exchangeRateRoutes from './routes/exchangeRates.js';
+import classRestrictionRoutes from './routes/classRestrictions.js';
+import shippingRoutes from './routes/shipping.js';
+import holidayRoutes from './routes/holidays.js';
+import rateRoutes from './routes/rates.js';
+import rateLogRoutes from './routes/rateLogs.js';
+import internalRoutes from './routes/internal.js';
+import productAttributeRoutes from './routes/productAttributes.js';
+import configVersionRoutes from './routes/configVersions.js';
+import priceScheduleRoutes from './routes/priceSchedules.js';
+import privacyRequestRoutes from './routes/privacyRequests.js';
+import { invalidateShippingConfig, publishFirstVersion, refreshShippingConfig } from './services/rateQuote.js';
+import { invalidateConfigOnWrite } from './middleware/configCache.js';
+import { parseSignedJson, requireShopifyHmac } from './middleware/carrierService.js';
+import { ensureProductMetafieldDefinitions, syncAllProducts } from './services/productSync.js';
 
 // Load environment variables
 dotenv.config();
 
 // Initialize the database when the app starts
-initializeDB().catch(error => {
+initializeDB().then(publishMissingFirstVersions, error => {
   console.error("Failed to initialize database:", error);
   process.exit(1);
 });
 
+// Shops configured before first versions were published at install get
+// theirs at startup, so rate requests never have to write one
+async function publishMissingFirstVersions() {
+  try {
+    const shops = await getShopsWithoutConfigVersion();
+    for (const shop of shops) {
+      await publishFirstVersion(shop);
+    }
+    if (shops.length > 0) {
+      console.log(`Published the first configuration version of ${shops.length} shop(s)`);
+    }
+  } catch (error) {
+    console.error("Error publishing first configuration versions:", error);
+  }
+}
+
+// Reload a shop's cached shipping config whenever any instance changes it
+listenForConfigChanges(refreshShippingConfig);
+
+// Purge rate requests older than each shop's retention period every hour
+const RATE_LOG_PURGE_INTERVAL = 60 * 60 * 1000;
+setInterval(async () => {
+  try {
+    const { changes } = await purgeRateLogs();
+    if (changes > 0) {
+      console.log(`Purged ${changes} expired rate log entries`);
+    }
+  } catch (error) {
+    console.error("Error purging rate logs:", error);
+  }
+}, RATE_LOG_PURGE_INTERVAL);
+
 const PORT = parseInt(
   process.env.BACKEND_PORT || process.env.PORT || "3000",
   10
@@ -39,17 +98,42 @@ app.get(
   shopify.config.auth.callbackPath,
   shopify.auth.callback(),
   async (req, res, next) => {
-    // After successful install or re-auth, register the Carrier Service
+    // After successful install or re-auth, set up the shop's carriers,
+    // register the Carrier Service and mirror the products' shipping attributes.
+    // A reinstall before the shop's data was deleted picks up its configuration
+    // where it was left, defaults are only seeded when there is none.
     const session = res.locals.shopify.session;
+    try {
+      const previousInstallation = await markShopInstalled(session.shop);
+      await claimUnscopedRows(session.shop);
+      const { changes } = await seedDefaultCarriers(session.shop);
+      if (previousInstallation?.uninstalled_at) {
+        console.log(changes > 0
+          ? `${session.shop} reinstalled the app, its configuration was deleted, seeded the default carriers`
+          : `${session.shop} reinstalled the app, restored its configuration`);
+      }
+    } catch (error) {
+      console.error(`Error setting up carriers for ${session.shop}:`, error);
+    }
+    await storeShopTimezone(session);
+    await publishInitialConfig(session);
+    invalidateShippingConfig(session.shop);
     await registerCarrierService(session);
+    syncProducts(session);
     return shopify.redirectToShopifyOrAppRoot()(req, res, next);
   }
 );
 app.post(
   shopify.config.webhooks.path,
-  shopify.processWebhooks({ webhookHandlers: PrivacyWebhookHandlers })
+  shopify.processWebhooks({
+    webhookHandlers: { ...PrivacyWebhookHandlers, ...AppWebhookHandlers, ...ProductWebhookHandlers }
+  })
 );
 
+// Carrier Service endpoint called by Shopify without a session; it parses its
+// own body, since requests are verified against the raw bytes
+app.use("/carrier-service", parseSignedJson, requireShopifyHmac, shippingRoutes);
+
 // API routes should be protected with authentication
 app.use("/api/*", shopify.validateAuthenticatedSession());
 app.use(express.json());
@@ -69,162 +153,116 @@ async function registerCarrierService(session) {
   }
 }
 
-// Carrier Service endpoint that doesn't need auth since it's called by Shopify
-app.post("/carrier-service", express.json(), async (req, res) => {
-  const request = req.body;
-  console.log("Received rate request:", JSON.stringify(request, null, 2));
-
+// Define the product shipping metafields and copy every product's attributes
+// into the local table. Runs in the background, large catalogs take a while.
+async function syncProducts(session) {
   try {
-    // Get carriers from database
-    const carriers = await getCarriers();
-    
-    if (carriers.length === 0) {
-      console.log("No carriers configured");
-      return res.status(200).json({ rates: [] });
-    }
-
-    // Sum up total weight (in grams)
-    const totalWeightGrams = request.rate.items.reduce(
-      (acc, item) => acc + item.grams * item.quantity,
-      0
-    );
-
-    // Convert grams to kg
-    const totalWeightKg = totalWeightGrams / 1000;
-    const maxParcelWeight = 31.5; // Maximum weight per parcel in kg
-    
-    // Calculate number of parcels needed (round up)
-    const parcels = Math.ceil(totalWeightKg / maxParcelWeight);
-    
-    console.log(`Order weight: ${totalWeightKg}kg, requires ${parcels} parcel(s)`);
-
-    // Build rates for each carrier
-    const rates = carriers.map((carrier) => ({
-      service_name: `${carrier.name} (${parcels} parcel${parcels > 1 ? "s" : ""})`,
-      service_code: carrier.name.toLowerCase(),
-      total_price: carrier.price * parcels, // price is in cents, e.g. 1000 => €10
-      currency: request.rate.currency || "EUR", // Use store's currency or default to EUR
-      min_delivery_date: new Date(Date.now() + 1 * 86400000).toISOString(), // Tomorrow
-      max_delivery_date: new Date(Date.now() + 5 * 86400000).toISOString(), // 5 days from now
-      description: `Delivery via ${carrier.name}, split into ${parcels} parcel(s)`,
-    }));
-
-    // Sort rates by price (ascending) and pick the cheapest
-    rates.sort((a, b) => a.total_price - b.total_price);
-    const cheapestRate = rates[0];
-    
-    console.log("Returning cheapest rate:", cheapestRate);
-    
-    // Return only the cheapest rate to Shopify
-    res.status(200).json({ rates: [cheapestRate] });
-  } catch (error) {
-    console.error("Error calculating shipping rates:", error);
-    res.status(500).json({ error: "Error calculating shipping rates" });
-  }
-});
-
-// API route handlers for carriers
-app.get("/api/carriers", async (_req, res) => {
-  try {
-    const carriers = await getCarriers();
-    res.json(carriers);
+    const client = new shopify.api.clients.Graphql({ session });
+    await ensureProductMetafieldDefinitions(client);
+    const { changes } = await syncAllProducts(session.shop, client);
+    console.log(`Synced the shipping attributes of ${changes} products of ${session.shop}`);
   } catch (error) {
-    console.error("Error fetching carriers:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Failed to fetch carriers" 
-    });
+    console.error(`Error syncing the products of ${session.shop}:`, error.message);
   }
-});
+}
 
-app.post("/api/carriers", async (req, res) => {
-  const { name, price } = req.body;
-  
-  // Validate input
-  if (!name || typeof price !== 'number' || price <= 0) {
-    return res.status(400).json({ 
-      success: false, 
-      error: "Invalid carrier data. Name and price (in cents) are required." 
-    });
-  }
-  
+// Publish the shop's configuration set up at install as its first version,
+// which checkout answers from
+async function publishInitialConfig(session) {
   try {
-    await addCarrier(name, parseInt(price, 10));
-    const carriers = await getCarriers();
-    res.status(200).json({ success: true, carriers });
+    await publishFirstVersion(session.shop);
   } catch (error) {
-    // Check for duplicate name constraint violation
-    if (error.message.includes('unique') || error.message.includes('duplicate')) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "A carrier with this name already exists" 
-      });
-    }
-    
-    console.error("Error adding carrier:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Failed to add carrier" 
-    });
+    console.error(`Error publishing the first configuration of ${session.shop}:`, error.message);
   }
-});
+}
 
-app.put("/api/carriers/:name", async (req, res) => {
-  const { name } = req.params;
-  const { price } = req.body;
-  
-  // Validate input
-  if (typeof price !== 'number' || price <= 0) {
-    return res.status(400).json({ 
-      success: false, 
-      error: "Invalid price. Price (in cents) must be a positive number." 
-    });
-  }
-  
+// Default the delivery date cut-off to the shop's own timezone
+async function storeShopTimezone(session) {
   try {
-    const result = await updateCarrier(name, parseInt(price, 10));
-    
-    if (result.changes === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        error: "Carrier not found" 
-      });
+    if (await getSetting(session.shop, "timezone")) {
+      return;
     }
-    
-    const carriers = await getCarriers();
-    res.status(200).json({ success: true, carriers });
+    const client = new shopify.api.clients.Graphql({ session });
+    const { data } = await client.request(`
+      query shopTimezone {
+        shop {
+          ianaTimezone
+        }
+      }
+    `);
+    await setSetting(session.shop, "timezone", data.shop.ianaTimezone);
   } catch (error) {
-    console.error("Error updating carrier:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Failed to update carrier" 
-    });
+    console.error(`Error storing the timezone of ${session.shop}:`, error.message);
   }
-});
+}
 
-app.delete("/api/carriers/:name", async (req, res) => {
-  const { name } = req.params;
-  
-  try {
-    const result = await deleteCarrier(name);
-    
-    if (result.changes === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        error: "Carrier not found" 
-      });
-    }
-    
-    const carriers = await getCarriers();
-    res.status(200).json({ success: true, carriers });
-  } catch (error) {
-    console.error("Error deleting carrier:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Failed to delete carrier" 
-    });
-  }
-});
+// Internal endpoints for monitoring, guarded by INTERNAL_API_TOKEN
+app.use("/internal", internalRoutes);
+
+// Routes that change the shop's configuration; new config routes belong in
+// this list so rate requests don't see a stale cached config. Edits go to
+// the draft, checkout only changes once a version is published.
+const CONFIG_ROUTES = [
+  "/api/carriers",
+  "/api/rules",
+  "/api/zones",
+  "/api/thresholds",
+  "/api/surcharges",
+  "/api/price-schedules",
+  "/api/exchange-rates",
+  "/api/class-restrictions",
+  "/api/holidays",
+  "/api/settings",
+  "/api/config-versions"
+];
+
+// Drop the shop's cached shipping config once a write to its config succeeded
+app.use(CONFIG_ROUTES, invalidateConfigOnWrite);
+
+// API route handlers for carriers
+app.use("/api/carriers", carrierRoutes);
+
+// API route handlers for shipping rules
+app.use("/api/rules", ruleRoutes);
+
+// API route handlers for shipping zones
+app.use("/api/zones", zoneRoutes);
+
+// API route handlers for free and discounted shipping thresholds
+app.use("/api/thresholds", thresholdRoutes);
+
+// API route handlers for carrier surcharges
+app.use("/api/surcharges", surchargeRoutes);
+
+// API route handlers for scheduled carrier price and rate table changes
+app.use("/api/price-schedules", priceScheduleRoutes);
+
+// API route handlers for exchange rates and currency rounding
+app.use("/api/exchange-rates", exchangeRateRoutes);
+
+// API route handlers for the shipping classes carriers allow or deny
+app.use("/api/class-restrictions", classRestrictionRoutes);
+
+// API route handlers for public holidays
+app.use("/api/holidays", holidayRoutes);
+
+// API route handlers for the record of the GDPR privacy webhooks
+app.use("/api/privacy-requests", privacyRequestRoutes);
+
+// API route handlers for publishing the draft configuration and rolling back
+app.use("/api/config-versions", configVersionRoutes);
+
+// API route handlers for previewing the rates of a sample cart
+app.use("/api/rates", rateRoutes);
+
+// API route handlers for the rate request log
+app.use("/api/rate-logs", rateLogRoutes);
+
+// API route handlers for product shipping attributes
+app.use("/api/product-attributes", productAttributeRoutes);
+
+// API route handlers for app settings
+app.use("/api/settings", settingsRoutes);
 
 // Other API endpoints
 app.get("/api/products/count", async (_req, res) => {
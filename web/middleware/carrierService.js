@@ -0,0 +1,24 @@
+// web/middleware/carrierService.js
+import express from "express";
+import { isValidShopifyHmac } from '../services/shopifyHmac.js';
+
+/**
+ * Parse the JSON body of a carrier service request, keeping the raw bytes
+ * the signature is computed over
+ */
+export const parseSignedJson = express.json({
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  },
+});
+
+/**
+ * Middleware for the carrier service: only answer requests Shopify signed
+ * with the app's API secret, before the shop they name is looked up
+ */
+export function requireShopifyHmac(req, res, next) {
+  if (!isValidShopifyHmac(req.rawBody, req.get("X-Shopify-Hmac-Sha256"), process.env.SHOPIFY_API_SECRET)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
@@ -0,0 +1,17 @@
+// web/middleware/configCache.js
+import { invalidateShippingConfig } from '../services/rateQuote.js';
+
+/**
+ * Middleware for config routes: drop the shop's cached shipping config once a
+ * write to its configuration succeeded
+ */
+export function invalidateConfigOnWrite(req, res, next) {
+  if (req.method !== "GET") {
+    res.on("finish", () => {
+      if (res.statusCode < 400) {
+        invalidateShippingConfig(res.locals.shopify.session.shop);
+      }
+    });
+  }
+  next();
+}
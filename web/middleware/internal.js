@@ -0,0 +1,16 @@
+// web/middleware/internal.js
+
+/**
+ * Middleware for internal endpoints: only served with INTERNAL_API_TOKEN set,
+ * to callers sending it as a bearer token
+ */
+export function requireInternalToken(req, res, next) {
+  const token = process.env.INTERNAL_API_TOKEN;
+  if (!token) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  if (req.get("Authorization") !== `Bearer ${token}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
@@ -0,0 +1,52 @@
+// web/migrate.js
+// Apply, roll back or list the schema migrations:
+//   node migrate.js up [--to <version>]
+//   node migrate.js down [<steps>]
+//   node migrate.js status
+import pool from './database/connection.js';
+import { migrate, rollback, migrationStatus } from './database/migrator.js';
+
+const USAGE = 'Usage: node migrate.js up [--to <version>] | down [<steps>] | status';
+
+// Parse a whole-number CLI argument, exiting with the usage on anything else.
+// Without a fallback the argument is required.
+function parseCount(value, fallback) {
+  if (value === undefined && fallback !== undefined) return fallback;
+  if (!/^\d+$/.test(value ?? '')) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  return parseInt(value, 10);
+}
+
+async function run([command, ...args]) {
+  if (command === 'up') {
+    if (args.length > 0 && (args[0] !== '--to' || args.length > 2)) {
+      console.error(USAGE);
+      process.exit(1);
+    }
+    const to = args[0] === '--to' ? parseCount(args[1]) : undefined;
+    const applied = await migrate(pool, { to });
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'The schema is up to date');
+  } else if (command === 'down') {
+    const rolledBack = await rollback(pool, { steps: parseCount(args[0], 1) });
+    console.log(`Rolled back ${rolledBack.length} migration(s)`);
+  } else if (command === 'status') {
+    for (const { version, name, applied_at, missing } of await migrationStatus(pool)) {
+      const state = missing ? 'applied, file missing' : applied_at ? `applied ${applied_at.toISOString()}` : 'pending';
+      console.log(`${String(version).padStart(3, '0')}_${name}  ${state}`);
+    }
+  } else {
+    console.error(USAGE);
+    process.exitCode = 1;
+  }
+}
+
+try {
+  await run(process.argv.slice(2));
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -1,4 +1,46 @@
 import { DeliveryMethod } from "@shopify/shopify-api";
+import { deleteShopSessions } from "./app-webhooks.js";
+import {
+  startPrivacyRequest,
+  completePrivacyRequest,
+  failPrivacyRequest,
+  clearCustomerReports
+} from "./database/models/privacyRequest.js";
+import {
+  getCustomerRateLogs,
+  redactCustomerRateLogs,
+  countUnattributedRateLogs
+} from "./database/models/rateLog.js";
+import { purgeShopData } from "./database/models/shop.js";
+import { buildDataRequestReport, customerHashes, describeCustomerMatch } from "./services/privacy.js";
+import { invalidateShippingConfig } from "./services/rateQuote.js";
+
+/**
+ * Record a privacy webhook, run its action and record the result. A failed
+ * action is recorded and thrown, so Shopify delivers the webhook again.
+ */
+async function handlePrivacyRequest(topic, shop, webhookId, payload, action) {
+  const request = await startPrivacyRequest(shop, {
+    topic,
+    webhookId,
+    customerId: payload.customer?.id ?? null,
+    orderIds: payload.orders_requested || payload.orders_to_redact || [],
+  });
+  if (!request) {
+    console.log(`${topic} webhook ${webhookId} of ${shop} was already handled`);
+    return;
+  }
+
+  try {
+    const result = await action();
+    await completePrivacyRequest(request.id, result);
+    console.log(`Handled ${topic} webhook of ${shop} (privacy request ${request.id})`);
+  } catch (error) {
+    console.error(`Error handling ${topic} webhook of ${shop}:`, error);
+    await failPrivacyRequest(request.id, error);
+    throw error;
+  }
+}
 
 /**
  * @type {{[key: string]: import("@shopify/shopify-api").WebhookHandler}}
@@ -6,7 +48,8 @@ import { DeliveryMethod } from "@shopify/shopify-api";
 export default {
   /**
    * Customers can request their data from a store owner. When this happens,
-   * Shopify invokes this privacy webhook.
+   * Shopify invokes this privacy webhook. The report of what is stored about
+   * the customer is kept with the request, for the shop to hand over.
    *
    * https://shopify.dev/docs/apps/webhooks/configuration/mandatory-webhooks#customers-data_request
    */
@@ -14,31 +57,23 @@ export default {
     deliveryMethod: DeliveryMethod.Http,
     callbackUrl: "/api/webhooks",
     callback: async (topic, shop, body, webhookId) => {
+      // Payload: { shop_id, shop_domain, orders_requested, customer: { id, email, phone }, data_request: { id } }
       const payload = JSON.parse(body);
-      // Payload has the following shape:
-      // {
-      //   "shop_id": 954889,
-      //   "shop_domain": "{shop}.myshopify.com",
-      //   "orders_requested": [
-      //     299938,
-      //     280263,
-      //     220458
-      //   ],
-      //   "customer": {
-      //     "id": 191167,
-      //     "email": "john@example.com",
-      //     "phone": "555-625-1199"
-      //   },
-      //   "data_request": {
-      //     "id": 9999
-      //   }
-      // }
+      await handlePrivacyRequest(topic, shop, webhookId, payload, async () => {
+        const hashes = customerHashes(payload.customer, process.env.SHOPIFY_API_SECRET);
+        const rateLogs = hashes.length > 0 ? await getCustomerRateLogs(shop, hashes) : [];
+        const unattributed = await countUnattributedRateLogs(shop);
+        return { report: buildDataRequestReport(payload, rateLogs, unattributed) };
+      });
     },
   },
 
   /**
    * Store owners can request that data is deleted on behalf of a customer. When
-   * this happens, Shopify invokes this privacy webhook.
+   * this happens, Shopify invokes this privacy webhook. The destinations of the
+   * customer's rate requests are scrubbed, as are the reports of their earlier
+   * data requests. Rate requests without an email or phone can't be found;
+   * the result records how many of those are stored.
    *
    * https://shopify.dev/docs/apps/webhooks/configuration/mandatory-webhooks#customers-redact
    */
@@ -46,28 +81,22 @@ export default {
     deliveryMethod: DeliveryMethod.Http,
     callbackUrl: "/api/webhooks",
     callback: async (topic, shop, body, webhookId) => {
+      // Payload: { shop_id, shop_domain, customer: { id, email, phone }, orders_to_redact }
       const payload = JSON.parse(body);
-      // Payload has the following shape:
-      // {
-      //   "shop_id": 954889,
-      //   "shop_domain": "{shop}.myshopify.com",
-      //   "customer": {
-      //     "id": 191167,
-      //     "email": "john@example.com",
-      //     "phone": "555-625-1199"
-      //   },
-      //   "orders_to_redact": [
-      //     299938,
-      //     280263,
-      //     220458
-      //   ]
-      // }
+      await handlePrivacyRequest(topic, shop, webhookId, payload, async () => {
+        const hashes = customerHashes(payload.customer, process.env.SHOPIFY_API_SECRET);
+        const rateLogs = hashes.length > 0 ? await redactCustomerRateLogs(shop, hashes) : { changes: 0 };
+        const reports = payload.customer?.id ? await clearCustomerReports(shop, payload.customer.id) : { changes: 0 };
+        const match = describeCustomerMatch(payload.customer, await countUnattributedRateLogs(shop));
+        return { rate_logs_redacted: rateLogs.changes, reports_redacted: reports.changes, match };
+      });
     },
   },
 
   /**
    * 48 hours after a store owner uninstalls your app, Shopify invokes this
-   * privacy webhook.
+   * privacy webhook. Everything stored for the shop is deleted, including its
+   * sessions; only the record of its privacy requests stays.
    *
    * https://shopify.dev/docs/apps/webhooks/configuration/mandatory-webhooks#shop-redact
    */
@@ -75,12 +104,14 @@ export default {
     deliveryMethod: DeliveryMethod.Http,
     callbackUrl: "/api/webhooks",
     callback: async (topic, shop, body, webhookId) => {
+      // Payload: { shop_id, shop_domain }
       const payload = JSON.parse(body);
-      // Payload has the following shape:
-      // {
-      //   "shop_id": 954889,
-      //   "shop_domain": "{shop}.myshopify.com"
-      // }
+      await handlePrivacyRequest(topic, shop, webhookId, payload, async () => {
+        const { deleted } = await purgeShopData(shop);
+        const sessions = await deleteShopSessions(shop);
+        invalidateShippingConfig(shop);
+        return { deleted: { ...deleted, sessions } };
+      });
     },
   },
 };
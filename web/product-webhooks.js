@@ -0,0 +1,57 @@
+import { DeliveryMethod } from "@shopify/shopify-api";
+import shopify from "./shopify.js";
+import { deleteProductAttributes } from "./database/models/productAttributes.js";
+import { syncProduct } from "./services/productSync.js";
+
+// Admin GraphQL client for a shop from its offline session, which webhooks
+// don't come with
+async function offlineClient(shop) {
+  const session = await shopify.config.sessionStorage.loadSession(
+    shopify.api.session.getOfflineId(shop)
+  );
+  if (!session) {
+    throw new Error(`No offline session for ${shop}`);
+  }
+  return new shopify.api.clients.Graphql({ session });
+}
+
+/**
+ * Keep the local copy of the products' shipping attributes in sync, so rate
+ * requests never have to call the Admin API.
+ *
+ * @type {{[key: string]: import("@shopify/shopify-api").WebhookHandler}}
+ */
+export default {
+  /**
+   * A product or its metafields changed. The payload doesn't carry the
+   * metafields, so the product is read back from the Admin API.
+   */
+  PRODUCTS_UPDATE: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: async (topic, shop, body, webhookId) => {
+      const { id } = JSON.parse(body);
+      try {
+        await syncProduct(shop, await offlineClient(shop), id);
+      } catch (error) {
+        console.error(`Error syncing product ${id} of ${shop}:`, error);
+      }
+    },
+  },
+
+  /**
+   * A product was deleted; its attributes aren't needed anymore.
+   */
+  PRODUCTS_DELETE: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: async (topic, shop, body, webhookId) => {
+      const { id } = JSON.parse(body);
+      try {
+        await deleteProductAttributes(shop, id);
+      } catch (error) {
+        console.error(`Error deleting product ${id} of ${shop}:`, error);
+      }
+    },
+  },
+};
@@ -2,17 +2,108 @@
 import express from "express";
 import { 
   getCarriers, 
+  getCarrier,
+  getCarrierByName,
   addCarrier, 
   updateCarrier, 
-  deleteCarrier 
+  patchCarrier,
+  deleteCarrier,
+  deleteCarrierById,
+  importCarriers,
+  CARRIER_LIMIT_FIELDS,
+  CARRIER_TRANSIT_FIELDS
 } from '../database/models/carrier.js';
+import {
+  getRateTables,
+  getCarrierRateTable,
+  replaceCarrierRateTable
+} from '../database/models/rateTable.js';
+import { getZones } from '../database/models/zone.js';
+import { validateRateBands } from '../services/rateTables.js';
+import { isValidCurrency } from '../services/currency.js';
+import { exportCarriersCsv, planCarrierImport } from '../services/carrierCsv.js';
+import { validateCarrierName } from '../services/carrierNames.js';
 
 const router = express.Router();
 
+// Pick the parcel limits, transit days, currency and checkout details from a
+// request body. Limits must be positive integers or null for no limit, transit
+// days whole numbers of business days. Returns the options or an error message.
+function parseOptions(body) {
+  const options = {};
+  for (const field of CARRIER_LIMIT_FIELDS) {
+    if (!(field in body)) continue;
+    const value = body[field];
+    if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+      return { error: `Invalid ${field}. Limits must be positive whole numbers or null for no limit.` };
+    }
+    options[field] = value;
+  }
+  for (const field of CARRIER_TRANSIT_FIELDS) {
+    if (!(field in body)) continue;
+    const value = body[field];
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `Invalid ${field}. Transit times must be whole numbers of business days.` };
+    }
+    options[field] = value;
+  }
+  if (options.min_transit_days > options.max_transit_days) {
+    return { error: "min_transit_days can't be greater than max_transit_days." };
+  }
+  if ("currency" in body) {
+    if (!isValidCurrency(body.currency)) {
+      return { error: "Invalid currency. Use a three-letter ISO code such as EUR." };
+    }
+    options.currency = body.currency.toUpperCase();
+  }
+  if ("service_code" in body) {
+    if (body.service_code !== null && !/^[A-Za-z0-9_-]{1,64}$/.test(body.service_code)) {
+      return { error: "Invalid service_code. Use letters, digits, dashes and underscores, or null to derive it from the name." };
+    }
+    options.service_code = body.service_code;
+  }
+  if ("description" in body) {
+    if (body.description !== null && (typeof body.description !== "string" || body.description.length > 500)) {
+      return { error: "Invalid description. Use text of up to 500 characters, or null for the default." };
+    }
+    options.description = body.description && body.description.trim();
+  }
+  if ("active" in body) {
+    if (typeof body.active !== "boolean") {
+      return { error: "Invalid active. Use true or false." };
+    }
+    options.active = body.active;
+  }
+  if ("display_order" in body) {
+    if (!Number.isInteger(body.display_order)) {
+      return { error: "Invalid display_order. Use a whole number; lower numbers come first." };
+    }
+    options.display_order = body.display_order;
+  }
+  return { options };
+}
+
+// Check that an error is a violation of the unique carrier name per shop
+function isDuplicateName(error) {
+  return error.message.includes('unique') || error.message.includes('duplicate');
+}
+
+// The name-keyed routes break on names with slashes and can't rename; they
+// stay for existing clients but are deprecated in favour of the id-keyed ones.
+// Numeric keys address the carrier with that id; only when there is none do
+// the PUT, DELETE and rate table routes try them as a name. New names can't
+// be digits only.
+function deprecatedNameRoute(_req, res, next) {
+  res.set("Deprecation", "true");
+  next();
+}
+
 // Get all carriers
 router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
   try {
-    const carriers = await getCarriers();
+    const carriers = await getCarriers(shop);
     res.json(carriers);
   } catch (error) {
     console.error("Error fetching carriers:", error);
@@ -23,9 +114,85 @@ router.get("/", async (_req, res) => {
   }
 });
 
+// Download the carriers and their rate tables as CSV
+router.get("/export.csv", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const [carriers, rateTables, zones] = await Promise.all([
+      getCarriers(shop),
+      getRateTables(shop),
+      getZones(shop)
+    ]);
+    res.attachment("carriers.csv");
+    res.type("text/csv").send(exportCarriersCsv(carriers, rateTables, zones));
+  } catch (error) {
+    console.error("Error exporting carriers:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to export carriers" 
+    });
+  }
+});
+
+// Import carriers and rate tables from CSV. With dry_run the rows that would
+// be created, updated or rejected are only reported; otherwise a file without
+// rejected rows is written in a single transaction.
+router.post("/import", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const { content, dry_run = false } = req.body;
+
+  // Validate input
+  if (typeof content !== "string" || content.trim() === "") {
+    return res.status(400).json({ 
+      success: false, 
+      error: "The file content is required." 
+    });
+  }
+
+  try {
+    const [carriers, rateTables, zones] = await Promise.all([
+      getCarriers(shop),
+      getRateTables(shop),
+      getZones(shop)
+    ]);
+    const plan = planCarrierImport(content, { carriers, zones, rateTables });
+    const report = { created: plan.created, updated: plan.updated, rejected: plan.rejected };
+
+    if (dry_run) {
+      return res.status(200).json({ success: true, dry_run: true, ...report });
+    }
+    if (plan.rejected.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid carrier import: ${plan.rejected.length} row(s) rejected`,
+        ...report
+      });
+    }
+    if (plan.carriers.length === 0 && plan.rateTables.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "The file has no carriers or rate table bands",
+        ...report
+      });
+    }
+
+    await importCarriers(shop, plan);
+    res.status(200).json({ success: true, ...report, carriers: await getCarriers(shop) });
+  } catch (error) {
+    console.error("Error importing carriers:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to import carriers" 
+    });
+  }
+});
+
 // Add a new carrier
 router.post("/", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
   const { name, price } = req.body;
+  const { options, error: optionsError } = parseOptions(req.body);
   
   // Validate input
   if (!name || typeof price !== 'number' || price <= 0) {
@@ -34,14 +201,24 @@ router.post("/", async (req, res) => {
       error: "Invalid carrier data. Name and price (in cents) are required." 
     });
   }
+  const nameErrors = validateCarrierName(name);
+  if (nameErrors.length > 0) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Invalid name. ${nameErrors.join("; ")}.` 
+    });
+  }
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
   
   try {
-    await addCarrier(name, parseInt(price, 10));
-    const carriers = await getCarriers();
+    await addCarrier(shop, name, parseInt(price, 10), options);
+    const carriers = await getCarriers(shop);
     res.status(200).json({ success: true, carriers });
   } catch (error) {
     // Check for duplicate name constraint violation
-    if (error.message.includes('unique') || error.message.includes('duplicate')) {
+    if (isDuplicateName(error)) {
       return res.status(400).json({ 
         success: false, 
         error: "A carrier with this name already exists" 
@@ -56,10 +233,154 @@ router.post("/", async (req, res) => {
   }
 });
 
-// Update an existing carrier
-router.put("/:name", async (req, res) => {
+// Get a single carrier
+router.get("/:id(\\d+)", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const carrier = await getCarrier(shop, parseInt(req.params.id, 10));
+
+    if (!carrier) {
+      return res.status(404).json({ 
+        success: false, 
+        error: "Carrier not found" 
+      });
+    }
+
+    res.json(carrier);
+  } catch (error) {
+    console.error("Error fetching carrier:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to fetch carrier" 
+    });
+  }
+});
+
+// Change the given fields of a carrier, including its name, and return it
+router.patch("/:id(\\d+)", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const { options, error: optionsError } = parseOptions(req.body);
+  const fields = { ...options };
+
+  // Validate input
+  if ("name" in req.body) {
+    const nameErrors = validateCarrierName(req.body.name);
+    if (nameErrors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid name. ${nameErrors.join("; ")}.` 
+      });
+    }
+    fields.name = req.body.name.trim();
+  }
+  if ("price" in req.body) {
+    if (!Number.isInteger(req.body.price) || req.body.price <= 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Invalid price. Price (in cents) must be a positive number." 
+      });
+    }
+    fields.price = req.body.price;
+  }
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
+
+  try {
+    const carrier = await patchCarrier(shop, parseInt(req.params.id, 10), fields);
+
+    if (!carrier) {
+      return res.status(404).json({ 
+        success: false, 
+        error: "Carrier not found" 
+      });
+    }
+
+    res.status(200).json({ success: true, carrier });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "A carrier with this name already exists" 
+      });
+    }
+
+    console.error("Error updating carrier:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to update carrier" 
+    });
+  }
+});
+
+// Delete a carrier
+router.delete("/:id(\\d+)", async (req, res, next) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const result = await deleteCarrierById(shop, parseInt(req.params.id, 10));
+
+    // Carriers named with digits before such names were rejected keep their
+    // name-keyed route
+    if (result.changes === 0) {
+      return next("route");
+    }
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error("Error deleting carrier:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to delete carrier" 
+    });
+  }
+});
+
+// Update the price and options of a carrier, leaving its name and checkout
+// details as they are
+router.put("/:id(\\d+)", async (req, res, next) => {
+  const { shop } = res.locals.shopify.session;
+  const { price } = req.body;
+  const { options, error: optionsError } = parseOptions(req.body);
+
+  // Validate input
+  if (!Number.isInteger(price) || price <= 0) {
+    return res.status(400).json({ 
+      success: false, 
+      error: "Invalid price. Price (in cents) must be a positive number." 
+    });
+  }
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
+
+  try {
+    const carrier = await patchCarrier(shop, parseInt(req.params.id, 10), { price, ...options });
+
+    // Without a carrier of that id the key may be the name of an older carrier
+    if (!carrier) {
+      return next("route");
+    }
+
+    const carriers = await getCarriers(shop);
+    res.status(200).json({ success: true, carriers });
+  } catch (error) {
+    console.error("Error updating carrier:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to update carrier" 
+    });
+  }
+});
+
+// Update the price and options of an existing carrier by name (deprecated,
+// use PATCH /:id)
+router.put("/:name", deprecatedNameRoute, async (req, res) => {
+  const { shop } = res.locals.shopify.session;
   const { name } = req.params;
   const { price } = req.body;
+  const { options, error: optionsError } = parseOptions(req.body);
   
   // Validate input
   if (typeof price !== 'number' || price <= 0) {
@@ -68,9 +389,12 @@ router.put("/:name", async (req, res) => {
       error: "Invalid price. Price (in cents) must be a positive number." 
     });
   }
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
   
   try {
-    const result = await updateCarrier(name, parseInt(price, 10));
+    const result = await updateCarrier(shop, name, { price: parseInt(price, 10), ...options });
     
     if (result.changes === 0) {
       return res.status(404).json({ 
@@ -79,7 +403,7 @@ router.put("/:name", async (req, res) => {
       });
     }
     
-    const carriers = await getCarriers();
+    const carriers = await getCarriers(shop);
     res.status(200).json({ success: true, carriers });
   } catch (error) {
     console.error("Error updating carrier:", error);
@@ -90,12 +414,13 @@ router.put("/:name", async (req, res) => {
   }
 });
 
-// Delete a carrier
-router.delete("/:name", async (req, res) => {
+// Delete a carrier by name (deprecated, use DELETE /:id)
+router.delete("/:name", deprecatedNameRoute, async (req, res) => {
+  const { shop } = res.locals.shopify.session;
   const { name } = req.params;
   
   try {
-    const result = await deleteCarrier(name);
+    const result = await deleteCarrier(shop, name);
     
     if (result.changes === 0) {
       return res.status(404).json({ 
@@ -104,7 +429,7 @@ router.delete("/:name", async (req, res) => {
       });
     }
     
-    const carriers = await getCarriers();
+    const carriers = await getCarriers(shop);
     res.status(200).json({ success: true, carriers });
   } catch (error) {
     console.error("Error deleting carrier:", error);
@@ -115,4 +440,132 @@ router.delete("/:name", async (req, res) => {
   }
 });
 
+// Parse the optional zone_id query parameter of the rate table routes
+function parseZoneId(query) {
+  return query.zone_id ? parseInt(query.zone_id, 10) : null;
+}
+
+// Check the carrier of an id-keyed rate table route exists, else try the
+// key as the name of an older carrier on the name-keyed route
+async function carrierById(req, res, next) {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const carrier = await getCarrier(shop, parseInt(req.params.id, 10));
+
+    if (!carrier) {
+      return next("route");
+    }
+
+    res.locals.carrierId = carrier.id;
+    next();
+  } catch (error) {
+    console.error("Error fetching carrier:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to fetch carrier" 
+    });
+  }
+}
+
+// Resolve the carrier of a name-keyed rate table route to its id (deprecated)
+async function carrierByName(req, res, next) {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const carrier = await getCarrierByName(shop, req.params.name);
+
+    if (!carrier) {
+      return res.status(404).json({ 
+        success: false, 
+        error: "Carrier not found" 
+      });
+    }
+
+    res.locals.carrierId = carrier.id;
+    next();
+  } catch (error) {
+    console.error("Error fetching carrier:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to fetch carrier" 
+    });
+  }
+}
+
+// Get the weight bands of a carrier's rate table, optionally for a zone
+async function getRateTable(req, res) {
+  const { shop } = res.locals.shopify.session;
+  const { carrierId } = res.locals;
+  const zoneId = parseZoneId(req.query);
+
+  try {
+    const rateTable = await getCarrierRateTable(shop, carrierId, zoneId);
+    res.json({
+      bands: rateTable ? rateTable.bands : [],
+      currency: rateTable ? rateTable.currency : null
+    });
+  } catch (error) {
+    console.error("Error fetching rate table:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to fetch rate table" 
+    });
+  }
+}
+
+// Replace the weight bands of a carrier's rate table, optionally for a zone.
+// Bands are priced in the given currency, or the carrier's without one.
+async function putRateTable(req, res) {
+  const { shop } = res.locals.shopify.session;
+  const { carrierId } = res.locals;
+  const { bands, currency = null } = req.body;
+  const zoneId = parseZoneId(req.query);
+  
+  // Validate input
+  const errors = validateRateBands(bands);
+  if (Number.isNaN(zoneId)) {
+    errors.push("Zone id must be an integer");
+  }
+  if (currency !== null && !isValidCurrency(currency)) {
+    errors.push("Currency must be a three-letter ISO code");
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Invalid rate table: ${errors.join("; ")}`,
+      errors
+    });
+  }
+  
+  try {
+    const result = await replaceCarrierRateTable(shop, carrierId, zoneId, bands, currency && currency.toUpperCase());
+    
+    if (result.changes === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: "Carrier or zone not found" 
+      });
+    }
+    
+    const rateTable = await getCarrierRateTable(shop, carrierId, zoneId);
+    res.status(200).json({
+      success: true,
+      bands: rateTable ? rateTable.bands : [],
+      currency: rateTable ? rateTable.currency : null
+    });
+  } catch (error) {
+    console.error("Error updating rate table:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to update rate table" 
+    });
+  }
+}
+
+router.get("/:id(\\d+)/rate-table", carrierById, getRateTable);
+router.put("/:id(\\d+)/rate-table", carrierById, putRateTable);
+router.get("/:name/rate-table", deprecatedNameRoute, carrierByName, getRateTable);
+router.put("/:name/rate-table", deprecatedNameRoute, carrierByName, putRateTable);
+
 export default router;
\ No newline at end of file
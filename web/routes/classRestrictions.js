@@ -0,0 +1,125 @@
+// web/routes/classRestrictions.js
+import express from "express";
+import {
+  getClassRestrictions,
+  addClassRestriction,
+  updateClassRestriction,
+  deleteClassRestriction
+} from '../database/models/classRestriction.js';
+import { validateClassRestriction } from '../services/shippingClasses.js';
+
+const router = express.Router();
+
+// Respond with a 400 listing every validation error of a class restriction
+function rejectInvalidClassRestriction(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: `Invalid class restriction: ${errors.join("; ")}`,
+    errors
+  });
+}
+
+// Get all class restrictions
+router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const restrictions = await getClassRestrictions(shop);
+    res.json(restrictions);
+  } catch (error) {
+    console.error("Error fetching class restrictions:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch class restrictions"
+    });
+  }
+});
+
+// Add a new class restriction
+router.post("/", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const errors = validateClassRestriction(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidClassRestriction(res, errors);
+  }
+
+  try {
+    const restriction = await addClassRestriction(shop, req.body);
+
+    if (!restriction) {
+      return res.status(400).json({
+        success: false,
+        error: "Carrier not found"
+      });
+    }
+
+    const restrictions = await getClassRestrictions(shop);
+    res.status(200).json({ success: true, restrictions });
+  } catch (error) {
+    console.error("Error adding class restriction:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add class restriction"
+    });
+  }
+});
+
+// Update an existing class restriction
+router.put("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+  const errors = validateClassRestriction(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidClassRestriction(res, errors);
+  }
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await updateClassRestriction(shop, id, req.body);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Class restriction or carrier not found"
+      });
+    }
+
+    const restrictions = await getClassRestrictions(shop);
+    res.status(200).json({ success: true, restrictions });
+  } catch (error) {
+    console.error("Error updating class restriction:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update class restriction"
+    });
+  }
+});
+
+// Delete a class restriction
+router.delete("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await deleteClassRestriction(shop, id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Class restriction not found"
+      });
+    }
+
+    const restrictions = await getClassRestrictions(shop);
+    res.status(200).json({ success: true, restrictions });
+  } catch (error) {
+    console.error("Error deleting class restriction:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete class restriction"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,125 @@
+// web/routes/configVersions.js
+import express from "express";
+import {
+  getConfigVersions,
+  getConfigVersion,
+  getPublishedConfigVersion
+} from '../database/models/configVersion.js';
+import { loadConfigSnapshot, publishDraft, restoreVersion } from '../services/rateQuote.js';
+import { diffConfigSnapshots } from '../services/configVersions.js';
+
+const router = express.Router();
+
+// Published versions are returned without their snapshots
+function withoutSnapshot({ snapshot, ...version }) {
+  return version;
+}
+
+// Get the published versions, latest (the one checkout answers from) first
+router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const versions = await getConfigVersions(shop);
+    res.json(versions);
+  } catch (error) {
+    console.error("Error fetching config versions:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch config versions"
+    });
+  }
+});
+
+// Compare the draft with the published version
+router.get("/draft", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const published = await getPublishedConfigVersion(shop);
+    const diff = diffConfigSnapshots(published?.snapshot ?? null, await loadConfigSnapshot(shop));
+    res.json({ published: published ? withoutSnapshot(published) : null, ...diff });
+  } catch (error) {
+    console.error("Error comparing the draft:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to compare the draft"
+    });
+  }
+});
+
+// Get a published version with its snapshot
+router.get("/:version(\\d+)", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const version = await getConfigVersion(shop, parseInt(req.params.version, 10));
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: "Version not found"
+      });
+    }
+
+    res.json(version);
+  } catch (error) {
+    console.error("Error fetching config version:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch config version"
+    });
+  }
+});
+
+// Publish the draft; checkout answers from it from now on
+router.post("/publish", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const { note = "" } = req.body;
+
+  // Validate input
+  if (typeof note !== "string" || note.length > 500) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid note. Use text of up to 500 characters."
+    });
+  }
+
+  try {
+    const version = await publishDraft(shop, note.trim());
+    res.status(200).json({ success: true, version: withoutSnapshot(version) });
+  } catch (error) {
+    console.error("Error publishing the draft:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to publish the draft"
+    });
+  }
+});
+
+// Roll checkout back to an earlier version, published again as the latest
+router.post("/:version(\\d+)/rollback", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const version = await getConfigVersion(shop, parseInt(req.params.version, 10));
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: "Version not found"
+      });
+    }
+
+    const restored = await restoreVersion(shop, version);
+    res.status(200).json({ success: true, version: withoutSnapshot(restored) });
+  } catch (error) {
+    console.error("Error rolling back config version:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to roll back to the version"
+    });
+  }
+});
+
+export default router;
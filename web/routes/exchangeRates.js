@@ -0,0 +1,134 @@
+// web/routes/exchangeRates.js
+import express from "express";
+import {
+  getExchangeRates,
+  setExchangeRate,
+  importExchangeRates,
+  deleteExchangeRate
+} from '../database/models/exchangeRate.js';
+import {
+  BASE_CURRENCY,
+  isValidCurrency,
+  parseExchangeRates,
+  validateExchangeRate
+} from '../services/currency.js';
+
+const router = express.Router();
+
+// Currencies are stored as uppercase three-letter ISO codes
+function parseCurrency(currency) {
+  return isValidCurrency(currency) ? currency.toUpperCase() : null;
+}
+
+// Get all exchange rates
+router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const exchangeRates = await getExchangeRates(shop);
+    res.json({ base_currency: BASE_CURRENCY, exchange_rates: exchangeRates });
+  } catch (error) {
+    console.error("Error fetching exchange rates:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch exchange rates"
+    });
+  }
+});
+
+// Add or update the exchange rate and rounding of a currency. The base
+// currency only takes a rounding, its rate is always 1.
+router.put("/:currency", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const currency = parseCurrency(req.params.currency);
+  const errors = validateExchangeRate(req.body);
+
+  if (!currency) {
+    errors.push("Currency must be a three-letter ISO code");
+  } else if (currency === BASE_CURRENCY && req.body.rate !== 1) {
+    errors.push(`${BASE_CURRENCY} is the base currency, its rate must be 1`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid exchange rate: ${errors.join("; ")}`,
+      errors
+    });
+  }
+
+  try {
+    await setExchangeRate(shop, currency, req.body);
+    res.status(200).json({ success: true, exchange_rates: await getExchangeRates(shop) });
+  } catch (error) {
+    console.error("Error updating exchange rate:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update exchange rate"
+    });
+  }
+});
+
+// Import exchange rates from a CSV or an ECB reference rate file
+router.post("/import", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const { format, content } = req.body;
+
+  // Validate input
+  if (typeof content !== "string") {
+    return res.status(400).json({
+      success: false,
+      error: "The file content is required."
+    });
+  }
+
+  const { rates, errors } = parseExchangeRates(content, format);
+  if (errors.length > 0 || rates.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.length > 0 ? `Invalid exchange rates: ${errors.join("; ")}` : "The file has no exchange rates",
+      errors
+    });
+  }
+
+  try {
+    const result = await importExchangeRates(shop, rates);
+    res.status(200).json({
+      success: true,
+      imported: result.changes,
+      exchange_rates: await getExchangeRates(shop)
+    });
+  } catch (error) {
+    console.error("Error importing exchange rates:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to import exchange rates"
+    });
+  }
+});
+
+// Delete the exchange rate of a currency
+router.delete("/:currency", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const currency = parseCurrency(req.params.currency);
+
+  try {
+    const result = currency ? await deleteExchangeRate(shop, currency) : { changes: 0 };
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Exchange rate not found"
+      });
+    }
+
+    res.status(200).json({ success: true, exchange_rates: await getExchangeRates(shop) });
+  } catch (error) {
+    console.error("Error deleting exchange rate:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete exchange rate"
+    });
+  }
+});
+
+export default router;
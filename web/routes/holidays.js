@@ -0,0 +1,135 @@
+// web/routes/holidays.js
+import express from "express";
+import {
+  getHolidays,
+  addHoliday,
+  importHolidays,
+  deleteHoliday
+} from '../database/models/holiday.js';
+import { isValidDate, parseHolidayCalendar } from '../services/deliveryDates.js';
+
+const router = express.Router();
+
+// Countries are stored as uppercase two-letter ISO codes
+function parseCountry(country) {
+  return typeof country === "string" && /^[A-Za-z]{2}$/.test(country) ? country.toUpperCase() : null;
+}
+
+// Get all holidays, optionally of a single country (?country=DE)
+router.get("/", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const country = req.query.country === undefined ? undefined : parseCountry(req.query.country);
+
+  if (country === null) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid country. Use a two-letter ISO code."
+    });
+  }
+
+  try {
+    const holidays = await getHolidays(shop, country ? [country] : null);
+    res.json(holidays);
+  } catch (error) {
+    console.error("Error fetching holidays:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch holidays"
+    });
+  }
+});
+
+// Add a single holiday
+router.post("/", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const { date, name = "" } = req.body;
+  const country = parseCountry(req.body.country);
+
+  // Validate input
+  if (!country || !isValidDate(date)) {
+    return res.status(400).json({
+      success: false,
+      error: "A two-letter country code and an existing date as YYYY-MM-DD are required."
+    });
+  }
+
+  try {
+    await addHoliday(shop, { country, date, name: String(name) });
+    const holidays = await getHolidays(shop, [country]);
+    res.status(200).json({ success: true, holidays });
+  } catch (error) {
+    console.error("Error adding holiday:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add holiday"
+    });
+  }
+});
+
+// Import a country's public holidays from an iCalendar or CSV file, replacing
+// the holidays of the years it covers
+router.post("/import", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const { format, content } = req.body;
+  const country = parseCountry(req.body.country);
+
+  // Validate input
+  if (!country || typeof content !== "string") {
+    return res.status(400).json({
+      success: false,
+      error: "A two-letter country code and the calendar content are required."
+    });
+  }
+
+  const { holidays, errors } = parseHolidayCalendar(content, format);
+  if (errors.length > 0 || holidays.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.length > 0 ? `Invalid calendar: ${errors.join("; ")}` : "The calendar has no holidays",
+      errors
+    });
+  }
+
+  try {
+    const result = await importHolidays(shop, country, holidays);
+    res.status(200).json({
+      success: true,
+      imported: result.changes,
+      holidays: await getHolidays(shop, [country])
+    });
+  } catch (error) {
+    console.error("Error importing holidays:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to import holidays"
+    });
+  }
+});
+
+// Delete a holiday
+router.delete("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await deleteHoliday(shop, id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Holiday not found"
+      });
+    }
+
+    const holidays = await getHolidays(shop);
+    res.status(200).json({ success: true, holidays });
+  } catch (error) {
+    console.error("Error deleting holiday:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete holiday"
+    });
+  }
+});
+
+export default router;
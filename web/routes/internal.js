@@ -0,0 +1,19 @@
+// web/routes/internal.js
+import express from "express";
+import { shippingConfigCache } from '../services/rateQuote.js';
+import { rateLatency } from '../services/metrics.js';
+import { requireInternalToken } from '../middleware/internal.js';
+
+const router = express.Router();
+
+router.use(requireInternalToken);
+
+// Config cache hit ratio and carrier service latency of this instance
+router.get("/metrics", (_req, res) => {
+  res.json({
+    config_cache: shippingConfigCache.stats(),
+    rate_latency: rateLatency.summary()
+  });
+});
+
+export default router;
@@ -0,0 +1,125 @@
+// web/routes/priceSchedules.js
+import express from "express";
+import {
+  getPriceSchedules,
+  addPriceSchedule,
+  updatePriceSchedule,
+  deletePriceSchedule
+} from '../database/models/priceSchedule.js';
+import { validatePriceSchedule } from '../services/priceSchedules.js';
+
+const router = express.Router();
+
+// Respond with a 400 listing every validation error of a price schedule
+function rejectInvalidPriceSchedule(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: `Invalid price schedule: ${errors.join("; ")}`,
+    errors
+  });
+}
+
+// Get all price schedules
+router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const schedules = await getPriceSchedules(shop);
+    res.json(schedules);
+  } catch (error) {
+    console.error("Error fetching price schedules:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch price schedules"
+    });
+  }
+});
+
+// Add a new price schedule
+router.post("/", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const errors = validatePriceSchedule(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidPriceSchedule(res, errors);
+  }
+
+  try {
+    const schedule = await addPriceSchedule(shop, req.body);
+
+    if (!schedule) {
+      return res.status(400).json({
+        success: false,
+        error: "Carrier or zone not found"
+      });
+    }
+
+    const schedules = await getPriceSchedules(shop);
+    res.status(200).json({ success: true, schedules });
+  } catch (error) {
+    console.error("Error adding price schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add price schedule"
+    });
+  }
+});
+
+// Update an existing price schedule
+router.put("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+  const errors = validatePriceSchedule(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidPriceSchedule(res, errors);
+  }
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await updatePriceSchedule(shop, id, req.body);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Price schedule, carrier or zone not found"
+      });
+    }
+
+    const schedules = await getPriceSchedules(shop);
+    res.status(200).json({ success: true, schedules });
+  } catch (error) {
+    console.error("Error updating price schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update price schedule"
+    });
+  }
+});
+
+// Delete a price schedule
+router.delete("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await deletePriceSchedule(shop, id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Price schedule not found"
+      });
+    }
+
+    const schedules = await getPriceSchedules(shop);
+    res.status(200).json({ success: true, schedules });
+  } catch (error) {
+    console.error("Error deleting price schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete price schedule"
+    });
+  }
+});
+
+export default router;
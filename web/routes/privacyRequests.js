@@ -0,0 +1,49 @@
+// web/routes/privacyRequests.js
+import express from "express";
+import { getPrivacyRequests, getPrivacyRequest } from '../database/models/privacyRequest.js';
+
+const router = express.Router();
+
+// Get the shop's privacy requests, the record of the GDPR webhooks handled
+router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const requests = await getPrivacyRequests(shop);
+    res.json(requests);
+  } catch (error) {
+    console.error("Error fetching privacy requests:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch privacy requests"
+    });
+  }
+});
+
+// Get a single privacy request with its result, e.g. the report of a data
+// request to hand to the customer
+router.get("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const request = Number.isNaN(id) ? null : await getPrivacyRequest(shop, id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: "Privacy request not found"
+      });
+    }
+
+    res.json(request);
+  } catch (error) {
+    console.error("Error fetching privacy request:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch privacy request"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,48 @@
+// web/routes/productAttributes.js
+import express from "express";
+import shopify from '../shopify.js';
+import { getProductAttributes } from '../database/models/productAttributes.js';
+import { ensureProductMetafieldDefinitions, syncAllProducts } from '../services/productSync.js';
+
+const router = express.Router();
+
+// Get the shipping attributes of all synced products
+router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const products = await getProductAttributes(shop);
+    res.json(products);
+  } catch (error) {
+    console.error("Error fetching product attributes:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch product attributes"
+    });
+  }
+});
+
+// Read the shipping attributes of every product from its metafields again
+router.post("/resync", async (_req, res) => {
+  const { session } = res.locals.shopify;
+
+  try {
+    const client = new shopify.api.clients.Graphql({ session });
+    await ensureProductMetafieldDefinitions(client);
+    const result = await syncAllProducts(session.shop, client);
+    res.status(200).json({
+      success: true,
+      synced: result.changes,
+      removed: result.removed,
+      products: await getProductAttributes(session.shop)
+    });
+  } catch (error) {
+    console.error("Error syncing products:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to sync products"
+    });
+  }
+});
+
+export default router;
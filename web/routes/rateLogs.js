@@ -0,0 +1,97 @@
+// web/routes/rateLogs.js
+import express from "express";
+import { getRateLogs, getRateLog } from '../database/models/rateLog.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Read the list filters from the query string. Returns the filters or an
+// error message.
+function parseFilters(query) {
+  const filters = {};
+
+  for (const field of ["from", "to"]) {
+    if (query[field] === undefined || query[field] === "") continue;
+    if (Number.isNaN(Date.parse(query[field]))) {
+      return { error: `Invalid ${field}. Use a date like 2024-03-31 or an ISO 8601 timestamp.` };
+    }
+    filters[field] = query[field];
+  }
+  if (query.country) {
+    if (!/^[A-Za-z]{2}$/.test(query.country)) {
+      return { error: "Invalid country. Use a two-letter ISO code." };
+    }
+    filters.country = query.country.toUpperCase();
+  }
+  if (query.carrier_id) {
+    const carrierId = parseInt(query.carrier_id, 10);
+    if (Number.isNaN(carrierId)) {
+      return { error: "Invalid carrier_id." };
+    }
+    filters.carrier_id = carrierId;
+  }
+  if (query.status) {
+    if (!["error", "ok"].includes(query.status)) {
+      return { error: "Invalid status. Use error or ok." };
+    }
+    filters.has_error = query.status === "error";
+  }
+
+  return { filters };
+}
+
+// Get a page of rate requests, newest first
+router.get("/", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const { filters, error } = parseFilters(req.query);
+
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(req.query.page_size, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  try {
+    const { logs, total } = await getRateLogs(shop, filters, {
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+    res.json({ logs, total, page, page_size: pageSize });
+  } catch (error) {
+    console.error("Error fetching rate logs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch rate logs"
+    });
+  }
+});
+
+// Get a single rate request with its items, computed and returned rates
+router.get("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const log = Number.isNaN(id) ? null : await getRateLog(shop, id);
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        error: "Rate log entry not found"
+      });
+    }
+
+    res.json(log);
+  } catch (error) {
+    console.error("Error fetching rate log entry:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch rate log entry"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,138 @@
+// web/routes/rates.js
+import express from "express";
+import shopify from '../shopify.js';
+import { getSettings } from '../database.js';
+import { quoteRates } from '../services/rateQuote.js';
+import { buildPreviewRequest } from '../services/previewRequest.js';
+import { readSettings } from '../services/settings.js';
+
+const router = express.Router();
+
+// Shopify weighs variants in their own unit; rate requests use grams
+const GRAMS_PER_UNIT = {
+  GRAMS: 1,
+  KILOGRAMS: 1000,
+  OUNCES: 28.349523125,
+  POUNDS: 453.59237
+};
+
+// The shop's address, which Shopify sends as the origin of rate requests
+async function fetchShopOrigin(session) {
+  const client = new shopify.api.clients.Graphql({ session });
+  const { data } = await client.request(`
+    query shopOrigin {
+      shop {
+        billingAddress {
+          countryCodeV2
+          provinceCode
+          zip
+          city
+          address1
+        }
+      }
+    }
+  `);
+  const address = data.shop.billingAddress;
+  return {
+    country: address.countryCodeV2,
+    province: address.provinceCode,
+    postal_code: address.zip,
+    city: address.city,
+    address1: address.address1
+  };
+}
+
+// Quote a sample cart exactly like the carrier service would answer Shopify,
+// or with "draft": true like it will once the draft is published. Without an
+// origin the shop's address is used, as at checkout, and without a currency
+// the shop's default currency.
+router.post("/preview", async (req, res) => {
+  const { session } = res.locals.shopify;
+
+  try {
+    const origin = req.body.origin || await fetchShopOrigin(session);
+    const currency = req.body.currency || readSettings(await getSettings(session.shop)).default_currency;
+    const { request, errors } = buildPreviewRequest({ ...req.body, origin, currency });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid preview request: ${errors.join("; ")}`,
+        errors
+      });
+    }
+
+    const { response } = await quoteRates(session.shop, request, { draft: req.body.draft === true });
+    res.json(response);
+  } catch (error) {
+    console.error("Error previewing rates:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to preview rates"
+    });
+  }
+});
+
+// Search the shop's product variants to build a preview cart from
+router.get("/preview/products", async (req, res) => {
+  const { session } = res.locals.shopify;
+  const query = typeof req.query.query === "string" ? req.query.query : "";
+
+  try {
+    const client = new shopify.api.clients.Graphql({ session });
+    const { data } = await client.request(`
+      query previewVariants($query: String) {
+        productVariants(first: 25, query: $query) {
+          nodes {
+            id
+            title
+            sku
+            price
+            product {
+              id
+              title
+              vendor
+              productType
+            }
+            inventoryItem {
+              requiresShipping
+              measurement {
+                weight {
+                  unit
+                  value
+                }
+              }
+            }
+          }
+        }
+      }
+    `, { variables: { query: query || null } });
+
+    const variants = data.productVariants.nodes.map((variant) => {
+      const weight = variant.inventoryItem?.measurement?.weight;
+      return {
+        variant_id: Number(variant.id.split("/").pop()),
+        product_id: Number(variant.product.id.split("/").pop()),
+        name: variant.title === "Default Title"
+          ? variant.product.title
+          : `${variant.product.title} - ${variant.title}`,
+        sku: variant.sku || "",
+        vendor: variant.product.vendor,
+        product_type: variant.product.productType,
+        price: Math.round(parseFloat(variant.price) * 100),
+        grams: weight ? Math.round(weight.value * (GRAMS_PER_UNIT[weight.unit] || 1)) : 0,
+        requires_shipping: variant.inventoryItem?.requiresShipping !== false
+      };
+    });
+
+    res.json(variants);
+  } catch (error) {
+    console.error("Error fetching preview products:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch products"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,143 @@
+// web/routes/rules.js
+import express from "express";
+import {
+  getRules,
+  getRule,
+  addRule,
+  updateRule,
+  deleteRule
+} from '../database/models/rule.js';
+import { validateRule } from '../services/rules.js';
+
+const router = express.Router();
+
+// Respond with a 400 listing every validation error of a rule
+function rejectInvalidRule(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: `Invalid rule: ${errors.join("; ")}`,
+    errors
+  });
+}
+
+// Get all rules
+router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const rules = await getRules(shop);
+    res.json(rules);
+  } catch (error) {
+    console.error("Error fetching rules:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch rules"
+    });
+  }
+});
+
+// Get a single rule
+router.get("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const rule = Number.isNaN(id) ? null : await getRule(shop, id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: "Rule not found"
+      });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error("Error fetching rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch rule"
+    });
+  }
+});
+
+// Add a new rule
+router.post("/", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const errors = validateRule(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidRule(res, errors);
+  }
+
+  try {
+    await addRule(shop, req.body);
+    const rules = await getRules(shop);
+    res.status(200).json({ success: true, rules });
+  } catch (error) {
+    console.error("Error adding rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add rule"
+    });
+  }
+});
+
+// Update an existing rule
+router.put("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+  const errors = validateRule(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidRule(res, errors);
+  }
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await updateRule(shop, id, req.body);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Rule not found"
+      });
+    }
+
+    const rules = await getRules(shop);
+    res.status(200).json({ success: true, rules });
+  } catch (error) {
+    console.error("Error updating rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update rule"
+    });
+  }
+});
+
+// Delete a rule
+router.delete("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await deleteRule(shop, id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Rule not found"
+      });
+    }
+
+    const rules = await getRules(shop);
+    res.status(200).json({ success: true, rules });
+  } catch (error) {
+    console.error("Error deleting rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete rule"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,161 @@
+// web/routes/settings.js
+import express from "express";
+import { getSettings, setSettings } from '../database.js';
+import { readSettings, validateSettings, toStoredSettings } from '../services/settings.js';
+
+const router = express.Router();
+
+// Get all settings of the shop, typed and with defaults for those not set
+router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    res.json(readSettings(await getSettings(shop)));
+  } catch (error) {
+    console.error("Error fetching settings:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch settings"
+    });
+  }
+});
+
+// Update the given settings; settings left out keep their value
+router.put("/", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const current = readSettings(await getSettings(shop));
+    const errors = validateSettings(req.body, current);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid settings: ${errors.join("; ")}`,
+        errors
+      });
+    }
+
+    await setSettings(shop, toStoredSettings(req.body));
+    res.status(200).json({ success: true, settings: readSettings(await getSettings(shop)) });
+  } catch (error) {
+    console.error("Error updating settings:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update settings"
+    });
+  }
+});
+
+/**
+ * Settings groups of the older endpoints, by path: the request fields of each
+ * with the settings they set, and those a PUT must send. They're thin wrappers
+ * over PUT /, validated by the same schema.
+ */
+const SETTINGS_GROUPS = {
+  "rate-selection": {
+    name: "rate selection",
+    fields: {
+      strategy: "rate_selection_strategy",
+      top_n: "rate_selection_top_n",
+      preferred_carrier_id: "rate_selection_preferred_carrier_id",
+      preferred_margin: "rate_selection_preferred_margin"
+    },
+    required: ["strategy"]
+  },
+  thresholds: {
+    name: "threshold options",
+    fields: {
+      exclude_gift_cards: "threshold_exclude_gift_cards",
+      exclude_non_shipping: "threshold_exclude_non_shipping"
+    },
+    required: ["exclude_gift_cards", "exclude_non_shipping"]
+  },
+  fallback: {
+    name: "fallback rate",
+    fields: {
+      mode: "fallback_rate_mode",
+      name: "fallback_rate_name",
+      description: "fallback_rate_description",
+      price: "fallback_rate_price"
+    },
+    required: ["mode"]
+  },
+  delivery: {
+    name: "delivery options",
+    fields: {
+      cutoff_time: "order_cutoff_time",
+      timezone: "timezone"
+    },
+    required: ["timezone"]
+  },
+  "rate-log": {
+    name: "rate log retention",
+    fields: {
+      retention_days: "rate_log_retention_days"
+    },
+    required: ["retention_days"]
+  }
+};
+
+// The settings of a group under its request field names
+function toGroupResponse(group, settings) {
+  return Object.fromEntries(
+    Object.entries(group.fields).map(([field, name]) => [field, settings[name]])
+  );
+}
+
+for (const [path, group] of Object.entries(SETTINGS_GROUPS)) {
+  // Get the settings of the group
+  router.get(`/${path}`, async (_req, res) => {
+    const { shop } = res.locals.shopify.session;
+
+    try {
+      res.json(toGroupResponse(group, readSettings(await getSettings(shop))));
+    } catch (error) {
+      console.error(`Error fetching ${group.name}:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to fetch ${group.name}`
+      });
+    }
+  });
+
+  // Update the settings of the group; optional fields left out keep their value
+  router.put(`/${path}`, async (req, res) => {
+    const { shop } = res.locals.shopify.session;
+    const body = req.body || {};
+    const changes = Object.fromEntries(
+      Object.entries(group.fields)
+        .filter(([field]) => field in body)
+        .map(([field, name]) => [name, body[field]])
+    );
+
+    try {
+      const current = readSettings(await getSettings(shop));
+      const errors = [
+        ...group.required.filter((field) => !(field in body)).map((field) => `${field} is required`),
+        ...validateSettings(changes, current)
+      ];
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid ${group.name}: ${errors.join("; ")}`,
+          errors
+        });
+      }
+
+      await setSettings(shop, toStoredSettings(changes));
+      res.status(200).json({ success: true, ...toGroupResponse(group, readSettings(await getSettings(shop))) });
+    } catch (error) {
+      console.error(`Error updating ${group.name}:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to update ${group.name}`
+      });
+    }
+  });
+}
+
+export default router;
@@ -1,32 +1,67 @@
 // web/routes/shipping.js
 import express from "express";
-import { getCarriers } from '../database/models/carrier.js';
-import { calculateShippingRates } from '../services/shipping.js';
+import { performance } from "perf_hooks";
+import { isShopInstalled, quoteRates } from '../services/rateQuote.js';
+import { buildRateLogEntry } from '../services/rateLog.js';
+import { customerHashes } from '../services/privacy.js';
+import { rateLatency } from '../services/metrics.js';
+import { addRateLog } from '../database/models/rateLog.js';
 
 const router = express.Router();
 
-// Handle shipping rate requests from Shopify
+// Store the request in the rate log once the response is on its way, so a
+// slow or failing insert never holds up checkout. The customer's email and
+// phone are only kept as hashes, for privacy requests to find their logs.
+function logRateRequest(shop, request, outcome) {
+  const entry = {
+    ...buildRateLogEntry(request, outcome),
+    customer_hashes: customerHashes(request?.rate?.destination, process.env.SHOPIFY_API_SECRET),
+  };
+  addRateLog(shop, entry).catch((error) => {
+    console.error("Error logging rate request:", error);
+  });
+}
+
+// Handle shipping rate requests from Shopify, signed as checked by
+// requireShopifyHmac before this router
 router.post("/", async (req, res) => {
   const request = req.body;
-  console.log("Received rate request:", JSON.stringify(request, null, 2));
+  const shop = req.get("X-Shopify-Shop-Domain");
+
+  if (!shop) {
+    return res.status(400).json({ error: "Missing X-Shopify-Shop-Domain header" });
+  }
+  // The destination holds the customer's name, address and contact details,
+  // which only reach the rate log redacted
+  console.log(`Received rate request of ${shop}: ${request?.rate?.items?.length ?? 0} item(s) in ${request?.rate?.currency}`);
 
+  const startedAt = performance.now();
   try {
-    // Get carriers from database
-    const carriers = await getCarriers();
-    
-    if (carriers.length === 0) {
-      console.log("No carriers configured");
-      return res.status(200).json({ rates: [] });
+    // Shopify removes the carrier service on uninstall, but requests already
+    // under way or a stale registration mustn't get rates
+    if (!(await isShopInstalled(shop))) {
+      console.log(`Not answering the rate request of ${shop}, which uninstalled the app`);
+      return res.status(404).json({ error: "App is not installed on this shop" });
+    }
+
+    // Calculate shipping rates based on the request and the shop's carriers,
+    // zones, rate tables, thresholds, rules and delivery settings
+    const { response, rates, config } = await quoteRates(shop, request);
+
+    if (config.carriers.length === 0) {
+      console.log(`No carriers configured for ${shop}`);
     }
 
-    // Calculate shipping rates based on the request
-    const rates = await calculateShippingRates(request, carriers);
-    
-    // Return only the cheapest rate to Shopify (or all rates if needed)
-    res.status(200).json({ rates: [rates[0]] });
+    // Return the rates chosen by the shop's rate selection strategy
+    console.log(`Returning ${response.rates.length} rate(s) (${config.selection.strategy})`);
+    res.status(200).json(response);
+    const durationMs = performance.now() - startedAt;
+    rateLatency.record(durationMs);
+    logRateRequest(shop, request, { rates, response, durationMs });
   } catch (error) {
     console.error("Error calculating shipping rates:", error);
     res.status(500).json({ error: "Error calculating shipping rates" });
+    logRateRequest(shop, request, { durationMs: performance.now() - startedAt, error });
   }
 });
 
@@ -0,0 +1,151 @@
+// web/routes/surcharges.js
+import express from "express";
+import {
+  getSurcharges,
+  getSurcharge,
+  addSurcharge,
+  updateSurcharge,
+  deleteSurcharge
+} from '../database/models/surcharge.js';
+import { validateSurcharge } from '../services/surcharges.js';
+
+const router = express.Router();
+
+// Respond with a 400 listing every validation error of a surcharge
+function rejectInvalidSurcharge(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: `Invalid surcharge: ${errors.join("; ")}`,
+    errors
+  });
+}
+
+// Get all surcharges
+router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const surcharges = await getSurcharges(shop);
+    res.json(surcharges);
+  } catch (error) {
+    console.error("Error fetching surcharges:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch surcharges"
+    });
+  }
+});
+
+// Get a single surcharge
+router.get("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const surcharge = Number.isNaN(id) ? null : await getSurcharge(shop, id);
+
+    if (!surcharge) {
+      return res.status(404).json({
+        success: false,
+        error: "Surcharge not found"
+      });
+    }
+
+    res.json(surcharge);
+  } catch (error) {
+    console.error("Error fetching surcharge:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch surcharge"
+    });
+  }
+});
+
+// Add a new surcharge
+router.post("/", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const errors = validateSurcharge(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidSurcharge(res, errors);
+  }
+
+  try {
+    const surcharge = await addSurcharge(shop, req.body);
+
+    if (!surcharge) {
+      return res.status(400).json({
+        success: false,
+        error: "Carrier not found"
+      });
+    }
+
+    const surcharges = await getSurcharges(shop);
+    res.status(200).json({ success: true, surcharges });
+  } catch (error) {
+    console.error("Error adding surcharge:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add surcharge"
+    });
+  }
+});
+
+// Update an existing surcharge
+router.put("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+  const errors = validateSurcharge(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidSurcharge(res, errors);
+  }
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await updateSurcharge(shop, id, req.body);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Surcharge or carrier not found"
+      });
+    }
+
+    const surcharges = await getSurcharges(shop);
+    res.status(200).json({ success: true, surcharges });
+  } catch (error) {
+    console.error("Error updating surcharge:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update surcharge"
+    });
+  }
+});
+
+// Delete a surcharge
+router.delete("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await deleteSurcharge(shop, id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Surcharge not found"
+      });
+    }
+
+    const surcharges = await getSurcharges(shop);
+    res.status(200).json({ success: true, surcharges });
+  } catch (error) {
+    console.error("Error deleting surcharge:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete surcharge"
+    });
+  }
+});
+
+export default router;
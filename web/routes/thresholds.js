@@ -0,0 +1,151 @@
+// web/routes/thresholds.js
+import express from "express";
+import {
+  getThresholds,
+  getThreshold,
+  addThreshold,
+  updateThreshold,
+  deleteThreshold
+} from '../database/models/threshold.js';
+import { validateThreshold } from '../services/thresholds.js';
+
+const router = express.Router();
+
+// Respond with a 400 listing every validation error of a threshold
+function rejectInvalidThreshold(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: `Invalid threshold: ${errors.join("; ")}`,
+    errors
+  });
+}
+
+// Get all thresholds
+router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const thresholds = await getThresholds(shop);
+    res.json(thresholds);
+  } catch (error) {
+    console.error("Error fetching thresholds:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch thresholds"
+    });
+  }
+});
+
+// Get a single threshold
+router.get("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const threshold = Number.isNaN(id) ? null : await getThreshold(shop, id);
+
+    if (!threshold) {
+      return res.status(404).json({
+        success: false,
+        error: "Threshold not found"
+      });
+    }
+
+    res.json(threshold);
+  } catch (error) {
+    console.error("Error fetching threshold:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch threshold"
+    });
+  }
+});
+
+// Add a new threshold
+router.post("/", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const errors = validateThreshold(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidThreshold(res, errors);
+  }
+
+  try {
+    const threshold = await addThreshold(shop, req.body);
+
+    if (!threshold) {
+      return res.status(400).json({
+        success: false,
+        error: "Carrier or zone not found"
+      });
+    }
+
+    const thresholds = await getThresholds(shop);
+    res.status(200).json({ success: true, thresholds });
+  } catch (error) {
+    console.error("Error adding threshold:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add threshold"
+    });
+  }
+});
+
+// Update an existing threshold
+router.put("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+  const errors = validateThreshold(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidThreshold(res, errors);
+  }
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await updateThreshold(shop, id, req.body);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Threshold, carrier or zone not found"
+      });
+    }
+
+    const thresholds = await getThresholds(shop);
+    res.status(200).json({ success: true, thresholds });
+  } catch (error) {
+    console.error("Error updating threshold:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update threshold"
+    });
+  }
+});
+
+// Delete a threshold
+router.delete("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await deleteThreshold(shop, id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Threshold not found"
+      });
+    }
+
+    const thresholds = await getThresholds(shop);
+    res.status(200).json({ success: true, thresholds });
+  } catch (error) {
+    console.error("Error deleting threshold:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete threshold"
+    });
+  }
+});
+
+export default router;
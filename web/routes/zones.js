@@ -0,0 +1,159 @@
+// web/routes/zones.js
+import express from "express";
+import {
+  getZones,
+  getZone,
+  addZone,
+  updateZone,
+  deleteZone
+} from '../database/models/zone.js';
+import { validateZone } from '../services/zones.js';
+
+const router = express.Router();
+
+// Respond with a 400 listing every validation error of a zone
+function rejectInvalidZone(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: `Invalid zone: ${errors.join("; ")}`,
+    errors
+  });
+}
+
+// Get all zones
+router.get("/", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+
+  try {
+    const zones = await getZones(shop);
+    res.json(zones);
+  } catch (error) {
+    console.error("Error fetching zones:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch zones"
+    });
+  }
+});
+
+// Get a single zone
+router.get("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const zone = Number.isNaN(id) ? null : await getZone(shop, id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: "Zone not found"
+      });
+    }
+
+    res.json(zone);
+  } catch (error) {
+    console.error("Error fetching zone:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch zone"
+    });
+  }
+});
+
+// Add a new zone
+router.post("/", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const errors = validateZone(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidZone(res, errors);
+  }
+
+  try {
+    await addZone(shop, req.body);
+    const zones = await getZones(shop);
+    res.status(200).json({ success: true, zones });
+  } catch (error) {
+    // Check for duplicate name constraint violation
+    if (error.message.includes('unique') || error.message.includes('duplicate')) {
+      return res.status(400).json({
+        success: false,
+        error: "A zone with this name already exists"
+      });
+    }
+
+    console.error("Error adding zone:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add zone"
+    });
+  }
+});
+
+// Update an existing zone
+router.put("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+  const errors = validateZone(req.body);
+
+  if (errors.length > 0) {
+    return rejectInvalidZone(res, errors);
+  }
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await updateZone(shop, id, req.body);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Zone not found"
+      });
+    }
+
+    const zones = await getZones(shop);
+    res.status(200).json({ success: true, zones });
+  } catch (error) {
+    // Check for duplicate name constraint violation
+    if (error.message.includes('unique') || error.message.includes('duplicate')) {
+      return res.status(400).json({
+        success: false,
+        error: "A zone with this name already exists"
+      });
+    }
+
+    console.error("Error updating zone:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update zone"
+    });
+  }
+});
+
+// Delete a zone
+router.delete("/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const result = Number.isNaN(id) ? { changes: 0 } : await deleteZone(shop, id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Zone not found"
+      });
+    }
+
+    const zones = await getZones(shop);
+    res.status(200).json({ success: true, zones });
+  } catch (error) {
+    console.error("Error deleting zone:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete zone"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,359 @@
+// web/services/carrierCsv.js
+import { validateRateBands } from './rateTables.js';
+import { isValidCurrency } from './currency.js';
+import { validateCarrierName } from './carrierNames.js';
+
+const LIMIT_COLUMNS = ['max_weight', 'max_length', 'max_width', 'max_height', 'max_girth', 'max_parcels'];
+const TRANSIT_COLUMNS = ['min_transit_days', 'max_transit_days'];
+const DETAIL_COLUMNS = ['service_code', 'description', 'active', 'display_order'];
+const BAND_COLUMNS = ['band_min_weight', 'band_max_weight', 'band_price'];
+
+/**
+ * Columns of the carrier CSV, in the units the API uses: prices in cents,
+ * weights in grams and dimensions in cm. A row with band columns is a weight
+ * band of the carrier's rate table for the zone (all zones when empty); any
+ * other row is the carrier itself. An empty service_code or description
+ * resets it to the one derived from the carrier.
+ */
+export const CARRIER_CSV_COLUMNS = [
+  'carrier',
+  'zone',
+  'currency',
+  'price',
+  ...LIMIT_COLUMNS,
+  ...TRANSIT_COLUMNS,
+  ...DETAIL_COLUMNS,
+  ...BAND_COLUMNS,
+];
+
+// Split CSV content into rows of fields in a single pass, so quoted fields can
+// hold delimiters, doubled quotes and line breaks. Spreadsheets in many
+// locales use semicolons.
+function parseCsv(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const [firstLine] = text.split(/\r?\n/, 1);
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  const endField = () => {
+    fields.push(unescapeFormula(field.trim()));
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    rows.push(fields);
+    fields = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char === '\r' && text[i + 1] === '\n') {
+      endRow();
+      i++;
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+// Spreadsheets run fields starting with one of these as formulas
+const FORMULA_START = /^[=+\-@]/;
+
+// Exported text starting like a formula is prefixed with a quote, which
+// spreadsheets show as text; the import drops it again
+function escapeFormula(value) {
+  return typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value;
+}
+
+function unescapeFormula(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// Quote a CSV field when it contains a delimiter, a quote or a line break
+function csvField(value) {
+  const escaped = escapeFormula(value);
+  const text = escaped == null ? '' : String(escaped);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const isWholeNumber = (value) => /^\d+$/.test(value);
+
+/**
+ * Write a shop's carriers and their rate tables as CSV, each carrier followed
+ * by the bands of its table for all zones and then of its zone tables
+ * @param {Array} carriers - The shop's carriers
+ * @param {Array} rateTables - Rate tables of the carriers with their weight bands
+ * @param {Array} zones - The shop's zones, to name the zone of a rate table
+ * @returns {String} - CSV content with a header row
+ */
+export function exportCarriersCsv(carriers, rateTables, zones) {
+  const zoneNames = new Map(zones.map((zone) => [zone.id, zone.name]));
+  const rows = [CARRIER_CSV_COLUMNS];
+
+  for (const carrier of [...carriers].sort((a, b) => a.name.localeCompare(b.name))) {
+    rows.push(CARRIER_CSV_COLUMNS.map((column) => {
+      if (column === 'carrier') return carrier.name;
+      if (column === 'zone' || BAND_COLUMNS.includes(column)) return '';
+      return carrier[column];
+    }));
+
+    const tables = rateTables
+      .filter((table) => table.carrier_id === carrier.id)
+      .map((table) => ({ ...table, zone: table.zone_id === null ? '' : zoneNames.get(table.zone_id) ?? '' }))
+      .sort((a, b) => (a.zone_id === null ? -1 : b.zone_id === null ? 1 : a.zone.localeCompare(b.zone)));
+    for (const table of tables) {
+      for (const band of [...table.bands].sort((a, b) => a.min_weight - b.min_weight)) {
+        rows.push(CARRIER_CSV_COLUMNS.map((column) => ({
+          carrier: carrier.name,
+          zone: table.zone,
+          currency: table.currency,
+          band_min_weight: band.min_weight,
+          band_max_weight: band.max_weight,
+          band_price: band.price,
+        })[column] ?? ''));
+      }
+    }
+  }
+
+  return rows.map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Read a carrier row; returns the carrier to upsert or the row's errors
+function readCarrierRow(values) {
+  const errors = [];
+  const carrier = { name: values.carrier, price: null, options: {} };
+
+  if (values.zone) {
+    errors.push('Carrier rows have no zone; the zone belongs to rate table bands');
+  }
+  if (isWholeNumber(values.price) && parseInt(values.price, 10) > 0) {
+    carrier.price = parseInt(values.price, 10);
+  } else {
+    errors.push('Price must be a positive number of cents');
+  }
+  for (const column of LIMIT_COLUMNS) {
+    if (values[column] === undefined) continue;
+    if (values[column] === '') {
+      carrier.options[column] = null;
+    } else if (isWholeNumber(values[column]) && parseInt(values[column], 10) > 0) {
+      carrier.options[column] = parseInt(values[column], 10);
+    } else {
+      errors.push(`${column} must be a positive whole number or empty for no limit`);
+    }
+  }
+  for (const column of TRANSIT_COLUMNS) {
+    if (!values[column]) continue;
+    if (isWholeNumber(values[column])) {
+      carrier.options[column] = parseInt(values[column], 10);
+    } else {
+      errors.push(`${column} must be a whole number of business days`);
+    }
+  }
+  if (carrier.options.min_transit_days > carrier.options.max_transit_days) {
+    errors.push("min_transit_days can't be greater than max_transit_days");
+  }
+  if (values.service_code !== undefined) {
+    if (values.service_code === '') {
+      carrier.options.service_code = null;
+    } else if (/^[A-Za-z0-9_-]{1,64}$/.test(values.service_code)) {
+      carrier.options.service_code = values.service_code;
+    } else {
+      errors.push('service_code must be letters, digits, dashes and underscores, or empty to derive it from the name');
+    }
+  }
+  if (values.description !== undefined) {
+    if (values.description.length > 500) {
+      errors.push('description must be at most 500 characters');
+    } else {
+      carrier.options.description = values.description || null;
+    }
+  }
+  if (values.active) {
+    if (/^(true|false)$/i.test(values.active)) {
+      carrier.options.active = values.active.toLowerCase() === 'true';
+    } else {
+      errors.push('active must be true or false');
+    }
+  }
+  if (values.display_order) {
+    if (/^-?\d+$/.test(values.display_order)) {
+      carrier.options.display_order = parseInt(values.display_order, 10);
+    } else {
+      errors.push('display_order must be a whole number');
+    }
+  }
+  if (values.currency) {
+    if (isValidCurrency(values.currency)) {
+      carrier.options.currency = values.currency.toUpperCase();
+    } else {
+      errors.push(`"${values.currency}" is not a currency code`);
+    }
+  }
+
+  return { carrier, errors };
+}
+
+// Read a rate table band row; returns the band or the row's errors
+function readBandRow(values) {
+  const errors = [];
+
+  const carrierColumns = ['price', ...LIMIT_COLUMNS, ...TRANSIT_COLUMNS, ...DETAIL_COLUMNS].filter((column) => values[column]);
+  if (carrierColumns.length > 0) {
+    errors.push(`Band rows can't set ${carrierColumns.join(', ')}; put them on the carrier row`);
+  }
+  for (const column of BAND_COLUMNS) {
+    if (!isWholeNumber(values[column])) {
+      errors.push(`${column} must be a non-negative whole number`);
+    }
+  }
+  if (values.currency && !isValidCurrency(values.currency)) {
+    errors.push(`"${values.currency}" is not a currency code`);
+  }
+
+  const band = {
+    min_weight: parseInt(values.band_min_weight, 10),
+    max_weight: parseInt(values.band_max_weight, 10),
+    price: parseInt(values.band_price, 10),
+  };
+  if (band.max_weight <= band.min_weight) {
+    errors.push('band_max_weight must be greater than band_min_weight');
+  }
+  return { band, errors };
+}
+
+/**
+ * Plan the import of a carrier CSV against the shop's current configuration.
+ * Carriers are matched by name and created or updated; carriers missing from
+ * the file stay as they are. The bands given for a carrier and zone replace
+ * that rate table. Nothing should be written while any row is rejected.
+ * @param {String} content - CSV content with a header row, see CARRIER_CSV_COLUMNS
+ * @param {Object} existing - The shop's { carriers, zones, rateTables }
+ * @returns {Object} - { created, updated, rejected } rows for the report, each
+ *   { row, carrier, zone } with the rejected ones' errors, and the { carriers,
+ *   rateTables } to write: rate tables by carrier name with their zone_id
+ */
+export function planCarrierImport(content, { carriers = [], zones = [], rateTables = [] } = {}) {
+  const plan = { created: [], updated: [], rejected: [], carriers: [], rateTables: [] };
+  const [header, ...lines] = parseCsv(content);
+
+  const columns = header.map((column) => column.toLowerCase());
+  const unknown = columns.filter((column) => column && !CARRIER_CSV_COLUMNS.includes(column));
+  if (!columns.includes('carrier') || unknown.length > 0) {
+    plan.rejected.push({
+      row: 1,
+      carrier: null,
+      zone: null,
+      errors: [
+        ...(columns.includes('carrier') ? [] : ['The header row needs a carrier column']),
+        ...unknown.map((column) => `Unknown column "${column}"`),
+      ],
+    });
+    return plan;
+  }
+
+  const existingCarriers = new Map(carriers.map((carrier) => [carrier.name, carrier]));
+  const zoneIds = new Map(zones.map((zone) => [zone.name, zone.id]));
+  const rows = [];
+  lines.forEach((fields, index) => {
+    if (fields.every((field) => field === '')) return;
+    // Columns missing from the file stay undefined and leave the carrier's value as it is
+    const values = Object.fromEntries(columns.map((column, i) => [column, fields[i] ?? '']));
+    const isBand = BAND_COLUMNS.some((column) => values[column]);
+    rows.push({ row: index + 2, values, isBand, ...(isBand ? readBandRow(values) : readCarrierRow(values)) });
+  });
+
+  // Carriers first, so bands can belong to a carrier created by the same file
+  const fileCarriers = new Set();
+  for (const entry of rows.filter(({ isBand }) => !isBand)) {
+    const nameErrors = validateCarrierName(entry.values.carrier);
+    if (nameErrors.length > 0) {
+      entry.errors.unshift(...nameErrors);
+    } else if (fileCarriers.has(entry.values.carrier)) {
+      entry.errors.unshift(`Carrier "${entry.values.carrier}" appears more than once`);
+    }
+    fileCarriers.add(entry.values.carrier);
+  }
+
+  // Group the bands by the rate table they replace
+  const tables = new Map();
+  for (const entry of rows.filter(({ isBand }) => isBand)) {
+    const { carrier, zone, currency } = entry.values;
+    if (!carrier) {
+      entry.errors.unshift('Carrier name is required');
+    } else if (!fileCarriers.has(carrier) && !existingCarriers.has(carrier)) {
+      entry.errors.unshift(`Carrier "${carrier}" doesn't exist and has no carrier row`);
+    }
+    if (zone && !zoneIds.has(zone)) {
+      entry.errors.push(`Zone "${zone}" doesn't exist`);
+    }
+
+    const key = JSON.stringify([carrier, zone]);
+    if (!tables.has(key)) {
+      tables.set(key, { carrier, zone_id: zone ? zoneIds.get(zone) ?? null : null, currency: null, entries: [] });
+    }
+    const table = tables.get(key);
+    table.entries.push(entry);
+    if (currency) {
+      if (table.currency && table.currency !== currency.toUpperCase()) {
+        entry.errors.push(`All bands of a rate table need the same currency, found ${table.currency} and ${currency.toUpperCase()}`);
+      }
+      table.currency = table.currency || currency.toUpperCase();
+    }
+  }
+
+  // Bands that are valid on their own may still overlap within their table
+  for (const table of tables.values()) {
+    if (table.entries.some(({ errors }) => errors.length > 0)) continue;
+    const errors = validateRateBands(table.entries.map(({ band }) => band))
+      .filter((error) => !/^Band \d/.test(error));
+    for (const entry of table.entries) {
+      entry.errors.push(...errors);
+    }
+  }
+
+  for (const entry of rows) {
+    const { carrier, zone } = entry.values;
+    const report = { row: entry.row, carrier: carrier || null, zone: zone || null };
+    if (entry.errors.length > 0) {
+      plan.rejected.push({ ...report, errors: entry.errors });
+      continue;
+    }
+
+    const existing = existingCarriers.get(carrier);
+    let exists = Boolean(existing);
+    if (entry.isBand) {
+      const zoneId = zone ? zoneIds.get(zone) : null;
+      exists = exists && rateTables.some((table) => table.carrier_id === existing.id && table.zone_id === zoneId);
+    }
+    (exists ? plan.updated : plan.created).push(report);
+  }
+
+  plan.carriers = rows.filter(({ isBand }) => !isBand).map(({ carrier }) => carrier);
+  plan.rateTables = [...tables.values()].map(({ carrier, zone_id, currency, entries }) => ({
+    carrier,
+    zone_id,
+    currency,
+    bands: entries.map(({ band }) => band),
+  }));
+  return plan;
+}
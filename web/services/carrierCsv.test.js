@@ -0,0 +1,140 @@
+// web/services/carrierCsv.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportCarriersCsv, planCarrierImport } from './carrierCsv.js';
+
+const carriers = [
+  {
+    id: 1, name: 'DPD', price: 1000, currency: 'EUR',
+    max_weight: 31500, max_length: null, max_width: null, max_height: null, max_girth: 300, max_parcels: null,
+    min_transit_days: 1, max_transit_days: 3,
+    service_code: 'dpd_classic', description: null, active: true, display_order: 2,
+  },
+];
+const zones = [{ id: 7, name: 'Alps, east' }];
+const rateTables = [
+  { carrier_id: 1, zone_id: 7, currency: 'CHF', bands: [{ min_weight: 0, max_weight: 2000, price: 990 }] },
+  {
+    carrier_id: 1, zone_id: null, currency: 'EUR',
+    bands: [{ min_weight: 2000, max_weight: 5000, price: 650 }, { min_weight: 0, max_weight: 2000, price: 450 }],
+  },
+];
+
+const HEADER = 'carrier,zone,currency,price,max_weight,min_transit_days,max_transit_days,band_min_weight,band_max_weight,band_price';
+
+test('exports carriers followed by the bands of their rate tables', () => {
+  assert.equal(
+    exportCarriersCsv(carriers, rateTables, zones),
+    [
+      'carrier,zone,currency,price,max_weight,max_length,max_width,max_height,max_girth,max_parcels,' +
+        'min_transit_days,max_transit_days,service_code,description,active,display_order,' +
+        'band_min_weight,band_max_weight,band_price',
+      'DPD,,EUR,1000,31500,,,,300,,1,3,dpd_classic,,true,2,,,',
+      'DPD,,EUR,,,,,,,,,,,,,,0,2000,450',
+      'DPD,,EUR,,,,,,,,,,,,,,2000,5000,650',
+      'DPD,"Alps, east",CHF,,,,,,,,,,,,,,0,2000,990',
+      '',
+    ].join('\n')
+  );
+});
+
+test('plans an exported file as updates only', () => {
+  const plan = planCarrierImport(exportCarriersCsv(carriers, rateTables, zones), { carriers, zones, rateTables });
+
+  assert.deepEqual(plan.rejected, []);
+  assert.deepEqual(plan.created, []);
+  assert.equal(plan.updated.length, 4);
+  assert.deepEqual(plan.carriers[0].options, {
+    currency: 'EUR', max_weight: 31500, max_length: null, max_width: null, max_height: null,
+    max_girth: 300, max_parcels: null, min_transit_days: 1, max_transit_days: 3,
+    service_code: 'dpd_classic', description: null, active: true, display_order: 2,
+  });
+  assert.deepEqual(plan.rateTables[1], { carrier: 'DPD', zone_id: 7, currency: 'CHF', bands: [{ min_weight: 0, max_weight: 2000, price: 990 }] });
+});
+
+test('round-trips descriptions with line breaks and keeps formulas from running', () => {
+  const described = [
+    { ...carriers[0], description: 'Tracked parcel\n"Signature" on delivery', active: false, display_order: -1 },
+    { ...carriers[0], id: 2, name: '=HYPERLINK("http://example.com")', description: '@once', display_order: 0 },
+  ];
+  const csv = exportCarriersCsv(described, [], zones);
+
+  assert.match(csv, /,"Tracked parcel\n""Signature"" on delivery",false,-1,/);
+  assert.match(csv, /^"'=HYPERLINK\(""http:\/\/example\.com""\)",.*,'@once,true,0,/m);
+
+  const plan = planCarrierImport(csv, { carriers: described, zones, rateTables: [] });
+  assert.deepEqual(plan.rejected, []);
+  assert.deepEqual(plan.updated.map(({ row }) => row), [2, 3]);
+  assert.deepEqual(
+    plan.carriers.map(({ name, options }) => [name, options.description, options.active, options.display_order]),
+    [
+      ['=HYPERLINK("http://example.com")', '@once', true, 0],
+      ['DPD', 'Tracked parcel\n"Signature" on delivery', false, -1],
+    ]
+  );
+});
+
+test('plans new carriers and rate tables from a semicolon separated file', () => {
+  const csv = [
+    HEADER.replace(/,/g, ';'),
+    'GLS;;;890;20000;2;4;;;',
+    'GLS;;;;;;;0;20000;890',
+    'DPD;Alps, east;;;;;;0;1000;700',
+  ].join('\r\n');
+  const plan = planCarrierImport(csv, { carriers, zones, rateTables: [] });
+
+  assert.deepEqual(plan.rejected, []);
+  assert.deepEqual(plan.created.map(({ row }) => row), [2, 3, 4]);
+  // Columns missing from the file leave the carrier's values alone
+  assert.deepEqual(plan.carriers, [
+    { name: 'GLS', price: 890, options: { max_weight: 20000, min_transit_days: 2, max_transit_days: 4 } },
+  ]);
+  assert.deepEqual(plan.rateTables.map(({ carrier, zone_id, currency }) => [carrier, zone_id, currency]), [
+    ['GLS', null, null],
+    ['DPD', 7, null],
+  ]);
+});
+
+test('rejects invalid rows with their errors', () => {
+  const csv = [
+    HEADER,
+    'UPS,,usd,0,,5,2,,,',
+    'UPS Express,,,900,,,,,,',
+    'Hermes,,,,,,,0,1000,500',
+    'DPD,Nowhere,,,,,,0,1000,500',
+    'DPD,,EUR,,,,,0,1000,500',
+    'DPD,,EUR,,,,,500,2000,700',
+  ].join('\n');
+  const { rejected, created } = planCarrierImport(csv, { carriers, zones, rateTables });
+
+  assert.deepEqual(created, [{ row: 3, carrier: 'UPS Express', zone: null }]);
+  assert.deepEqual(rejected, [
+    {
+      row: 2, carrier: 'UPS', zone: null,
+      errors: ['Price must be a positive number of cents', "min_transit_days can't be greater than max_transit_days"],
+    },
+    { row: 4, carrier: 'Hermes', zone: null, errors: ['Carrier "Hermes" doesn\'t exist and has no carrier row'] },
+    { row: 5, carrier: 'DPD', zone: 'Nowhere', errors: ['Zone "Nowhere" doesn\'t exist'] },
+    { row: 6, carrier: 'DPD', zone: null, errors: ['Bands 0–1000 g and 500–2000 g overlap'] },
+    { row: 7, carrier: 'DPD', zone: null, errors: ['Bands 0–1000 g and 500–2000 g overlap'] },
+  ]);
+});
+
+test('rejects imported carriers named with digits only', () => {
+  const csv = [HEADER, '24,,,900,,,,,,', 'DHL 24,,,900,,,,,,'].join('\n');
+  const { rejected, created } = planCarrierImport(csv, { carriers, zones, rateTables });
+
+  assert.deepEqual(rejected, [
+    { row: 2, carrier: '24', zone: null, errors: ["Carrier name can't be only digits, those address carriers by id"] },
+  ]);
+  assert.deepEqual(created, [{ row: 3, carrier: 'DHL 24', zone: null }]);
+});
+
+test('rejects a file with unknown columns', () => {
+  assert.deepEqual(planCarrierImport('name,price\nDPD,1000\n').rejected, [
+    {
+      row: 1, carrier: null, zone: null,
+      errors: ['The header row needs a carrier column', 'Unknown column "name"'],
+    },
+  ]);
+});
@@ -0,0 +1,18 @@
+// web/services/carrierNames.js
+
+/**
+ * Validate the name of a carrier being created, renamed or imported. Names of
+ * digits only are rejected: numeric route keys address carriers by id, so the
+ * deprecated name-keyed routes couldn't reach such a carrier.
+ * @param {String} name - Carrier name
+ * @returns {Array} - Validation error messages, empty when the name is valid
+ */
+export function validateCarrierName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return ['Carrier name is required'];
+  }
+  if (/^\d+$/.test(name.trim())) {
+    return ["Carrier name can't be only digits, those address carriers by id"];
+  }
+  return [];
+}
@@ -0,0 +1,19 @@
+// web/services/carrierNames.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCarrierName } from './carrierNames.js';
+
+const DIGITS_ONLY = "Carrier name can't be only digits, those address carriers by id";
+
+test('accepts the name of a new carrier unless it is only digits', () => {
+  assert.deepEqual(validateCarrierName('DPD'), []);
+  assert.deepEqual(validateCarrierName('DHL 24'), []);
+  assert.deepEqual(validateCarrierName('24'), [DIGITS_ONLY]);
+  assert.deepEqual(validateCarrierName(undefined), ['Carrier name is required']);
+});
+
+test('rejects renaming a carrier to digits only or to nothing', () => {
+  assert.deepEqual(validateCarrierName(' 24 '), [DIGITS_ONLY]);
+  assert.deepEqual(validateCarrierName('   '), ['Carrier name is required']);
+  assert.deepEqual(validateCarrierName(24), ['Carrier name is required']);
+});
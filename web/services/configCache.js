@@ -0,0 +1,86 @@
+// web/services/configCache.js
+
+// Entries are reloaded after this long even without an invalidation, in case
+// a change reached the database some other way
+export const DEFAULT_CONFIG_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Create a per-shop cache in front of a loader. Concurrent misses for the same
+ * shop share one load, and an invalidation during a load discards its result.
+ * @param {Function} load - async (shop) => config
+ * @param {Object} [options] - { ttlMs, now }: entry lifetime and the clock, for tests
+ * @returns {Object} - { get, invalidate, refresh, clear, stats }
+ */
+export function createConfigCache(load, { ttlMs = DEFAULT_CONFIG_TTL_MS, now = Date.now } = {}) {
+  const entries = new Map();
+  const pending = new Map();
+  const generations = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  // Start loading a shop unless a load is already running
+  function startLoad(shop) {
+    if (!pending.has(shop)) {
+      const generation = generations.get(shop) || 0;
+      const loading = load(shop)
+        .then((config) => {
+          if ((generations.get(shop) || 0) === generation) {
+            entries.set(shop, { config, loadedAt: now() });
+          }
+          return config;
+        })
+        .finally(() => {
+          if (pending.get(shop) === loading) {
+            pending.delete(shop);
+          }
+        });
+      pending.set(shop, loading);
+    }
+    return pending.get(shop);
+  }
+
+  async function get(shop) {
+    const entry = entries.get(shop);
+    if (entry && now() - entry.loadedAt < ttlMs) {
+      hits++;
+      return entry.config;
+    }
+    misses++;
+    return startLoad(shop);
+  }
+
+  // Drop a shop's entry; loads already running won't be cached
+  function invalidate(shop) {
+    entries.delete(shop);
+    pending.delete(shop);
+    generations.set(shop, (generations.get(shop) || 0) + 1);
+  }
+
+  // Invalidate a shop and load it again right away if it was cached, so the
+  // next rate request doesn't wait for the database
+  function refresh(shop) {
+    const cached = entries.has(shop) || pending.has(shop);
+    invalidate(shop);
+    if (cached) {
+      startLoad(shop).catch((error) => console.error(`Error reloading the config of ${shop}:`, error));
+    }
+  }
+
+  function clear() {
+    for (const shop of new Set([...entries.keys(), ...pending.keys()])) {
+      invalidate(shop);
+    }
+  }
+
+  function stats() {
+    const lookups = hits + misses;
+    return {
+      shops: entries.size,
+      hits,
+      misses,
+      hit_ratio: lookups === 0 ? null : hits / lookups,
+    };
+  }
+
+  return { get, invalidate, refresh, clear, stats };
+}
@@ -0,0 +1,115 @@
+// web/services/configCache.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConfigCache } from './configCache.js';
+
+// A loader that counts its calls and returns a new config object each time
+function countingLoader() {
+  const calls = [];
+  const load = async (shop) => {
+    calls.push(shop);
+    return { shop, version: calls.length };
+  };
+  return { load, calls };
+}
+
+test('loads a shop once and serves it from memory afterwards', async () => {
+  const { load, calls } = countingLoader();
+  const cache = createConfigCache(load);
+
+  const first = await cache.get('a.myshopify.com');
+  const second = await cache.get('a.myshopify.com');
+
+  assert.equal(first, second);
+  assert.deepEqual(calls, ['a.myshopify.com']);
+  assert.deepEqual(cache.stats(), { shops: 1, hits: 1, misses: 1, hit_ratio: 0.5 });
+});
+
+test('keeps shops apart', async () => {
+  const { load, calls } = countingLoader();
+  const cache = createConfigCache(load);
+
+  await cache.get('a.myshopify.com');
+  const other = await cache.get('b.myshopify.com');
+
+  assert.equal(other.shop, 'b.myshopify.com');
+  assert.equal(calls.length, 2);
+});
+
+test('reloads a shop after it was invalidated', async () => {
+  const { load } = countingLoader();
+  const cache = createConfigCache(load);
+
+  await cache.get('a.myshopify.com');
+  cache.invalidate('a.myshopify.com');
+
+  assert.equal((await cache.get('a.myshopify.com')).version, 2);
+});
+
+test('shares one load between concurrent misses', async () => {
+  const { load, calls } = countingLoader();
+  const cache = createConfigCache(load);
+
+  const [first, second] = await Promise.all([cache.get('a.myshopify.com'), cache.get('a.myshopify.com')]);
+
+  assert.equal(first, second);
+  assert.equal(calls.length, 1);
+});
+
+test('does not cache a load that was running when the shop was invalidated', async () => {
+  let release;
+  let version = 0;
+  const cache = createConfigCache(async () => {
+    version++;
+    if (version === 1) {
+      await new Promise((resolve) => { release = resolve; });
+    }
+    return { version };
+  });
+
+  const stale = cache.get('a.myshopify.com');
+  await new Promise((resolve) => setImmediate(resolve));
+  cache.invalidate('a.myshopify.com');
+  release();
+
+  assert.equal((await stale).version, 1);
+  assert.equal((await cache.get('a.myshopify.com')).version, 2);
+});
+
+test('reloads entries older than the TTL', async () => {
+  let now = 0;
+  const { load } = countingLoader();
+  const cache = createConfigCache(load, { ttlMs: 1000, now: () => now });
+
+  await cache.get('a.myshopify.com');
+  now = 999;
+  assert.equal((await cache.get('a.myshopify.com')).version, 1);
+  now = 1000;
+  assert.equal((await cache.get('a.myshopify.com')).version, 2);
+});
+
+test('does not cache failed loads', async () => {
+  let fail = true;
+  const cache = createConfigCache(async () => {
+    if (fail) throw new Error('database down');
+    return { ok: true };
+  });
+
+  await assert.rejects(cache.get('a.myshopify.com'), /database down/);
+  fail = false;
+  assert.deepEqual(await cache.get('a.myshopify.com'), { ok: true });
+});
+
+test('reloads a cached shop on refresh without counting a lookup', async () => {
+  const { load, calls } = countingLoader();
+  const cache = createConfigCache(load);
+
+  await cache.get('a.myshopify.com');
+  cache.refresh('a.myshopify.com');
+  cache.refresh('b.myshopify.com');
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal((await cache.get('a.myshopify.com')).version, 2);
+  assert.deepEqual(calls, ['a.myshopify.com', 'a.myshopify.com']);
+  assert.deepEqual(cache.stats(), { shops: 1, hits: 1, misses: 1, hit_ratio: 0.5 });
+});
@@ -0,0 +1,118 @@
+// web/services/configVersions.js
+
+// Columns that change on every write without changing what checkout sees
+const IGNORED_FIELDS = ['id', 'shop', 'created_at', 'updated_at'];
+
+const carrierName = (snapshot, id) =>
+  snapshot.carriers.find((carrier) => carrier.id === id)?.name ?? `carrier ${id}`;
+const zoneName = (snapshot, id) =>
+  id === null ? 'all zones' : snapshot.zones.find((zone) => zone.id === id)?.name ?? `zone ${id}`;
+
+/**
+ * Sections of a configuration snapshot, each a list of rows of one of the
+ * configuration tables, with what identifies a row across versions and how
+ * to name it in a comparison. Settings are a key/value object instead.
+ */
+export const SNAPSHOT_SECTIONS = {
+  carriers: {
+    key: (carrier) => carrier.id,
+    label: (carrier) => carrier.name,
+  },
+  zones: {
+    key: (zone) => zone.id,
+    label: (zone) => zone.name,
+  },
+  rateTables: {
+    key: (table) => `${table.carrier_id}:${table.zone_id}`,
+    label: (table, snapshot) => `${carrierName(snapshot, table.carrier_id)}, ${zoneName(snapshot, table.zone_id)}`,
+  },
+  priceSchedules: {
+    key: (schedule) => schedule.id,
+    label: (schedule, snapshot) =>
+      `${carrierName(snapshot, schedule.carrier_id)}: ${schedule.bands ? 'rate table' : 'price'} from ${new Date(schedule.starts_at).toISOString()}`,
+  },
+  surcharges: {
+    key: (surcharge) => surcharge.id,
+    label: (surcharge, snapshot) => `${carrierName(snapshot, surcharge.carrier_id)}: ${surcharge.name}`,
+  },
+  thresholds: {
+    key: (threshold) => threshold.id,
+    label: (threshold) => threshold.description || `From ${threshold.min_subtotal} cents`,
+  },
+  rules: {
+    key: (rule) => rule.id,
+    label: (rule) => rule.name,
+  },
+  holidays: {
+    key: (holiday) => `${holiday.country}:${holiday.date}`,
+    label: (holiday) => `${holiday.date} ${holiday.country}${holiday.name ? ` (${holiday.name})` : ''}`,
+  },
+  exchangeRates: {
+    key: (exchangeRate) => exchangeRate.currency,
+    label: (exchangeRate) => exchangeRate.currency,
+  },
+  classRestrictions: {
+    key: (restriction) => restriction.id,
+    label: (restriction, snapshot) => `${carrierName(snapshot, restriction.carrier_id)}: ${restriction.shipping_class}`,
+  },
+};
+
+// Names of the fields two versions of a row differ in
+function changedFields(before, after) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter((field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .sort();
+}
+
+/**
+ * Compare two configuration snapshots, typically the published version and
+ * the draft
+ * @param {Object} from - The snapshot to compare against, null for none
+ * @param {Object} to - The snapshot to compare
+ * @returns {Object} - { changed, sections }: sections by name, each
+ *   { added, removed, changed } lists of { key, label } with the changed
+ *   rows' fields; settings are listed by key
+ */
+export function diffConfigSnapshots(from, to) {
+  const sections = {};
+  const before = from || { settings: {} };
+
+  for (const [name, section] of Object.entries(SNAPSHOT_SECTIONS)) {
+    const rowsBefore = new Map((before[name] || []).map((row) => [section.key(row), row]));
+    const rowsAfter = new Map((to[name] || []).map((row) => [section.key(row), row]));
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const [key, row] of rowsAfter) {
+      if (!rowsBefore.has(key)) {
+        diff.added.push({ key, label: section.label(row, to) });
+        continue;
+      }
+      const fields = changedFields(rowsBefore.get(key), row);
+      if (fields.length > 0) {
+        diff.changed.push({ key, label: section.label(row, to), fields });
+      }
+    }
+    for (const [key, row] of rowsBefore) {
+      if (!rowsAfter.has(key)) {
+        diff.removed.push({ key, label: section.label(row, before) });
+      }
+    }
+    sections[name] = diff;
+  }
+
+  const settingsBefore = before.settings || {};
+  const settingsAfter = to.settings || {};
+  sections.settings = {
+    added: Object.keys(settingsAfter).filter((key) => !(key in settingsBefore)).map((key) => ({ key, label: key })),
+    removed: Object.keys(settingsBefore).filter((key) => !(key in settingsAfter)).map((key) => ({ key, label: key })),
+    changed: Object.keys(settingsAfter)
+      .filter((key) => key in settingsBefore && settingsBefore[key] !== settingsAfter[key])
+      .map((key) => ({ key, label: key, fields: ['value'] })),
+  };
+
+  const changed = Object.values(sections).some((diff) =>
+    diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0
+  );
+  return { changed, sections };
+}
@@ -0,0 +1,62 @@
+// web/services/configVersions.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffConfigSnapshots } from './configVersions.js';
+
+const published = {
+  carriers: [
+    { id: 1, name: 'DPD', price: 1000, updated_at: '2026-01-01T00:00:00.000Z' },
+    { id: 2, name: 'Post', price: 1200 },
+  ],
+  zones: [{ id: 7, name: 'Alps' }],
+  rateTables: [{ id: 3, carrier_id: 1, zone_id: 7, currency: 'EUR', bands: [{ min_weight: 0, max_weight: 2000, price: 450 }] }],
+  holidays: [{ id: 4, country: 'AT', date: '2026-12-25', name: 'Christmas' }],
+  settings: { default_currency: 'EUR', weight_unit: 'kg' },
+};
+
+const isUnchanged = (diff) => diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+
+test('finds no changes between equal snapshots, ignoring ids and timestamps', () => {
+  const draft = {
+    ...published,
+    carriers: [{ ...published.carriers[0], updated_at: '2026-02-01T00:00:00.000Z' }, published.carriers[1]],
+    holidays: [{ ...published.holidays[0], id: 9 }],
+  };
+  const diff = diffConfigSnapshots(published, draft);
+
+  assert.equal(diff.changed, false);
+  assert.ok(Object.values(diff.sections).every(isUnchanged));
+});
+
+test('lists added, removed and changed rows with their labels', () => {
+  const draft = {
+    ...published,
+    carriers: [{ id: 1, name: 'DPD Express', price: 1100 }, { id: 5, name: 'GLS', price: 890 }],
+    rateTables: [{ ...published.rateTables[0], bands: [{ min_weight: 0, max_weight: 2000, price: 490 }] }],
+    settings: { default_currency: 'CHF', timezone: 'Europe/Zurich' },
+  };
+  const { changed, sections } = diffConfigSnapshots(published, draft);
+
+  assert.equal(changed, true);
+  assert.deepEqual(sections.carriers, {
+    added: [{ key: 5, label: 'GLS' }],
+    removed: [{ key: 2, label: 'Post' }],
+    changed: [{ key: 1, label: 'DPD Express', fields: ['name', 'price'] }],
+  });
+  assert.deepEqual(sections.rateTables.changed, [{ key: '1:7', label: 'DPD Express, Alps', fields: ['bands'] }]);
+  assert.deepEqual(sections.settings, {
+    added: [{ key: 'timezone', label: 'timezone' }],
+    removed: [{ key: 'weight_unit', label: 'weight_unit' }],
+    changed: [{ key: 'default_currency', label: 'default_currency', fields: ['value'] }],
+  });
+  assert.ok(isUnchanged(sections.holidays));
+});
+
+test('lists everything as added when nothing was published yet', () => {
+  const { changed, sections } = diffConfigSnapshots(null, published);
+
+  assert.equal(changed, true);
+  assert.deepEqual(sections.carriers.added.map(({ label }) => label), ['DPD', 'Post']);
+  assert.deepEqual(sections.holidays.added, [{ key: 'AT:2026-12-25', label: '2026-12-25 AT (Christmas)' }]);
+  assert.deepEqual(sections.settings.added.map(({ key }) => key), ['default_currency', 'weight_unit']);
+});
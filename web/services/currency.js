@@ -0,0 +1,140 @@
+// web/services/currency.js
+
+// Exchange rates are stored as units of a currency per euro, like the ECB publishes them
+export const BASE_CURRENCY = 'EUR';
+
+export const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+/**
+ * Check a three-letter ISO 4217 currency code
+ * @param {String} currency - Currency code, e.g. "CHF"
+ * @returns {Boolean} - Whether the code is well-formed
+ */
+export function isValidCurrency(currency) {
+  return typeof currency === 'string' && /^[A-Za-z]{3}$/.test(currency);
+}
+
+/**
+ * Round a price to a currency's increment, e.g. to 5 Rappen for CHF
+ * @param {Number} amount - Price in cents
+ * @param {Object} [rounding] - { increment, mode }: increment in cents, nearest, up or down
+ * @returns {Number} - Rounded price in cents
+ */
+export function roundPrice(amount, { increment = 1, mode = 'nearest' } = {}) {
+  if (increment <= 1) {
+    return Math.round(amount);
+  }
+  const round = mode === 'up' ? Math.ceil : mode === 'down' ? Math.floor : Math.round;
+  return round(amount / increment) * increment;
+}
+
+/**
+ * Create a converter for a shop's exchange-rate table
+ * @param {Array} exchangeRates - Rows with currency, rate (per euro),
+ *   rounding_increment and rounding_mode
+ * @returns {Object} - { convert, round }: convert(amount, from, to) returns cents
+ *   or null without a rate for either currency; round(amount, currency) applies
+ *   the currency's rounding
+ */
+export function createCurrencyConverter(exchangeRates = []) {
+  const byCurrency = new Map(exchangeRates.map((row) => [row.currency, row]));
+
+  const rateOf = (currency) =>
+    currency === BASE_CURRENCY ? 1 : byCurrency.get(currency)?.rate ?? null;
+
+  function convert(amount, from, to) {
+    if (from === to) {
+      return amount;
+    }
+    const fromRate = rateOf(from);
+    const toRate = rateOf(to);
+    if (!fromRate || !toRate) {
+      return null;
+    }
+    return Math.round((amount / fromRate) * toRate);
+  }
+
+  function round(amount, currency) {
+    const row = byCurrency.get(currency);
+    return roundPrice(amount, row && { increment: row.rounding_increment, mode: row.rounding_mode });
+  }
+
+  return { convert, round };
+}
+
+// Value of an XML attribute, e.g. attribute("<Cube rate='1.08'/>", 'rate') => "1.08"
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*['"]([^'"]*)['"]`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Read exchange rates from a CSV with "currency,rate" rows or an ECB reference
+ * rate file (eurofxref-daily.xml). Of an ECB history only the first, latest day is read.
+ * @param {String} content - File content
+ * @param {String} format - 'csv' or 'ecb'
+ * @returns {Object} - { rates: [{ currency, rate }], errors }
+ */
+export function parseExchangeRates(content, format) {
+  const rates = [];
+  const errors = [];
+
+  const addRate = (currency, value, where) => {
+    const rate = Number(value);
+    if (!isValidCurrency(currency)) {
+      errors.push(`${where}: "${currency}" is not a currency code`);
+    } else if (currency.toUpperCase() === BASE_CURRENCY) {
+      errors.push(`${where}: ${BASE_CURRENCY} is the base currency and has no rate`);
+    } else if (String(value).trim() === '' || !Number.isFinite(rate) || rate <= 0) {
+      errors.push(`${where}: "${value}" is not a positive rate`);
+    } else {
+      rates.push({ currency: currency.toUpperCase(), rate });
+    }
+  };
+
+  if (format === 'ecb') {
+    let day = null;
+    for (const tag of content.match(/<Cube\b[^>]*>/g) || []) {
+      const time = attribute(tag, 'time');
+      if (time) {
+        if (day) break;
+        day = time;
+      } else if (attribute(tag, 'currency')) {
+        addRate(attribute(tag, 'currency'), attribute(tag, 'rate') ?? '', `Rate ${rates.length + errors.length + 1}`);
+      }
+    }
+  } else if (format === 'csv') {
+    content.split(/\r?\n/).forEach((line, index) => {
+      const [currency = '', rate = ''] = line.split(/[,;]/).map((field) => field.trim().replace(/^"(.*)"$/, '$1'));
+      if (line.trim() === '' || (index === 0 && currency.toLowerCase() === 'currency')) {
+        return;
+      }
+      addRate(currency, rate, `Row ${index + 1}`);
+    });
+  } else {
+    errors.push('Format must be csv or ecb');
+  }
+
+  return { rates, errors };
+}
+
+/**
+ * Validate an exchange rate submitted through the API
+ * @param {Object} exchangeRate - { rate, rounding_increment, rounding_mode }
+ * @returns {Array} - Validation error messages, empty when the exchange rate is valid
+ */
+export function validateExchangeRate({ rate, rounding_increment = 1, rounding_mode = 'nearest' }) {
+  const errors = [];
+
+  if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+    errors.push('Rate must be a positive number of units per euro');
+  }
+  if (!Number.isInteger(rounding_increment) || rounding_increment < 1) {
+    errors.push('Rounding increment must be a positive whole number of cents');
+  }
+  if (!ROUNDING_MODES.includes(rounding_mode)) {
+    errors.push(`Rounding mode must be one of: ${ROUNDING_MODES.join(', ')}`);
+  }
+
+  return errors;
+}
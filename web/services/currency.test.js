@@ -0,0 +1,74 @@
+// web/services/currency.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCurrencyConverter, parseExchangeRates, roundPrice, validateExchangeRate } from './currency.js';
+
+const exchangeRates = [
+  { currency: 'USD', rate: 1.08, rounding_increment: 1, rounding_mode: 'nearest' },
+  { currency: 'CHF', rate: 0.96, rounding_increment: 5, rounding_mode: 'nearest' },
+  { currency: 'JPY', rate: 160, rounding_increment: 10000, rounding_mode: 'up' },
+];
+
+test('converts through the euro rates', () => {
+  const { convert } = createCurrencyConverter(exchangeRates);
+
+  assert.equal(convert(1000, 'EUR', 'USD'), 1080);
+  assert.equal(convert(1080, 'USD', 'EUR'), 1000);
+  assert.equal(convert(1080, 'USD', 'CHF'), 960);
+  assert.equal(convert(1234, 'GBP', 'GBP'), 1234);
+  assert.equal(convert(1000, 'EUR', 'GBP'), null);
+});
+
+test('rounds to the increment of the currency', () => {
+  const { round } = createCurrencyConverter(exchangeRates);
+
+  assert.equal(round(1233, 'CHF'), 1235);
+  assert.equal(round(1232, 'CHF'), 1230);
+  assert.equal(round(160001, 'JPY'), 170000);
+  assert.equal(round(1233, 'USD'), 1233);
+  assert.equal(round(1233, 'GBP'), 1233);
+  assert.equal(round(0, 'JPY'), 0);
+  assert.equal(roundPrice(1299, { increment: 100, mode: 'down' }), 1200);
+});
+
+test('reads the latest day of an ECB reference rate file', () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<gesmes:Envelope xmlns:gesmes="http://www.gesmes.org/xml/2002-08-01" xmlns="http://www.ecb.int/vocabulary/2002-08-01/eurofxref">
+  <Cube>
+    <Cube time='2024-03-15'>
+      <Cube currency='USD' rate='1.0890'/>
+      <Cube currency='JPY' rate='162.08'/>
+    </Cube>
+    <Cube time='2024-03-14'>
+      <Cube currency='USD' rate='1.0925'/>
+    </Cube>
+  </Cube>
+</gesmes:Envelope>`;
+
+  assert.deepEqual(parseExchangeRates(xml, 'ecb'), {
+    rates: [{ currency: 'USD', rate: 1.089 }, { currency: 'JPY', rate: 162.08 }],
+    errors: [],
+  });
+});
+
+test('reads CSV rows and reports the invalid ones', () => {
+  const csv = 'currency,rate\nusd,1.08\nCHF;0.96\n\nEUR,1\nGBP,abc\n';
+
+  assert.deepEqual(parseExchangeRates(csv, 'csv'), {
+    rates: [{ currency: 'USD', rate: 1.08 }, { currency: 'CHF', rate: 0.96 }],
+    errors: [
+      'Row 5: EUR is the base currency and has no rate',
+      'Row 6: "abc" is not a positive rate',
+    ],
+  });
+  assert.deepEqual(parseExchangeRates('', 'xlsx').errors, ['Format must be csv or ecb']);
+});
+
+test('validates rates and rounding', () => {
+  assert.deepEqual(validateExchangeRate({ rate: 1.08 }), []);
+  assert.deepEqual(validateExchangeRate({ rate: 0, rounding_increment: 0.5, rounding_mode: 'half' }), [
+    'Rate must be a positive number of units per euro',
+    'Rounding increment must be a positive whole number of cents',
+    'Rounding mode must be one of: nearest, up, down',
+  ]);
+});
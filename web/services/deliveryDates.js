@@ -0,0 +1,253 @@
+// web/services/deliveryDates.js
+
+// Used when a shop hasn't set a cut-off or its timezone isn't known
+export const DEFAULT_DELIVERY_OPTIONS = {
+  cutoffTime: null,
+  timezone: 'UTC',
+};
+
+// Transit time of carriers that don't have one configured, in business days
+export const DEFAULT_TRANSIT_DAYS = { min: 1, max: 5 };
+
+const CUTOFF_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Check that a timezone is a valid IANA name, e.g. "Europe/Berlin"
+ * @param {String} timezone - Timezone name
+ * @returns {Boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check that a cut-off time is given as "HH:MM" on a 24-hour clock
+ * @param {String} time - Cut-off time
+ * @returns {Boolean}
+ */
+export function isValidCutoffTime(time) {
+  return typeof time === 'string' && CUTOFF_PATTERN.test(time);
+}
+
+/**
+ * Check that a date is given as "YYYY-MM-DD" and exists in the calendar.
+ * Date.parse rolls days past the end of a month over, so 2024-02-30 parses as
+ * March 1st; the parsed date has to keep the same year, month and day.
+ * @param {String} date - Date
+ * @returns {Boolean}
+ */
+export function isValidDate(date) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return false;
+  }
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+/**
+ * Read the order cut-off time and the shop's timezone from a shop's settings
+ * @param {Object} settings - The shop's settings as key/value strings
+ * @returns {Object} - { cutoffTime, timezone }
+ */
+export function parseDeliveryOptions(settings = {}) {
+  return {
+    cutoffTime: isValidCutoffTime(settings.order_cutoff_time)
+      ? settings.order_cutoff_time
+      : DEFAULT_DELIVERY_OPTIONS.cutoffTime,
+    timezone: isValidTimezone(settings.timezone) ? settings.timezone : DEFAULT_DELIVERY_OPTIONS.timezone,
+  };
+}
+
+// Wall-clock date, minutes since midnight and UTC offset of a moment in a timezone
+function zonedTime(now, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(now)
+      .map(({ type, value }) => [type, value])
+  );
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offsetMinutes = Math.round((wallClock - Math.floor(now.getTime() / 1000) * 1000) / 60000);
+
+  return { date, minutes: parts.hour * 60 + Number(parts.minute), offsetMinutes };
+}
+
+// Format a UTC offset in minutes as "+02:00"
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  const minutes = String(absolute % 60).padStart(2, '0');
+  return `${sign}${hours}:${minutes}`;
+}
+
+// Midnight of a date in a timezone as an ISO 8601 timestamp, with the offset in
+// effect on that day
+function startOfDay(date, timezone) {
+  const { offsetMinutes } = zonedTime(new Date(`${date}T12:00:00Z`), timezone);
+  return `${date}T00:00:00${formatOffset(offsetMinutes)}`;
+}
+
+// Shift a "YYYY-MM-DD" date by a number of calendar days
+function addDays(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether a date is a business day: not on a weekend nor a holiday
+ * @param {String} date - Date as "YYYY-MM-DD"
+ * @param {Set} holidays - Holiday dates as "YYYY-MM-DD"
+ * @returns {Boolean}
+ */
+export function isBusinessDay(date, holidays = new Set()) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !holidays.has(date);
+}
+
+/**
+ * Count a number of business days forward from a date
+ * @param {String} date - Date as "YYYY-MM-DD" to start from
+ * @param {Number} days - Business days to add
+ * @param {Set} holidays - Holiday dates as "YYYY-MM-DD"
+ * @returns {String} - The resulting date
+ */
+export function addBusinessDays(date, days, holidays = new Set()) {
+  let result = date;
+  for (let remaining = days; remaining > 0; ) {
+    result = addDays(result, 1);
+    if (isBusinessDay(result, holidays)) {
+      remaining--;
+    }
+  }
+  return result;
+}
+
+/**
+ * Find the day an order placed now is handed to the carrier: today when it's a
+ * business day and the cut-off hasn't passed, otherwise the next business day
+ * @param {Date} now - Time the rate is requested
+ * @param {Object} options - Options parsed by parseDeliveryOptions
+ * @param {Set} holidays - Holiday dates at the origin as "YYYY-MM-DD"
+ * @returns {String} - Dispatch date as "YYYY-MM-DD" in the shop's timezone
+ */
+export function dispatchDate(now, options = DEFAULT_DELIVERY_OPTIONS, holidays = new Set()) {
+  const { date, minutes } = zonedTime(now, options.timezone);
+  const [cutoffHour, cutoffMinute] = (options.cutoffTime || '24:00').split(':').map(Number);
+
+  if (isBusinessDay(date, holidays) && minutes < cutoffHour * 60 + cutoffMinute) {
+    return date;
+  }
+  return addBusinessDays(date, 1, holidays);
+}
+
+/**
+ * Estimate the delivery window of a rate for Shopify
+ * @param {Object} transit - { min, max } transit time in business days
+ * @param {Object} context - { now, options, originHolidays, destinationHolidays }, holidays
+ *   as sets of "YYYY-MM-DD" dates
+ * @returns {Object} - { min_delivery_date, max_delivery_date } as ISO 8601 timestamps at
+ *   midnight in the shop's timezone
+ */
+export function estimateDeliveryDates(transit, context = {}) {
+  const {
+    now = new Date(),
+    options = DEFAULT_DELIVERY_OPTIONS,
+    originHolidays = new Set(),
+    destinationHolidays = new Set(),
+  } = context;
+  const dispatch = dispatchDate(now, options, originHolidays);
+
+  return {
+    min_delivery_date: startOfDay(addBusinessDays(dispatch, transit.min, destinationHolidays), options.timezone),
+    max_delivery_date: startOfDay(addBusinessDays(dispatch, transit.max, destinationHolidays), options.timezone),
+  };
+}
+
+/**
+ * Find the transit time of a carrier, preferring the zone's override
+ * @param {Object} carrier - Carrier with min_transit_days and max_transit_days
+ * @param {Object|null} zone - Zone the destination matched for the carrier, with transit_times
+ * @returns {Object} - { min, max } in business days
+ */
+export function findTransitDays(carrier, zone) {
+  const override = zone?.transit_times?.find((transit) => transit.carrier_id === carrier.id);
+  const min = override?.min_transit_days ?? carrier.min_transit_days ?? DEFAULT_TRANSIT_DAYS.min;
+  const max = override?.max_transit_days ?? carrier.max_transit_days ?? DEFAULT_TRANSIT_DAYS.max;
+  return { min, max: Math.max(min, max) };
+}
+
+// Unfold ICS lines continued on the next line with a leading space or tab
+function unfoldCalendar(content) {
+  return content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+}
+
+/**
+ * Read public holidays from an iCalendar (.ics) file or a CSV with "date,name" rows
+ * @param {String} content - File content
+ * @param {String} format - 'ics' or 'csv'
+ * @returns {Object} - { holidays: [{ date, name }], errors }
+ */
+export function parseHolidayCalendar(content, format) {
+  const holidays = [];
+  const errors = [];
+
+  if (format === 'ics') {
+    let event = null;
+    for (const line of unfoldCalendar(content)) {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+      } else if (line === 'END:VEVENT' && event) {
+        if (event.date && !isValidDate(event.date)) {
+          errors.push(`Event "${event.name || 'unnamed'}" has no valid date`);
+        } else if (event.date) {
+          holidays.push({ date: event.date, name: event.name || '' });
+        } else {
+          errors.push(`Event "${event.name || 'unnamed'}" has no date`);
+        }
+        event = null;
+      } else if (event && line.startsWith('DTSTART')) {
+        const match = line.match(/:(\d{4})(\d{2})(\d{2})/);
+        if (match) {
+          event.date = `${match[1]}-${match[2]}-${match[3]}`;
+        }
+      } else if (event && line.startsWith('SUMMARY')) {
+        event.name = line.slice(line.indexOf(':') + 1).replace(/\\([,;\\])/g, '$1').trim();
+      }
+    }
+  } else if (format === 'csv') {
+    content.split(/\r?\n/).forEach((line, index) => {
+      const [date = '', ...name] = line.split(',');
+      if (line.trim() === '' || (index === 0 && date.trim().toLowerCase() === 'date')) {
+        return;
+      }
+      if (!isValidDate(date.trim())) {
+        errors.push(`Row ${index + 1}: "${date.trim()}" is not a date as YYYY-MM-DD`);
+        return;
+      }
+      holidays.push({ date: date.trim(), name: name.join(',').trim().replace(/^"(.*)"$/, '$1') });
+    });
+  } else {
+    errors.push('Format must be ics or csv');
+  }
+
+  return { holidays, errors };
+}
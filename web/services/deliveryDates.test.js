@@ -0,0 +1,134 @@
+// web/services/deliveryDates.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addBusinessDays,
+  dispatchDate,
+  estimateDeliveryDates,
+  findTransitDays,
+  isValidDate,
+  parseDeliveryOptions,
+  parseHolidayCalendar,
+} from './deliveryDates.js';
+
+const VIENNA = { cutoffTime: '14:00', timezone: 'Europe/Vienna' };
+
+test('skips weekends when adding business days', () => {
+  // Friday plus one business day is Monday
+  assert.equal(addBusinessDays('2024-03-15', 1), '2024-03-18');
+  assert.equal(addBusinessDays('2024-03-15', 0), '2024-03-15');
+});
+
+test('skips holidays when adding business days', () => {
+  assert.equal(addBusinessDays('2024-03-28', 1, new Set(['2024-03-29', '2024-04-01'])), '2024-04-02');
+});
+
+test('dispatches the same day before the cut-off in the shop timezone', () => {
+  // 12:59 UTC is 13:59 in Vienna
+  assert.equal(dispatchDate(new Date('2024-03-13T12:59:00Z'), VIENNA), '2024-03-13');
+});
+
+test('dispatches the next business day after the cut-off', () => {
+  assert.equal(dispatchDate(new Date('2024-03-13T13:00:00Z'), VIENNA), '2024-03-14');
+  // Friday afternoon ships on Monday
+  assert.equal(dispatchDate(new Date('2024-03-15T15:00:00Z'), VIENNA), '2024-03-18');
+});
+
+test('uses the local date of the shop timezone, not UTC', () => {
+  // Still Tuesday in UTC, already Wednesday in Tokyo
+  const options = { cutoffTime: null, timezone: 'Asia/Tokyo' };
+  assert.equal(dispatchDate(new Date('2024-03-12T20:00:00Z'), options), '2024-03-13');
+});
+
+test('does not dispatch on weekends or origin holidays', () => {
+  const options = { cutoffTime: null, timezone: 'UTC' };
+  assert.equal(dispatchDate(new Date('2024-03-16T08:00:00Z'), options), '2024-03-18');
+  assert.equal(dispatchDate(new Date('2024-03-18T08:00:00Z'), options, new Set(['2024-03-18'])), '2024-03-19');
+});
+
+test('estimates the delivery window at midnight in the shop timezone', () => {
+  const dates = estimateDeliveryDates(
+    { min: 1, max: 3 },
+    { now: new Date('2024-03-13T08:00:00Z'), options: VIENNA, destinationHolidays: new Set(['2024-03-15']) }
+  );
+
+  assert.deepEqual(dates, {
+    min_delivery_date: '2024-03-14T00:00:00+01:00',
+    max_delivery_date: '2024-03-19T00:00:00+01:00',
+  });
+});
+
+test('uses the offset in effect on the delivery day across a DST change', () => {
+  const dates = estimateDeliveryDates(
+    { min: 1, max: 1 },
+    { now: new Date('2024-03-29T08:00:00Z'), options: VIENNA }
+  );
+
+  assert.equal(dates.max_delivery_date, '2024-04-01T00:00:00+02:00');
+});
+
+test('prefers the zone transit time over the carrier default', () => {
+  const carrier = { id: 1, min_transit_days: 1, max_transit_days: 3 };
+  const zone = { transit_times: [{ carrier_id: 1, min_transit_days: 4, max_transit_days: null }] };
+
+  assert.deepEqual(findTransitDays(carrier, null), { min: 1, max: 3 });
+  // A zone minimum above the carrier maximum widens the window
+  assert.deepEqual(findTransitDays(carrier, zone), { min: 4, max: 4 });
+});
+
+test('falls back to defaults for invalid settings', () => {
+  assert.deepEqual(parseDeliveryOptions({ order_cutoff_time: '25:00', timezone: 'Nowhere/City' }), {
+    cutoffTime: null,
+    timezone: 'UTC',
+  });
+  assert.deepEqual(parseDeliveryOptions({ order_cutoff_time: '09:30', timezone: 'Europe/Vienna' }), {
+    cutoffTime: '09:30',
+    timezone: 'Europe/Vienna',
+  });
+});
+
+test('reads holidays from an iCalendar file', () => {
+  const content = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20241225',
+    'SUMMARY:Christtag',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20241226',
+    'SUMMARY:Stefanitag\\, Steiermark',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+  assert.deepEqual(parseHolidayCalendar(content, 'ics'), {
+    holidays: [
+      { date: '2024-12-25', name: 'Christtag' },
+      { date: '2024-12-26', name: 'Stefanitag, Steiermark' },
+    ],
+    errors: [],
+  });
+});
+
+test('reads holidays from a CSV file and reports invalid rows', () => {
+  const { holidays, errors } = parseHolidayCalendar('date,name\n2024-01-01,Neujahr\n01.01.2024,Neujahr\n', 'csv');
+
+  assert.deepEqual(holidays, [{ date: '2024-01-01', name: 'Neujahr' }]);
+  assert.equal(errors.length, 1);
+});
+
+test('rejects dates that do not exist in the calendar', () => {
+  assert.equal(isValidDate('2024-02-29'), true);
+  assert.equal(isValidDate('2024-02-30'), false);
+  assert.equal(isValidDate('2023-02-29'), false);
+  assert.equal(isValidDate('2024-04-31'), false);
+  assert.equal(isValidDate('2024-13-01'), false);
+  assert.equal(isValidDate('2024-1-01'), false);
+  assert.equal(isValidDate(20240101), false);
+
+  assert.deepEqual(parseHolidayCalendar('2024-02-30,Leap day?\n', 'csv').errors, [
+    'Row 1: "2024-02-30" is not a date as YYYY-MM-DD',
+  ]);
+  const ics = ['BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20240230', 'SUMMARY:Leap day?', 'END:VEVENT'].join('\r\n');
+  assert.deepEqual(parseHolidayCalendar(ics, 'ics'), { holidays: [], errors: ['Event "Leap day?" has no valid date'] });
+});
@@ -0,0 +1,51 @@
+// web/services/metrics.js
+
+// Latency percentiles are computed over this many of the latest rate requests
+export const LATENCY_SAMPLE_SIZE = 1000;
+
+/**
+ * Value at a percentile of sorted samples, using the nearest-rank method
+ * @param {Array} sorted - Samples in ascending order
+ * @param {Number} percentile - Between 0 and 100
+ * @returns {Number|null} - null without samples
+ */
+export function percentile(sorted, percentile) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Create a recorder for the latest latencies, kept in a ring buffer
+ * @param {Number} [size] - Number of samples kept
+ * @returns {Object} - { record, summary }
+ */
+export function createLatencyRecorder(size = LATENCY_SAMPLE_SIZE) {
+  const samples = [];
+  let next = 0;
+  let count = 0;
+
+  function record(durationMs) {
+    samples[next] = durationMs;
+    next = (next + 1) % size;
+    count++;
+  }
+
+  // Percentiles in ms over the kept samples; count covers every recorded request
+  function summary() {
+    const sorted = [...samples].sort((a, b) => a - b);
+    return {
+      count,
+      samples: sorted.length,
+      p50_ms: percentile(sorted, 50),
+      p95_ms: percentile(sorted, 95),
+    };
+  }
+
+  return { record, summary };
+}
+
+// Latency of the /carrier-service endpoint
+export const rateLatency = createLatencyRecorder();
@@ -0,0 +1,24 @@
+// web/services/metrics.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLatencyRecorder, percentile } from './metrics.js';
+
+test('picks percentiles by nearest rank', () => {
+  const sorted = Array.from({ length: 100 }, (_, i) => i + 1);
+
+  assert.equal(percentile(sorted, 50), 50);
+  assert.equal(percentile(sorted, 95), 95);
+  assert.equal(percentile([7], 95), 7);
+  assert.equal(percentile([], 50), null);
+});
+
+test('summarizes only the latest samples', () => {
+  const recorder = createLatencyRecorder(3);
+  [100, 1, 2, 3].forEach((durationMs) => recorder.record(durationMs));
+
+  assert.deepEqual(recorder.summary(), { count: 4, samples: 3, p50_ms: 2, p95_ms: 3 });
+});
+
+test('reports no percentiles before the first request', () => {
+  assert.deepEqual(createLatencyRecorder().summary(), { count: 0, samples: 0, p50_ms: null, p95_ms: null });
+});
@@ -0,0 +1,177 @@
+// web/services/packing.js
+
+// Parcel limits that apply when none are given: no limits at all
+export const DEFAULT_PARCEL_LIMITS = {
+  maxWeight: Infinity, // grams
+  maxLength: Infinity, // cm
+  maxWidth: Infinity, // cm
+  maxHeight: Infinity, // cm
+  maxGirth: Infinity, // cm, length plus twice the width and height
+};
+
+// All orientations of a box with the given edge lengths
+function orientations({ length, width, height }) {
+  return [
+    [length, width, height],
+    [length, height, width],
+    [width, length, height],
+    [width, height, length],
+    [height, length, width],
+    [height, width, length],
+  ];
+}
+
+// Expand order lines into single units, remembering the line each unit came from
+function toUnits(items) {
+  const units = [];
+  items.forEach((item, line) => {
+    const { length = 0, width = 0, height = 0 } = item.dimensions || {};
+    for (let i = 0; i < item.quantity; i++) {
+      units.push({
+        line,
+        grams: item.grams,
+        shipAlone: item.ship_alone === true,
+        size: { length, width, height },
+        volume: length * width * height,
+      });
+    }
+  });
+  return units;
+}
+
+function openParcel(limits) {
+  return {
+    weight: 0,
+    volume: 0,
+    units: [],
+    // Free cuboids left in the parcel, as offset (x, y, z) and size (w, h, l)
+    spaces: [{ x: 0, y: 0, z: 0, w: limits.maxWidth, h: limits.maxHeight, l: limits.maxLength }],
+    extent: { w: 0, h: 0, l: 0 },
+  };
+}
+
+// Girth of a box: its longest side plus twice the two other sides
+function girth({ w, h, l }) {
+  const [length, width, height] = [w, h, l].sort((a, b) => b - a);
+  return length + 2 * (width + height);
+}
+
+/**
+ * Find where a unit fits into a parcel: the smallest free space that holds it
+ * in any orientation, provided the parcel stays within its weight and girth limits
+ * @returns {Object|null} - The space and the oriented size, null if the unit doesn't fit
+ */
+function findPlacement(parcel, unit, limits) {
+  if (parcel.weight + unit.grams > limits.maxWeight) {
+    return null;
+  }
+
+  let best = null;
+  for (const space of parcel.spaces) {
+    for (const [w, h, l] of orientations(unit.size)) {
+      const extent = {
+        w: Math.max(parcel.extent.w, space.x + w),
+        h: Math.max(parcel.extent.h, space.y + h),
+        l: Math.max(parcel.extent.l, space.z + l),
+      };
+      if (w <= space.w && h <= space.h && l <= space.l && girth(extent) <= limits.maxGirth) {
+        const spaceVolume = space.w * space.h * space.l;
+        if (!best || spaceVolume < best.spaceVolume) {
+          best = { space, w, h, l, spaceVolume };
+        }
+        break;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Place a unit into a parcel and split the used space guillotine-style into
+ * the remaining space beside, above and behind the unit
+ */
+function place(parcel, unit, { space, w, h, l }) {
+  parcel.spaces = parcel.spaces.filter((candidate) => candidate !== space);
+  parcel.spaces.push(
+    { x: space.x + w, y: space.y, z: space.z, w: space.w - w, h: space.h, l: space.l },
+    { x: space.x, y: space.y + h, z: space.z, w, h: space.h - h, l: space.l },
+    { x: space.x, y: space.y, z: space.z + l, w, h, l: space.l - l }
+  );
+  // Zero-sized units (no dimensions known) leave the space they were placed in intact
+  parcel.spaces = parcel.spaces.filter((candidate) => candidate.w > 0 && candidate.h > 0 && candidate.l > 0);
+
+  parcel.extent = {
+    w: Math.max(parcel.extent.w, space.x + w),
+    h: Math.max(parcel.extent.h, space.y + h),
+    l: Math.max(parcel.extent.l, space.z + l),
+  };
+  parcel.weight += unit.grams;
+  parcel.volume += unit.volume;
+  parcel.units.push(unit);
+}
+
+// Summarize a packed parcel with its contents grouped back into order lines
+function toParcel(parcel, items) {
+  const quantities = new Map();
+  for (const unit of parcel.units) {
+    quantities.set(unit.line, (quantities.get(unit.line) || 0) + 1);
+  }
+
+  const [length, width, height] = [parcel.extent.w, parcel.extent.h, parcel.extent.l].sort((a, b) => b - a);
+  return {
+    items: [...quantities].map(([line, quantity]) => ({ ...items[line], quantity })),
+    weight: parcel.weight,
+    volume: parcel.volume,
+    dimensions: { length, width, height },
+  };
+}
+
+/**
+ * Pack order items into parcels with a first-fit-decreasing heuristic. Every
+ * unit of every line is packed separately, largest volume (then weight) first,
+ * into the first parcel where it fits by weight and in 3D, opening a new parcel
+ * when none has room. Items without dimensions only count towards weight, and
+ * every unit of an item that ships alone gets a parcel of its own.
+ * @param {Array} items - Order items with grams, quantity, optional dimensions in cm and ship_alone
+ * @param {Object} [limits] - Parcel limits: maxWeight in grams, maxLength/maxWidth/maxHeight
+ *   and maxGirth in cm
+ * @returns {Object} - { parcels, oversized }: packed parcels with their items, weight in grams,
+ *   volume in cm³ and dimensions, and the items with units too heavy or large for any parcel
+ */
+export function packItems(items, limits = {}) {
+  const parcelLimits = { ...DEFAULT_PARCEL_LIMITS, ...limits };
+  const units = toUnits(items).sort((a, b) => b.volume - a.volume || b.grams - a.grams);
+  const emptyParcel = openParcel(parcelLimits);
+
+  const parcels = [];
+  const oversized = new Map();
+
+  for (const unit of units) {
+    if (!findPlacement(emptyParcel, unit, parcelLimits)) {
+      oversized.set(unit.line, (oversized.get(unit.line) || 0) + 1);
+      continue;
+    }
+
+    let placed = false;
+    for (const parcel of unit.shipAlone ? [] : parcels.filter((candidate) => !candidate.alone)) {
+      const placement = findPlacement(parcel, unit, parcelLimits);
+      if (placement) {
+        place(parcel, unit, placement);
+        placed = true;
+        break;
+      }
+    }
+
+    if (!placed) {
+      const parcel = openParcel(parcelLimits);
+      place(parcel, unit, findPlacement(parcel, unit, parcelLimits));
+      parcel.alone = unit.shipAlone;
+      parcels.push(parcel);
+    }
+  }
+
+  return {
+    parcels: parcels.map((parcel) => toParcel(parcel, items)),
+    oversized: [...oversized].map(([line, quantity]) => ({ ...items[line], quantity })),
+  };
+}
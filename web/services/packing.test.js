@@ -0,0 +1,158 @@
+// web/services/packing.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { packItems } from './packing.js';
+
+const totalQuantity = (parcels) =>
+  parcels.reduce((acc, parcel) => acc + parcel.items.reduce((sum, item) => sum + item.quantity, 0), 0);
+
+test('packs an empty order into no parcels', () => {
+  assert.deepEqual(packItems([]), { parcels: [], oversized: [] });
+});
+
+test('keeps light items without dimensions in a single parcel', () => {
+  const { parcels, oversized } = packItems([
+    { sku: 'A', grams: 1000, quantity: 2 },
+    { sku: 'B', grams: 500, quantity: 1 },
+  ]);
+
+  assert.equal(parcels.length, 1);
+  assert.equal(parcels[0].weight, 2500);
+  assert.deepEqual(parcels[0].items.map(({ sku, quantity }) => [sku, quantity]), [['A', 2], ['B', 1]]);
+  assert.deepEqual(oversized, []);
+});
+
+test('splits a multi-quantity line across parcels without losing units', () => {
+  const { parcels } = packItems([{ sku: 'A', grams: 1000, quantity: 40 }], { maxWeight: 31500 });
+
+  assert.equal(parcels.length, 2);
+  assert.deepEqual(parcels.map((parcel) => parcel.weight), [31000, 9000]);
+  assert.equal(totalQuantity(parcels), 40);
+});
+
+test('fills a parcel exactly up to the weight limit', () => {
+  const { parcels } = packItems([{ grams: 10500, quantity: 3 }], { maxWeight: 31500 });
+
+  assert.equal(parcels.length, 1);
+  assert.equal(parcels[0].weight, 31500);
+});
+
+test('packs heavier units first and fills gaps with lighter ones', () => {
+  const { parcels } = packItems(
+    [
+      { sku: 'light', grams: 2000, quantity: 2 },
+      { sku: 'heavy', grams: 8000, quantity: 2 },
+    ],
+    { maxWeight: 10000 }
+  );
+
+  assert.equal(parcels.length, 2);
+  assert.deepEqual(parcels.map((parcel) => parcel.weight), [10000, 10000]);
+});
+
+test('reports units heavier than the weight limit as oversized', () => {
+  const { parcels, oversized } = packItems(
+    [
+      { sku: 'anvil', grams: 40000, quantity: 2 },
+      { sku: 'feather', grams: 10, quantity: 1 },
+    ],
+    { maxWeight: 31500 }
+  );
+
+  assert.equal(parcels.length, 1);
+  assert.equal(parcels[0].items[0].sku, 'feather');
+  assert.deepEqual(oversized.map(({ sku, quantity }) => [sku, quantity]), [['anvil', 2]]);
+});
+
+test('opens a new parcel when units no longer fit by volume', () => {
+  const box = { length: 30, width: 30, height: 30 };
+  const { parcels } = packItems(
+    [{ grams: 100, quantity: 9, dimensions: { length: 20, width: 20, height: 20 } }],
+    { maxLength: box.length, maxWidth: box.width, maxHeight: box.height }
+  );
+
+  // Only one 20 cm cube fits into a 30 cm cube
+  assert.equal(parcels.length, 9);
+  assert.equal(totalQuantity(parcels), 9);
+});
+
+test('stacks units that fit side by side into one parcel', () => {
+  const { parcels } = packItems(
+    [{ grams: 100, quantity: 8, dimensions: { length: 10, width: 10, height: 10 } }],
+    { maxLength: 20, maxWidth: 20, maxHeight: 20 }
+  );
+
+  assert.equal(parcels.length, 1);
+  assert.deepEqual(parcels[0].dimensions, { length: 20, width: 20, height: 20 });
+  assert.equal(parcels[0].volume, 8000);
+});
+
+test('rotates units to fit them into the parcel', () => {
+  const { parcels, oversized } = packItems(
+    [{ grams: 100, quantity: 1, dimensions: { length: 10, width: 100, height: 5 } }],
+    { maxLength: 120, maxWidth: 60, maxHeight: 40 }
+  );
+
+  assert.equal(parcels.length, 1);
+  assert.deepEqual(parcels[0].dimensions, { length: 100, width: 10, height: 5 });
+  assert.deepEqual(oversized, []);
+});
+
+test('reports units larger than the parcel in every orientation as oversized', () => {
+  const { parcels, oversized } = packItems(
+    [{ sku: 'ladder', grams: 5000, quantity: 1, dimensions: { length: 250, width: 40, height: 10 } }],
+    { maxLength: 120, maxWidth: 60, maxHeight: 60 }
+  );
+
+  assert.deepEqual(parcels, []);
+  assert.equal(oversized[0].sku, 'ladder');
+});
+
+test('ignores lines with zero quantity', () => {
+  const { parcels } = packItems([{ grams: 1000, quantity: 0 }]);
+
+  assert.deepEqual(parcels, []);
+});
+
+test('packs without any limits when none are given', () => {
+  const { parcels, oversized } = packItems([
+    { grams: 900000, quantity: 2, dimensions: { length: 400, width: 200, height: 200 } },
+  ]);
+
+  assert.equal(parcels.length, 1);
+  assert.equal(parcels[0].weight, 1800000);
+  assert.deepEqual(oversized, []);
+});
+
+test('opens a new parcel when adding a unit would exceed the girth limit', () => {
+  const { parcels } = packItems(
+    [{ grams: 100, quantity: 2, dimensions: { length: 100, width: 30, height: 30 } }],
+    { maxGirth: 250 }
+  );
+
+  // One unit has a girth of 220 cm, two together at least 280 cm
+  assert.equal(parcels.length, 2);
+  assert.deepEqual(parcels[0].dimensions, { length: 100, width: 30, height: 30 });
+});
+
+test('reports units whose own girth exceeds the limit as oversized', () => {
+  const { parcels, oversized } = packItems(
+    [{ sku: 'rug', grams: 3000, quantity: 1, dimensions: { length: 200, width: 40, height: 40 } }],
+    { maxGirth: 300 }
+  );
+
+  assert.deepEqual(parcels, []);
+  assert.equal(oversized[0].sku, 'rug');
+});
+
+test('gives every unit of an item that ships alone its own parcel', () => {
+  const { parcels } = packItems([
+    { sku: 'BIKE', grams: 12000, quantity: 2, ship_alone: true },
+    { sku: 'A', grams: 500, quantity: 3 },
+  ]);
+
+  assert.deepEqual(
+    parcels.map((parcel) => parcel.items.map(({ sku, quantity }) => [sku, quantity])),
+    [[['BIKE', 1]], [['BIKE', 1]], [['A', 3]]]
+  );
+});
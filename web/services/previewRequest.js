@@ -0,0 +1,76 @@
+// web/services/previewRequest.js
+
+/**
+ * Turn a preview request from the admin into a rate request as Shopify sends it
+ * @param {Object} preview - { items, destination, origin, currency }, item prices in cents
+ * @returns {Object} - { request, errors }
+ */
+export function buildPreviewRequest(preview = {}) {
+  const errors = [];
+  const { items, destination, origin = null, currency = 'EUR' } = preview;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.push('At least one item is required');
+  }
+  (Array.isArray(items) ? items : []).forEach((item, index) => {
+    if (!Number.isInteger(item?.quantity) || item.quantity <= 0) {
+      errors.push(`Item ${index + 1}: quantity must be a positive whole number`);
+    }
+    if (!Number.isInteger(item?.grams) || item.grams < 0) {
+      errors.push(`Item ${index + 1}: grams must be a non-negative whole number`);
+    }
+    if (!Number.isInteger(item?.price) || item.price < 0) {
+      errors.push(`Item ${index + 1}: price must be a non-negative number of cents`);
+    }
+  });
+  for (const [label, address] of [['Destination', destination], ['Origin', origin]]) {
+    if (address === null && label === 'Origin') {
+      continue;
+    }
+    if (typeof address?.country !== 'string' || !/^[A-Za-z]{2}$/.test(address.country)) {
+      errors.push(`${label} country must be a two-letter ISO code`);
+    }
+  }
+  if (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency)) {
+    errors.push('Currency must be a three-letter ISO code');
+  }
+
+  if (errors.length > 0) {
+    return { request: null, errors };
+  }
+
+  const toAddress = (address) => ({
+    country: address.country.toUpperCase(),
+    province: address.province || null,
+    postal_code: address.postal_code || null,
+    city: address.city || null,
+    address1: address.address1 || null,
+  });
+
+  return {
+    request: {
+      rate: {
+        origin: origin && toAddress(origin),
+        destination: toAddress(destination),
+        items: items.map((item) => ({
+          name: item.name || '',
+          sku: item.sku || '',
+          quantity: item.quantity,
+          grams: item.grams,
+          price: item.price,
+          vendor: item.vendor || '',
+          product_type: item.product_type || '',
+          requires_shipping: item.requires_shipping !== false,
+          taxable: item.taxable !== false,
+          fulfillment_service: item.fulfillment_service || 'manual',
+          product_id: item.product_id ?? null,
+          variant_id: item.variant_id ?? null,
+          ...(item.dimensions ? { dimensions: item.dimensions } : {}),
+        })),
+        currency: currency.toUpperCase(),
+        locale: 'en',
+      },
+    },
+    errors,
+  };
+}
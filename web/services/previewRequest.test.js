@@ -0,0 +1,77 @@
+// web/services/previewRequest.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPreviewRequest } from './previewRequest.js';
+
+const item = { name: 'Mug', quantity: 2, grams: 400, price: 1500 };
+
+test('builds a rate request as Shopify sends it', () => {
+  const { request, errors } = buildPreviewRequest({
+    items: [{ ...item, product_id: 11, dimensions: { length: 20, width: 10, height: 10 } }],
+    destination: { country: 'at', postal_code: '6020' },
+    currency: 'chf',
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(request, {
+    rate: {
+      origin: null,
+      destination: { country: 'AT', province: null, postal_code: '6020', city: null, address1: null },
+      items: [
+        {
+          name: 'Mug',
+          sku: '',
+          quantity: 2,
+          grams: 400,
+          price: 1500,
+          vendor: '',
+          product_type: '',
+          requires_shipping: true,
+          taxable: true,
+          fulfillment_service: 'manual',
+          product_id: 11,
+          variant_id: null,
+          dimensions: { length: 20, width: 10, height: 10 },
+        },
+      ],
+      currency: 'CHF',
+      locale: 'en',
+    },
+  });
+});
+
+test('keeps an origin and defaults to euros', () => {
+  const { request } = buildPreviewRequest({
+    items: [{ ...item, requires_shipping: false }],
+    destination: { country: 'DE' },
+    origin: { country: 'AT', city: 'Innsbruck' },
+  });
+
+  assert.equal(request.rate.origin.city, 'Innsbruck');
+  assert.equal(request.rate.currency, 'EUR');
+  assert.equal(request.rate.items[0].requires_shipping, false);
+  assert.equal('dimensions' in request.rate.items[0], false);
+});
+
+test('reports every invalid field', () => {
+  assert.deepEqual(buildPreviewRequest(), {
+    request: null,
+    errors: ['At least one item is required', 'Destination country must be a two-letter ISO code'],
+  });
+  assert.deepEqual(
+    buildPreviewRequest({
+      items: [item, { quantity: 0, grams: -1, price: 9.99 }],
+      destination: { country: 'AUT' },
+      origin: {},
+      currency: 'EURO',
+    }).errors,
+    [
+      'Item 2: quantity must be a positive whole number',
+      'Item 2: grams must be a non-negative whole number',
+      'Item 2: price must be a non-negative number of cents',
+      'Destination country must be a two-letter ISO code',
+      'Origin country must be a two-letter ISO code',
+      'Currency must be a three-letter ISO code',
+    ]
+  );
+});
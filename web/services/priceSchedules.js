@@ -0,0 +1,127 @@
+// web/services/priceSchedules.js
+import { validateRateBands } from './rateTables.js';
+import { isValidCurrency } from './currency.js';
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const toTime = (timestamp) => new Date(timestamp).getTime();
+
+/**
+ * Tell whether a schedule is yet to start, in effect or over
+ * @param {Object} schedule - Schedule with starts_at and an optional ends_at
+ * @param {Date} [now] - The time to check at
+ * @returns {String} - 'upcoming', 'active' or 'expired'
+ */
+export function scheduleStatus({ starts_at, ends_at = null }, now = new Date()) {
+  if (now.getTime() < toTime(starts_at)) {
+    return 'upcoming';
+  }
+  return ends_at !== null && now.getTime() >= toTime(ends_at) ? 'expired' : 'active';
+}
+
+/**
+ * Apply the schedules in effect to the carriers' prices and rate tables. A
+ * price schedule replaces the carrier's price per parcel, a rate table
+ * schedule the bands of its table for the zone, creating it if the carrier
+ * has none. Where schedules overlap, the one that started last wins.
+ * @param {Array} carriers - The shop's carriers
+ * @param {Array} rateTables - Rate tables of the carriers with their weight bands
+ * @param {Array} schedules - The shop's price schedules
+ * @param {Date} [now] - The time of the rate request
+ * @returns {Object} - { carriers, rateTables } as in effect at that time
+ */
+export function applyPriceSchedules(carriers, rateTables, schedules, now = new Date()) {
+  const active = schedules
+    .filter((schedule) => scheduleStatus(schedule, now) === 'active')
+    .sort((a, b) => toTime(a.starts_at) - toTime(b.starts_at) || a.id - b.id);
+  if (active.length === 0) {
+    return { carriers, rateTables };
+  }
+
+  const scheduledCarriers = carriers.map((carrier) => ({ ...carrier }));
+  const scheduledTables = rateTables.map((table) => ({ ...table }));
+  for (const schedule of active) {
+    const carrier = scheduledCarriers.find((candidate) => candidate.id === schedule.carrier_id);
+    if (!carrier) continue;
+
+    if (schedule.bands === null || schedule.bands === undefined) {
+      carrier.price = schedule.price;
+      continue;
+    }
+    const zoneId = schedule.zone_id ?? null;
+    const table = scheduledTables.find((candidate) =>
+      candidate.carrier_id === carrier.id && candidate.zone_id === zoneId
+    );
+    if (table) {
+      table.bands = schedule.bands;
+      table.currency = schedule.currency || table.currency;
+    } else {
+      scheduledTables.push({
+        id: null,
+        carrier_id: carrier.id,
+        zone_id: zoneId,
+        currency: schedule.currency || carrier.currency,
+        bands: schedule.bands,
+      });
+    }
+  }
+  return { carriers: scheduledCarriers, rateTables: scheduledTables };
+}
+
+/**
+ * Validate a price schedule submitted through the API
+ * @param {Object} schedule - Schedule with carrier_id, starts_at, an optional ends_at
+ *   and note, and either a price or the bands with an optional zone_id and currency
+ * @returns {Array} - Validation error messages, empty when the schedule is valid
+ */
+export function validatePriceSchedule(schedule) {
+  const errors = [];
+  const {
+    carrier_id,
+    starts_at,
+    ends_at = null,
+    price = null,
+    zone_id = null,
+    currency = null,
+    bands = null,
+    note = '',
+  } = schedule;
+
+  if (!Number.isInteger(carrier_id)) {
+    errors.push('Carrier id is required');
+  }
+  if (!isTimestamp(starts_at)) {
+    errors.push('starts_at must be a timestamp like 2026-11-01T00:00:00Z');
+  }
+  if (ends_at !== null && !isTimestamp(ends_at)) {
+    errors.push('ends_at must be a timestamp, or null to keep the change for good');
+  } else if (ends_at !== null && isTimestamp(starts_at) && toTime(ends_at) <= toTime(starts_at)) {
+    errors.push('ends_at must be after starts_at');
+  }
+
+  if ((price === null) === (bands === null)) {
+    errors.push('A schedule changes either the price or the rate table bands');
+  } else if (price !== null) {
+    if (!Number.isInteger(price) || price <= 0) {
+      errors.push('Price must be a positive number of cents');
+    }
+    if (zone_id !== null || currency !== null) {
+      errors.push('zone_id and currency belong to rate table schedules');
+    }
+  } else {
+    errors.push(...validateRateBands(bands));
+    if (Array.isArray(bands) && bands.length === 0) {
+      errors.push('A rate table schedule needs at least one band');
+    }
+    if (zone_id !== null && !Number.isInteger(zone_id)) {
+      errors.push('zone_id must be a zone id, or null for all zones');
+    }
+    if (currency !== null && !isValidCurrency(currency)) {
+      errors.push('Currency must be a three-letter ISO code, or null for the carrier\'s');
+    }
+  }
+  if (typeof note !== 'string' || note.length > 500) {
+    errors.push('Note must be text of up to 500 characters');
+  }
+
+  return errors;
+}
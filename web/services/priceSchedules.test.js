@@ -0,0 +1,70 @@
+// web/services/priceSchedules.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPriceSchedules, scheduleStatus, validatePriceSchedule } from './priceSchedules.js';
+
+const carriers = [
+  { id: 1, name: 'DPD', price: 1000, currency: 'EUR' },
+  { id: 2, name: 'Post', price: 1200, currency: 'EUR' },
+];
+const rateTables = [
+  { id: 3, carrier_id: 1, zone_id: null, currency: 'EUR', bands: [{ min_weight: 0, max_weight: 2000, price: 450 }] },
+];
+const peakBands = [{ min_weight: 0, max_weight: 2000, price: 590 }];
+
+const NOW = new Date('2026-11-15T12:00:00Z');
+
+test('tells upcoming, active and expired schedules apart', () => {
+  assert.equal(scheduleStatus({ starts_at: '2026-12-01T00:00:00Z', ends_at: null }, NOW), 'upcoming');
+  assert.equal(scheduleStatus({ starts_at: '2026-11-01T00:00:00Z', ends_at: null }, NOW), 'active');
+  assert.equal(scheduleStatus({ starts_at: '2026-11-01T00:00:00Z', ends_at: '2026-11-15T12:00:00Z' }, NOW), 'expired');
+  // Snapshots store timestamps as strings, the draft as dates
+  assert.equal(scheduleStatus({ starts_at: new Date('2026-11-01T00:00:00Z'), ends_at: new Date('2027-01-01T00:00:00Z') }, NOW), 'active');
+});
+
+test('applies the prices and rate tables in effect, the latest started winning', () => {
+  const schedules = [
+    { id: 10, carrier_id: 1, starts_at: '2026-11-01T00:00:00Z', ends_at: '2027-01-01T00:00:00Z', price: null, zone_id: null, currency: null, bands: peakBands },
+    { id: 11, carrier_id: 2, starts_at: '2026-10-01T00:00:00Z', ends_at: null, price: 1300, bands: null },
+    { id: 12, carrier_id: 2, starts_at: '2026-11-10T00:00:00Z', ends_at: null, price: 1350, bands: null },
+    { id: 13, carrier_id: 2, starts_at: '2026-12-01T00:00:00Z', ends_at: null, price: 1500, bands: null },
+    { id: 14, carrier_id: 2, starts_at: '2026-11-01T00:00:00Z', ends_at: null, price: null, zone_id: 7, currency: 'CHF', bands: peakBands },
+  ];
+  const scheduled = applyPriceSchedules(carriers, rateTables, schedules, NOW);
+
+  assert.deepEqual(scheduled.carriers.map(({ price }) => price), [1000, 1350]);
+  assert.deepEqual(scheduled.rateTables, [
+    { ...rateTables[0], bands: peakBands },
+    { id: null, carrier_id: 2, zone_id: 7, currency: 'CHF', bands: peakBands },
+  ]);
+  // The configuration itself is left alone
+  assert.equal(carriers[1].price, 1200);
+  assert.deepEqual(rateTables[0].bands, [{ min_weight: 0, max_weight: 2000, price: 450 }]);
+});
+
+test('keeps the configuration without schedules in effect', () => {
+  const schedules = [{ id: 10, carrier_id: 1, starts_at: '2026-12-01T00:00:00Z', ends_at: null, price: 1100, bands: null }];
+  const scheduled = applyPriceSchedules(carriers, rateTables, schedules, NOW);
+
+  assert.equal(scheduled.carriers, carriers);
+  assert.equal(scheduled.rateTables, rateTables);
+});
+
+test('validates price and rate table schedules', () => {
+  assert.deepEqual(validatePriceSchedule({ carrier_id: 1, starts_at: '2026-11-01T00:00:00Z', price: 1100 }), []);
+  assert.deepEqual(
+    validatePriceSchedule({ carrier_id: 1, starts_at: '2026-11-01T00:00:00Z', ends_at: '2027-01-01T00:00:00Z', zone_id: 7, currency: 'CHF', bands: peakBands }),
+    []
+  );
+  assert.deepEqual(validatePriceSchedule({ carrier_id: 1, starts_at: 'soon', ends_at: '2026-10-01T00:00:00Z' }), [
+    'starts_at must be a timestamp like 2026-11-01T00:00:00Z',
+    'A schedule changes either the price or the rate table bands',
+  ]);
+  assert.deepEqual(
+    validatePriceSchedule({ carrier_id: 1, starts_at: '2026-11-01T00:00:00Z', ends_at: '2026-10-01T00:00:00Z', price: 1100, zone_id: 7 }),
+    ['ends_at must be after starts_at', 'zone_id and currency belong to rate table schedules']
+  );
+  assert.deepEqual(validatePriceSchedule({ carrier_id: 1, starts_at: '2026-11-01T00:00:00Z', bands: [] }), [
+    'A rate table schedule needs at least one band',
+  ]);
+});
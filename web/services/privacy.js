@@ -1,48 +1,80 @@
 // web/services/privacy.js
-import { DeliveryMethod } from "@shopify/shopify-api";
+import { createHmac } from 'crypto';
+
+// Stored fields of a rate log that a data request report lists
+const REPORTED_RATE_LOG_FIELDS = ['id', 'created_at', 'destination', 'currency', 'items', 'returned_rates'];
+
+/**
+ * Keyed hashes identifying a customer by email and phone. Rate logs store
+ * these instead of the contact details, and privacy requests look them up.
+ * @param {Object} [contact] - { email, phone }, e.g. a rate request destination
+ * @param {String} secret - Key of the hashes, the app's API secret
+ * @returns {Array} - Hex hashes of the email and phone given, empty without a secret
+ */
+export function customerHashes(contact, secret) {
+  if (!secret || !contact) {
+    return [];
+  }
+  const email = typeof contact.email === 'string' ? contact.email.trim().toLowerCase() : '';
+  const phone = typeof contact.phone === 'string' ? contact.phone.replace(/[^0-9]/g, '') : '';
+
+  return [
+    email && `email:${email}`,
+    phone && `phone:${phone}`,
+  ]
+    .filter(Boolean)
+    .map((value) => createHmac('sha256', secret).update(value).digest('hex'));
+}
+
+// Contact details of a customer that rate logs can be matched by
+function contactIdentifiers(contact) {
+  return ['email', 'phone'].filter((field) => typeof contact?.[field] === 'string' && contact[field].trim() !== '');
+}
 
 /**
- * @type {{[key: string]: import("@shopify/shopify-api").WebhookHandler}}
+ * Tell how far the rate logs found for a customer can be trusted to be all of
+ * theirs. Rate requests carry no customer id, only the contact details the
+ * checkout had, so requests without an email or phone can't be attributed.
+ * @param {Object} [contact] - The customer of the webhook payload, { id, email, phone }
+ * @param {Number} unattributed - The shop's stored rate logs with neither
+ * @returns {Object} - { matched_by, complete, unattributed_rate_logs }
  */
-export default {
-  /**
-   * Customers can request their data from a store owner. When this happens,
-   * Shopify invokes this privacy webhook.
-   */
-  CUSTOMERS_DATA_REQUEST: {
-    deliveryMethod: DeliveryMethod.Http,
-    callbackUrl: "/api/webhooks",
-    callback: async (topic, shop, body, webhookId) => {
-      const payload = JSON.parse(body);
-      // TODO: Implementation for handling customer data request
-      console.log("Received customer data request webhook", { shop, webhookId });
-    },
-  },
+export function describeCustomerMatch(contact, unattributed = 0) {
+  const matchedBy = contactIdentifiers(contact);
+  return {
+    matched_by: matchedBy,
+    complete: matchedBy.length > 0 && unattributed === 0,
+    unattributed_rate_logs: unattributed,
+  };
+}
 
-  /**
-   * Store owners can request that data is deleted on behalf of a customer.
-   */
-  CUSTOMERS_REDACT: {
-    deliveryMethod: DeliveryMethod.Http,
-    callbackUrl: "/api/webhooks",
-    callback: async (topic, shop, body, webhookId) => {
-      const payload = JSON.parse(body);
-      // TODO: Implementation for handling customer data redaction
-      console.log("Received customer redact webhook", { shop, webhookId });
-    },
-  },
+/**
+ * Compile the report of a customers/data_request: everything stored that
+ * belongs to the customer. Rate logs are all the app keeps about customers,
+ * and only with their destination redacted.
+ * @param {Object} payload - The webhook payload with the customer and orders_requested
+ * @param {Array} rateLogs - The shop's rate logs matching the customer's hashes
+ * @param {Number} [unattributed] - The shop's stored rate logs without an email or phone
+ * @returns {Object} - The report handed to the shop
+ */
+export function buildDataRequestReport(payload, rateLogs, unattributed = 0) {
+  const match = describeCustomerMatch(payload.customer, unattributed);
+  const notes = [
+    'Rate requests are logged with the destination country, province, city and the first characters of the postal code; names, street addresses, emails and phone numbers are never stored.',
+    'Rate requests carry no customer id, so they are matched to the customer by keyed hashes of the email and phone given at checkout.',
+  ];
+  if (match.matched_by.length === 0) {
+    notes.push('The request came without an email or phone, so no rate requests could be matched. This does not mean none are stored.');
+  }
+  if (unattributed > 0) {
+    notes.push(`${unattributed} stored rate request(s) came without an email or phone and can't be attributed to any customer, so some of them may be this customer's. They hold only the location above.`);
+  }
 
-  /**
-   * 48 hours after a store owner uninstalls your app, Shopify invokes this
-   * privacy webhook.
-   */
-  SHOP_REDACT: {
-    deliveryMethod: DeliveryMethod.Http,
-    callbackUrl: "/api/webhooks",
-    callback: async (topic, shop, body, webhookId) => {
-      const payload = JSON.parse(body);
-      // TODO: Implementation for handling shop data redaction
-      console.log("Received shop redact webhook", { shop, webhookId });
-    },
-  },
-};
\ No newline at end of file
+  return {
+    customer_id: payload.customer?.id ?? null,
+    orders_requested: payload.orders_requested || [],
+    match,
+    rate_logs: rateLogs.map((log) => Object.fromEntries(REPORTED_RATE_LOG_FIELDS.map((field) => [field, log[field]]))),
+    notes,
+  };
+}
@@ -0,0 +1,65 @@
+// web/services/privacy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDataRequestReport, customerHashes, describeCustomerMatch } from './privacy.js';
+
+test('hashes a customer by normalised email and phone', () => {
+  const hashes = customerHashes({ email: ' Jane@Example.com ', phone: '+43 (1) 555-0100' }, 'secret');
+
+  assert.equal(hashes.length, 2);
+  assert.ok(hashes.every((hash) => /^[0-9a-f]{64}$/.test(hash)));
+  assert.deepEqual(customerHashes({ email: 'jane@example.com', phone: '43 1 5550100' }, 'secret'), hashes);
+  assert.notDeepEqual(customerHashes({ email: 'jane@example.com' }, 'other secret'), hashes.slice(0, 1));
+});
+
+test('hashes nothing without contact details or a secret', () => {
+  assert.deepEqual(customerHashes({ email: '', phone: null }, 'secret'), []);
+  assert.deepEqual(customerHashes(null, 'secret'), []);
+  assert.deepEqual(customerHashes({ email: 'jane@example.com' }, undefined), []);
+});
+
+test('reports the stored rate logs of a customer', () => {
+  const report = buildDataRequestReport(
+    { customer: { id: 191167, email: 'jane@example.com' }, orders_requested: [299938] },
+    [{
+      id: 4,
+      shop: 'shop.myshopify.com',
+      created_at: '2026-10-01T08:00:00.000Z',
+      destination: { country: 'AT', province: null, city: 'Wien', postal_code: '101*' },
+      destination_country: 'AT',
+      currency: 'EUR',
+      items: [{ name: 'Mug', quantity: 1 }],
+      computed_rates: [],
+      returned_rates: [{ service_name: 'DPD' }],
+      customer_hashes: ['abc'],
+    }]
+  );
+
+  assert.equal(report.customer_id, 191167);
+  assert.deepEqual(report.orders_requested, [299938]);
+  assert.deepEqual(report.match, { matched_by: ['email'], complete: true, unattributed_rate_logs: 0 });
+  assert.deepEqual(report.rate_logs, [{
+    id: 4,
+    created_at: '2026-10-01T08:00:00.000Z',
+    destination: { country: 'AT', province: null, city: 'Wien', postal_code: '101*' },
+    currency: 'EUR',
+    items: [{ name: 'Mug', quantity: 1 }],
+    returned_rates: [{ service_name: 'DPD' }],
+  }]);
+});
+
+test('says when rate logs may be missing from a report', () => {
+  const report = buildDataRequestReport({ customer: { id: 191167, email: 'jane@example.com' } }, [], 3);
+  assert.deepEqual(report.match, { matched_by: ['email'], complete: false, unattributed_rate_logs: 3 });
+  assert.match(report.notes.at(-1), /^3 stored rate request\(s\) came without an email or phone/);
+
+  const anonymous = buildDataRequestReport({ customer: { id: 191167, email: null, phone: ' ' } }, []);
+  assert.deepEqual(anonymous.match, { matched_by: [], complete: false, unattributed_rate_logs: 0 });
+  assert.match(anonymous.notes.at(-1), /does not mean none are stored/);
+
+  assert.deepEqual(describeCustomerMatch({ email: 'jane@example.com', phone: '+43 1 5550100' }), {
+    matched_by: ['email', 'phone'],
+    complete: true,
+    unattributed_rate_logs: 0,
+  });
+});
@@ -0,0 +1,83 @@
+// web/services/productAttributes.js
+
+// Namespace of the product metafields the shipping attributes are kept in
+export const PRODUCT_METAFIELD_NAMESPACE = 'rule_based_shipping';
+
+// Product metafields with their Shopify type; dimensions are in cm
+export const PRODUCT_ATTRIBUTE_METAFIELDS = [
+  { key: 'length', type: 'number_decimal', name: 'Shipping length (cm)' },
+  { key: 'width', type: 'number_decimal', name: 'Shipping width (cm)' },
+  { key: 'height', type: 'number_decimal', name: 'Shipping height (cm)' },
+  { key: 'ship_alone', type: 'boolean', name: 'Ships alone' },
+  { key: 'oversize', type: 'boolean', name: 'Oversize' },
+  { key: 'fragile', type: 'boolean', name: 'Fragile' },
+  { key: 'shipping_class', type: 'single_line_text_field', name: 'Shipping class' },
+];
+
+// Attributes of a product without any shipping metafields
+const DEFAULT_ATTRIBUTES = {
+  length: null,
+  width: null,
+  height: null,
+  ship_alone: false,
+  oversize: false,
+  fragile: false,
+  shipping_class: null,
+};
+
+/**
+ * Read the shipping attributes from a product's metafields. Metafields of
+ * other namespaces and values that don't parse are ignored.
+ * @param {Array} metafields - Metafields with namespace (optional), key and value
+ * @returns {Object} - { length, width, height, ship_alone, oversize, fragile, shipping_class }
+ */
+export function parseProductMetafields(metafields = []) {
+  const attributes = { ...DEFAULT_ATTRIBUTES };
+
+  for (const { namespace = PRODUCT_METAFIELD_NAMESPACE, key, value } of metafields) {
+    const definition = PRODUCT_ATTRIBUTE_METAFIELDS.find((field) => field.key === key);
+    if (namespace !== PRODUCT_METAFIELD_NAMESPACE || !definition || value == null) {
+      continue;
+    }
+    if (definition.type === 'number_decimal') {
+      const number = Number(value);
+      attributes[key] = String(value).trim() !== '' && Number.isFinite(number) && number > 0 ? number : null;
+    } else if (definition.type === 'boolean') {
+      attributes[key] = value === true || value === 'true';
+    } else {
+      attributes[key] = String(value).trim() || null;
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Add the stored shipping attributes of their products to rate request items.
+ * Dimensions and a product type the request already carries take precedence.
+ * @param {Array} items - Items of the rate request
+ * @param {Array} products - Stored attributes with product_id and product_type
+ * @returns {Array} - The items with dimensions, flags and shipping class
+ */
+export function applyProductAttributes(items, products) {
+  const byProduct = new Map(products.map((product) => [String(product.product_id), product]));
+
+  return items.map((item) => {
+    const product = byProduct.get(String(item.product_id));
+    if (!product) {
+      return item;
+    }
+
+    const { length, width, height } = product;
+    const hasDimensions = length != null && width != null && height != null;
+    return {
+      ...item,
+      product_type: item.product_type || product.product_type || '',
+      ...(!item.dimensions && hasDimensions ? { dimensions: { length, width, height } } : {}),
+      ship_alone: product.ship_alone,
+      oversize: product.oversize,
+      fragile: product.fragile,
+      shipping_class: product.shipping_class,
+    };
+  });
+}
@@ -0,0 +1,61 @@
+// web/services/productAttributes.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyProductAttributes, parseProductMetafields } from './productAttributes.js';
+
+test('reads shipping attributes from product metafields', () => {
+  assert.deepEqual(
+    parseProductMetafields([
+      { namespace: 'rule_based_shipping', key: 'length', value: '120.5' },
+      { namespace: 'rule_based_shipping', key: 'width', value: 'wide' },
+      { namespace: 'rule_based_shipping', key: 'height', value: '30' },
+      { namespace: 'rule_based_shipping', key: 'ship_alone', value: 'true' },
+      { namespace: 'rule_based_shipping', key: 'fragile', value: 'false' },
+      { namespace: 'rule_based_shipping', key: 'shipping_class', value: ' bulky ' },
+      { namespace: 'custom', key: 'oversize', value: 'true' },
+    ]),
+    {
+      length: 120.5,
+      width: null,
+      height: 30,
+      ship_alone: true,
+      oversize: false,
+      fragile: false,
+      shipping_class: 'bulky',
+    }
+  );
+});
+
+test('adds stored attributes to the items of their products', () => {
+  const products = [{
+    product_id: '42',
+    product_type: 'Furniture',
+    length: 120,
+    width: 60,
+    height: 30,
+    ship_alone: true,
+    oversize: true,
+    fragile: false,
+    shipping_class: 'bulky',
+  }];
+
+  const [chair, table, other] = applyProductAttributes([
+    { sku: 'CHAIR', product_id: 42, product_type: '' },
+    { sku: 'TABLE', product_id: 42, product_type: 'Tables', dimensions: { length: 200, width: 90, height: 10 } },
+    { sku: 'OTHER', product_id: 7 },
+  ], products);
+
+  assert.deepEqual(chair, {
+    sku: 'CHAIR',
+    product_id: 42,
+    product_type: 'Furniture',
+    dimensions: { length: 120, width: 60, height: 30 },
+    ship_alone: true,
+    oversize: true,
+    fragile: false,
+    shipping_class: 'bulky',
+  });
+  assert.equal(table.product_type, 'Tables');
+  assert.deepEqual(table.dimensions, { length: 200, width: 90, height: 10 });
+  assert.deepEqual(other, { sku: 'OTHER', product_id: 7 });
+});
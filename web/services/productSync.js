@@ -0,0 +1,119 @@
+// web/services/productSync.js
+import {
+  deleteProductAttributes,
+  replaceProductAttributes,
+  setProductAttributes
+} from '../database/models/productAttributes.js';
+import {
+  PRODUCT_ATTRIBUTE_METAFIELDS,
+  PRODUCT_METAFIELD_NAMESPACE,
+  parseProductMetafields
+} from './productAttributes.js';
+
+// Products read per Admin API page during a full sync
+const PRODUCT_PAGE_SIZE = 100;
+
+const PRODUCT_FIELDS = `
+  legacyResourceId
+  title
+  productType
+  metafields(namespace: "${PRODUCT_METAFIELD_NAMESPACE}", first: ${PRODUCT_ATTRIBUTE_METAFIELDS.length}) {
+    nodes {
+      key
+      value
+    }
+  }
+`;
+
+// Shape a product of the Admin API for the product_shipping_attributes table
+function toProductAttributes(product) {
+  return {
+    product_id: product.legacyResourceId,
+    title: product.title,
+    product_type: product.productType,
+    ...parseProductMetafields(product.metafields.nodes),
+  };
+}
+
+/**
+ * Create the product metafield definitions of the shipping attributes, so
+ * merchants can edit them on the product page. Existing definitions are kept.
+ * @param {Object} client - Admin GraphQL client of the shop
+ */
+export async function ensureProductMetafieldDefinitions(client) {
+  for (const { key, type, name } of PRODUCT_ATTRIBUTE_METAFIELDS) {
+    const { data } = await client.request(`
+      mutation createShippingDefinition($definition: MetafieldDefinitionInput!) {
+        metafieldDefinitionCreate(definition: $definition) {
+          userErrors {
+            code
+            message
+          }
+        }
+      }
+    `, {
+      variables: {
+        definition: { namespace: PRODUCT_METAFIELD_NAMESPACE, key, type, name, ownerType: 'PRODUCT' },
+      },
+    });
+    const errors = data.metafieldDefinitionCreate.userErrors.filter((error) => error.code !== 'TAKEN');
+    if (errors.length > 0) {
+      throw new Error(`Failed to define metafield ${key}: ${errors.map((error) => error.message).join('; ')}`);
+    }
+  }
+}
+
+/**
+ * Mirror the shipping attributes of all of a shop's products into the local table
+ * @param {String} shop - The shop's domain
+ * @param {Object} client - Admin GraphQL client of the shop
+ * @returns {Object} - { changes, removed }: products synced and products removed
+ */
+export async function syncAllProducts(shop, client) {
+  const products = [];
+  let cursor = null;
+
+  do {
+    const { data } = await client.request(`
+      query shippingProducts($first: Int!, $cursor: String) {
+        products(first: $first, after: $cursor) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ${PRODUCT_FIELDS}
+          }
+        }
+      }
+    `, { variables: { first: PRODUCT_PAGE_SIZE, cursor } });
+
+    products.push(...data.products.nodes.map(toProductAttributes));
+    cursor = data.products.pageInfo.hasNextPage ? data.products.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return replaceProductAttributes(shop, products);
+}
+
+/**
+ * Mirror the shipping attributes of a single product, e.g. after a webhook
+ * @param {String} shop - The shop's domain
+ * @param {Object} client - Admin GraphQL client of the shop
+ * @param {Number|String} productId - Numeric id of the product
+ * @returns {Object} - { changes }
+ */
+export async function syncProduct(shop, client, productId) {
+  const { data } = await client.request(`
+    query shippingProduct($id: ID!) {
+      product(id: $id) {
+        ${PRODUCT_FIELDS}
+      }
+    }
+  `, { variables: { id: `gid://shopify/Product/${productId}` } });
+
+  // The product may have been deleted since the webhook was sent
+  if (!data.product) {
+    return deleteProductAttributes(shop, productId);
+  }
+  return setProductAttributes(shop, toProductAttributes(data.product));
+}
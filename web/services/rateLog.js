@@ -0,0 +1,70 @@
+// web/services/rateLog.js
+
+// Days rate requests are kept when a shop hasn't chosen a retention period
+export const DEFAULT_RATE_LOG_RETENTION_DAYS = 30;
+
+// Longest retention period a shop can choose
+export const MAX_RATE_LOG_RETENTION_DAYS = 365;
+
+// Leading characters of a postal code kept in the log, enough to debug zones
+const POSTAL_CODE_PREFIX_LENGTH = 3;
+
+/**
+ * Read the rate log retention period from a shop's settings
+ * @param {Object} settings - The shop's settings as key/value strings
+ * @returns {Number} - Days rate requests are kept
+ */
+export function parseRateLogRetention(settings = {}) {
+  const days = parseInt(settings.rate_log_retention_days, 10);
+  return days > 0 && days <= MAX_RATE_LOG_RETENTION_DAYS ? days : DEFAULT_RATE_LOG_RETENTION_DAYS;
+}
+
+/**
+ * Strip a rate request address down to what rate calculation looks at. Names,
+ * street, phone, email and company are dropped, the postal code is truncated.
+ * @param {Object} [address] - Origin or destination of a rate request
+ * @returns {Object} - { country, province, city, postal_code }
+ */
+export function redactAddress(address = {}) {
+  const postalCode = address?.postal_code ? String(address.postal_code) : null;
+  return {
+    country: address?.country || null,
+    province: address?.province || null,
+    city: address?.city || null,
+    postal_code: postalCode && postalCode.length > POSTAL_CODE_PREFIX_LENGTH
+      ? `${postalCode.slice(0, POSTAL_CODE_PREFIX_LENGTH)}${'*'.repeat(postalCode.length - POSTAL_CODE_PREFIX_LENGTH)}`
+      : postalCode,
+  };
+}
+
+/**
+ * Build the log entry of a rate request
+ * @param {Object} request - The rate request from Shopify
+ * @param {Object} outcome - { rates, response, durationMs, error }: the calculated rates,
+ *   the response returned to Shopify, the time taken and the error if the request failed
+ * @returns {Object} - Row for the rate_request_logs table
+ */
+export function buildRateLogEntry(request, { rates = [], response = { rates: [] }, durationMs, error = null }) {
+  const destination = redactAddress(request?.rate?.destination);
+  return {
+    destination,
+    destination_country: destination.country,
+    currency: request?.rate?.currency || null,
+    items: (request?.rate?.items || []).map((item) => ({
+      name: item.name,
+      sku: item.sku,
+      quantity: item.quantity,
+      grams: item.grams,
+      price: item.price,
+      vendor: item.vendor,
+      requires_shipping: item.requires_shipping,
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+    })),
+    computed_rates: rates,
+    returned_rates: response.rates,
+    carrier_ids: [...new Set(rates.map((rate) => rate.carrier_id).filter(Number.isInteger))],
+    duration_ms: Math.round(durationMs),
+    error: error ? String(error.message || error) : null,
+  };
+}
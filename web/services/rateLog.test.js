@@ -0,0 +1,66 @@
+// web/services/rateLog.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRateLogEntry, parseRateLogRetention, redactAddress } from './rateLog.js';
+
+const request = {
+  rate: {
+    destination: {
+      country: 'AT',
+      province: 'W',
+      city: 'Wien',
+      postal_code: '1010',
+      name: 'Jane Doe',
+      address1: 'Stephansplatz 1',
+      phone: '+43 1 234567',
+      email: 'jane@example.com',
+      company_name: 'ACME',
+    },
+    items: [{ name: 'Mug', sku: 'MUG', quantity: 2, grams: 400, price: 1500, vendor: 'ACME', requires_shipping: true }],
+    currency: 'EUR',
+  },
+};
+
+test('keeps only the address fields rates are calculated from', () => {
+  assert.deepEqual(redactAddress(request.rate.destination), {
+    country: 'AT',
+    province: 'W',
+    city: 'Wien',
+    postal_code: '101*',
+  });
+  assert.equal(redactAddress({ country: 'DE', postal_code: '123' }).postal_code, '123');
+  assert.deepEqual(redactAddress(undefined), { country: null, province: null, city: null, postal_code: null });
+});
+
+test('logs the calculated and returned rates with their carriers', () => {
+  const rates = [
+    { carrier_id: 1, service_name: 'DPD (1 parcel)', total_price: 1000 },
+    { carrier_id: 2, service_name: 'Post (1 parcel)', total_price: 1200 },
+    { service_name: 'Pickup', total_price: 0 },
+  ];
+  const response = { rates: [{ service_name: 'DPD (1 parcel)', total_price: 1000 }] };
+  const entry = buildRateLogEntry(request, { rates, response, durationMs: 12.6 });
+
+  assert.equal(entry.destination_country, 'AT');
+  assert.equal(entry.destination.postal_code, '101*');
+  assert.deepEqual(entry.carrier_ids, [1, 2]);
+  assert.equal(entry.computed_rates.length, 3);
+  assert.deepEqual(entry.returned_rates, response.rates);
+  assert.equal(entry.duration_ms, 13);
+  assert.equal(entry.error, null);
+  assert.equal(JSON.stringify(entry).includes('jane@example.com'), false);
+});
+
+test('logs the error of a failed request', () => {
+  const entry = buildRateLogEntry(request, { durationMs: 3, error: new Error('connection refused') });
+
+  assert.equal(entry.error, 'connection refused');
+  assert.deepEqual(entry.returned_rates, []);
+});
+
+test('falls back to the default retention for invalid settings', () => {
+  assert.equal(parseRateLogRetention({}), 30);
+  assert.equal(parseRateLogRetention({ rate_log_retention_days: '0' }), 30);
+  assert.equal(parseRateLogRetention({ rate_log_retention_days: '400' }), 30);
+  assert.equal(parseRateLogRetention({ rate_log_retention_days: '7' }), 7);
+});
@@ -0,0 +1,207 @@
+// web/services/rateQuote.js
+import { getCarriers } from '../database/models/carrier.js';
+import { getRateTables } from '../database/models/rateTable.js';
+import { getRules } from '../database/models/rule.js';
+import { getThresholds } from '../database/models/threshold.js';
+import { getHolidays } from '../database/models/holiday.js';
+import { getSurcharges } from '../database/models/surcharge.js';
+import { getExchangeRates } from '../database/models/exchangeRate.js';
+import { getProductAttributes } from '../database/models/productAttributes.js';
+import { getClassRestrictions } from '../database/models/classRestriction.js';
+import { getZones } from '../database/models/zone.js';
+import { getPriceSchedules } from '../database/models/priceSchedule.js';
+import {
+  getPublishedConfigVersion,
+  publishConfigVersion,
+  publishFirstConfigVersion,
+} from '../database/models/configVersion.js';
+import { getShopInstallation } from '../database/models/shop.js';
+import { getSettings, withConsistentRead } from '../database.js';
+import { calculateShippingRates, toRateResponse } from './shipping.js';
+import { parseRateSelection } from './rateSelection.js';
+import { parseThresholdOptions } from './thresholds.js';
+import { parseDeliveryOptions } from './deliveryDates.js';
+import { createConfigCache } from './configCache.js';
+import { applyProductAttributes } from './productAttributes.js';
+import { parseFallbackRate } from './shippingClasses.js';
+import { readSettings } from './settings.js';
+
+/**
+ * Read a shop's configuration tables, which hold its draft configuration. The
+ * tables are read in one transaction, so an edit running meanwhile is either
+ * in the snapshot completely or not at all.
+ * @param {String} shop - The shop's domain
+ * @param {Object} [client] - A client whose transaction to read in instead of a new one
+ * @returns {Object} - The snapshot published versions store, see SNAPSHOT_SECTIONS
+ */
+export async function loadConfigSnapshot(shop, client = null) {
+  if (!client) {
+    return withConsistentRead((reader) => loadConfigSnapshot(shop, reader));
+  }
+  return {
+    carriers: await getCarriers(shop, client),
+    zones: await getZones(shop, client),
+    rateTables: await getRateTables(shop, client),
+    priceSchedules: await getPriceSchedules(shop, client),
+    surcharges: await getSurcharges(shop, client),
+    thresholds: await getThresholds(shop, client),
+    rules: await getRules(shop, client),
+    holidays: await getHolidays(shop, null, client),
+    exchangeRates: await getExchangeRates(shop, client),
+    classRestrictions: await getClassRestrictions(shop, client),
+    settings: await getSettings(shop, client),
+  };
+}
+
+// Turn a configuration snapshot into the config passed to buildRateResponse
+function toShippingConfig(snapshot) {
+  const { settings, ...tables } = snapshot;
+  const { default_currency, weight_unit } = readSettings(settings);
+
+  return {
+    ...tables,
+    thresholdOptions: parseThresholdOptions(settings),
+    deliveryOptions: parseDeliveryOptions(settings),
+    fallbackRate: parseFallbackRate(settings),
+    selection: parseRateSelection(settings),
+    defaultCurrency: default_currency,
+    weightUnit: weight_unit,
+  };
+}
+
+/**
+ * Load the published configuration checkout answers from. Rate requests only
+ * read: the first version is published at install or startup, and a shop
+ * without one yet is answered from its draft. A shop that uninstalled the
+ * app gets no carriers, whatever is still stored.
+ * @param {String} shop - The shop's domain
+ * @returns {Object} - The config passed to buildRateResponse, with its version
+ *   and whether the app is installed
+ */
+export async function loadShippingConfig(shop) {
+  const installation = await getShopInstallation(shop);
+  if (installation?.uninstalled_at) {
+    return { carriers: [], version: null, installed: false };
+  }
+
+  const published = await getPublishedConfigVersion(shop);
+  if (!published) {
+    return { ...toShippingConfig(await loadConfigSnapshot(shop)), version: null, installed: true };
+  }
+  return { ...toShippingConfig(published.snapshot), version: published.version, installed: true };
+}
+
+/**
+ * Publish a shop's configuration as its first version, when it has none yet
+ * @param {String} shop - The shop's domain
+ * @returns {Object} - The shop's latest version with its snapshot
+ */
+export async function publishFirstVersion(shop) {
+  const version = await publishFirstConfigVersion(shop, await loadConfigSnapshot(shop));
+  invalidateShippingConfig(shop);
+  return version;
+}
+
+/**
+ * Load a shop's draft configuration, to preview it before publishing
+ * @param {String} shop - The shop's domain
+ * @returns {Object} - The config passed to buildRateResponse, with a null version
+ */
+export async function loadDraftShippingConfig(shop) {
+  return { ...toShippingConfig(await loadConfigSnapshot(shop)), version: null };
+}
+
+/**
+ * Publish a shop's draft configuration, so checkout answers from it
+ * @param {String} shop - The shop's domain
+ * @param {String} [note] - What changed, for the version history
+ * @returns {Object} - The published version with its snapshot
+ */
+export async function publishDraft(shop, note = '') {
+  const version = await publishConfigVersion(shop, await loadConfigSnapshot(shop), { note });
+  invalidateShippingConfig(shop);
+  return version;
+}
+
+/**
+ * Roll checkout back to an earlier version by publishing its snapshot again;
+ * the draft stays as it is
+ * @param {String} shop - The shop's domain
+ * @param {Object} version - The version to restore, with its snapshot
+ * @returns {Object} - The published version with its snapshot
+ */
+export async function restoreVersion(shop, version) {
+  const restored = await publishConfigVersion(shop, version.snapshot, {
+    note: `Rolled back to version ${version.version}`,
+    restoredFrom: version.version,
+  });
+  invalidateShippingConfig(shop);
+  return restored;
+}
+
+// Shipping configs are read on every rate request but only change through
+// the admin, so they're kept in memory until a config route writes
+export const shippingConfigCache = createConfigCache(loadShippingConfig);
+
+/**
+ * Drop a shop's cached shipping config after its configuration changed
+ * @param {String} shop - The shop's domain
+ */
+export function invalidateShippingConfig(shop) {
+  shippingConfigCache.invalidate(shop);
+}
+
+/**
+ * Tell whether the app is installed on a shop, from the cached shipping config
+ * @param {String} shop - The shop's domain
+ * @returns {Boolean}
+ */
+export async function isShopInstalled(shop) {
+  return (await shippingConfigCache.get(shop)).installed;
+}
+
+/**
+ * Reload a shop's cached shipping config after another instance changed it
+ * @param {String|null} shop - The shop's domain, null when any shop may have changed
+ */
+export function refreshShippingConfig(shop) {
+  if (shop === null) {
+    shippingConfigCache.clear();
+  } else {
+    shippingConfigCache.refresh(shop);
+  }
+}
+
+// Add the shipping attributes synced from the products' metafields to the items
+async function withProductAttributes(shop, request) {
+  const productIds = [...new Set(
+    request.rate.items.map((item) => item.product_id).filter((id) => id != null)
+  )];
+  if (productIds.length === 0) {
+    return request;
+  }
+  const products = await getProductAttributes(shop, productIds);
+  return {
+    ...request,
+    rate: { ...request.rate, items: applyProductAttributes(request.rate.items, products) },
+  };
+}
+
+/**
+ * Quote a rate request for a shop exactly like the carrier service answers Shopify
+ * @param {String} shop - The shop's domain
+ * @param {Object} request - The rate request, in the format Shopify sends it
+ * @param {Object} [options] - { draft: quote the draft instead of the published configuration }
+ * @returns {Object} - { response, rates, config }: the carrier service response, every
+ *   rate calculated before the selection strategy and the config they were built from
+ */
+export async function quoteRates(shop, request, { draft = false } = {}) {
+  const config = draft ? await loadDraftShippingConfig(shop) : await shippingConfigCache.get(shop);
+
+  // Without carriers the shop hasn't set up shipping yet
+  if (config.carriers.length === 0) {
+    return { response: { rates: [] }, rates: [], config };
+  }
+  const rates = await calculateShippingRates(await withProductAttributes(shop, request), config);
+  return { response: toRateResponse(rates, config.selection), rates, config };
+}
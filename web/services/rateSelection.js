@@ -0,0 +1,90 @@
+// web/services/rateSelection.js
+
+export const RATE_SELECTION_STRATEGIES = [
+  'all',
+  'cheapest',
+  'cheapest_and_fastest',
+  'top_n',
+  'preferred_carrier',
+];
+
+// Returned when a shop hasn't chosen a strategy: only the cheapest rate
+export const DEFAULT_RATE_SELECTION = {
+  strategy: 'cheapest',
+  topN: 3,
+  preferredCarrierId: null,
+  preferredMargin: 0,
+};
+
+/**
+ * Read the rate selection strategy from a shop's settings
+ * @param {Object} settings - The shop's settings as key/value strings
+ * @returns {Object} - { strategy, topN, preferredCarrierId, preferredMargin }
+ */
+export function parseRateSelection(settings = {}) {
+  const strategy = RATE_SELECTION_STRATEGIES.includes(settings.rate_selection_strategy)
+    ? settings.rate_selection_strategy
+    : DEFAULT_RATE_SELECTION.strategy;
+  const topN = parseInt(settings.rate_selection_top_n, 10);
+  const preferredCarrierId = parseInt(settings.rate_selection_preferred_carrier, 10);
+  const preferredMargin = parseFloat(settings.rate_selection_preferred_margin);
+
+  return {
+    strategy,
+    topN: topN > 0 ? topN : DEFAULT_RATE_SELECTION.topN,
+    preferredCarrierId: Number.isNaN(preferredCarrierId) ? null : preferredCarrierId,
+    preferredMargin: preferredMargin >= 0 ? preferredMargin : DEFAULT_RATE_SELECTION.preferredMargin,
+  };
+}
+
+// Compare two delivery dates, a missing one after every date
+function compareDates(a, b) {
+  if (a == null || b == null) {
+    return (a == null) - (b == null);
+  }
+  return String(a).localeCompare(String(b));
+}
+
+// Earliest delivery first, undated rates like rule offers and the contact
+// rate last, the cheaper rate on equal dates
+function byDelivery(a, b) {
+  return (
+    compareDates(a.max_delivery_date, b.max_delivery_date) ||
+    compareDates(a.min_delivery_date, b.min_delivery_date) ||
+    a.total_price - b.total_price
+  );
+}
+
+/**
+ * Choose which of the calculated rates are offered at checkout
+ * @param {Array} rates - Rates sorted by price (ascending), tagged with carrier_id
+ * @param {Object} [selection] - Strategy parsed by parseRateSelection
+ * @returns {Array} - The rates to return to Shopify
+ */
+export function selectRates(rates, selection = DEFAULT_RATE_SELECTION) {
+  if (rates.length === 0) {
+    return [];
+  }
+  const [cheapest] = rates;
+
+  switch (selection.strategy) {
+    case 'all':
+      return rates;
+    case 'cheapest_and_fastest': {
+      const fastest = [...rates].sort(byDelivery)[0];
+      return fastest === cheapest ? [cheapest] : [cheapest, fastest];
+    }
+    case 'top_n':
+      return rates.slice(0, selection.topN);
+    case 'preferred_carrier': {
+      // Offer the preferred carrier instead of the cheapest one while it costs
+      // at most preferredMargin percent more
+      const preferred = rates.find((rate) => rate.carrier_id === selection.preferredCarrierId);
+      const limit = cheapest.total_price * (1 + selection.preferredMargin / 100);
+      return preferred && preferred.total_price <= limit ? [preferred] : [cheapest];
+    }
+    case 'cheapest':
+    default:
+      return [cheapest];
+  }
+}
@@ -0,0 +1,79 @@
+// web/services/rateSelection.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RATE_SELECTION, parseRateSelection, selectRates } from './rateSelection.js';
+
+// Sorted by price, as calculateShippingRates returns them
+const pickup = { carrier_id: null, service_code: 'pickup', total_price: 0 };
+const post = {
+  carrier_id: 2,
+  service_code: 'post',
+  total_price: 490,
+  min_delivery_date: '2026-11-04T00:00:00+01:00',
+  max_delivery_date: '2026-11-06T00:00:00+01:00',
+};
+const dpd = {
+  carrier_id: 1,
+  service_code: 'dpd',
+  total_price: 590,
+  min_delivery_date: '2026-11-03T00:00:00+01:00',
+  max_delivery_date: '2026-11-04T00:00:00+01:00',
+};
+const express = {
+  carrier_id: 3,
+  service_code: 'express',
+  total_price: 1290,
+  min_delivery_date: '2026-11-03T00:00:00+01:00',
+  max_delivery_date: '2026-11-04T00:00:00+01:00',
+};
+const rates = [pickup, post, dpd, express];
+
+const codes = (selected) => selected.map(({ service_code }) => service_code);
+const select = (settings) => codes(selectRates(rates, parseRateSelection(settings)));
+
+test('reads the strategy from the settings, falling back to the defaults', () => {
+  assert.deepEqual(parseRateSelection({}), DEFAULT_RATE_SELECTION);
+  assert.deepEqual(parseRateSelection({ rate_selection_strategy: 'fastest', rate_selection_top_n: '-2' }), DEFAULT_RATE_SELECTION);
+  assert.deepEqual(
+    parseRateSelection({
+      rate_selection_strategy: 'preferred_carrier',
+      rate_selection_top_n: '2',
+      rate_selection_preferred_carrier: '1',
+      rate_selection_preferred_margin: '12.5',
+    }),
+    { strategy: 'preferred_carrier', topN: 2, preferredCarrierId: 1, preferredMargin: 12.5 }
+  );
+});
+
+test('offers all, the cheapest or the first n rates', () => {
+  assert.deepEqual(select({ rate_selection_strategy: 'all' }), ['pickup', 'post', 'dpd', 'express']);
+  assert.deepEqual(select({ rate_selection_strategy: 'cheapest' }), ['pickup']);
+  assert.deepEqual(select({}), ['pickup']);
+  assert.deepEqual(select({ rate_selection_strategy: 'top_n', rate_selection_top_n: '2' }), ['pickup', 'post']);
+  assert.deepEqual(selectRates([], parseRateSelection({ rate_selection_strategy: 'all' })), []);
+});
+
+test('offers the cheapest and the fastest dated rate, the cheaper one on equal dates', () => {
+  assert.deepEqual(select({ rate_selection_strategy: 'cheapest_and_fastest' }), ['pickup', 'dpd']);
+  // The cheapest rate is also the fastest
+  assert.deepEqual(codes(selectRates([dpd, express], { ...DEFAULT_RATE_SELECTION, strategy: 'cheapest_and_fastest' })), ['dpd']);
+  // Undated rates only come first without any dated rate
+  const contact = { carrier_id: null, service_code: 'contact_us', total_price: 1500 };
+  assert.deepEqual(
+    codes(selectRates([post, contact], { ...DEFAULT_RATE_SELECTION, strategy: 'cheapest_and_fastest' })),
+    ['post']
+  );
+  assert.deepEqual(
+    codes(selectRates([pickup, contact], { ...DEFAULT_RATE_SELECTION, strategy: 'cheapest_and_fastest' })),
+    ['pickup']
+  );
+});
+
+test('offers the preferred carrier while it is within the margin of the cheapest rate', () => {
+  const preferDpd = (margin) => ({ ...DEFAULT_RATE_SELECTION, strategy: 'preferred_carrier', preferredCarrierId: 1, preferredMargin: margin });
+  const carrierRates = [post, dpd, express];
+
+  assert.deepEqual(codes(selectRates(carrierRates, preferDpd(25))), ['dpd']);
+  assert.deepEqual(codes(selectRates(carrierRates, preferDpd(20))), ['post']);
+  assert.deepEqual(codes(selectRates(carrierRates, { ...preferDpd(100), preferredCarrierId: 9 })), ['post']);
+});
@@ -0,0 +1,47 @@
+// web/services/rateTables.js
+
+/**
+ * Find the weight band a parcel falls into. Bands are inclusive on both ends,
+ * so with contiguous bands a parcel on a boundary gets the lighter band.
+ * @param {Array} bands - Weight bands ({ min_weight, max_weight, price }) in grams
+ * @param {Number} weight - Parcel weight in grams
+ * @returns {Object|null} - The matching band, null if the weight is not covered
+ */
+export function findBand(bands, weight) {
+  return [...bands]
+    .sort((a, b) => a.min_weight - b.min_weight)
+    .find((band) => weight >= band.min_weight && weight <= band.max_weight) || null;
+}
+
+/**
+ * Validate the weight bands of a rate table submitted through the API
+ * @param {Array} bands - Weight bands ({ min_weight, max_weight, price }) in grams and cents
+ * @returns {Array} - Validation error messages, empty when the bands are valid
+ */
+export function validateRateBands(bands) {
+  if (!Array.isArray(bands)) {
+    return ['Bands must be an array'];
+  }
+
+  const errors = [];
+  bands.forEach(({ min_weight, max_weight, price } = {}, index) => {
+    if (!Number.isInteger(min_weight) || min_weight < 0) {
+      errors.push(`Band ${index + 1}: minimum weight must be a non-negative number of grams`);
+    }
+    if (!Number.isInteger(max_weight) || max_weight <= min_weight) {
+      errors.push(`Band ${index + 1}: maximum weight must be greater than the minimum weight`);
+    }
+    if (!Number.isInteger(price) || price < 0) {
+      errors.push(`Band ${index + 1}: price must be a non-negative number of cents`);
+    }
+  });
+
+  const sorted = [...bands].sort((a, b) => a.min_weight - b.min_weight);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].min_weight < sorted[i - 1].max_weight) {
+      errors.push(`Bands ${sorted[i - 1].min_weight}–${sorted[i - 1].max_weight} g and ${sorted[i].min_weight}–${sorted[i].max_weight} g overlap`);
+    }
+  }
+
+  return errors;
+}
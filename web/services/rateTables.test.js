@@ -0,0 +1,45 @@
+// web/services/rateTables.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBand, validateRateBands } from './rateTables.js';
+
+// Unsorted, as they may come from the API
+const bands = [
+  { min_weight: 2000, max_weight: 5000, price: 650 },
+  { min_weight: 0, max_weight: 2000, price: 450 },
+  { min_weight: 10000, max_weight: 20000, price: 1290 },
+];
+
+test('finds the band a weight falls into', () => {
+  assert.equal(findBand(bands, 0).price, 450);
+  assert.equal(findBand(bands, 3500).price, 650);
+  assert.equal(findBand(bands, 20000).price, 1290);
+});
+
+test('gives a weight on a boundary the lighter band', () => {
+  assert.equal(findBand(bands, 2000).price, 450);
+  assert.equal(findBand(bands, 2001).price, 650);
+});
+
+test('finds no band for weights the table does not cover', () => {
+  assert.equal(findBand(bands, 7500), null);
+  assert.equal(findBand(bands, 20001), null);
+  assert.equal(findBand([], 100), null);
+});
+
+test('validates the bands of a rate table', () => {
+  assert.deepEqual(validateRateBands(bands), []);
+  assert.deepEqual(validateRateBands({}), ['Bands must be an array']);
+  assert.deepEqual(
+    validateRateBands([
+      { min_weight: -1, max_weight: 1000, price: 450 },
+      { min_weight: 500, max_weight: 500, price: 1.5 },
+    ]),
+    [
+      'Band 1: minimum weight must be a non-negative number of grams',
+      'Band 2: maximum weight must be greater than the minimum weight',
+      'Band 2: price must be a non-negative number of cents',
+      'Bands -1–1000 g and 500–500 g overlap',
+    ]
+  );
+});
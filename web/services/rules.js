@@ -0,0 +1,305 @@
+// web/services/rules.js
+
+// Condition types and the operators they accept
+const LIST_CONDITIONS = [
+  'destination_country',
+  'destination_province',
+  'destination_postal_code',
+  'origin_country',
+  'origin_postal_code',
+];
+const RANGE_CONDITIONS = ['total_weight', 'subtotal', 'item_count'];
+const ITEM_CONDITIONS = ['sku', 'vendor', 'product_type', 'shipping_class'];
+// Shipping attributes synced from the products' metafields
+const FLAG_CONDITIONS = ['ship_alone', 'oversize', 'fragile'];
+
+const LIST_OPERATORS = ['in', 'not_in'];
+const ITEM_OPERATORS = ['any', 'all', 'none'];
+
+const ACTION_TYPES = [
+  'offer',
+  'hide',
+  'set_price',
+  'surcharge',
+  'discount',
+  'rename',
+];
+
+/**
+ * Build the values rule conditions are matched against from a Shopify rate request
+ * @param {Object} request - The rate request from Shopify
+ * @returns {Object} - Destination, origin, items and cart totals
+ */
+export function buildRuleContext(request) {
+  const { destination = {}, origin = {}, items = [] } = request.rate;
+
+  return {
+    destination,
+    origin,
+    items,
+    totalWeight: items.reduce((acc, item) => acc + item.grams * item.quantity, 0),
+    subtotal: items.reduce((acc, item) => acc + item.price * item.quantity, 0),
+    itemCount: items.reduce((acc, item) => acc + item.quantity, 0),
+  };
+}
+
+/**
+ * Check whether a value matches one of the patterns of a list condition.
+ * Patterns are compared case-insensitively and may end in "*" to match a prefix.
+ */
+function matchesPattern(value, patterns) {
+  const normalized = String(value ?? '').replace(/\s+/g, '').toUpperCase();
+  return patterns.some((pattern) => {
+    const expected = String(pattern).replace(/\s+/g, '').toUpperCase();
+    return expected.endsWith('*')
+      ? normalized.startsWith(expected.slice(0, -1))
+      : normalized === expected;
+  });
+}
+
+function inRange(value, { min, max }) {
+  return (min == null || value >= min) && (max == null || value <= max);
+}
+
+const LIST_VALUES = {
+  destination_country: (context) => context.destination.country,
+  destination_province: (context) => context.destination.province,
+  destination_postal_code: (context) => context.destination.postal_code,
+  origin_country: (context) => context.origin.country,
+  origin_postal_code: (context) => context.origin.postal_code,
+};
+
+const RANGE_VALUES = {
+  total_weight: (context) => context.totalWeight,
+  subtotal: (context) => context.subtotal,
+  item_count: (context) => context.itemCount,
+};
+
+/**
+ * Evaluate a single rule condition against the rate request context
+ * @param {Object} condition - Condition with a type, operator and values or min/max
+ * @param {Object} context - Context built by buildRuleContext
+ * @returns {Boolean} - Whether the condition holds
+ */
+export function matchesCondition(condition, context) {
+  const { type, operator, values = [] } = condition;
+
+  if (LIST_CONDITIONS.includes(type)) {
+    const matched = matchesPattern(LIST_VALUES[type](context), values);
+    return operator === 'not_in' ? !matched : matched;
+  }
+
+  if (RANGE_CONDITIONS.includes(type)) {
+    return inRange(RANGE_VALUES[type](context), condition);
+  }
+
+  if (ITEM_CONDITIONS.includes(type) || FLAG_CONDITIONS.includes(type)) {
+    const itemMatches = context.items.map((item) =>
+      FLAG_CONDITIONS.includes(type) ? item[type] === true : matchesPattern(item[type], values)
+    );
+    if (operator === 'all') return itemMatches.length > 0 && itemMatches.every(Boolean);
+    if (operator === 'none') return !itemMatches.some(Boolean);
+    return itemMatches.some(Boolean);
+  }
+
+  return false;
+}
+
+// Adjust a price by a fixed amount (cents) or a percentage of the price
+function adjustment(price, action) {
+  if (typeof action.percent === 'number') {
+    return Math.round((price * action.percent) / 100);
+  }
+  return action.amount || 0;
+}
+
+function targets(action, rate) {
+  return !action.carrier_ids?.length || action.carrier_ids.includes(rate.carrier_id);
+}
+
+/**
+ * Apply a rule action to the current list of rates
+ * @param {Object} action - Action with a type and its parameters
+ * @param {Array} rates - Rates produced so far
+ * @param {String} currency - Currency of the rate request
+ * @returns {Array} - The rates after applying the action
+ */
+function applyAction(action, rates, currency) {
+  switch (action.type) {
+    case 'offer':
+      return [
+        ...rates,
+        {
+          carrier_id: null,
+          service_name: action.service_name,
+          service_code: action.service_code || action.service_name.toLowerCase().replace(/\s+/g, '_'),
+          total_price: action.amount || 0,
+          currency,
+          description: action.description || action.service_name,
+        },
+      ];
+    case 'hide':
+      return rates.filter((rate) => !targets(action, rate));
+    case 'set_price':
+      return rates.map((rate) =>
+        targets(action, rate) ? { ...rate, total_price: action.amount } : rate
+      );
+    case 'surcharge':
+      return rates.map((rate) =>
+        targets(action, rate)
+          ? { ...rate, total_price: rate.total_price + adjustment(rate.total_price, action) }
+          : rate
+      );
+    case 'discount':
+      return rates.map((rate) =>
+        targets(action, rate)
+          ? { ...rate, total_price: Math.max(0, rate.total_price - adjustment(rate.total_price, action)) }
+          : rate
+      );
+    case 'rename':
+      return rates.map((rate) =>
+        targets(action, rate)
+          ? {
+              ...rate,
+              service_name: action.service_name || rate.service_name,
+              description: action.description || rate.description,
+            }
+          : rate
+      );
+    default:
+      return rates;
+  }
+}
+
+/**
+ * Convert the amounts of a rule, given in the shop's currency: the subtotal
+ * range of its conditions and the fixed amounts of its actions
+ * @param {Object} rule - The rule
+ * @param {Function} convert - (amount) => amount in the request currency, null without a rate
+ * @returns {Object|null} - The rule in the request currency, null if an amount can't be converted
+ */
+function convertRuleAmounts(rule, convert) {
+  let convertible = true;
+  const amount = (value) => {
+    if (typeof value !== 'number') {
+      return value;
+    }
+    const converted = convert(value);
+    convertible = convertible && converted !== null;
+    return converted;
+  };
+
+  const conditions = rule.conditions.map((condition) =>
+    condition.type === 'subtotal'
+      ? { ...condition, min: amount(condition.min), max: amount(condition.max) }
+      : condition
+  );
+  const actions = rule.actions.map((action) =>
+    typeof action.amount === 'number' && typeof action.percent !== 'number'
+      ? { ...action, amount: amount(action.amount) }
+      : action
+  );
+  return convertible ? { ...rule, conditions, actions } : null;
+}
+
+/**
+ * Run the shop's rules over the carrier rates of a rate request.
+ * Active rules are evaluated in ascending priority; a rule applies when all of
+ * its conditions hold, and a matching rule with stop_processing ends evaluation.
+ * Amounts of the rules are in the shop's currency; a rule with amounts that
+ * can't be converted into the request currency is skipped.
+ * @param {Array} rules - The shop's rules
+ * @param {Object} request - The rate request from Shopify
+ * @param {Array} rates - Rates calculated from the carriers, tagged with carrier_id
+ * @param {Function} [convert] - (amount) => the amount in the request currency, null without a rate
+ * @returns {Array} - The rates after all matching rules were applied
+ */
+export function applyRules(rules, request, rates, convert = (amount) => amount) {
+  const context = buildRuleContext(request);
+  const currency = request.rate.currency || 'EUR';
+  const ordered = rules
+    .filter((rule) => rule.active)
+    .sort((a, b) => a.priority - b.priority || a.id - b.id)
+    .map((rule) => convertRuleAmounts(rule, convert))
+    .filter(Boolean);
+
+  let result = rates;
+  for (const rule of ordered) {
+    if (!rule.conditions.every((condition) => matchesCondition(condition, context))) {
+      continue;
+    }
+    for (const action of rule.actions) {
+      result = applyAction(action, result, currency);
+    }
+    if (rule.stop_processing) {
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate a rule submitted through the API
+ * @param {Object} rule - Rule with name, priority, conditions and actions
+ * @returns {Array} - Validation error messages, empty when the rule is valid
+ */
+export function validateRule(rule) {
+  const errors = [];
+  const { name, priority, conditions, actions } = rule;
+
+  if (!name || typeof name !== 'string') {
+    errors.push('Name is required');
+  }
+  if (priority != null && !Number.isInteger(priority)) {
+    errors.push('Priority must be an integer');
+  }
+  if (!Array.isArray(conditions)) {
+    errors.push('Conditions must be an array');
+  }
+  if (!Array.isArray(actions) || actions.length === 0) {
+    errors.push('At least one action is required');
+  }
+
+  (Array.isArray(conditions) ? conditions : []).forEach((condition, index) => {
+    const { type, operator, values, min, max } = condition || {};
+    if (LIST_CONDITIONS.includes(type)) {
+      if (!LIST_OPERATORS.includes(operator) || !Array.isArray(values)) {
+        errors.push(`Condition ${index + 1}: ${type} needs operator in/not_in and a values array`);
+      }
+    } else if (RANGE_CONDITIONS.includes(type)) {
+      if ((min != null && typeof min !== 'number') || (max != null && typeof max !== 'number') || (min == null && max == null)) {
+        errors.push(`Condition ${index + 1}: ${type} needs a numeric min and/or max`);
+      }
+    } else if (ITEM_CONDITIONS.includes(type)) {
+      if (!ITEM_OPERATORS.includes(operator) || !Array.isArray(values)) {
+        errors.push(`Condition ${index + 1}: ${type} needs operator any/all/none and a values array`);
+      }
+    } else if (FLAG_CONDITIONS.includes(type)) {
+      if (!ITEM_OPERATORS.includes(operator)) {
+        errors.push(`Condition ${index + 1}: ${type} needs operator any/all/none`);
+      }
+    } else {
+      errors.push(`Condition ${index + 1}: unknown type "${type}"`);
+    }
+  });
+
+  (Array.isArray(actions) ? actions : []).forEach((action, index) => {
+    const { type, amount, percent, service_name } = action || {};
+    if (!ACTION_TYPES.includes(type)) {
+      errors.push(`Action ${index + 1}: unknown type "${type}"`);
+    } else if (type === 'offer' && (!service_name || typeof amount !== 'number' || amount < 0)) {
+      errors.push(`Action ${index + 1}: offer needs a service_name and an amount in cents`);
+    } else if (type === 'set_price' && (typeof amount !== 'number' || amount < 0)) {
+      errors.push(`Action ${index + 1}: set_price needs an amount in cents`);
+    } else if ((type === 'surcharge' || type === 'discount') && typeof amount !== 'number' && typeof percent !== 'number') {
+      errors.push(`Action ${index + 1}: ${type} needs an amount in cents or a percent`);
+    } else if (type === 'rename' && !service_name) {
+      errors.push(`Action ${index + 1}: rename needs a service_name`);
+    }
+    if (action?.carrier_ids != null && !Array.isArray(action.carrier_ids)) {
+      errors.push(`Action ${index + 1}: carrier_ids must be an array`);
+    }
+  });
+
+  return errors;
+}
@@ -0,0 +1,134 @@
+// web/services/rules.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRules, matchesCondition, buildRuleContext, validateRule } from './rules.js';
+
+const request = {
+  rate: {
+    destination: { country: 'AT', province: null, postal_code: '6020' },
+    origin: { country: 'DE', postal_code: '80331' },
+    items: [
+      { sku: 'MUG-1', vendor: 'Acme', product_type: 'Mug', grams: 400, price: 1500, quantity: 2, fragile: true },
+      { sku: 'TEE-1', vendor: 'Acme', product_type: 'Shirt', grams: 200, price: 2000, quantity: 1 },
+    ],
+    currency: 'EUR',
+  },
+};
+const rates = [
+  { carrier_id: 1, service_name: 'DPD', service_code: 'dpd', total_price: 590, currency: 'EUR', description: 'DPD' },
+  { carrier_id: 2, service_name: 'Post', service_code: 'post', total_price: 790, currency: 'EUR', description: 'Post' },
+];
+
+const rule = (fields) => ({ id: 1, name: 'Rule', priority: 0, active: true, stop_processing: false, conditions: [], ...fields });
+const prices = (result) => result.map(({ service_code, total_price }) => [service_code, total_price]);
+
+test('builds the cart totals conditions are matched against', () => {
+  const { totalWeight, subtotal, itemCount } = buildRuleContext(request);
+
+  assert.deepEqual([totalWeight, subtotal, itemCount], [1000, 5000, 3]);
+});
+
+test('matches list, range, item and flag conditions', () => {
+  const context = buildRuleContext(request);
+  const matches = (condition) => matchesCondition(condition, context);
+
+  assert.equal(matches({ type: 'destination_country', operator: 'in', values: ['de', 'at'] }), true);
+  assert.equal(matches({ type: 'destination_country', operator: 'not_in', values: ['AT'] }), false);
+  assert.equal(matches({ type: 'destination_postal_code', operator: 'in', values: ['60*'] }), true);
+  assert.equal(matches({ type: 'total_weight', min: 1000, max: 2000 }), true);
+  assert.equal(matches({ type: 'subtotal', min: 5001 }), false);
+  assert.equal(matches({ type: 'sku', operator: 'any', values: ['MUG-*'] }), true);
+  assert.equal(matches({ type: 'sku', operator: 'all', values: ['MUG-*'] }), false);
+  assert.equal(matches({ type: 'product_type', operator: 'none', values: ['Poster'] }), true);
+  assert.equal(matches({ type: 'fragile', operator: 'any' }), true);
+  assert.equal(matches({ type: 'fragile', operator: 'all' }), false);
+  assert.equal(matches({ type: 'unknown', operator: 'in', values: [] }), false);
+});
+
+test('applies the actions of matching rules in priority order', () => {
+  const rules = [
+    rule({ id: 2, priority: 2, actions: [{ type: 'discount', percent: 10 }] }),
+    rule({ id: 1, priority: 1, actions: [{ type: 'surcharge', amount: 100, carrier_ids: [1] }] }),
+    rule({
+      id: 3,
+      priority: 3,
+      conditions: [{ type: 'destination_country', operator: 'in', values: ['CH'] }],
+      actions: [{ type: 'hide' }],
+    }),
+    rule({ id: 4, priority: 0, active: false, actions: [{ type: 'hide' }] }),
+  ];
+
+  // DPD: (590 + 100) - 10%, Post: 790 - 10%
+  assert.deepEqual(prices(applyRules(rules, request, rates)), [['dpd', 621], ['post', 711]]);
+});
+
+test('offers, hides, prices and renames rates', () => {
+  const rules = [
+    rule({
+      actions: [
+        { type: 'offer', service_name: 'Local pickup', amount: 0 },
+        { type: 'hide', carrier_ids: [2] },
+        { type: 'set_price', amount: 450, carrier_ids: [1] },
+        { type: 'rename', service_name: 'DPD Classic', carrier_ids: [1] },
+      ],
+    }),
+  ];
+  const result = applyRules(rules, request, rates);
+
+  assert.deepEqual(prices(result), [['dpd', 450], ['local_pickup', 0]]);
+  assert.deepEqual(result.map(({ service_name, description }) => [service_name, description]), [
+    ['DPD Classic', 'DPD'],
+    ['Local pickup', 'Local pickup'],
+  ]);
+  assert.equal(result[1].currency, 'EUR');
+});
+
+test('stops after a matching rule with stop_processing', () => {
+  const rules = [
+    rule({ id: 1, priority: 1, stop_processing: true, actions: [{ type: 'discount', amount: 1000 }] }),
+    rule({ id: 2, priority: 2, actions: [{ type: 'hide' }] }),
+  ];
+
+  // Discounts don't go below zero
+  assert.deepEqual(prices(applyRules(rules, request, rates)), [['dpd', 0], ['post', 0]]);
+});
+
+test('converts fixed amounts and subtotal ranges from the shop currency', () => {
+  const toChf = (amount) => amount * 2;
+  const rules = [
+    rule({
+      id: 1,
+      priority: 1,
+      conditions: [{ type: 'subtotal', min: 3000 }],
+      actions: [{ type: 'surcharge', amount: 100 }, { type: 'discount', percent: 50, carrier_ids: [2] }],
+    }),
+  ];
+
+  // The subtotal of 5000 is below 3000 × 2, so nothing applies
+  assert.deepEqual(prices(applyRules(rules, request, rates, toChf)), [['dpd', 590], ['post', 790]]);
+  rules[0].conditions[0].min = 2000;
+  assert.deepEqual(prices(applyRules(rules, request, rates, toChf)), [['dpd', 790], ['post', 495]]);
+  // Without an exchange rate the rule is skipped
+  assert.deepEqual(prices(applyRules(rules, request, rates, () => null)), [['dpd', 590], ['post', 790]]);
+});
+
+test('validates submitted rules', () => {
+  assert.deepEqual(validateRule(rule({ actions: [{ type: 'hide', carrier_ids: [1] }] })), []);
+  assert.deepEqual(
+    validateRule({
+      name: '',
+      priority: 1.5,
+      conditions: [{ type: 'subtotal' }, { type: 'weather' }],
+      actions: [{ type: 'offer', service_name: 'Pickup' }, { type: 'surcharge', carrier_ids: 1 }],
+    }),
+    [
+      'Name is required',
+      'Priority must be an integer',
+      'Condition 1: subtotal needs a numeric min and/or max',
+      'Condition 2: unknown type "weather"',
+      'Action 1: offer needs a service_name and an amount in cents',
+      'Action 2: surcharge needs an amount in cents or a percent',
+      'Action 2: carrier_ids must be an array',
+    ]
+  );
+});
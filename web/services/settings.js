@@ -0,0 +1,188 @@
+// web/services/settings.js
+import { RATE_SELECTION_STRATEGIES, parseRateSelection } from './rateSelection.js';
+import { parseThresholdOptions } from './thresholds.js';
+import { isValidCutoffTime, isValidTimezone, parseDeliveryOptions } from './deliveryDates.js';
+import { FALLBACK_MODES, parseFallbackRate } from './shippingClasses.js';
+import { MAX_RATE_LOG_RETENTION_DAYS, parseRateLogRetention } from './rateLog.js';
+import { BASE_CURRENCY, isValidCurrency } from './currency.js';
+
+// Grams per weight unit; weights are stored in grams and shown in the shop's unit
+export const WEIGHT_UNITS = {
+  g: 1,
+  kg: 1000,
+  oz: 28.349523125,
+  lb: 453.59237,
+};
+
+export const DEFAULT_WEIGHT_UNIT = 'kg';
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * The settings a shop can change through the API, by their API name. Each has
+ * the settings table key it is stored under as text, a check of the value and
+ * what the check expects for the error message.
+ */
+export const SETTINGS_SCHEMA = {
+  default_currency: {
+    key: 'default_currency',
+    isValid: isValidCurrency,
+    expected: 'a three-letter ISO currency code',
+  },
+  weight_unit: {
+    key: 'weight_unit',
+    isValid: (value) => Object.hasOwn(WEIGHT_UNITS, value),
+    expected: `one of: ${Object.keys(WEIGHT_UNITS).join(', ')}`,
+  },
+  rate_selection_strategy: {
+    key: 'rate_selection_strategy',
+    isValid: (value) => RATE_SELECTION_STRATEGIES.includes(value),
+    expected: `one of: ${RATE_SELECTION_STRATEGIES.join(', ')}`,
+  },
+  rate_selection_top_n: {
+    key: 'rate_selection_top_n',
+    isValid: isPositiveInteger,
+    expected: 'a positive number of rates',
+  },
+  rate_selection_preferred_carrier_id: {
+    key: 'rate_selection_preferred_carrier',
+    isValid: (value) => value === null || isPositiveInteger(value),
+    expected: 'a carrier id or null',
+  },
+  rate_selection_preferred_margin: {
+    key: 'rate_selection_preferred_margin',
+    isValid: (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+    expected: 'a non-negative percentage',
+  },
+  fallback_rate_mode: {
+    key: 'fallback_rate_mode',
+    isValid: (value) => FALLBACK_MODES.includes(value),
+    expected: `one of: ${FALLBACK_MODES.join(', ')}`,
+  },
+  fallback_rate_name: {
+    key: 'fallback_rate_name',
+    isValid: (value) => typeof value === 'string' && value.trim() !== '',
+    expected: 'a rate name',
+  },
+  fallback_rate_description: {
+    key: 'fallback_rate_description',
+    isValid: (value) => typeof value === 'string',
+    expected: 'text',
+  },
+  fallback_rate_price: {
+    key: 'fallback_rate_price',
+    isValid: isNonNegativeInteger,
+    expected: 'a non-negative number of cents',
+  },
+  timezone: {
+    key: 'timezone',
+    isValid: isValidTimezone,
+    expected: 'an IANA timezone like Europe/Berlin',
+  },
+  order_cutoff_time: {
+    key: 'order_cutoff_time',
+    isValid: (value) => value === null || isValidCutoffTime(value),
+    expected: 'HH:MM on a 24-hour clock, or null for no cut-off',
+  },
+  rate_log_retention_days: {
+    key: 'rate_log_retention_days',
+    isValid: (value) => isPositiveInteger(value) && value <= MAX_RATE_LOG_RETENTION_DAYS,
+    expected: `a whole number of days between 1 and ${MAX_RATE_LOG_RETENTION_DAYS}`,
+  },
+  threshold_exclude_gift_cards: {
+    key: 'threshold_exclude_gift_cards',
+    isValid: (value) => typeof value === 'boolean',
+    expected: 'true or false',
+  },
+  threshold_exclude_non_shipping: {
+    key: 'threshold_exclude_non_shipping',
+    isValid: (value) => typeof value === 'boolean',
+    expected: 'true or false',
+  },
+};
+
+/**
+ * Read every setting of the schema from a shop's settings, with the defaults
+ * for those not set or stored with an invalid value
+ * @param {Object} settings - The shop's settings as key/value strings
+ * @returns {Object} - The typed settings by their API name
+ */
+export function readSettings(settings = {}) {
+  const selection = parseRateSelection(settings);
+  const fallback = parseFallbackRate(settings);
+  const delivery = parseDeliveryOptions(settings);
+  const thresholds = parseThresholdOptions(settings);
+
+  return {
+    default_currency: isValidCurrency(settings.default_currency) ? settings.default_currency.toUpperCase() : BASE_CURRENCY,
+    weight_unit: Object.hasOwn(WEIGHT_UNITS, settings.weight_unit ?? '') ? settings.weight_unit : DEFAULT_WEIGHT_UNIT,
+    rate_selection_strategy: selection.strategy,
+    rate_selection_top_n: selection.topN,
+    rate_selection_preferred_carrier_id: selection.preferredCarrierId,
+    rate_selection_preferred_margin: selection.preferredMargin,
+    fallback_rate_mode: fallback.mode,
+    fallback_rate_name: fallback.name,
+    fallback_rate_description: fallback.description,
+    fallback_rate_price: fallback.price,
+    timezone: delivery.timezone,
+    order_cutoff_time: delivery.cutoffTime,
+    rate_log_retention_days: parseRateLogRetention(settings),
+    threshold_exclude_gift_cards: thresholds.excludeGiftCards,
+    threshold_exclude_non_shipping: thresholds.excludeNonShipping,
+  };
+}
+
+/**
+ * Validate changes to a shop's settings submitted through the API
+ * @param {Object} changes - Settings to change by their API name
+ * @param {Object} current - The shop's current settings, see readSettings
+ * @returns {Array} - Validation error messages, empty when the changes are valid
+ */
+export function validateSettings(changes, current) {
+  if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+    return ['Settings must be an object'];
+  }
+
+  const errors = [];
+  for (const [name, value] of Object.entries(changes)) {
+    const setting = SETTINGS_SCHEMA[name];
+    if (!setting) {
+      errors.push(`Unknown setting "${name}"`);
+    } else if (!setting.isValid(value)) {
+      errors.push(`${name} must be ${setting.expected}`);
+    }
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  // Settings that only make sense together are checked on the result
+  const merged = { ...current, ...changes };
+  if (merged.rate_selection_strategy === 'preferred_carrier' && merged.rate_selection_preferred_carrier_id === null) {
+    errors.push('The preferred_carrier strategy needs rate_selection_preferred_carrier_id');
+  }
+  return errors;
+}
+
+/**
+ * Turn validated settings changes into the key/value strings they are stored as
+ * @param {Object} changes - Settings to change by their API name
+ * @returns {Object} - Settings table values by key; null is stored as an empty string
+ */
+export function toStoredSettings(changes) {
+  return Object.fromEntries(
+    Object.entries(changes).map(([name, value]) => [SETTINGS_SCHEMA[name].key, value === null ? '' : String(value)])
+  );
+}
+
+/**
+ * Format a weight in grams in a shop's weight unit
+ * @param {Number} grams - Weight in grams
+ * @param {String} unit - A key of WEIGHT_UNITS
+ * @returns {String} - e.g. "1.25 kg"
+ */
+export function formatWeight(grams, unit = DEFAULT_WEIGHT_UNIT) {
+  const value = grams / (WEIGHT_UNITS[unit] ?? WEIGHT_UNITS[DEFAULT_WEIGHT_UNIT]);
+  return `${Math.round(value * 100) / 100} ${unit}`;
+}
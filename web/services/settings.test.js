@@ -0,0 +1,66 @@
+// web/services/settings.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readSettings, validateSettings, toStoredSettings, formatWeight } from './settings.js';
+
+test('reads typed settings with defaults for missing and invalid values', () => {
+  const settings = readSettings({
+    default_currency: 'chf',
+    weight_unit: 'stone',
+    rate_selection_strategy: 'top_n',
+    rate_selection_top_n: '2',
+    order_cutoff_time: '',
+    rate_log_retention_days: '900',
+    threshold_exclude_gift_cards: 'true',
+  });
+
+  assert.equal(settings.default_currency, 'CHF');
+  assert.equal(settings.weight_unit, 'kg');
+  assert.equal(settings.rate_selection_strategy, 'top_n');
+  assert.equal(settings.rate_selection_top_n, 2);
+  assert.equal(settings.rate_selection_preferred_carrier_id, null);
+  assert.equal(settings.fallback_rate_mode, 'none');
+  assert.equal(settings.timezone, 'UTC');
+  assert.equal(settings.order_cutoff_time, null);
+  assert.equal(settings.rate_log_retention_days, 30);
+  assert.equal(settings.threshold_exclude_gift_cards, true);
+  assert.equal(settings.threshold_exclude_non_shipping, false);
+});
+
+test('validates each setting against the schema', () => {
+  const current = readSettings({});
+
+  assert.deepEqual(validateSettings({ weight_unit: 'lb', order_cutoff_time: null }, current), []);
+  assert.deepEqual(
+    validateSettings({ default_currency: 'Euro', rate_log_retention_days: 0, colour: 'blue' }, current),
+    [
+      'default_currency must be a three-letter ISO currency code',
+      'rate_log_retention_days must be a whole number of days between 1 and 365',
+      'Unknown setting "colour"',
+    ]
+  );
+  assert.deepEqual(validateSettings([], current), ['Settings must be an object']);
+});
+
+test('checks settings that depend on each other on the merged result', () => {
+  const current = readSettings({ rate_selection_preferred_carrier: '4' });
+
+  assert.deepEqual(validateSettings({ rate_selection_strategy: 'preferred_carrier' }, current), []);
+  assert.deepEqual(
+    validateSettings({ rate_selection_strategy: 'preferred_carrier', rate_selection_preferred_carrier_id: null }, current),
+    ['The preferred_carrier strategy needs rate_selection_preferred_carrier_id']
+  );
+});
+
+test('stores settings as text under their settings keys', () => {
+  assert.deepEqual(
+    toStoredSettings({ rate_selection_preferred_carrier_id: 4, order_cutoff_time: null, threshold_exclude_gift_cards: false }),
+    { rate_selection_preferred_carrier: '4', order_cutoff_time: '', threshold_exclude_gift_cards: 'false' }
+  );
+});
+
+test('formats weights in the shop unit', () => {
+  assert.equal(formatWeight(1250, 'kg'), '1.25 kg');
+  assert.equal(formatWeight(1000, 'lb'), '2.2 lb');
+  assert.equal(formatWeight(500), '0.5 kg');
+});
@@ -1,97 +1,289 @@
 // web/services/shipping.js
 
+import { applyRules } from './rules.js';
+import { findBand } from './rateTables.js';
+import { applyPriceSchedules } from './priceSchedules.js';
+import { findZone } from './zones.js';
+import { packItems } from './packing.js';
+import { selectRates } from './rateSelection.js';
+import { findThreshold, describeThreshold, thresholdSubtotal } from './thresholds.js';
+import { estimateDeliveryDates, findTransitDays } from './deliveryDates.js';
+import { findSurcharges, priceSurcharges } from './surcharges.js';
+import { BASE_CURRENCY, createCurrencyConverter } from './currency.js';
+import { blockedClasses } from './shippingClasses.js';
+import { formatWeight } from './settings.js';
+
 /**
- * Calculate shipping rates based on order weight and carrier pricing
+ * Calculate shipping rates based on order weight, carrier pricing and the shop's rules
  * @param {Object} request - The rate request from Shopify
- * @param {Array} carriers - Available shipping carriers with pricing
- * @returns {Array} - Sorted array of shipping rates
+ * @param {Object} config - The shop's shipping configuration
+ * @param {Array} config.carriers - Shipping carriers with pricing; inactive ones aren't quoted
+ * @param {Array} [config.zones] - Shipping zones with the ids of their carriers
+ * @param {Array} [config.rateTables] - Weight-banded rate tables of the carriers
+ * @param {Array} [config.priceSchedules] - Scheduled changes of the carriers' prices and rate tables
+ * @param {Array} [config.surcharges] - Fixed and percentage surcharges of the carriers
+ * @param {Array} [config.thresholds] - Free and discounted shipping thresholds
+ * @param {Object} [config.thresholdOptions] - Items left out of the threshold subtotal
+ * @param {Array} [config.rules] - Rules applied to the carrier rates in priority order
+ * @param {Object} [config.deliveryOptions] - Order cut-off time and the shop's timezone
+ * @param {Array} [config.holidays] - Public holidays with their country and date
+ * @param {Array} [config.exchangeRates] - Exchange rates per euro and rounding of the currencies
+ * @param {Array} [config.classRestrictions] - Shipping classes the carriers allow or deny
+ * @param {Object} [config.fallbackRate] - Rate offered when no carrier can ship the cart
+ * @param {String} [config.defaultCurrency] - The shop's currency: of requests that don't name
+ *   one, and of the amounts of thresholds, rules and the fallback rate
+ * @param {String} [config.weightUnit] - The shop's weight unit the default descriptions show
+ *   the weight in, see services/settings.js
+ * @returns {Array} - Rates sorted by price, tagged with the carrier_id they were calculated for
  */
-export async function calculateShippingRates(request, carriers) {
-    // Sum up total weight (in grams)
-    const totalWeightGrams = request.rate.items.reduce(
+export async function calculateShippingRates(request, {
+  carriers: configuredCarriers,
+  zones = [],
+  rateTables: configuredRateTables = [],
+  priceSchedules = [],
+  surcharges = [],
+  thresholds = [],
+  thresholdOptions = {},
+  rules = [],
+  deliveryOptions,
+  holidays = [],
+  exchangeRates = [],
+  classRestrictions = [],
+  fallbackRate,
+  defaultCurrency = BASE_CURRENCY,
+  weightUnit,
+}) {
+    const currency = request.rate.currency || defaultCurrency;
+    const now = new Date();
+    // Price with the prices and rate tables scheduled for the time of the request
+    const { carriers, rateTables } = applyPriceSchedules(configuredCarriers, configuredRateTables, priceSchedules, now);
+    const converter = createCurrencyConverter(exchangeRates);
+    // Thresholds, rules and the fallback rate are given in the shop's currency
+    const fromShopCurrency = (amount) => converter.convert(amount, defaultCurrency, currency);
+    const convertedThresholds = thresholds
+      .map((threshold) => ({ ...threshold, min_subtotal: fromShopCurrency(threshold.min_subtotal) }))
+      .filter((threshold) => threshold.min_subtotal !== null);
+
+    // Only items that need shipping are packed into parcels
+    const shippableItems = request.rate.items.filter((item) => item.requires_shipping !== false);
+    const totalWeight = shippableItems.reduce(
       (acc, item) => acc + item.grams * item.quantity,
       0
     );
-  
-    // Convert grams to kg
-    const totalWeightKg = totalWeightGrams / 1000;
-    const maxParcelWeight = 31.5; // Maximum weight per parcel in kg
     
-    // Calculate number of parcels needed (round up)
-    const parcels = Math.ceil(totalWeightKg / maxParcelWeight);
+    const subtotal = thresholdSubtotal(request.rate.items, thresholdOptions);
     
-    console.log(`Order weight: ${totalWeightKg}kg, requires ${parcels} parcel(s)`);
+    console.log(`Order weight: ${formatWeight(totalWeight, weightUnit)}, subtotal: ${subtotal / 100} ${currency}`);
+
+    // Orders leave on business days at the origin and arrive on business days at the destination
+    const deliveryContext = {
+      now,
+      options: deliveryOptions,
+      originHolidays: holidayDates(holidays, request.rate.origin?.country),
+      destinationHolidays: holidayDates(holidays, request.rate.destination?.country),
+    };
   
-    // Build rates for each carrier
-    const rates = carriers.map((carrier) => ({
-      service_name: `${carrier.name} (${parcels} parcel${parcels > 1 ? "s" : ""})`,
-      service_code: carrier.name.toLowerCase(),
-      total_price: carrier.price * parcels, // price is in cents, e.g. 1000 => €10
-      currency: request.rate.currency || "EUR", // Use store's currency or default to EUR
-      min_delivery_date: new Date(Date.now() + 1 * 86400000).toISOString(), // Tomorrow
-      max_delivery_date: new Date(Date.now() + 5 * 86400000).toISOString(), // 5 days from now
-      description: `Delivery via ${carrier.name}, split into ${parcels} parcel(s)`,
-    }));
+    // Build rates for each carrier that serves the destination and can price every parcel
+    const carrierRates = [];
+    for (const carrier of carriers.filter((candidate) => candidate.active !== false)) {
+      // Once a shop defines zones, carriers only ship to the zones assigned to them
+      const zone = findZone(
+        zones.filter((candidate) => candidate.carrier_ids.includes(carrier.id)),
+        request.rate.destination
+      );
+      if (zones.length > 0 && !zone) {
+        console.log(`${carrier.name} has no zone matching the destination, skipping`);
+        continue;
+      }
+
+      // Every item's shipping class must be allowed with the carrier
+      const blocked = blockedClasses(classRestrictions, carrier, shippableItems, request.rate.destination);
+      if (blocked.length > 0) {
+        console.log(`${carrier.name} can't carry shipping class(es) ${blocked.join(", ")}, skipping`);
+        continue;
+      }
+
+      // Pack the order within the carrier's parcel limits
+      const parcels = splitIntoParcel(shippableItems, carrier);
+      if (!parcels) {
+        console.log(`${carrier.name} can't ship the order within its parcel limits, skipping`);
+        continue;
+      }
+      const parcelCount = parcels.length;
+
+      const rateTable = findRateTable(rateTables, carrier, zone);
+      const parcelPrice = priceParcels(carrier, rateTable, parcels);
+
+      if (parcelPrice === null) {
+        console.log(`${carrier.name} has no rate band for one of the parcels, skipping`);
+        continue;
+      }
+
+      // Carriers and rate tables are priced in their own currency; convert
+      // the price and the fixed surcharges into the currency of the checkout
+      const pricedIn = rateTable && rateTable.bands.length > 0 ? rateTable.currency : carrier.currency;
+      const convertedPrice = converter.convert(parcelPrice, pricedIn, currency);
+      const carrierSurcharges = findSurcharges(surcharges, carrier, request.rate.destination).map(
+        (item) => item.type === "fixed"
+          ? { ...item, amount: converter.convert(item.amount, carrier.currency, currency) }
+          : item
+      );
+      if (convertedPrice === null || carrierSurcharges.some((item) => item.type === "fixed" && item.amount === null)) {
+        console.log(`${carrier.name} has no exchange rate into ${currency}, skipping`);
+        continue;
+      }
+
+      // Add the carrier's surcharges for the destination, one description line each
+      const surcharge = priceSurcharges(
+        carrierSurcharges,
+        { price: convertedPrice, parcelCount, currency }
+      );
+      const shippingPrice = convertedPrice + surcharge.total;
+
+      // Waive or discount shipping above the cart value thresholds
+      let totalPrice = shippingPrice;
+      let description = carrier.description ||
+        `Delivery via ${carrier.name}, split into ${parcelCount} parcel(s) of ${formatWeight(totalWeight, weightUnit)} in total`;
+      const threshold = findThreshold(convertedThresholds, carrier, zone, subtotal);
+      if (threshold) {
+        totalPrice = Math.round((shippingPrice * (100 - threshold.discount_percent)) / 100);
+        description += ` – ${describeThreshold(threshold, currency)}`;
+      }
+      for (const line of surcharge.lines) {
+        description += `\n${line}`;
+      }
+      // Round to the increment configured for the currency, e.g. 5 Rappen for CHF
+      totalPrice = converter.round(totalPrice, currency);
+
+      carrierRates.push({
+        carrier_id: carrier.id,
+        service_name: `${carrier.name} (${parcelCount} parcel${parcelCount > 1 ? "s" : ""})`,
+        service_code: carrier.service_code || carrier.name.toLowerCase(),
+        total_price: totalPrice, // price is in cents, e.g. 1000 => €10
+        currency,
+        ...estimateDeliveryDates(findTransitDays(carrier, zone), deliveryContext),
+        description,
+      });
+    }
+
+    // Without any carrier that can ship the cart, offer the shop's contact rate if it has one
+    if (carrierRates.length === 0 && fallbackRate?.mode === "contact") {
+      const price = fromShopCurrency(fallbackRate.price);
+      if (price !== null) {
+        carrierRates.push({
+          carrier_id: null,
+          service_name: fallbackRate.name,
+          service_code: "contact_us",
+          total_price: converter.round(price, currency),
+          currency,
+          description: fallbackRate.description,
+        });
+      }
+    }
+
+    // Let the shop's rules hide, reprice, rename or add rates
+    const rates = applyRules(rules, { ...request, rate: { ...request.rate, currency } }, carrierRates, fromShopCurrency);
   
-    // Sort rates by price (ascending)
-    return rates.sort((a, b) => a.total_price - b.total_price);
+    // Sort rates by price (ascending), rates of equal price by the carriers' display order
+    const displayOrder = new Map(carriers.map((carrier) => [carrier.id, carrier.display_order ?? 0]));
+    return rates.sort((a, b) =>
+      a.total_price - b.total_price ||
+      (displayOrder.get(a.carrier_id) ?? 0) - (displayOrder.get(b.carrier_id) ?? 0)
+    );
   }
-  
+
   /**
-   * Split products into multiple parcels based on weight constraints
-   * @param {Array} items - Order items with weights
-   * @param {Number} maxWeight - Maximum weight per parcel in kg
-   * @returns {Array} - Array of parcels with assigned items
+   * Build the carrier service response for a rate request
+   * @param {Object} request - The rate request from Shopify
+   * @param {Object} config - The shop's shipping configuration, see calculateShippingRates
+   * @param {Object} [config.selection] - Rate selection strategy, see services/rateSelection.js
+   * @returns {Object} - The rates to offer at checkout, in the format Shopify expects
    */
-  export function splitIntoParcel(items, maxWeight = 31.5) {
-    // Convert maxWeight from kg to grams
-    const maxWeightGrams = maxWeight * 1000;
-    
-    // Sort items by weight (descending) to optimize bin packing
-    const sortedItems = [...items].sort((a, b) => 
-      (b.grams * b.quantity) - (a.grams * a.quantity)
+  export async function buildRateResponse(request, config) {
+    const rates = await calculateShippingRates(request, config);
+    return toRateResponse(rates, config.selection);
+  }
+
+  /**
+   * Build the carrier service response from already calculated rates
+   * @param {Array} rates - Rates returned by calculateShippingRates
+   * @param {Object} [selection] - Rate selection strategy, see services/rateSelection.js
+   * @returns {Object} - The rates to offer at checkout, in the format Shopify expects
+   */
+  export function toRateResponse(rates, selection) {
+    return { rates: selectRates(rates, selection).map(toShopifyRate) };
+  }
+
+  // Dates of the public holidays in a country
+  function holidayDates(holidays, country) {
+    return new Set(
+      holidays.filter((holiday) => holiday.country === country).map((holiday) => holiday.date)
     );
-    
-    const parcels = [];
-    let currentParcel = { items: [], weight: 0 };
-    
-    // Distribute items across parcels
-    for (const item of sortedItems) {
-      const itemWeight = item.grams * item.quantity;
-      
-      // If item fits in current parcel, add it
-      if (currentParcel.weight + itemWeight <= maxWeightGrams) {
-        currentParcel.items.push(item);
-        currentParcel.weight += itemWeight;
-      } else {
-        // If current parcel has items, finalize it and start a new one
-        if (currentParcel.items.length > 0) {
-          parcels.push(currentParcel);
-          currentParcel = { items: [], weight: 0 };
-        }
-        
-        // Special case: single item exceeds max weight
-        if (itemWeight > maxWeightGrams) {
-          // Split the oversized item into multiple parcels
-          const itemParcelsNeeded = Math.ceil(itemWeight / maxWeightGrams);
-          for (let i = 0; i < itemParcelsNeeded; i++) {
-            parcels.push({
-              items: [{ ...item, quantity: 1 }],
-              weight: item.grams
-            });
-          }
-        } else {
-          // Add item to the new parcel
-          currentParcel.items.push(item);
-          currentParcel.weight += itemWeight;
-        }
+  }
+
+  // Prefer the carrier's rate table for the zone over its table for all zones
+  function findRateTable(rateTables, carrier, zone) {
+    const carrierTables = rateTables.filter((table) => table.carrier_id === carrier.id);
+    return (
+      (zone && carrierTables.find((table) => table.zone_id === zone.id)) ||
+      carrierTables.find((table) => table.zone_id === null)
+    );
+  }
+
+  /**
+   * Price parcels with a carrier's rate table, or its flat per-parcel price without one
+   * @param {Object} carrier - The carrier
+   * @param {Object} [rateTable] - The carrier's rate table with weight bands
+   * @param {Array} parcels - Parcels with their weight in grams
+   * @returns {Number|null} - Total price in cents, null if a parcel is outside every band
+   */
+  function priceParcels(carrier, rateTable, parcels) {
+    if (!rateTable || rateTable.bands.length === 0) {
+      return carrier.price * parcels.length;
+    }
+
+    let total = 0;
+    for (const parcel of parcels) {
+      const band = findBand(rateTable.bands, parcel.weight);
+      if (!band) {
+        return null;
       }
+      total += band.price;
     }
-    
-    // Add the last parcel if it has items
-    if (currentParcel.items.length > 0) {
-      parcels.push(currentParcel);
+    return total;
+  }
+
+  // Strip the internal fields the rate pipeline adds before responding to Shopify
+  function toShopifyRate({ carrier_id, ...rate }) {
+    return rate;
+  }
+  
+  /**
+   * Split products into parcels within a carrier's parcel limits
+   * @param {Array} items - Order items with weights and optional dimensions
+   * @param {Object} carrier - Carrier with its max weight (grams), dimensions, girth (cm) and parcel count
+   * @returns {Array|null} - Parcels with assigned items, weight in grams and dimensions,
+   *   null if an item exceeds the limits or the order needs more parcels than allowed
+   */
+  export function splitIntoParcel(items, carrier) {
+    const limits = {
+      maxWeight: carrier.max_weight,
+      maxLength: carrier.max_length,
+      maxWidth: carrier.max_width,
+      maxHeight: carrier.max_height,
+      maxGirth: carrier.max_girth,
+    };
+    // Limits left empty (NULL) don't apply
+    const { parcels, oversized } = packItems(
+      items,
+      Object.fromEntries(Object.entries(limits).filter(([, value]) => value != null))
+    );
+
+    if (oversized.length > 0) {
+      return null;
+    }
+    if (carrier.max_parcels != null && parcels.length > carrier.max_parcels) {
+      return null;
     }
-    
     return parcels;
-  }
\ No newline at end of file
+  }
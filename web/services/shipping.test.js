@@ -0,0 +1,81 @@
+// web/services/shipping.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateShippingRates } from './shipping.js';
+
+// The shop works in CHF, DPD prices in EUR and the checkout is in USD
+const config = {
+  carriers: [{ id: 1, name: 'DPD', price: 1000, currency: 'EUR', max_weight: 31500, min_transit_days: 1, max_transit_days: 2 }],
+  exchangeRates: [
+    { currency: 'CHF', rate: 0.95, rounding_increment: 5, rounding_mode: 'nearest' },
+    { currency: 'USD', rate: 1.1, rounding_increment: 1, rounding_mode: 'nearest' },
+  ],
+  thresholds: [{ id: 1, carrier_id: null, zone_id: null, min_subtotal: 9500, discount_percent: 100, description: null }],
+  rules: [
+    {
+      id: 1,
+      name: 'Pickup for large orders',
+      active: true,
+      priority: 1,
+      conditions: [{ type: 'subtotal', min: 9500 }],
+      actions: [{ type: 'offer', service_name: 'Pickup', amount: 1900 }],
+    },
+    {
+      id: 2,
+      name: 'Loyalty discount',
+      active: true,
+      priority: 2,
+      conditions: [],
+      actions: [{ type: 'discount', amount: 95, carrier_ids: [1] }],
+    },
+  ],
+  fallbackRate: { mode: 'contact', name: 'Contact us', description: 'We will get back to you', price: 1900 },
+  defaultCurrency: 'CHF',
+};
+
+const request = (price, grams = 1000) => ({
+  rate: {
+    currency: 'USD',
+    origin: { country: 'CH' },
+    destination: { country: 'US', postal_code: '10001' },
+    items: [{ name: 'Lamp', quantity: 1, grams, price, requires_shipping: true }],
+  },
+});
+
+const summary = (rates) => rates.map(({ service_code, total_price, currency }) => ({ service_code, total_price, currency }));
+
+test('converts carrier prices and the shop-currency amounts of rules into the checkout currency', async () => {
+  // $100 is below the CHF 95 threshold, which is $110
+  const rates = await calculateShippingRates(request(10000), config);
+
+  assert.deepEqual(summary(rates), [{ service_code: 'dpd', total_price: 990, currency: 'USD' }]);
+  assert.doesNotMatch(rates[0].description, /Free/);
+});
+
+test('compares and labels thresholds in the checkout currency', async () => {
+  const rates = await calculateShippingRates(request(12000), config);
+
+  assert.deepEqual(summary(rates), [
+    { service_code: 'dpd', total_price: 0, currency: 'USD' },
+    { service_code: 'pickup', total_price: 2200, currency: 'USD' },
+  ]);
+  assert.match(rates[0].description, /Free over \$110$/);
+});
+
+test('converts the fallback rate from the shop currency', async () => {
+  const rates = await calculateShippingRates(request(10000, 40000), { ...config, rules: [] });
+
+  assert.deepEqual(summary(rates), [{ service_code: 'contact_us', total_price: 2200, currency: 'USD' }]);
+});
+
+test('skips rules with amounts that have no exchange rate', async () => {
+  const rates = await calculateShippingRates(request(12000), { ...config, defaultCurrency: 'GBP', thresholds: [] });
+
+  assert.deepEqual(summary(rates), [{ service_code: 'dpd', total_price: 1100, currency: 'USD' }]);
+});
+
+test('describes the parcels in the shop weight unit', async () => {
+  const [rate] = await calculateShippingRates(request(10000, 2500), { ...config, rules: [], weightUnit: 'lb' });
+
+  assert.equal(rate.description, 'Delivery via DPD, split into 1 parcel(s) of 5.51 lb in total');
+});
@@ -0,0 +1,87 @@
+// web/services/shippingClasses.js
+
+export const CLASS_RESTRICTION_MODES = ['allow', 'deny'];
+
+export const FALLBACK_MODES = ['none', 'contact'];
+
+// Offered when no carrier can ship the cart and the shop chose a contact rate
+export const DEFAULT_FALLBACK_RATE = {
+  mode: 'none',
+  name: 'Contact us for shipping',
+  description: "We'll get in touch with a shipping quote for your order",
+  price: 0,
+};
+
+const normalize = (value) => String(value ?? '').trim().toUpperCase();
+
+/**
+ * Find the shipping classes of the cart a carrier can't carry to the destination.
+ * A carrier with allowed classes only carries those; denied classes are never
+ * carried. Restrictions with countries only apply to destinations in them, and
+ * items without a class can go with every carrier.
+ * @param {Array} restrictions - The shop's class restrictions
+ * @param {Object} carrier - The carrier
+ * @param {Array} items - Items of the rate request with their shipping_class
+ * @param {Object} destination - Destination of the rate request
+ * @returns {Array} - The classes blocking the carrier, empty if it can carry every item
+ */
+export function blockedClasses(restrictions, carrier, items, destination = {}) {
+  const applicable = restrictions.filter((restriction) =>
+    restriction.carrier_id === carrier.id &&
+    (restriction.countries.length === 0 ||
+      restriction.countries.some((country) => normalize(country) === normalize(destination.country)))
+  );
+  const allowed = applicable.filter(({ mode }) => mode === 'allow').map(({ shipping_class }) => normalize(shipping_class));
+  const denied = applicable.filter(({ mode }) => mode === 'deny').map(({ shipping_class }) => normalize(shipping_class));
+
+  const blocked = new Set();
+  for (const item of items) {
+    const shippingClass = normalize(item.shipping_class);
+    if (!shippingClass) {
+      continue;
+    }
+    if (denied.includes(shippingClass) || (allowed.length > 0 && !allowed.includes(shippingClass))) {
+      blocked.add(item.shipping_class.trim());
+    }
+  }
+  return [...blocked];
+}
+
+/**
+ * Read what to offer when no carrier can ship a cart from the shop's settings
+ * @param {Object} settings - The shop's settings as key/value pairs
+ * @returns {Object} - { mode, name, description, price }: price in cents of the base currency
+ */
+export function parseFallbackRate(settings = {}) {
+  const price = parseInt(settings.fallback_rate_price, 10);
+  return {
+    mode: FALLBACK_MODES.includes(settings.fallback_rate_mode) ? settings.fallback_rate_mode : DEFAULT_FALLBACK_RATE.mode,
+    name: settings.fallback_rate_name || DEFAULT_FALLBACK_RATE.name,
+    description: settings.fallback_rate_description || DEFAULT_FALLBACK_RATE.description,
+    price: Number.isInteger(price) && price >= 0 ? price : DEFAULT_FALLBACK_RATE.price,
+  };
+}
+
+/**
+ * Validate a class restriction submitted through the API
+ * @param {Object} restriction - { carrier_id, shipping_class, mode, countries }
+ * @returns {Array} - Validation error messages, empty when the restriction is valid
+ */
+export function validateClassRestriction({ carrier_id, shipping_class, mode, countries = [] }) {
+  const errors = [];
+
+  if (!Number.isInteger(carrier_id)) {
+    errors.push('Carrier id is required');
+  }
+  if (typeof shipping_class !== 'string' || shipping_class.trim() === '') {
+    errors.push('Shipping class is required');
+  }
+  if (!CLASS_RESTRICTION_MODES.includes(mode)) {
+    errors.push(`Mode must be one of: ${CLASS_RESTRICTION_MODES.join(', ')}`);
+  }
+  if (!Array.isArray(countries) || !countries.every((country) => typeof country === 'string' && /^[A-Za-z]{2}$/.test(country))) {
+    errors.push('Countries must be a list of two-letter ISO codes');
+  }
+
+  return errors;
+}
@@ -0,0 +1,58 @@
+// web/services/shippingClasses.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { blockedClasses, parseFallbackRate, validateClassRestriction } from './shippingClasses.js';
+
+const dpd = { id: 1 };
+const post = { id: 2 };
+
+const restrictions = [
+  { carrier_id: 1, shipping_class: 'batteries', mode: 'deny', countries: [] },
+  { carrier_id: 1, shipping_class: 'liquids', mode: 'deny', countries: ['CH'] },
+  { carrier_id: 2, shipping_class: 'bulky', mode: 'allow', countries: [] },
+];
+
+test('blocks carriers that deny a class of the cart', () => {
+  const items = [{ shipping_class: 'Batteries' }, { shipping_class: null }];
+
+  assert.deepEqual(blockedClasses(restrictions, dpd, items, { country: 'DE' }), ['Batteries']);
+  assert.deepEqual(blockedClasses(restrictions, post, [{ shipping_class: null }], { country: 'DE' }), []);
+});
+
+test('only applies restrictions with countries to those destinations', () => {
+  const items = [{ shipping_class: 'liquids' }];
+
+  assert.deepEqual(blockedClasses(restrictions, dpd, items, { country: 'DE' }), []);
+  assert.deepEqual(blockedClasses(restrictions, dpd, items, { country: 'ch' }), ['liquids']);
+});
+
+test('lets carriers with allowed classes carry only those', () => {
+  assert.deepEqual(blockedClasses(restrictions, post, [{ shipping_class: 'bulky' }], {}), []);
+  assert.deepEqual(
+    blockedClasses(restrictions, post, [{ shipping_class: 'bulky' }, { shipping_class: 'liquids' }], {}),
+    ['liquids']
+  );
+});
+
+test('reads the fallback rate with defaults', () => {
+  assert.equal(parseFallbackRate({}).mode, 'none');
+  assert.deepEqual(
+    parseFallbackRate({ fallback_rate_mode: 'contact', fallback_rate_name: 'Call us', fallback_rate_price: '-1' }),
+    {
+      mode: 'contact',
+      name: 'Call us',
+      description: "We'll get in touch with a shipping quote for your order",
+      price: 0,
+    }
+  );
+});
+
+test('validates class restrictions', () => {
+  assert.deepEqual(validateClassRestriction({ carrier_id: 1, shipping_class: 'bulky', mode: 'deny' }), []);
+  assert.deepEqual(validateClassRestriction({ carrier_id: '1', shipping_class: ' ', mode: 'block', countries: ['CHE'] }), [
+    'Carrier id is required',
+    'Shipping class is required',
+    'Mode must be one of: allow, deny',
+    'Countries must be a list of two-letter ISO codes',
+  ]);
+});
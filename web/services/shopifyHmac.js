@@ -0,0 +1,20 @@
+// web/services/shopifyHmac.js
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Check the X-Shopify-Hmac-Sha256 signature Shopify sends with carrier
+ * service requests: the base64 HMAC-SHA256 of the raw body, keyed with the
+ * app's API secret
+ * @param {Buffer|String} rawBody - The request body exactly as received
+ * @param {String} hmac - The signature header
+ * @param {String} secret - The app's API secret
+ * @returns {Boolean} - Whether the body was signed with the secret
+ */
+export function isValidShopifyHmac(rawBody, hmac, secret) {
+  if (!secret || !hmac || rawBody === undefined || rawBody === null) {
+    return false;
+  }
+  const expected = createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(hmac, 'base64');
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
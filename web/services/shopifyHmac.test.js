@@ -0,0 +1,23 @@
+// web/services/shopifyHmac.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { isValidShopifyHmac } from './shopifyHmac.js';
+
+const SECRET = 'shpss_test';
+const body = Buffer.from('{"rate":{"currency":"EUR","items":[]}}');
+const sign = (value, secret = SECRET) => createHmac('sha256', secret).update(value).digest('base64');
+
+test('accepts a body signed with the secret', () => {
+  assert.equal(isValidShopifyHmac(body, sign(body), SECRET), true);
+});
+
+test('rejects missing, forged and tampered signatures', () => {
+  assert.equal(isValidShopifyHmac(body, undefined, SECRET), false);
+  assert.equal(isValidShopifyHmac(body, sign(body, 'other secret'), SECRET), false);
+  assert.equal(isValidShopifyHmac(Buffer.from('{"rate":{}}'), sign(body), SECRET), false);
+  assert.equal(isValidShopifyHmac(body, 'not base64 at all', SECRET), false);
+  assert.equal(isValidShopifyHmac(undefined, sign(body), SECRET), false);
+  // Without a configured secret nothing can be verified
+  assert.equal(isValidShopifyHmac(body, sign(body, ''), ''), false);
+});
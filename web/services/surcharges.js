@@ -0,0 +1,109 @@
+// web/services/surcharges.js
+import { matchesPostalCode } from './zones.js';
+
+export const SURCHARGE_TYPES = ['fixed', 'percent'];
+export const SURCHARGE_BASES = ['parcel', 'shipment'];
+
+const normalize = (value) => String(value ?? '').trim().toUpperCase();
+
+// Format cents in a currency, e.g. 120 => "€1.20"
+function formatAmount(cents, currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).format(cents / 100);
+}
+
+/**
+ * Find the surcharges of a carrier that apply to a destination. Empty country
+ * and postal-code lists match every destination.
+ * @param {Array} surcharges - The shop's surcharges
+ * @param {Object} carrier - Carrier of the rate
+ * @param {Object} destination - Destination of the rate request
+ * @returns {Array} - Applicable surcharges in the order they were created
+ */
+export function findSurcharges(surcharges, carrier, destination = {}) {
+  return surcharges
+    .filter((surcharge) => surcharge.carrier_id === carrier.id)
+    .filter((surcharge) =>
+      surcharge.countries.length === 0 ||
+      surcharge.countries.some((country) => normalize(country) === normalize(destination.country))
+    )
+    .filter((surcharge) =>
+      surcharge.postal_codes.length === 0 ||
+      surcharge.postal_codes.some((pattern) => matchesPostalCode(pattern, destination.postal_code))
+    )
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Price surcharges on top of a rate. Fixed amounts are charged once per parcel
+ * or once per shipment; percentages are taken of the carrier's price for the
+ * parcels, so all percentages share the same base.
+ * @param {Array} surcharges - Surcharges returned by findSurcharges
+ * @param {Object} shipment - { price, parcelCount, currency }: carrier price in cents
+ * @returns {Object} - { total, lines }: surcharges in cents and a description line each
+ */
+export function priceSurcharges(surcharges, { price, parcelCount, currency }) {
+  let total = 0;
+  const lines = [];
+
+  for (const surcharge of surcharges) {
+    const times = surcharge.per === 'parcel' ? parcelCount : 1;
+    const amount = surcharge.type === 'percent'
+      ? Math.round((price * surcharge.percent) / 100)
+      : surcharge.amount * times;
+
+    total += amount;
+    const detail = surcharge.type === 'percent'
+      ? `${surcharge.percent}%`
+      : times > 1 ? `${times} × ${formatAmount(surcharge.amount, currency)}` : null;
+    lines.push(`${surcharge.name}${detail ? ` (${detail})` : ''}: +${formatAmount(amount, currency)}`);
+  }
+
+  return { total, lines };
+}
+
+/**
+ * Validate a surcharge submitted through the API
+ * @param {Object} surcharge - Surcharge with carrier_id, name, type, amount or percent, per
+ *   and optional countries and postal_codes
+ * @returns {Array} - Validation error messages, empty when the surcharge is valid
+ */
+export function validateSurcharge(surcharge) {
+  const errors = [];
+  const {
+    carrier_id,
+    name,
+    type,
+    amount = null,
+    percent = null,
+    per,
+    countries = [],
+    postal_codes = [],
+  } = surcharge;
+
+  if (!Number.isInteger(carrier_id)) {
+    errors.push('Carrier id is required');
+  }
+  if (!name || typeof name !== 'string') {
+    errors.push('Name is required');
+  }
+  if (!SURCHARGE_TYPES.includes(type)) {
+    errors.push(`Type must be one of: ${SURCHARGE_TYPES.join(', ')}`);
+  }
+  if (type === 'fixed' && (!Number.isInteger(amount) || amount < 0)) {
+    errors.push('A fixed surcharge needs an amount in cents');
+  }
+  if (type === 'percent' && (typeof percent !== 'number' || percent < 0 || percent > 1000)) {
+    errors.push('A percentage surcharge needs a percent between 0 and 1000');
+  }
+  if (!SURCHARGE_BASES.includes(per)) {
+    errors.push(`Per must be one of: ${SURCHARGE_BASES.join(', ')}`);
+  }
+  if (!Array.isArray(countries) || !countries.every((country) => typeof country === 'string' && /^[A-Za-z]{2}$/.test(country))) {
+    errors.push('Countries must be a list of two-letter ISO codes');
+  }
+  if (!Array.isArray(postal_codes) || !postal_codes.every((code) => typeof code === 'string' && code.trim() !== '')) {
+    errors.push('Postal codes must be a list of codes, prefixes or ranges');
+  }
+
+  return errors;
+}
@@ -0,0 +1,65 @@
+// web/services/surcharges.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSurcharges, priceSurcharges, validateSurcharge } from './surcharges.js';
+
+const carrier = { id: 1 };
+
+function surcharge(fields) {
+  return {
+    id: 1,
+    carrier_id: 1,
+    name: 'Handling',
+    type: 'fixed',
+    amount: 100,
+    percent: null,
+    per: 'shipment',
+    countries: [],
+    postal_codes: [],
+    ...fields,
+  };
+}
+
+test('applies surcharges of the carrier that match the destination', () => {
+  const surcharges = [
+    surcharge({ id: 4, name: 'Islands', countries: ['DE'], postal_codes: ['18565', '25938-25999'] }),
+    surcharge({ id: 2, name: 'Fuel', type: 'percent', amount: null, percent: 12 }),
+    surcharge({ id: 3, carrier_id: 2 }),
+    surcharge({ id: 5, name: 'Alps', countries: ['AT'] }),
+  ];
+
+  const found = findSurcharges(surcharges, carrier, { country: 'DE', postal_code: '25946' });
+
+  assert.deepEqual(found.map((item) => item.name), ['Fuel', 'Islands']);
+  assert.deepEqual(findSurcharges(surcharges, carrier, { country: 'DE', postal_code: '10115' }).map((item) => item.id), [2]);
+});
+
+test('charges fixed amounts per parcel or per shipment and percentages of the carrier price', () => {
+  const { total, lines } = priceSurcharges(
+    [
+      surcharge({ name: 'Remote area', amount: 250, per: 'parcel' }),
+      surcharge({ name: 'Handling', amount: 150 }),
+      surcharge({ name: 'Fuel surcharge', type: 'percent', amount: null, percent: 12 }),
+    ],
+    { price: 1000, parcelCount: 2, currency: 'EUR' }
+  );
+
+  assert.equal(total, 500 + 150 + 120);
+  assert.deepEqual(lines, [
+    'Remote area (2 × €2.50): +€5.00',
+    'Handling: +€1.50',
+    'Fuel surcharge (12%): +€1.20',
+  ]);
+});
+
+test('reports every invalid field of a surcharge', () => {
+  assert.deepEqual(validateSurcharge(surcharge({ id: undefined })), []);
+  assert.deepEqual(
+    validateSurcharge({ carrier_id: 1, name: 'Fuel', type: 'percent', per: 'order', countries: ['DEU'] }),
+    [
+      'A percentage surcharge needs a percent between 0 and 1000',
+      'Per must be one of: parcel, shipment',
+      'Countries must be a list of two-letter ISO codes',
+    ]
+  );
+});
@@ -0,0 +1,92 @@
+// web/services/thresholds.js
+
+/**
+ * Read which items are left out of the threshold subtotal from a shop's settings
+ * @param {Object} settings - The shop's settings as key/value strings
+ * @returns {Object} - { excludeGiftCards, excludeNonShipping }
+ */
+export function parseThresholdOptions(settings = {}) {
+  return {
+    excludeGiftCards: settings.threshold_exclude_gift_cards === 'true',
+    excludeNonShipping: settings.threshold_exclude_non_shipping === 'true',
+  };
+}
+
+/**
+ * Sum up the cart value thresholds are compared against
+ * @param {Array} items - Items of the rate request, price in cents
+ * @param {Object} [options] - Options parsed by parseThresholdOptions
+ * @returns {Number} - Subtotal in cents
+ */
+export function thresholdSubtotal(items, options = {}) {
+  return items
+    .filter((item) => !(options.excludeGiftCards && item.fulfillment_service === 'gift_card'))
+    .filter((item) => !(options.excludeNonShipping && item.requires_shipping === false))
+    .reduce((acc, item) => acc + item.price * item.quantity, 0);
+}
+
+/**
+ * Find the most generous threshold a carrier rate qualifies for. Thresholds
+ * without a carrier or zone apply to all carriers or zones.
+ * @param {Array} thresholds - The shop's thresholds
+ * @param {Object} carrier - Carrier of the rate
+ * @param {Object|null} zone - Zone the destination matched for the carrier
+ * @param {Number} subtotal - Cart subtotal in cents
+ * @returns {Object|null} - The threshold with the largest discount, null if none applies
+ */
+export function findThreshold(thresholds, carrier, zone, subtotal) {
+  return thresholds
+    .filter((threshold) => threshold.carrier_id === null || threshold.carrier_id === carrier.id)
+    .filter((threshold) => threshold.zone_id === null || threshold.zone_id === zone?.id)
+    .filter((threshold) => subtotal >= threshold.min_subtotal)
+    .sort((a, b) => b.discount_percent - a.discount_percent || b.min_subtotal - a.min_subtotal)[0] || null;
+}
+
+/**
+ * Describe a threshold for the checkout, e.g. "Free over €100" or "50% off over €250"
+ * @param {Object} threshold - Threshold with min_subtotal in cents and discount_percent
+ * @param {String} currency - Currency of the rate request
+ * @returns {String} - The threshold's own description, or one derived from its values
+ */
+export function describeThreshold(threshold, currency) {
+  if (threshold.description) {
+    return threshold.description;
+  }
+  const amount = new Intl.NumberFormat('en', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: threshold.min_subtotal % 100 === 0 ? 0 : 2,
+  }).format(threshold.min_subtotal / 100);
+
+  return threshold.discount_percent >= 100
+    ? `Free over ${amount}`
+    : `${threshold.discount_percent}% off over ${amount}`;
+}
+
+/**
+ * Validate a threshold submitted through the API
+ * @param {Object} threshold - Threshold with min_subtotal, discount_percent and optional carrier/zone
+ * @returns {Array} - Validation error messages, empty when the threshold is valid
+ */
+export function validateThreshold(threshold) {
+  const errors = [];
+  const { min_subtotal, discount_percent, carrier_id = null, zone_id = null, description = null } = threshold;
+
+  if (!Number.isInteger(min_subtotal) || min_subtotal < 0) {
+    errors.push('Minimum subtotal must be a non-negative number of cents');
+  }
+  if (!Number.isInteger(discount_percent) || discount_percent <= 0 || discount_percent > 100) {
+    errors.push('Discount must be a whole percentage between 1 and 100');
+  }
+  if (carrier_id !== null && !Number.isInteger(carrier_id)) {
+    errors.push('Carrier id must be an integer or null');
+  }
+  if (zone_id !== null && !Number.isInteger(zone_id)) {
+    errors.push('Zone id must be an integer or null');
+  }
+  if (description !== null && typeof description !== 'string') {
+    errors.push('Description must be a string');
+  }
+
+  return errors;
+}
@@ -0,0 +1,71 @@
+// web/services/thresholds.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  describeThreshold,
+  findThreshold,
+  parseThresholdOptions,
+  thresholdSubtotal,
+  validateThreshold,
+} from './thresholds.js';
+
+const dpd = { id: 1, name: 'DPD' };
+const post = { id: 2, name: 'Post' };
+const alps = { id: 7, name: 'Alps' };
+
+const halfOff = { id: 1, min_subtotal: 5000, discount_percent: 50, carrier_id: null, zone_id: null };
+const freeDpd = { id: 2, min_subtotal: 10000, discount_percent: 100, carrier_id: 1, zone_id: null };
+const freeAlps = { id: 3, min_subtotal: 8000, discount_percent: 100, carrier_id: null, zone_id: 7 };
+const thirdOff = { id: 4, min_subtotal: 2000, discount_percent: 30, carrier_id: null, zone_id: null };
+const thresholds = [halfOff, freeDpd, freeAlps, thirdOff];
+
+test('picks the largest discount the subtotal qualifies for', () => {
+  assert.equal(findThreshold(thresholds, post, null, 1999), null);
+  assert.equal(findThreshold(thresholds, post, null, 2000), thirdOff);
+  assert.equal(findThreshold(thresholds, post, null, 5000), halfOff);
+  assert.equal(findThreshold(thresholds, post, null, 20000), halfOff);
+});
+
+test('only applies thresholds of the rate carrier and zone', () => {
+  assert.equal(findThreshold(thresholds, dpd, null, 10000), freeDpd);
+  assert.equal(findThreshold(thresholds, post, alps, 8000), freeAlps);
+  assert.equal(findThreshold(thresholds, post, { id: 8 }, 8000), halfOff);
+});
+
+test('prefers the higher minimum among equal discounts', () => {
+  assert.equal(findThreshold(thresholds, dpd, alps, 10000), freeDpd);
+});
+
+test('leaves gift cards and items without shipping out of the subtotal when set', () => {
+  const items = [
+    { price: 2500, quantity: 2, requires_shipping: true, fulfillment_service: 'manual' },
+    { price: 5000, quantity: 1, requires_shipping: false, fulfillment_service: 'gift_card' },
+    { price: 1000, quantity: 1, requires_shipping: false, fulfillment_service: 'manual' },
+  ];
+
+  assert.equal(thresholdSubtotal(items), 11000);
+  assert.equal(thresholdSubtotal(items, parseThresholdOptions({ threshold_exclude_gift_cards: 'true' })), 6000);
+  assert.equal(
+    thresholdSubtotal(items, parseThresholdOptions({
+      threshold_exclude_gift_cards: 'true',
+      threshold_exclude_non_shipping: 'true',
+    })),
+    5000
+  );
+});
+
+test('describes thresholds in the request currency', () => {
+  assert.equal(describeThreshold(freeDpd, 'EUR'), 'Free over €100');
+  assert.equal(describeThreshold({ ...halfOff, min_subtotal: 4999 }, 'USD'), '50% off over $49.99');
+  assert.equal(describeThreshold({ ...halfOff, description: 'Half price shipping' }, 'EUR'), 'Half price shipping');
+});
+
+test('validates submitted thresholds', () => {
+  assert.deepEqual(validateThreshold(freeAlps), []);
+  assert.deepEqual(validateThreshold({ min_subtotal: -1, discount_percent: 101, carrier_id: '1', description: 5 }), [
+    'Minimum subtotal must be a non-negative number of cents',
+    'Discount must be a whole percentage between 1 and 100',
+    'Carrier id must be an integer or null',
+    'Description must be a string',
+  ]);
+});
@@ -0,0 +1,130 @@
+// web/services/zones.js
+
+const normalize = (value) => String(value ?? '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Match a postal code against a zone pattern. Patterns are an exact code
+ * ("1010"), a prefix ending in "*" ("10*") or an inclusive range ("1000-1999").
+ * Numeric ranges compare numerically, other ranges alphabetically.
+ * @param {String} pattern - Postal-code pattern
+ * @param {String} postalCode - Destination postal code
+ * @returns {Boolean} - Whether the postal code matches
+ */
+export function matchesPostalCode(pattern, postalCode) {
+  const code = normalize(postalCode);
+  const expected = normalize(pattern);
+
+  if (!code) {
+    return false;
+  }
+  if (expected.endsWith('*')) {
+    return code.startsWith(expected.slice(0, -1));
+  }
+
+  const range = expected.match(/^([^-]+)-([^-]+)$/);
+  if (range) {
+    const [, from, to] = range;
+    if ([from, to, code].every((value) => /^\d+$/.test(value))) {
+      return Number(code) >= Number(from) && Number(code) <= Number(to);
+    }
+    return code >= from && code <= to;
+  }
+
+  return code === expected;
+}
+
+/**
+ * Score how specifically a zone location matches a destination
+ * @param {Object} location - Zone location ({ country, provinces, postal_codes })
+ * @param {Object} destination - Destination of the rate request
+ * @returns {Number} - -1 if it doesn't match, else 0 (country), 1 (province) or 2 (postal code)
+ */
+function locationScore(location, destination) {
+  const { country, provinces = [], postal_codes = [] } = location;
+
+  if (normalize(country) !== normalize(destination.country)) {
+    return -1;
+  }
+  if (provinces.length > 0 && !provinces.some((province) => normalize(province) === normalize(destination.province))) {
+    return -1;
+  }
+  if (postal_codes.length > 0 && !postal_codes.some((pattern) => matchesPostalCode(pattern, destination.postal_code))) {
+    return -1;
+  }
+  if (postal_codes.length > 0) return 2;
+  if (provinces.length > 0) return 1;
+  return 0;
+}
+
+/**
+ * Find the zone that matches a destination most specifically. A zone matching
+ * by postal code beats one matching by province, which beats a country match.
+ * @param {Array} zones - Candidate zones with their locations
+ * @param {Object} destination - Destination of the rate request
+ * @returns {Object|null} - The best matching zone, null if none matches
+ */
+export function findZone(zones, destination = {}) {
+  let best = null;
+  let bestScore = -1;
+
+  for (const zone of zones) {
+    const score = Math.max(-1, ...zone.locations.map((location) => locationScore(location, destination)));
+    if (score > bestScore) {
+      best = zone;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Validate a zone submitted through the API
+ * @param {Object} zone - Zone with name, locations, carrier_ids and optional transit_times
+ * @returns {Array} - Validation error messages, empty when the zone is valid
+ */
+export function validateZone(zone) {
+  const errors = [];
+  const { name, locations, carrier_ids = [], transit_times = [] } = zone;
+
+  if (!name || typeof name !== 'string') {
+    errors.push('Name is required');
+  }
+  if (!Array.isArray(locations) || locations.length === 0) {
+    errors.push('At least one location is required');
+  }
+  if (!Array.isArray(carrier_ids) || !carrier_ids.every(Number.isInteger)) {
+    errors.push('Carrier ids must be an array of integers');
+  }
+
+  if (!Array.isArray(transit_times)) {
+    errors.push('Transit times must be an array');
+  }
+
+  (Array.isArray(locations) ? locations : []).forEach((location, index) => {
+    const { country, provinces = [], postal_codes = [] } = location || {};
+    if (typeof country !== 'string' || !/^[A-Za-z]{2}$/.test(country)) {
+      errors.push(`Location ${index + 1}: country must be a two-letter ISO code`);
+    }
+    if (!Array.isArray(provinces) || !Array.isArray(postal_codes)) {
+      errors.push(`Location ${index + 1}: provinces and postal codes must be arrays`);
+    }
+  });
+
+  (Array.isArray(transit_times) ? transit_times : []).forEach((transit, index) => {
+    const { carrier_id, min_transit_days = null, max_transit_days = null } = transit || {};
+    if (!Array.isArray(carrier_ids) || !carrier_ids.includes(carrier_id)) {
+      errors.push(`Transit time ${index + 1}: carrier must be one of the zone's carriers`);
+    }
+    for (const days of [min_transit_days, max_transit_days]) {
+      if (days !== null && (!Number.isInteger(days) || days < 0)) {
+        errors.push(`Transit time ${index + 1}: days must be whole numbers of business days or null`);
+        return;
+      }
+    }
+    if (min_transit_days !== null && max_transit_days !== null && min_transit_days > max_transit_days) {
+      errors.push(`Transit time ${index + 1}: minimum can't be greater than maximum`);
+    }
+  });
+
+  return errors;
+}
@@ -0,0 +1,60 @@
+// web/services/zones.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findZone, matchesPostalCode, validateZone } from './zones.js';
+
+const austria = { id: 1, name: 'Austria', locations: [{ country: 'AT' }] };
+const tyrol = { id: 2, name: 'Tyrol', locations: [{ country: 'AT', provinces: ['Tirol'] }] };
+const innsbruck = { id: 3, name: 'Innsbruck', locations: [{ country: 'AT', postal_codes: ['6020-6080'] }] };
+const london = { id: 4, name: 'London', locations: [{ country: 'GB', postal_codes: ['EC1A-EC4Z', 'SW1*'] }] };
+const zones = [austria, tyrol, innsbruck, london];
+
+test('matches postal codes exactly, by prefix and by range', () => {
+  assert.equal(matchesPostalCode('1010', '1010'), true);
+  assert.equal(matchesPostalCode('10*', '1070'), true);
+  assert.equal(matchesPostalCode('10*', '1170'), false);
+  assert.equal(matchesPostalCode('6020-6080', '6050'), true);
+  assert.equal(matchesPostalCode('6020-6080', '6100'), false);
+  // Numeric ranges compare numerically, not by their text
+  assert.equal(matchesPostalCode('900-1100', '1000'), true);
+  assert.equal(matchesPostalCode('EC1A-EC4Z', 'ec2a 4ny'), true);
+  assert.equal(matchesPostalCode('sw1*', 'SW1A 1AA'), true);
+  assert.equal(matchesPostalCode('*', ''), false);
+});
+
+test('picks the zone matching the destination most specifically', () => {
+  const zone = (destination) => findZone(zones, destination)?.name ?? null;
+
+  assert.equal(zone({ country: 'AT', province: 'Wien', postal_code: '1010' }), 'Austria');
+  assert.equal(zone({ country: 'AT', province: 'Tirol', postal_code: '6300' }), 'Tyrol');
+  assert.equal(zone({ country: 'at', province: 'Tirol', postal_code: '6020' }), 'Innsbruck');
+  assert.equal(zone({ country: 'GB', postal_code: 'SW1A 1AA' }), 'London');
+  assert.equal(zone({ country: 'GB', postal_code: 'M1 1AE' }), null);
+  assert.equal(zone({ country: 'DE', postal_code: '6020' }), null);
+  assert.equal(findZone(zones), null);
+});
+
+test('keeps the first of equally specific zones', () => {
+  const vienna = { id: 5, name: 'Vienna', locations: [{ country: 'AT', provinces: ['Wien'] }, { country: 'AT' }] };
+
+  assert.equal(findZone([austria, vienna], { country: 'AT', province: 'Salzburg' }), austria);
+  assert.equal(findZone([austria, vienna], { country: 'AT', province: 'Wien' }), vienna);
+});
+
+test('validates submitted zones', () => {
+  assert.deepEqual(validateZone({ ...innsbruck, carrier_ids: [1], transit_times: [{ carrier_id: 1, max_transit_days: 2 }] }), []);
+  assert.deepEqual(
+    validateZone({
+      name: 'Broken',
+      locations: [{ country: 'AUT', provinces: 'Tirol' }],
+      carrier_ids: [1],
+      transit_times: [{ carrier_id: 2, min_transit_days: 3, max_transit_days: 1 }],
+    }),
+    [
+      'Location 1: country must be a two-letter ISO code',
+      'Location 1: provinces and postal codes must be arrays',
+      "Transit time 1: carrier must be one of the zone's carriers",
+      "Transit time 1: minimum can't be greater than maximum",
+    ]
+  );
+});